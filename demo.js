@@ -5,17 +5,21 @@ import {
   DrawableTriangle,
   DrawableLine,
   DrawableText,
-  DrawablePoint,
   ViewportManager,
   getDivViewport,
   DynamicCanvasRenderer,
-  projectYRotation,
+  Transform2D,
   V2,
   Scene,
   DrawableLegend,
   DebugUI,
   SceneManager,
   autoScaleViewport,
+  PanZoomController,
+  ChartLayout,
+  DrawableHeatmap,
+  DrawableScatter,
+  DrawableGroup,
 } from './dist/canvasLib.js';
 
 // -------------------- CANVAS APPS --------------------
@@ -75,36 +79,24 @@ const labelC = new DrawableText("C", ptC, { color: "white" });
 
 const triforceSize = 0.5;
 const makeTriangle = (x, y) => [new V2(x - triforceSize / 2, y), new V2(x + triforceSize / 2, y), new V2(x, y + triforceSize)];
-const triforceTriangles = [
-  { original: makeTriangle(0.5, 1), drawable: null },
-  { original: makeTriangle(0.25, 0.5), drawable: null },
-  { original: makeTriangle(0.75, 0.5), drawable: null }
-];
-triforceTriangles.forEach(t => t.drawable = new DrawableTriangle(...t.original, { color: "yellow", fill: true, fillColor: "rgba(255,255,0,0.5)" }));
+const triforce = new DrawableGroup(
+  [makeTriangle(0.5, 1), makeTriangle(0.25, 0.5), makeTriangle(0.75, 0.5)]
+    .map(pts => new DrawableTriangle(...pts, { color: "yellow", fill: true, fillColor: "rgba(255,255,0,0.5)" }))
+);
 
 const NUM_POINTS = 50;
-const scatterPoints = Array.from({ length: NUM_POINTS }, () =>
-  new DrawablePoint(new V2((Math.random() - 0.5) * 3, (Math.random() - 0.5) * 3), {
-    color: Math.random() < 0.5 ? "magenta" : "cyan",
-    size: 3,
-    type: Math.random() < 0.5 ? "cross" : "circle"
-  })
+const scatterPoints = new DrawableScatter(
+  Float64Array.from({ length: NUM_POINTS }, () => (Math.random() - 0.5) * 3),
+  Float64Array.from({ length: NUM_POINTS }, () => (Math.random() - 0.5) * 3),
+  {
+    categories: Array.from({ length: NUM_POINTS }, () => (Math.random() < 0.5 ? 0 : 1)),
+    palette: ["magenta", "cyan"],
+    marker: ["x", "circle"],
+    size: 3
+  }
 );
 
-class DrawableGOL {
-  constructor(grid) { this.grid = grid; }
-  draw(app, vp) {
-    for (let y = 0; y < this.grid.length; y++) {
-      for (let x = 0; x < this.grid[y].length; x++) {
-        if (this.grid[y][x]) {
-          const canvasPos = vp.worldToCanvas(x + 0.5, y + 0.5);
-          app.putPixelBlend(canvasPos, [0, 255, 0, 255]);
-        }
-      }
-    }
-  }
-}
-const golDrawable = new DrawableGOL(golGrid);
+const golDrawable = new DrawableHeatmap(golGrid, { colormap: ["#131313", "#00ff00"], range: [0, 1] });
 
 // -------------------- SCENES --------------------
 function addToScene(scene, layerName, ...items) { scene.add(items, layerName); }
@@ -116,9 +108,11 @@ for (let key of Object.keys(apps)) {
 
 // -------------------- SCENE SETUP --------------------
 
-const signalGraph = new Graph(viewports.signal, { numTicksX: 10, numTicksY: 5 });
+const signalGraph = new Graph(viewports.signal, { numTicksX: 10, numTicksY: 5, xTitle: "sample", yTitle: "amplitude" });
 addToScene(scenes.signal, "data", signalGraph, signalWave);
-addToScene(scenes.signal, "ui", new DrawableLegend(scenes.signal.collectLegend(), { anchor: "ne" }));
+const signalLegend = new DrawableLegend(scenes.signal.collectLegend(), { anchor: "outside-right" });
+addToScene(scenes.signal, "ui", signalLegend);
+new ChartLayout(signalGraph, [signalLegend], { outer: () => getDivViewport(document.getElementById("signalWrapper"), 0) }).attach();
 addToScene(scenes.signal, "debug", debugs.signal);
 
 
@@ -129,6 +123,7 @@ const signalBounds = {
   yMax: Math.max(...cachedSignals.flat().map(p => p.y))
 };
 viewports.signal.updateWorld(signalBounds);
+new PanZoomController(viewports.signal).attach();
 
 
 const unitGraph = new Graph(viewports.unit, { numTicksX: 4, numTicksY: 4 });
@@ -138,14 +133,14 @@ addToScene(scenes.unit, "debug", debugs.unit);
 
 viewports.unit.updateWorld({ xMin: -1, xMax: 1, yMin: -1, yMax: 1 });
 
-triforceTriangles.forEach(t => addToScene(scenes.triforce, "data", t.drawable));
+addToScene(scenes.triforce, "data", triforce);
 addToScene(scenes.triforce, "debug", debugs.triforce);
-autoScaleViewport(viewports.triforce, triforceTriangles.map(t => t.drawable));
+autoScaleViewport(viewports.triforce, [triforce]);
 
 const scatterGraph = new Graph(viewports.scatter, { numTicksX: 5, numTicksY: 5 });
-addToScene(scenes.scatter, "data", scatterGraph, ...scatterPoints);
+addToScene(scenes.scatter, "data", scatterGraph, scatterPoints);
 addToScene(scenes.scatter, "debug", debugs.scatter);
-autoScaleViewport(viewports.scatter, scatterPoints);
+autoScaleViewport(viewports.scatter, [scatterPoints]);
 
 addToScene(scenes.gol, "data", golDrawable);
 addToScene(scenes.gol, "debug", debugs.gol);
@@ -170,14 +165,14 @@ function interpolateFrames(drawable, frames, frameA, frameB, t) {
 }
 
 
-function rotateTriangles(triangles, angle) {
-  triangles.forEach(({ original, drawable }) => {
-    const center = new V2(
-      (original[0].x + original[1].x + original[2].x) / 3,
-      (original[0].y + original[1].y + original[2].y) / 3
-    );
-    drawable.points = original.map(p => projectYRotation(p, center, angle));
-  });
+// each piece turns about its own vertical axis: x squashed by cos(angle) around its centre
+function spinTriforce(group, angle) {
+  for (const tri of group.children) {
+    const [a, b, c] = tri.points;
+    const center = new V2((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3);
+    tri.transform = Transform2D.around(center, Transform2D.scale(Math.cos(angle), 1));
+  }
+  group.markDirty();
 }
 
 function updateUnitTriangle(angle) {
@@ -189,11 +184,12 @@ function updateUnitTriangle(angle) {
   labelB.pos = ptB; labelC.pos = ptC;
 }
 
-function jitterPoints(points, magnitude = 0.02) {
-  points.forEach(p => {
-    p.pos.x += (Math.random() - 0.5) * magnitude;
-    p.pos.y += (Math.random() - 0.5) * magnitude;
-  });
+function jitterPoints(scatter, magnitude = 0.02) {
+  for (let i = 0; i < scatter.length; i++) {
+    scatter.xs[i] += (Math.random() - 0.5) * magnitude;
+    scatter.ys[i] += (Math.random() - 0.5) * magnitude;
+  }
+  scatter.markDirty();
 }
 
 function updateGOL(grid) {
@@ -227,13 +223,13 @@ function mainLoop(now) {
 
   interpolateFrames(signalWave, cachedSignals, frameA, frameB, t);
 
-  rotateTriangles(triforceTriangles, (now * 0.001) % (2 * Math.PI));
+  spinTriforce(triforce, (now * 0.001) % (2 * Math.PI));
   updateUnitTriangle((now * 0.001) % (2 * Math.PI));
   jitterPoints(scatterPoints);
 
   if (now - lastGOLUpdate > 200) {
     golGrid = updateGOL(golGrid);
-    golDrawable.grid = golGrid;
+    golDrawable.setValues(golGrid);
     lastGOLUpdate = now;
   }
 
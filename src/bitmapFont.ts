@@ -0,0 +1,105 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/bitmapFont.ts
+// Built-in 5x7 bitmap font so text can be rasterized without a DOM canvas
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { parseColor } from "./color";
+import type { PixelImage } from "./pixelbuffer";
+
+export const GLYPH_W = 5;
+export const GLYPH_H = 7;
+/** Text bitmaps get the same 2px padding CanvasRenderer uses for DOM-rendered text. */
+const PAD = 2;
+
+/** Column-major glyphs for ASCII 0x20..0x7E; bit 0 is the top row. */
+const ASCII = [
+  "0000000000", "00005f0000", "0007000700", "147f147f14", "242a7f2a12", "2313086462", "3649552250", "0005030000",
+  "001c224100", "0041221c00", "14083e0814", "08083e0808", "0050300000", "0808080808", "0060600000", "2010080402",
+  "3e5149453e", "00427f4000", "4261514946", "2141454b31", "1814127f10", "2745454539", "3c4a494930", "0171090503",
+  "3649494936", "064949291e", "0036360000", "0056360000", "0814224100", "1414141414", "0041221408", "0201510906",
+  "3249794136", "7e1111117e", "7f49494936", "3e41414122", "7f4141221c", "7f49494941", "7f09090901", "3e4149497a",
+  "7f0808087f", "00417f4100", "2040413f01", "7f08142241", "7f40404040", "7f020c027f", "7f0408107f", "3e4141413e",
+  "7f09090906", "3e4151215e", "7f09192946", "4649494931", "01017f0101", "3f4040403f", "1f2040201f", "3f4038403f",
+  "6314081463", "0708700807", "6151494543", "007f414100", "0204081020", "0041417f00", "0402010204", "4040404040",
+  "0001020400", "2054545478", "7f48444438", "3844444420", "384444487f", "3854545418", "087e090102", "0c5252523e",
+  "7f08040478", "00447d4000", "2040443d00", "7f10284400", "00417f4000", "7c04180478", "7c08040478", "3844444438",
+  "7c14141408", "081414187c", "7c08040408", "4854545420", "043f444020", "3c4040207c", "1c2040201c", "3c4030403c",
+  "4428102844", "0c5050503c", "4464544c44", "0008364100", "00007f0000", "0041360800", "0804081008",
+];
+
+/** A few non-ASCII characters that show up in axis labels. */
+const EXTRA: Record<string, string> = {
+  "−": "0808080808", // minus sign
+  "°": "0006090600", // degree
+  "µ": "7c20201c20", // micro
+  "×": "2214081422", // multiplication
+  "±": "0024742400", // plus-minus
+};
+
+/** Hollow box drawn for characters the font does not cover. */
+const MISSING = "7f4141417f";
+
+function glyph(ch: string): string {
+  const code = ch.charCodeAt(0);
+  if (code >= 0x20 && code <= 0x7e) return ASCII[code - 0x20];
+  return EXTRA[ch] ?? MISSING;
+}
+
+/** Pixel size parsed from a CSS font shorthand ("bold 14px monospace" → 14). */
+export function fontPixelSize(font: string): number {
+  const m = /(\d+(?:\.\d+)?)\s*px/.exec(font);
+  return m ? +m[1] : 12;
+}
+
+/** Integer upscale of the 5x7 glyphs that best matches a CSS font size. */
+export function bitmapFontScale(font: string): number {
+  return Math.max(1, Math.floor(fontPixelSize(font) / 8));
+}
+
+function isBold(font: string): boolean {
+  return /\bbold\b|\b[6-9]00\b/.test(font);
+}
+
+/** Size of the padded text bitmap, matching what rasterizeBitmapText returns. */
+export function measureBitmapText(text: string, font: string = "12px sans-serif"): { width: number; height: number } {
+  const s = bitmapFontScale(font);
+  const chars = [...text].length;
+  const advance = (GLYPH_W + 1) * s;
+  const inkW = chars ? chars * advance - s + (isBold(font) ? 1 : 0) : 0;
+  return { width: inkW + PAD * 2, height: GLYPH_H * s + PAD * 2 };
+}
+
+/** Rasterize `text` into a transparent RGBA image, glyph tops PAD px below the top edge. */
+export function rasterizeBitmapText(text: string, font: string = "12px sans-serif", color: string = "#fff"): PixelImage {
+  const { width, height } = measureBitmapText(text, font);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const c = parseColor(color) || [255, 255, 255, 255];
+  const s = bitmapFontScale(font);
+  const bold = isBold(font);
+
+  const plot = (x: number, y: number) => {
+    if (x < 0 || x >= width) return;
+    const i = (y * width + x) * 4;
+    data[i] = c[0]; data[i + 1] = c[1]; data[i + 2] = c[2]; data[i + 3] = c[3];
+  };
+
+  let penX = PAD;
+  for (const ch of text) {
+    const g = glyph(ch);
+    for (let col = 0; col < GLYPH_W; col++) {
+      const bits = parseInt(g.substr(col * 2, 2), 16);
+      for (let row = 0; row < GLYPH_H; row++) {
+        if (!(bits & (1 << row))) continue;
+        for (let sy = 0; sy < s; sy++) {
+          for (let sx = 0; sx < s; sx++) {
+            const x = penX + col * s + sx, y = PAD + row * s + sy;
+            plot(x, y);
+            if (bold) plot(x + 1, y);
+          }
+        }
+      }
+    }
+    penX += (GLYPH_W + 1) * s;
+  }
+  return { width, height, data };
+}
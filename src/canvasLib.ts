@@ -1,18 +1,43 @@
 // canvasLib.ts
 export * from "./graph";
+export * from "./layout";
 export * from "./drawables";
+export * from "./charts";
+export * from "./heatmap";
+export * from "./colormap";
+export * from "./contour";
+export * from "./vectorField";
+export * from "./curves";
+export * from "./decimate";
+export * from "./stream";
+export * from "./uncertainty";
+export * from "./markers";
+export * from "./scatter";
+export * from "./group";
 export * from "./viewport";
+export * from "./scale";
 export * from "./renderer";
+export * from "./memoryRenderer";
+export * from "./sceneWorker";
+export * from "./bitmapFont";
 export * from "./v2";
 export * from "./transform2d";
 export * from "./color";
 export * from "./raster";
+export * from "./stroke";
 export * from "./pixelbuffer";
+export * from "./png";
 export * from "./textCache";
 export * from "./tools";
 export * from "./types";
 export * from "./scene";
+export * from "./dirtyRegion";
 export * from "./debugUI";
+export * from "./panZoom";
+export * from "./pointer";
+export * from "./crosshair";
+export * from "./svg";
+export * from "./geometry";
 
 
 import { DrawableLegend } from "./legend";
@@ -0,0 +1,658 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/charts.ts
+// Categorical and binned chart drawables: bars, histograms, stacked areas,
+// box plots
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, DrawablePoint, areaClosure, type LegendMetadata } from "./drawables";
+import { ViewportManager } from "./viewport";
+import type { Renderer } from "./renderer";
+import { drawLine, fillPolygon, strokeShape } from "./raster";
+import { distanceToSegment, pointInPolygon } from "./geometry";
+import { withAlpha } from "./color";
+import { CATEGORY_PALETTE } from "./colormap";
+import type { LegendItem } from "./legend";
+import type { SVGWriter } from "./svg";
+import type { RGBA, WorldBounds } from "./types";
+
+/** Series colors used when a series doesn't name its own. */
+const PALETTE = CATEGORY_PALETTE;
+
+export interface ChartSeries {
+  values: ArrayLike<number>;
+  color?: string;
+  label?: string;
+}
+
+function seriesLegend(series: ChartSeries[], color: (k: number) => string): LegendItem[] {
+  const items: LegendItem[] = [];
+  series.forEach((s, k) => {
+    if (s.label) items.push({ label: s.label, color: color(k), symbol: "area" });
+  });
+  return items;
+}
+
+// -------------------- BARS --------------------
+
+export type BarMode = "grouped" | "stacked";
+export type BarOrientation = "vertical" | "horizontal";
+
+/** One bar in (category, value) space; horizontal bars swap the world axes. */
+export interface BarRect {
+  series: number;
+  index: number;
+  c0: number;
+  c1: number;
+  v0: number;
+  v1: number;
+}
+
+/**
+ * Bar chart over categories at integer positions 0..n-1 (pair it with
+ * Graph's xCategories / yCategories). Series sit side by side ("grouped") or
+ * on top of each other ("stacked"; negatives stack downward from the baseline).
+ */
+export class DrawableBars extends Drawable {
+  public mode: BarMode;
+  public orientation: BarOrientation;
+  /** Fraction of each category slot covered by its bar(s). */
+  public barWidth: number;
+  public baseline: number;
+  public fillOpacity: number;
+  public outlineColor: string | null;
+  public outlineWidth: number;
+
+  constructor(
+    public categories: string[],
+    public series: ChartSeries[],
+    opts: {
+      mode?: BarMode;
+      orientation?: BarOrientation;
+      barWidth?: number;
+      baseline?: number;
+      fillOpacity?: number;
+      outlineColor?: string | null;
+      outlineWidth?: number;
+      antialias?: boolean;
+      legend?: LegendMetadata;
+    } = {}
+  ) {
+    super("white", true, null, Transform2D.identity(), opts.legend);
+    this.mode = opts.mode ?? "grouped";
+    this.orientation = opts.orientation ?? "vertical";
+    this.barWidth = opts.barWidth ?? 0.8;
+    this.baseline = opts.baseline ?? 0;
+    this.fillOpacity = opts.fillOpacity ?? 1;
+    this.outlineColor = opts.outlineColor ?? null;
+    this.outlineWidth = opts.outlineWidth ?? 1;
+    this.antialias = opts.antialias;
+  }
+
+  seriesColor(k: number): string {
+    return this.series[k]?.color ?? PALETTE[k % PALETTE.length];
+  }
+
+  rects(): BarRect[] {
+    const out: BarRect[] = [];
+    const n = this.series.length;
+    const w = this.barWidth;
+    for (let i = 0; i < this.categories.length; i++) {
+      let up = this.baseline, down = this.baseline;
+      for (let k = 0; k < n; k++) {
+        const v = this.series[k].values[i];
+        if (v == null || !isFinite(v)) continue;
+        if (this.mode === "stacked") {
+          const from = v >= 0 ? up : down;
+          if (v >= 0) up += v; else down += v;
+          out.push({ series: k, index: i, c0: i - w / 2, c1: i + w / 2, v0: from, v1: from + v });
+        } else {
+          const c0 = i - w / 2 + (k * w) / n;
+          out.push({ series: k, index: i, c0, c1: c0 + w / n, v0: this.baseline, v1: v });
+        }
+      }
+    }
+    return out;
+  }
+
+  /** World-space corners of a bar. */
+  corners(r: BarRect): V2[] {
+    if (this.orientation === "horizontal") {
+      return [new V2(r.v0, r.c0), new V2(r.v1, r.c0), new V2(r.v1, r.c1), new V2(r.v0, r.c1)];
+    }
+    return [new V2(r.c0, r.v0), new V2(r.c1, r.v0), new V2(r.c1, r.v1), new V2(r.c0, r.v1)];
+  }
+
+  get bounds(): WorldBounds | null {
+    const rects = this.rects();
+    if (!rects.length) return null;
+    let vMin = this.baseline, vMax = this.baseline;
+    for (const r of rects) {
+      vMin = Math.min(vMin, r.v0, r.v1);
+      vMax = Math.max(vMax, r.v0, r.v1);
+    }
+    const cMin = -0.5, cMax = this.categories.length - 0.5;
+    return this.orientation === "horizontal"
+      ? { xMin: vMin, xMax: vMax, yMin: cMin, yMax: cMax }
+      : { xMin: cMin, xMax: cMax, yMin: vMin, yMax: vMax };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const colors = this.series.map((_, k) => withAlpha(this.parseColorSafe(this.seriesColor(k)), this.fillOpacity));
+    const outline = this.outlineColor ? this.parseColorSafe(this.outlineColor) : null;
+    for (const r of this.rects()) {
+      const pts = this.toCanvas(this.corners(r), vp);
+      fillPolygon(app, pts, colors[r.series], this.antialias);
+      if (outline) strokeShape(app, pts, outline, this.outlineWidth, { closed: true, join: "miter", antialias: this.antialias });
+    }
+  }
+
+  /** The bar under world point `p`, topmost series first. */
+  barAt(p: V2, vp: ViewportManager): BarRect | null {
+    const q = vp.worldToCanvas(p.x, p.y);
+    const rects = this.rects();
+    for (let i = rects.length - 1; i >= 0; i--) {
+      if (pointInPolygon(q, this.toCanvas(this.corners(rects[i]), vp))) return rects[i];
+    }
+    return null;
+  }
+
+  hitTest(p: V2, vp: ViewportManager): boolean {
+    return this.barAt(p, vp) !== null;
+  }
+
+  legendItems(): LegendItem[] {
+    return seriesLegend(this.series, k => this.seriesColor(k));
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    return this.rects()
+      .map(r => w.polygon(this.toCanvas(this.corners(r), vp), withAlpha(this.parseColorSafe(this.seriesColor(r.series)), this.fillOpacity), this.outlineColor, this.outlineWidth))
+      .join("\n");
+  }
+}
+
+// -------------------- HISTOGRAM --------------------
+
+/**
+ * Bin-count rules: "sturges" (log2 n + 1), "sqrt" (√n), "scott" (width from
+ * the standard deviation), "fd" (Freedman–Diaconis, width from the IQR) and
+ * "auto" (the larger count of sturges and fd).
+ */
+export type BinRule = "auto" | "sturges" | "sqrt" | "scott" | "fd";
+
+export interface HistogramBins {
+  edges: number[];
+  counts: number[];
+}
+
+function quantile(sorted: number[], q: number): number {
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function ruleBinCount(sorted: number[], rule: BinRule, span: number): number {
+  const n = sorted.length;
+  const sturges = Math.ceil(Math.log2(n)) + 1;
+  const byWidth = (h: number) => (h > 0 ? Math.ceil(span / h) : 1);
+  switch (rule) {
+    case "sturges": return sturges;
+    case "sqrt": return Math.ceil(Math.sqrt(n));
+    case "scott": {
+      const mean = sorted.reduce((a, v) => a + v, 0) / n;
+      const sd = Math.sqrt(sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / n);
+      return byWidth(3.49 * sd * Math.cbrt(1 / n));
+    }
+    case "fd": return byWidth(2 * (quantile(sorted, 0.75) - quantile(sorted, 0.25)) * Math.cbrt(1 / n));
+    default: {
+      const fd = byWidth(2 * (quantile(sorted, 0.75) - quantile(sorted, 0.25)) * Math.cbrt(1 / n));
+      return Math.max(sturges, fd);
+    }
+  }
+}
+
+/**
+ * Bin `samples` into `bins` equal-width bins, explicit ascending edges, or a
+ * count chosen by rule. Bins are half-open [a, b) except the last, which
+ * includes its right edge. Non-finite samples and samples outside `range`
+ * are ignored.
+ */
+export function histogramBins(
+  samples: ArrayLike<number>,
+  bins: number | number[] | BinRule = "auto",
+  range?: [number, number]
+): HistogramBins {
+  const values: number[] = [];
+  for (let i = 0; i < samples.length; i++) {
+    const v = samples[i];
+    if (isFinite(v) && (!range || (v >= range[0] && v <= range[1]))) values.push(v);
+  }
+
+  let edges: number[];
+  if (Array.isArray(bins)) {
+    edges = bins.slice();
+  } else {
+    values.sort((a, b) => a - b);
+    let lo = range ? range[0] : values.length ? values[0] : 0;
+    let hi = range ? range[1] : values.length ? values[values.length - 1] : 1;
+    if (hi <= lo) { lo -= 0.5; hi += 0.5; }
+    const count = typeof bins === "number"
+      ? Math.max(1, Math.floor(bins))
+      : values.length > 1 ? Math.min(10000, Math.max(1, ruleBinCount(values, bins, hi - lo))) : 1;
+    edges = Array.from({ length: count + 1 }, (_, i) => lo + ((hi - lo) * i) / count);
+  }
+
+  const counts = new Array(Math.max(0, edges.length - 1)).fill(0);
+  if (!counts.length) return { edges, counts };
+  const lo = edges[0], hi = edges[edges.length - 1];
+  for (const v of values) {
+    if (v < lo || v > hi) continue;
+    // binary search for the last edge <= v; the right-most edge belongs to the last bin
+    let a = 0, b = edges.length - 1;
+    while (b - a > 1) {
+      const m = (a + b) >> 1;
+      if (edges[m] <= v) a = m; else b = m;
+    }
+    counts[a]++;
+  }
+  return { edges, counts };
+}
+
+/** Binned sample counts drawn as contiguous bars. Call update() after changing samples or binning. */
+export class DrawableHistogram extends Drawable {
+  public bins: number | number[] | BinRule;
+  public range?: [number, number];
+  /** Scale bar heights so the total area is 1. */
+  public density: boolean;
+  /** Running totals instead of per-bin counts. */
+  public cumulative: boolean;
+  public outlineWidth: number;
+  public edges: number[] = [];
+  public counts: number[] = [];
+  /** Bar heights after density / cumulative are applied. */
+  public heights: number[] = [];
+
+  constructor(
+    public samples: ArrayLike<number>,
+    opts: {
+      bins?: number | number[] | BinRule;
+      range?: [number, number];
+      density?: boolean;
+      cumulative?: boolean;
+      color?: string;
+      fillColor?: string;
+      outlineWidth?: number;
+      antialias?: boolean;
+      legend?: LegendMetadata;
+    } = {}
+  ) {
+    super(opts.color ?? PALETTE[0], true, opts.fillColor ?? null, Transform2D.identity(), opts.legend);
+    if (!opts.fillColor) this.fillColor = withAlpha(this.parseColorSafe(this.color), 0.6);
+    this.bins = opts.bins ?? "auto";
+    this.range = opts.range;
+    this.density = opts.density ?? false;
+    this.cumulative = opts.cumulative ?? false;
+    this.outlineWidth = opts.outlineWidth ?? 1;
+    this.antialias = opts.antialias;
+    this.update();
+  }
+
+  update(samples?: ArrayLike<number>): this {
+    if (samples) this.samples = samples;
+    const { edges, counts } = histogramBins(this.samples, this.bins, this.range);
+    this.edges = edges;
+    this.counts = counts;
+
+    const total = counts.reduce((a, c) => a + c, 0);
+    let run = 0;
+    this.heights = counts.map((c, i) => {
+      run += c;
+      const v = this.cumulative ? run : c;
+      if (!this.density || total === 0) return v;
+      return this.cumulative ? v / total : v / (total * (edges[i + 1] - edges[i]));
+    });
+    return this.markDirty();
+  }
+
+  get bounds(): WorldBounds | null {
+    if (!this.heights.length) return null;
+    return { xMin: this.edges[0], xMax: this.edges[this.edges.length - 1], yMin: 0, yMax: Math.max(0, ...this.heights) };
+  }
+
+  /** Closed step outline over all bins, down to zero at both ends. */
+  private outline(): V2[] {
+    const pts: V2[] = [new V2(this.edges[0], 0)];
+    this.heights.forEach((h, i) => pts.push(new V2(this.edges[i], h), new V2(this.edges[i + 1], h)));
+    pts.push(new V2(this.edges[this.edges.length - 1], 0));
+    return pts;
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    if (!this.heights.length) return;
+    const fill = this.parseColorSafe(this.fillColor!);
+    this.heights.forEach((h, i) => {
+      if (h === 0) return;
+      const x0 = this.edges[i], x1 = this.edges[i + 1];
+      fillPolygon(app, this.toCanvas([new V2(x0, 0), new V2(x1, 0), new V2(x1, h), new V2(x0, h)], vp), fill, this.antialias);
+    });
+    if (this.outlineWidth > 0) {
+      strokeShape(app, this.toCanvas(this.outline(), vp), this.parseColorSafe(this.color), this.outlineWidth, { closed: false, join: "miter", antialias: this.antialias });
+    }
+  }
+
+  hitTest(p: V2, vp: ViewportManager): boolean {
+    if (!this.heights.length) return false;
+    const q = vp.worldToCanvas(p.x, p.y);
+    return pointInPolygon(q, this.toCanvas(this.outline(), vp));
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    if (!this.heights.length) return "";
+    return w.polygon(this.toCanvas(this.outline(), vp), this.fillColor, this.outlineWidth > 0 ? this.color : null, this.outlineWidth);
+  }
+}
+
+// -------------------- STACKED AREA --------------------
+
+/**
+ * Series stacked on a shared x grid, each filled down to the one below it
+ * (the first down to baselineY), as in DrawableFunction's filled mode.
+ * `normalize` stacks shares of the column total (0..100) instead of values.
+ */
+export class DrawableStackedArea extends Drawable {
+  public baselineY: number;
+  public normalize: boolean;
+  public fillOpacity: number;
+  /** Width of the line on top of each band; 0 for none. */
+  public lineWidth: number;
+
+  constructor(
+    public x: ArrayLike<number>,
+    public series: ChartSeries[],
+    opts: {
+      baselineY?: number;
+      normalize?: boolean;
+      fillOpacity?: number;
+      lineWidth?: number;
+      antialias?: boolean;
+      legend?: LegendMetadata;
+    } = {}
+  ) {
+    super("white", true, null, Transform2D.identity(), opts.legend);
+    this.baselineY = opts.baselineY ?? 0;
+    this.normalize = opts.normalize ?? false;
+    this.fillOpacity = opts.fillOpacity ?? 0.7;
+    this.lineWidth = opts.lineWidth ?? 1;
+    this.antialias = opts.antialias;
+  }
+
+  seriesColor(k: number): string {
+    return this.series[k]?.color ?? PALETTE[k % PALETTE.length];
+  }
+
+  /** Top edge of every band, bottom band first. Missing values count as 0. */
+  layers(): V2[][] {
+    const n = this.x.length;
+    const totals = new Float64Array(n);
+    if (this.normalize) {
+      for (const s of this.series) for (let i = 0; i < n; i++) totals[i] += Math.abs(s.values[i] || 0);
+    }
+    const run = new Float64Array(n).fill(this.baselineY);
+    return this.series.map(s => {
+      const top: V2[] = [];
+      for (let i = 0; i < n; i++) {
+        let v = s.values[i] || 0;
+        if (this.normalize) v = totals[i] > 0 ? (100 * v) / totals[i] : 0;
+        run[i] += v;
+        top.push(new V2(this.x[i], run[i]));
+      }
+      return top;
+    });
+  }
+
+  private bands(): Array<{ top: V2[]; polygon: V2[] }> {
+    const layers = this.layers();
+    return layers.map((top, k) => ({ top, polygon: [...top, ...areaClosure(top, k === 0 ? this.baselineY : layers[k - 1])] }));
+  }
+
+  get bounds(): WorldBounds | null {
+    if (!this.x.length || !this.series.length) return null;
+    let xMin = Infinity, xMax = -Infinity, yMin = this.baselineY, yMax = this.baselineY;
+    for (const top of this.layers()) {
+      for (const p of top) {
+        xMin = Math.min(xMin, p.x); xMax = Math.max(xMax, p.x);
+        yMin = Math.min(yMin, p.y); yMax = Math.max(yMax, p.y);
+      }
+    }
+    return { xMin, xMax, yMin, yMax };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    if (this.x.length < 2) return;
+    this.bands().forEach(({ top, polygon }, k) => {
+      const color = this.parseColorSafe(this.seriesColor(k));
+      fillPolygon(app, this.toCanvas(polygon, vp), withAlpha(color, this.fillOpacity), this.antialias);
+      if (this.lineWidth > 0) strokeShape(app, this.toCanvas(top, vp), color, this.lineWidth, { closed: false, join: "round", antialias: this.antialias });
+    });
+  }
+
+  hitTest(p: V2, vp: ViewportManager): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    return this.bands().some(b => pointInPolygon(q, this.toCanvas(b.polygon, vp)));
+  }
+
+  legendItems(): LegendItem[] {
+    return seriesLegend(this.series, k => this.seriesColor(k));
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    if (this.x.length < 2) return "";
+    // like draw: the fill has no outline, only the top edge is stroked
+    return this.bands()
+      .flatMap(({ top, polygon }, k) => {
+        const color = this.seriesColor(k);
+        const fill = w.polygon(this.toCanvas(polygon, vp), withAlpha(this.parseColorSafe(color), this.fillOpacity));
+        if (this.lineWidth <= 0) return [fill];
+        return [fill, `<polyline points="${w.points(this.toCanvas(top, vp))}" fill="none" ${w.paint("stroke", color)} stroke-width="${w.num(this.lineWidth)}" stroke-linejoin="round"/>`];
+      })
+      .join("\n");
+  }
+}
+
+// -------------------- BOX PLOT --------------------
+
+/** Five-number summary of one group; `lo`/`hi` are the whisker ends. */
+export interface BoxStats {
+  count: number;
+  q1: number;
+  median: number;
+  q3: number;
+  lo: number;
+  hi: number;
+  outliers: number[];
+}
+
+/**
+ * Quartiles (linear interpolation) of the finite samples. Whiskers reach the
+ * most extreme samples within `whisker` × IQR of the box (Tukey; 1.5 by
+ * default) and everything beyond is an outlier; "range" whiskers span all
+ * samples. Null when there are no finite samples.
+ */
+export function boxStats(samples: ArrayLike<number>, whisker: number | "range" = 1.5): BoxStats | null {
+  const sorted: number[] = [];
+  for (let i = 0; i < samples.length; i++) if (isFinite(samples[i])) sorted.push(samples[i]);
+  if (!sorted.length) return null;
+  sorted.sort((a, b) => a - b);
+
+  const q1 = quantile(sorted, 0.25), median = quantile(sorted, 0.5), q3 = quantile(sorted, 0.75);
+  if (whisker === "range") {
+    return { count: sorted.length, q1, median, q3, lo: sorted[0], hi: sorted[sorted.length - 1], outliers: [] };
+  }
+  const reach = whisker * (q3 - q1);
+  const inside = sorted.filter(v => v >= q1 - reach && v <= q3 + reach);
+  return {
+    count: sorted.length,
+    q1,
+    median,
+    q3,
+    lo: Math.min(inside[0], q1),
+    hi: Math.max(inside[inside.length - 1], q3),
+    outliers: sorted.filter(v => v < q1 - reach || v > q3 + reach),
+  };
+}
+
+/**
+ * One box per group of samples at `positions` (default 0..n-1, to pair with
+ * Graph's xCategories / yCategories): the interquartile box, a median line,
+ * capped whiskers, and outliers as DrawablePoint markers. Call update()
+ * after changing the groups or the whisker rule.
+ */
+export class DrawableBoxPlot extends Drawable {
+  public positions?: number[];
+  public orientation: BarOrientation;
+  /** Fraction of each category slot covered by its box. */
+  public boxWidth: number;
+  public whisker: number | "range";
+  public width: number;
+  public medianColor: string;
+  public outlierType: "circle" | "cross" | "square";
+  public outlierSize: number;
+  public stats: Array<BoxStats | null> = [];
+  public outliers: DrawablePoint[] = [];
+
+  constructor(
+    public groups: ArrayLike<number>[],
+    opts: {
+      positions?: number[];
+      orientation?: BarOrientation;
+      boxWidth?: number;
+      whisker?: number | "range";
+      color?: string;
+      fillColor?: string;
+      width?: number;
+      medianColor?: string;
+      outlierType?: "circle" | "cross" | "square";
+      outlierSize?: number;
+      antialias?: boolean;
+      legend?: LegendMetadata;
+    } = {}
+  ) {
+    super(opts.color ?? PALETTE[0], true, opts.fillColor ?? null, Transform2D.identity(), opts.legend && { symbol: "box", ...opts.legend });
+    if (!opts.fillColor) this.fillColor = withAlpha(this.parseColorSafe(this.color), 0.4);
+    this.positions = opts.positions;
+    this.orientation = opts.orientation ?? "vertical";
+    this.boxWidth = opts.boxWidth ?? 0.6;
+    this.whisker = opts.whisker ?? 1.5;
+    this.width = opts.width ?? 1;
+    this.medianColor = opts.medianColor ?? (typeof this.color === "string" ? this.color : "white");
+    this.outlierType = opts.outlierType ?? "circle";
+    this.outlierSize = opts.outlierSize ?? 2;
+    this.antialias = opts.antialias;
+    this.update();
+  }
+
+  update(groups?: ArrayLike<number>[]): this {
+    if (groups) this.groups = groups;
+    this.stats = this.groups.map(g => boxStats(g, this.whisker));
+    this.outliers = [];
+    this.stats.forEach((s, i) => {
+      for (const v of s?.outliers ?? []) {
+        this.outliers.push(new DrawablePoint(this.at(this.position(i), v), {
+          color: typeof this.color === "string" ? this.color : undefined,
+          type: this.outlierType,
+          size: this.outlierSize,
+          antialias: this.antialias,
+        }));
+      }
+    });
+    return this.markDirty();
+  }
+
+  position(i: number): number {
+    return this.positions?.[i] ?? i;
+  }
+
+  /** World point at category position `c` and value `v`. */
+  private at(c: number, v: number): V2 {
+    return this.orientation === "horizontal" ? new V2(v, c) : new V2(c, v);
+  }
+
+  get bounds(): WorldBounds | null {
+    let cMin = Infinity, cMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+    this.stats.forEach((s, i) => {
+      if (!s) return;
+      const c = this.position(i);
+      cMin = Math.min(cMin, c - 0.5); cMax = Math.max(cMax, c + 0.5);
+      vMin = Math.min(vMin, s.lo); vMax = Math.max(vMax, s.hi);
+      for (const v of s.outliers) {
+        if (v < vMin) vMin = v;
+        if (v > vMax) vMax = v;
+      }
+    });
+    if (!isFinite(cMin)) return null;
+    return this.orientation === "horizontal"
+      ? { xMin: vMin, xMax: vMax, yMin: cMin, yMax: cMax }
+      : { xMin: cMin, xMax: cMax, yMin: vMin, yMax: vMax };
+  }
+
+  /** Canvas geometry of each box: outline, median line, and whisker + cap segments. */
+  private shapes(vp: ViewportManager): Array<{ box: V2[]; median: [V2, V2]; whiskers: Array<[V2, V2]> }> {
+    const h = this.boxWidth / 2, cap = this.boxWidth / 4;
+    const out: Array<{ box: V2[]; median: [V2, V2]; whiskers: Array<[V2, V2]> }> = [];
+    this.stats.forEach((s, i) => {
+      if (!s) return;
+      const c = this.position(i);
+      const [b0, b1, b2, b3, m0, m1, wl, wq1, wq3, wh, cl0, cl1, ch0, ch1] = this.toCanvas([
+        this.at(c - h, s.q1), this.at(c + h, s.q1), this.at(c + h, s.q3), this.at(c - h, s.q3),
+        this.at(c - h, s.median), this.at(c + h, s.median),
+        this.at(c, s.lo), this.at(c, s.q1), this.at(c, s.q3), this.at(c, s.hi),
+        this.at(c - cap, s.lo), this.at(c + cap, s.lo), this.at(c - cap, s.hi), this.at(c + cap, s.hi),
+      ], vp);
+      out.push({ box: [b0, b1, b2, b3], median: [m0, m1], whiskers: [[wl, wq1], [wq3, wh], [cl0, cl1], [ch0, ch1]] });
+    });
+    return out;
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const color = this.parseColorSafe(this.color);
+    const fill = this.parseColorSafe(this.fillColor!);
+    const median = this.parseColorSafe(this.medianColor);
+    const style = { antialias: this.antialias };
+    for (const { box, median: [m0, m1], whiskers } of this.shapes(vp)) {
+      fillPolygon(app, box, fill, this.antialias);
+      strokeShape(app, box, color, this.width, { closed: true, join: "miter", antialias: this.antialias });
+      for (const [a, b] of whiskers) drawLine(app, a, b, color, this.width, style);
+      drawLine(app, m0, m1, median, this.width + 1, style);
+    }
+    for (const pt of this.outliers) {
+      pt.transform = this.transform;
+      pt.draw(app, vp);
+    }
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    const hitBox = this.shapes(vp).some(s =>
+      pointInPolygon(q, s.box) || s.whiskers.some(([a, b]) => distanceToSegment(q, a, b) <= this.width / 2 + tolerancePx));
+    return hitBox || this.outliers.some(pt => {
+      pt.transform = this.transform;
+      return pt.hitTest(p, vp, tolerancePx);
+    });
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const out: string[] = [];
+    for (const { box, median: [m0, m1], whiskers } of this.shapes(vp)) {
+      out.push(w.polygon(box, this.fillColor, this.color, this.width));
+      for (const [a, b] of whiskers) out.push(w.line(a, b, this.color, this.width));
+      out.push(w.line(m0, m1, this.medianColor, this.width + 1));
+    }
+    for (const pt of this.outliers) {
+      const [c] = this.toCanvas([pt.pos], vp);
+      out.push(w.marker(c, pt.type, pt.size, pt.color));
+    }
+    return out.join("\n");
+  }
+}
@@ -87,3 +87,8 @@ export function toColor(col: ColorLike): RGBA {
     return (parseColor(col) || NAMED.white) as RGBA;
   }
 }
+
+/** `c` with its alpha scaled by `opacity` (0..1). */
+export function withAlpha(c: RGBA, opacity: number): RGBA {
+  return [c[0], c[1], c[2], Math.round(c[3] * opacity)];
+}
@@ -0,0 +1,74 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/colormap.ts
+// Named colormaps: scalar in [0, 1] → RGBA through a 256-entry lookup table
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { parseColor } from "./color";
+import type { RGBA } from "./types";
+
+export type ColormapName = "viridis" | "magma" | "grayscale" | "diverging";
+
+/** A named map, or evenly spaced CSS color stops from low to high. */
+export type ColormapSpec = ColormapName | readonly string[];
+
+/** Evenly spaced stops, interpolated linearly in sRGB. */
+export const COLORMAPS: Readonly<Record<ColormapName, readonly string[]>> = Object.freeze({
+  viridis: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"],
+  magma: ["#000004", "#180f3d", "#440f76", "#721f81", "#9e2f7f", "#cd4071", "#f1605d", "#fd9668", "#feca8d", "#fcfdbf"],
+  grayscale: ["#000000", "#ffffff"],
+  // blue → neutral → red; pair with a range centred on the midpoint value
+  diverging: ["#3b4cc0", "#6f92f3", "#aac7fd", "#dddcdc", "#f7b89c", "#e7745b", "#b40426"],
+});
+
+export const COLORMAP_SIZE = 256;
+
+/** Categorical palette (Tableau 10) for series and categories that don't name a color. */
+export const CATEGORY_PALETTE: readonly string[] = Object.freeze(["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"]);
+
+const lutCache = new Map<ColormapName, Uint8ClampedArray>();
+
+/**
+ * RGBA lookup table (COLORMAP_SIZE × 4 bytes) for a colormap. Named maps are
+ * built once and shared, so treat the result as read-only.
+ */
+export function colormapLUT(spec: ColormapSpec): Uint8ClampedArray {
+  if (typeof spec === "string") {
+    let lut = lutCache.get(spec);
+    if (!lut) {
+      const stops = COLORMAPS[spec];
+      if (!stops) throw new Error(`Unknown colormap "${spec}"`);
+      lut = buildLUT(stops);
+      lutCache.set(spec, lut);
+    }
+    return lut;
+  }
+  return buildLUT(spec);
+}
+
+function buildLUT(stops: readonly string[]): Uint8ClampedArray {
+  const cols = stops.map(s => parseColor(s) ?? ([0, 0, 0, 255] as RGBA));
+  if (!cols.length) throw new Error("Colormap needs at least one color stop");
+  const lut = new Uint8ClampedArray(COLORMAP_SIZE * 4);
+  for (let i = 0; i < COLORMAP_SIZE; i++) {
+    const u = (i / (COLORMAP_SIZE - 1)) * (cols.length - 1);
+    const k = Math.min(cols.length - 2, Math.floor(u));
+    const a = cols[Math.max(0, k)], b = cols[Math.min(cols.length - 1, k + 1)];
+    const f = cols.length > 1 ? u - k : 0;
+    for (let c = 0; c < 4; c++) lut[i * 4 + c] = a[c] + (b[c] - a[c]) * f + 0.5;
+  }
+  return lut;
+}
+
+/** LUT index for t in [0, 1] (clamped), or -1 for NaN. */
+export function colormapIndex(t: number): number {
+  if (t !== t) return -1;
+  return t <= 0 ? 0 : t >= 1 ? COLORMAP_SIZE - 1 : (t * (COLORMAP_SIZE - 1) + 0.5) | 0;
+}
+
+/** Color for t in [0, 1]; NaN maps to transparent. */
+export function sampleColormap(spec: ColormapSpec, t: number): RGBA {
+  const i = colormapIndex(t);
+  if (i < 0) return [0, 0, 0, 0];
+  const lut = colormapLUT(spec);
+  return [lut[i * 4], lut[i * 4 + 1], lut[i * 4 + 2], lut[i * 4 + 3]];
+}
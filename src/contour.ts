@@ -0,0 +1,421 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/contour.ts
+// Iso-lines and filled contour bands over scalar grids (marching squares)
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager, nicify } from "./viewport";
+import type { Renderer } from "./renderer";
+import { fillPolygon, strokeShape } from "./raster";
+import { distanceToPolyline, pointInPolygon } from "./geometry";
+import { colormapIndex, colormapLUT, type ColormapSpec } from "./colormap";
+import { flattenGrid } from "./heatmap";
+import { decimalsForStep, fmtTick } from "./scale";
+import type { SVGWriter } from "./svg";
+import type { RGBA, WorldBounds } from "./types";
+
+/**
+ * About `count` levels strictly inside (min, max), on a 1/2/5 × 10^k step
+ * (ViewportManager's tick stepping).
+ */
+export function contourLevels(min: number, max: number, count: number = 8): number[] {
+  if (!isFinite(min) || !isFinite(max) || max <= min || count <= 0) return [];
+  const step = nicify((max - min) / (count + 1));
+  const levels: number[] = [];
+  for (let i = Math.floor(min / step) + 1; i * step < max; i++) {
+    const v = +(i * step).toFixed(10);
+    if (v > min) levels.push(v);
+  }
+  return levels;
+}
+
+/**
+ * An iso-line vertex with the grid edge it lies on: the edge starts at
+ * (col, row) and runs to (col, row + 1) when vertical, else to (col + 1, row).
+ */
+export interface IsoCrossing {
+  point: V2;
+  col: number;
+  row: number;
+  vertical: boolean;
+}
+
+/**
+ * Marching squares over a row-major grid. Returns the iso-lines at `level` as
+ * polylines in grid coordinates (x = column, y = row); closed rings repeat
+ * their first point. Squares with a NaN corner are skipped, and saddles are
+ * resolved by the square's centre average.
+ */
+export function marchingSquares(cells: ArrayLike<number>, cols: number, rows: number, level: number): V2[][] {
+  return isoCrossings(cells, cols, rows, level).map(line => line.map(c => c.point));
+}
+
+/** marchingSquares, keeping the grid edge of every vertex (for refining crossings along their edge). */
+export function isoCrossings(cells: ArrayLike<number>, cols: number, rows: number, level: number): IsoCrossing[][] {
+  // endpoints are keyed by grid edge: 2 * (row * cols + col) + (0 horizontal | 1 vertical)
+  const segs: Array<[number, number]> = [];
+  const points = new Map<number, V2>();
+  const at = (r: number, c: number) => cells[r * cols + c];
+  const cross = (key: number, r: number, c: number, r2: number, c2: number) => {
+    if (!points.has(key)) {
+      const a = at(r, c), b = at(r2, c2);
+      const t = a === b ? 0.5 : (level - a) / (b - a);
+      points.set(key, new V2(c + (c2 - c) * t, r + (r2 - r) * t));
+    }
+    return key;
+  };
+
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const v0 = at(r, c), v1 = at(r, c + 1), v2 = at(r + 1, c + 1), v3 = at(r + 1, c);
+      if (v0 !== v0 || v1 !== v1 || v2 !== v2 || v3 !== v3) continue;
+      const idx = (v0 >= level ? 1 : 0) | (v1 >= level ? 2 : 0) | (v2 >= level ? 4 : 0) | (v3 >= level ? 8 : 0);
+      if (idx === 0 || idx === 15) continue;
+
+      const bottom = () => cross(2 * (r * cols + c), r, c, r, c + 1);
+      const right = () => cross(2 * (r * cols + c + 1) + 1, r, c + 1, r + 1, c + 1);
+      const top = () => cross(2 * ((r + 1) * cols + c), r + 1, c, r + 1, c + 1);
+      const left = () => cross(2 * (r * cols + c) + 1, r, c, r + 1, c);
+      const centreHigh = (v0 + v1 + v2 + v3) / 4 >= level;
+
+      switch (idx) {
+        case 1: case 14: segs.push([left(), bottom()]); break;
+        case 2: case 13: segs.push([bottom(), right()]); break;
+        case 3: case 12: segs.push([left(), right()]); break;
+        case 4: case 11: segs.push([right(), top()]); break;
+        case 6: case 9: segs.push([bottom(), top()]); break;
+        case 7: case 8: segs.push([left(), top()]); break;
+        case 5:
+          if (centreHigh) segs.push([left(), top()], [bottom(), right()]);
+          else segs.push([left(), bottom()], [right(), top()]);
+          break;
+        case 10:
+          if (centreHigh) segs.push([left(), bottom()], [right(), top()]);
+          else segs.push([left(), top()], [bottom(), right()]);
+          break;
+      }
+    }
+  }
+
+  // join segments sharing an edge crossing into polylines
+  const byKey = new Map<number, number[]>();
+  segs.forEach(([a, b], i) => {
+    (byKey.get(a) ?? byKey.set(a, []).get(a)!).push(i);
+    (byKey.get(b) ?? byKey.set(b, []).get(b)!).push(i);
+  });
+  const used = new Uint8Array(segs.length);
+  const next = (key: number): number => {
+    for (const i of byKey.get(key)!) if (!used[i]) return i;
+    return -1;
+  };
+  const crossing = (key: number): IsoCrossing => {
+    const cell = key >> 1;
+    return { point: points.get(key)!, col: cell % cols, row: Math.floor(cell / cols), vertical: (key & 1) === 1 };
+  };
+  const lines: IsoCrossing[][] = [];
+  for (let s = 0; s < segs.length; s++) {
+    if (used[s]) continue;
+    used[s] = 1;
+    const keys = [segs[s][0], segs[s][1]];
+    // extend forward from the tail, then backward from the head
+    for (let dir = 0; dir < 2; dir++) {
+      for (;;) {
+        const end = dir === 0 ? keys[keys.length - 1] : keys[0];
+        const i = next(end);
+        if (i < 0) break;
+        used[i] = 1;
+        const other = segs[i][0] === end ? segs[i][1] : segs[i][0];
+        if (dir === 0) keys.push(other); else keys.unshift(other);
+      }
+    }
+    lines.push(keys.map(crossing));
+  }
+  return lines;
+}
+
+/**
+ * Clip a cell polygon (with per-vertex values) to value >= bound (sign 1) or
+ * value <= bound (sign -1). When the kept part comes in two runs (a saddle),
+ * they stay joined only if the square's centre average is kept too, the rule
+ * marchingSquares uses; otherwise each run is its own piece.
+ */
+function clipByValue(poly: Array<[number, number, number]>, bound: number, sign: 1 | -1, centre: number): Array<Array<[number, number, number]>> {
+  const out: Array<[number, number, number]> = [];
+  // out.length after each crossing that leaves the kept side
+  const exits: number[] = [];
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i], b = poly[(i + 1) % poly.length];
+    const ina = sign * (a[2] - bound) >= 0, inb = sign * (b[2] - bound) >= 0;
+    if (ina) out.push(a);
+    if (ina !== inb) {
+      const t = (bound - a[2]) / (b[2] - a[2]);
+      out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, bound]);
+      if (ina) exits.push(out.length);
+    }
+  }
+  if (exits.length < 2 || sign * (centre - bound) >= 0) return [out];
+
+  // rotate so the walk starts at a run, then cut after every exit
+  const last = exits[exits.length - 1];
+  const walk = out.slice(last).concat(out.slice(0, last));
+  const pieces: Array<Array<[number, number, number]>> = [];
+  let start = 0;
+  for (const e of exits) {
+    const end = e === last ? walk.length : e + walk.length - last;
+    pieces.push(walk.slice(start, end));
+    start = end;
+  }
+  return pieces;
+}
+
+/**
+ * Regions of the grid with lo <= value <= hi, as polygons in grid
+ * coordinates (one or two per grid square). The pieces tile the band without
+ * overlap, so filling them in a single call leaves no seams, and saddles
+ * split or join exactly as the iso-lines from marchingSquares do.
+ */
+export function contourBand(cells: ArrayLike<number>, cols: number, rows: number, lo: number, hi: number): V2[][] {
+  const pieces: V2[][] = [];
+  for (let r = 0; r < rows - 1; r++) {
+    for (let c = 0; c < cols - 1; c++) {
+      const v0 = cells[r * cols + c], v1 = cells[r * cols + c + 1];
+      const v2 = cells[(r + 1) * cols + c + 1], v3 = cells[(r + 1) * cols + c];
+      if (v0 !== v0 || v1 !== v1 || v2 !== v2 || v3 !== v3) continue;
+      const min = Math.min(v0, v1, v2, v3), max = Math.max(v0, v1, v2, v3);
+      if (max < lo || min > hi) continue;
+      const centre = (v0 + v1 + v2 + v3) / 4;
+      let polys: Array<Array<[number, number, number]>> = [[[c, r, v0], [c + 1, r, v1], [c + 1, r + 1, v2], [c, r + 1, v3]]];
+      if (min < lo) polys = clipByValue(polys[0], lo, 1, centre);
+      if (max > hi) polys = polys.flatMap(p => clipByValue(p, hi, -1, centre));
+      for (const p of polys) if (p.length >= 3) pieces.push(p.map(q => new V2(q[0], q[1])));
+    }
+  }
+  return pieces;
+}
+
+export interface ContourOptions {
+  /** Row length when `values` is a flat (typed) array. */
+  cols?: number;
+  /** World rect covered by the grid, as for DrawableHeatmap; values sit at cell centres. */
+  extent?: WorldBounds;
+  /** Explicit levels, or about how many to choose with contourLevels(). */
+  levels?: number[] | number;
+  /** Fill the bands between levels through the colormap. */
+  filled?: boolean;
+  /** Draw the iso-lines (default true). */
+  lines?: boolean;
+  colormap?: ColormapSpec;
+  /** Line color; by default lines take the colormap color of their level (dark when filled). */
+  color?: string;
+  width?: number;
+  fillOpacity?: number;
+  /** Write each line's level along it. */
+  labels?: boolean;
+  labelFont?: string;
+  labelColor?: string;
+  /** Lines shorter than this on screen (px) get no label. */
+  labelMinLength?: number;
+  antialias?: boolean;
+  legend?: LegendMetadata;
+}
+
+/**
+ * Contour plot of a scalar grid: iso-lines at each level (marching squares,
+ * stroked with strokeShape) and optionally filled bands between levels.
+ * Geometry is computed in update() and reused across draws.
+ */
+export class DrawableContour extends Drawable {
+  public cells: ArrayLike<number> = [];
+  public cols = 0;
+  public rows = 0;
+  public extent: WorldBounds;
+  public levelSpec: number[] | number;
+  public filled: boolean;
+  public showLines: boolean;
+  public colormap: ColormapSpec;
+  public lineColor?: string;
+  public width: number;
+  public fillOpacity: number;
+  public labels: boolean;
+  public labelFont: string;
+  public labelColor: string;
+  public labelMinLength: number;
+
+  /** Resolved levels and their iso-lines, in world coordinates. */
+  public paths: Array<{ level: number; lines: V2[][] }> = [];
+  /** Filled regions from below the first level to above the last, in world coordinates. */
+  public bands: Array<{ lo: number; hi: number; pieces: V2[][] }> = [];
+
+  constructor(values: number[][] | ArrayLike<number>, opts: ContourOptions = {}) {
+    super(opts.color ?? "white", !!opts.filled, null, Transform2D.identity(), opts.legend);
+    this.levelSpec = opts.levels ?? 8;
+    this.filled = opts.filled ?? false;
+    this.showLines = opts.lines ?? true;
+    this.colormap = opts.colormap ?? "viridis";
+    this.lineColor = opts.color ?? (this.filled ? "rgba(0,0,0,0.6)" : undefined);
+    this.width = opts.width ?? 1;
+    this.fillOpacity = opts.fillOpacity ?? 1;
+    this.labels = opts.labels ?? false;
+    this.labelFont = opts.labelFont ?? "11px sans-serif";
+    this.labelColor = opts.labelColor ?? "#fff";
+    this.labelMinLength = opts.labelMinLength ?? 60;
+    this.antialias = opts.antialias;
+    ({ cells: this.cells, cols: this.cols, rows: this.rows } = flattenGrid(values, opts.cols));
+    this.extent = opts.extent ?? { xMin: 0, xMax: this.cols, yMin: 0, yMax: this.rows };
+    this.update();
+  }
+
+  /** Replace the grid (keeping extent and level settings) and recompute. */
+  setValues(values: number[][] | ArrayLike<number>, cols?: number): this {
+    ({ cells: this.cells, cols: this.cols, rows: this.rows } = flattenGrid(values, cols ?? this.cols));
+    return this.update();
+  }
+
+  setLevels(levels: number[] | number): this {
+    this.levelSpec = levels;
+    return this.update();
+  }
+
+  get levels(): number[] {
+    return this.paths.map(p => p.level);
+  }
+
+  /** Finite data range of the grid. */
+  get valueRange(): [number, number] {
+    let lo = Infinity, hi = -Infinity;
+    for (let i = 0; i < this.cells.length; i++) {
+      const v = this.cells[i];
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+    return lo > hi ? [0, 1] : [lo, hi];
+  }
+
+  get bounds(): WorldBounds {
+    return this.extent;
+  }
+
+  /** Recompute levels, iso-lines and bands. */
+  update(): this {
+    const [min, max] = this.valueRange;
+    const levels = Array.isArray(this.levelSpec)
+      ? this.levelSpec.slice().sort((a, b) => a - b)
+      : contourLevels(min, max, this.levelSpec);
+    const toWorld = this.gridToWorld();
+
+    this.paths = levels.map(level => ({
+      level,
+      lines: marchingSquares(this.cells, this.cols, this.rows, level).map(l => l.map(toWorld)),
+    }));
+
+    this.bands = [];
+    if (this.filled) {
+      const edges = [Math.min(min, levels[0] ?? min), ...levels, Math.max(max, levels[levels.length - 1] ?? max)];
+      for (let k = 0; k + 1 < edges.length; k++) {
+        if (edges[k + 1] <= edges[k]) continue;
+        const pieces = contourBand(this.cells, this.cols, this.rows, edges[k], edges[k + 1]);
+        if (pieces.length) this.bands.push({ lo: edges[k], hi: edges[k + 1], pieces: pieces.map(p => p.map(toWorld)) });
+      }
+    }
+    return this.markDirty();
+  }
+
+  /** Grid (column, row) → world, with grid values at cell centres. */
+  private gridToWorld(): (p: V2) => V2 {
+    const { xMin, xMax, yMin, yMax } = this.extent;
+    const cw = (xMax - xMin) / this.cols, ch = (yMax - yMin) / this.rows;
+    return p => new V2(xMin + (p.x + 0.5) * cw, yMin + (p.y + 0.5) * ch);
+  }
+
+  /** Colormap position of a value, spread over the resolved levels. */
+  private colorFor(v: number, lut: Uint8ClampedArray, alpha: number = 1): RGBA {
+    const levels = this.levels;
+    const lo = levels[0] ?? 0, hi = levels[levels.length - 1] ?? 1;
+    const i = colormapIndex(hi > lo ? (v - lo) / (hi - lo) : 0.5);
+    return [lut[i * 4], lut[i * 4 + 1], lut[i * 4 + 2], Math.round(lut[i * 4 + 3] * alpha)];
+  }
+
+  private lineColorFor(level: number, lut: Uint8ClampedArray): RGBA {
+    return this.lineColor ? this.parseColorSafe(this.lineColor) : this.colorFor(level, lut);
+  }
+
+  /** Label text and where / how it sits on each long-enough line, in canvas space. */
+  labelPlacements(vp: ViewportManager): Array<{ text: string; pos: V2; angle: number }> {
+    const levels = this.levels;
+    const decimals = decimalsForStep(levels.length > 1 ? levels[1] - levels[0] : Math.abs(levels[0] ?? 1));
+    const out: Array<{ text: string; pos: V2; angle: number }> = [];
+    for (const { level, lines } of this.paths) {
+      for (const line of lines) {
+        const pts = this.toCanvas(line, vp);
+        let total = 0;
+        for (let i = 1; i < pts.length; i++) total += pts[i].sub(pts[i - 1]).len();
+        if (total < this.labelMinLength) continue;
+        // walk to the middle of the line
+        let run = 0;
+        for (let i = 1; i < pts.length; i++) {
+          const seg = pts[i].sub(pts[i - 1]), len = seg.len();
+          if (run + len < total / 2) { run += len; continue; }
+          let angle = Math.atan2(seg.y, seg.x);
+          // keep the text upright
+          if (angle > Math.PI / 2) angle -= Math.PI;
+          else if (angle < -Math.PI / 2) angle += Math.PI;
+          out.push({ text: fmtTick(level, decimals), pos: V2.lerp(pts[i - 1], pts[i], len > 0 ? (total / 2 - run) / len : 0), angle });
+          break;
+        }
+      }
+    }
+    return out;
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const lut = colormapLUT(this.colormap);
+    for (const band of this.bands) {
+      const color = this.colorFor((band.lo + band.hi) / 2, lut, this.fillOpacity);
+      fillPolygon(app, band.pieces.map(p => this.toCanvas(p, vp)), color, this.antialias, "nonzero");
+    }
+    if (this.showLines && this.width > 0) {
+      for (const { level, lines } of this.paths) {
+        const color = this.lineColorFor(level, lut);
+        for (const line of lines) {
+          const last = line[line.length - 1];
+          const closed = line.length > 3 && line[0].x === last.x && line[0].y === last.y;
+          strokeShape(app, this.toCanvas(closed ? line.slice(0, -1) : line, vp), color, this.width, { closed, join: "round", antialias: this.antialias });
+        }
+      }
+    }
+    if (this.labels) {
+      for (const l of this.labelPlacements(vp)) app.drawText(l.text, l.pos, this.labelColor, this.labelFont, "center", "middle", l.angle);
+    }
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    if (this.filled && this.bands.some(b => b.pieces.some(piece => pointInPolygon(q, this.toCanvas(piece, vp))))) return true;
+    if (!this.showLines) return false;
+    return this.paths.some(({ lines }) => lines.some(l => distanceToPolyline(q, this.toCanvas(l, vp)) <= tolerancePx + this.width / 2));
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const lut = colormapLUT(this.colormap);
+    const out: string[] = [];
+    for (const band of this.bands) {
+      const color = this.colorFor((band.lo + band.hi) / 2, lut, this.fillOpacity);
+      const d = band.pieces.map(p => `M${w.points(this.toCanvas(p, vp))}Z`).join("");
+      out.push(`<path d="${d}" ${w.paint("fill", color)} fill-rule="nonzero"/>`);
+    }
+    if (this.showLines && this.width > 0) {
+      for (const { level, lines } of this.paths) {
+        const color = this.lineColorFor(level, lut);
+        for (const line of lines) {
+          out.push(`<polyline points="${w.points(this.toCanvas(line, vp))}" fill="none" ${w.paint("stroke", color)} stroke-width="${w.num(this.width)}" stroke-linejoin="round"/>`);
+        }
+      }
+    }
+    if (this.labels) {
+      for (const l of this.labelPlacements(vp)) out.push(w.text(l.text, l.pos, this.labelColor, this.labelFont, "center", "middle", w.rotate(l.angle, l.pos)));
+    }
+    return out.join("\n");
+  }
+}
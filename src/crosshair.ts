@@ -0,0 +1,208 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/crosshair.ts
+// Cursor-following crosshair with a per-series value readout
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { ViewportManager, viewportFor } from "./viewport";
+import type { Renderer } from "./renderer";
+import { Drawable } from "./drawables";
+import { Graph, decimalsForStep, fmtTick } from "./graph";
+import { drawLine, fillCircle, fillPolygon } from "./raster";
+import { parseColor } from "./color";
+import type { Rect } from "./types";
+
+/** Anything with sampled data, e.g. DrawableFunction. */
+export interface CrosshairSeries {
+  data: V2[];
+  color: string | readonly [number, number, number, number];
+  legend?: { label: string; color?: string };
+  visible?: boolean;
+  /** Series on the secondary axis place their markers through vp.y2. */
+  yAxis?: "y" | "y2";
+}
+
+export interface CrosshairOptions {
+  /** "interpolate" reads y at the cursor x; "snap" jumps to the nearest sample. */
+  mode?: "interpolate" | "snap";
+  /** Graph whose tick precision the readout should match. */
+  graph?: Graph;
+  /** Element receiving pointer events for attach(). Defaults to the viewport's canvas. */
+  target?: HTMLElement | null;
+  lineColor?: string;
+  lineDash?: number[];
+  font?: string;
+  textColor?: string;
+  background?: string | null;
+  padding?: number;
+  markerRadius?: number;
+}
+
+function colorString(c: string | readonly number[]): string {
+  if (typeof c === "string") return c;
+  const [r, g, b, a = 255] = c;
+  return `rgba(${r | 0},${g | 0},${b | 0},${(a / 255).toFixed(3)})`;
+}
+
+/** Index of the sample nearest to `x` in data sorted by ascending x. */
+function nearestIndex(data: V2[], x: number): number {
+  let lo = 0, hi = data.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (data[mid].x <= x) lo = mid; else hi = mid;
+  }
+  return Math.abs(data[hi].x - x) < Math.abs(data[lo].x - x) ? hi : lo;
+}
+
+/** Linear interpolation of y at `x`; clamps to the end samples. */
+function interpolateAt(data: V2[], x: number): V2 {
+  if (x <= data[0].x) return data[0];
+  const last = data[data.length - 1];
+  if (x >= last.x) return last;
+  let lo = 0, hi = data.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (data[mid].x <= x) lo = mid; else hi = mid;
+  }
+  const a = data[lo], b = data[hi];
+  const t = b.x === a.x ? 0 : (x - a.x) / (b.x - a.x);
+  return new V2(x, a.y + (b.y - a.y) * t);
+}
+
+/**
+ * Crosshair overlay. Lives in the "debug" layer style (ignoreViewport) and
+ * maps through its own ViewportManager; everything stays inside vp.viewport.
+ */
+export class DrawableCrosshair extends Drawable {
+  public ignoreViewport = true;
+  public cursor: V2 | null = null;
+  public options: Required<Omit<CrosshairOptions, "graph" | "target">>;
+
+  private graph?: Graph;
+  private el: HTMLElement | null;
+  private attached = false;
+
+  constructor(public vp: ViewportManager, public series: CrosshairSeries[], options: CrosshairOptions = {}) {
+    super(options.lineColor ?? "rgba(255,255,255,0.6)", false, null);
+    this.graph = options.graph;
+    this.el = options.target ?? vp.app?.canvas ?? vp.app?.app?.canvas ?? null;
+    this.options = {
+      mode: options.mode ?? "interpolate",
+      lineColor: options.lineColor ?? "rgba(255,255,255,0.6)",
+      lineDash: options.lineDash ?? [4, 3],
+      font: options.font ?? "12px monospace",
+      textColor: options.textColor ?? "#fff",
+      background: options.background === undefined ? "rgba(0,0,0,0.6)" : options.background,
+      padding: options.padding ?? 6,
+      markerRadius: options.markerRadius ?? 3,
+    };
+  }
+
+  /** Set the cursor in canvas pixels (null hides the crosshair). */
+  setCursor(canvasX: number | null, canvasY: number = 0): void {
+    this.cursor = canvasX == null ? null : new V2(canvasX, canvasY);
+    this.markDirty();
+  }
+
+  /** Lines and readout stay inside vp.viewport. */
+  canvasBounds(): Rect {
+    const r = this.vp.viewport;
+    return { x: r.x - 2, y: r.y - 2, width: r.width + 4, height: r.height + 4 };
+  }
+
+  attach(): this {
+    if (!this.el || this.attached) return this;
+    this.el.addEventListener("pointermove", this.onPointerMove);
+    this.el.addEventListener("pointerleave", this.onPointerLeave);
+    this.attached = true;
+    return this;
+  }
+
+  detach(): this {
+    if (!this.el || !this.attached) return this;
+    this.el.removeEventListener("pointermove", this.onPointerMove);
+    this.el.removeEventListener("pointerleave", this.onPointerLeave);
+    this.attached = false;
+    return this;
+  }
+
+  private onPointerMove = (e: PointerEvent): void => {
+    const rect = this.el!.getBoundingClientRect();
+    this.setCursor(e.clientX - rect.left, e.clientY - rect.top);
+  };
+
+  private onPointerLeave = (): void => { this.setCursor(null); };
+
+  private decimals(): { x: number; y: number } {
+    if (this.graph) return this.graph.tickDecimals();
+    const step = (t: number[]) => (t.length > 1 ? Math.abs(t[1] - t[0]) : 1);
+    return { x: decimalsForStep(step(this.vp.xTicks)), y: decimalsForStep(step(this.vp.yTicks)) };
+  }
+
+  draw(app: Renderer): void {
+    if (!this.visible || !this.cursor) return;
+    const rect = this.vp.viewport;
+    const c = this.cursor;
+    if (c.x < rect.x || c.x > rect.x + rect.width || c.y < rect.y || c.y > rect.y + rect.height) return;
+
+    const opts = this.options;
+    const lineCol = parseColor(opts.lineColor) || [255, 255, 255, 150];
+    const world = this.vp.canvasToWorld(c.x, c.y);
+
+    const rows: Array<{ label: string; color: string; at: V2; vp: ViewportManager }> = [];
+    let xShown = world.x;
+    for (const s of this.series) {
+      if (s.visible === false || !s.data?.length) continue;
+      const sample = opts.mode === "snap" ? s.data[nearestIndex(s.data, world.x)] : interpolateAt(s.data, world.x);
+      if (!rows.length && opts.mode === "snap") xShown = sample.x;
+      rows.push({
+        label: s.legend?.label ?? `y${rows.length + 1}`,
+        color: colorString(s.legend?.color ?? s.color),
+        at: sample,
+        vp: viewportFor(s, this.vp),
+      });
+    }
+
+    const dec = this.decimals();
+    const lines = [{ text: `x: ${fmtTick(xShown, dec.x)}`, color: opts.textColor }];
+    for (const r of rows) lines.push({ text: `${r.label}: ${fmtTick(r.at.y, dec.y)}`, color: r.color });
+
+    // crosshair lines, clipped to the plot rect
+    const cx = opts.mode === "snap" && rows.length ? this.vp.worldToCanvas(xShown, 0).x : c.x;
+    drawLine(app, new V2(cx, rect.y), new V2(cx, rect.y + rect.height), lineCol as any, 1, { dash: opts.lineDash });
+    drawLine(app, new V2(rect.x, c.y), new V2(rect.x + rect.width, c.y), lineCol as any, 1, { dash: opts.lineDash });
+
+    for (const r of rows) {
+      const p = r.vp.worldToCanvas(r.at.x, r.at.y);
+      if (p.x < rect.x || p.x > rect.x + rect.width || p.y < rect.y || p.y > rect.y + rect.height) continue;
+      fillCircle(app, p, opts.markerRadius, (parseColor(r.color) || [255, 255, 255, 255]) as any);
+    }
+
+    // readout box, flipped / clamped to stay inside vp.viewport
+    const pad = opts.padding;
+    let textW = 0, rowH = 0;
+    for (const l of lines) {
+      const m = app.measureText(l.text, opts.font);
+      textW = Math.max(textW, m.width);
+      rowH = Math.max(rowH, m.height);
+    }
+    rowH += 2;
+    const boxW = textW + pad * 2;
+    const boxH = lines.length * rowH + pad * 2;
+    let bx = c.x + 12, by = c.y + 12;
+    if (bx + boxW > rect.x + rect.width) bx = c.x - 12 - boxW;
+    if (by + boxH > rect.y + rect.height) by = c.y - 12 - boxH;
+    bx = Math.max(rect.x, Math.min(bx, rect.x + rect.width - boxW));
+    by = Math.max(rect.y, Math.min(by, rect.y + rect.height - boxH));
+
+    if (opts.background) {
+      const bg = parseColor(opts.background) || [0, 0, 0, 150];
+      fillPolygon(app, [new V2(bx, by), new V2(bx + boxW, by), new V2(bx + boxW, by + boxH), new V2(bx, by + boxH)], bg as any);
+    }
+    let ty = by + pad;
+    for (const l of lines) {
+      app.drawText(l.text, new V2(bx + pad, ty), l.color, opts.font, "left", "top");
+      ty += rowH;
+    }
+  }
+}
@@ -0,0 +1,346 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/curves.ts
+// Function-backed curves resampled against the view: y = f(x), parametric,
+// polar and implicit
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager, type YAxisId } from "./viewport";
+import type { Renderer } from "./renderer";
+import { strokeShape } from "./raster";
+import type { LineCap, LineJoin } from "./stroke";
+import { distanceToPolyline, distanceToSegment } from "./geometry";
+import { isoCrossings, type IsoCrossing } from "./contour";
+import type { SVGWriter } from "./svg";
+import type { Rect, WorldBounds } from "./types";
+
+export interface AdaptiveSampleOptions {
+  /** Largest allowed deviation (px) between the curve and its polyline. */
+  tolerancePx?: number;
+  /** Uniform samples before refinement; catches features narrower than the tolerance test. */
+  initialSamples?: number;
+  /** Halvings allowed per initial interval. */
+  maxDepth?: number;
+  /** A segment still longer than this (px) at full depth is a jump, not a steep stretch. */
+  breakPx?: number;
+  /** Points farther than this (px) outside `clip` count as undefined, like NaN. */
+  clipMarginPx?: number;
+}
+
+interface Sample { t: number; w: V2; c: V2; ok: boolean }
+
+/**
+ * Sample `f` over [t0, t1] into world-space polylines. Intervals are halved
+ * until each midpoint lies within `tolerancePx` of its chord on screen (so
+ * straight stretches get few points and tight bends many), and the polyline
+ * is broken at jumps, asymptotes and NaN / infinite values. Nothing off
+ * `clip` (canvas space) is refined beyond what is needed to leave it.
+ */
+export function adaptiveSample(
+  f: (t: number) => V2,
+  t0: number,
+  t1: number,
+  project: (p: V2) => V2,
+  clip: Rect | null = null,
+  opts: AdaptiveSampleOptions = {}
+): V2[][] {
+  const tol = opts.tolerancePx ?? 0.5;
+  const n = Math.max(1, opts.initialSamples ?? 128);
+  const maxDepth = opts.maxDepth ?? 10;
+  const breakPx = opts.breakPx ?? 8;
+  const margin = opts.clipMarginPx ?? 1000;
+
+  const sample = (t: number): Sample => {
+    const w = f(t);
+    const ok0 = !!w && isFinite(w.x) && isFinite(w.y);
+    const c = ok0 ? project(w) : new V2(NaN, NaN);
+    let ok = ok0 && isFinite(c.x) && isFinite(c.y);
+    if (ok && clip) {
+      ok = c.x > clip.x - margin && c.x < clip.x + clip.width + margin && c.y > clip.y - margin && c.y < clip.y + clip.height + margin;
+    }
+    return { t, w, c, ok };
+  };
+  // which side of the clip rect a point is beyond (bitmask), for skipping off-screen refinement
+  const outcode = (c: V2) =>
+    !clip ? 0 : (c.x < clip.x ? 1 : 0) | (c.x > clip.x + clip.width ? 2 : 0) | (c.y < clip.y ? 4 : 0) | (c.y > clip.y + clip.height ? 8 : 0);
+
+  const lines: V2[][] = [];
+  let cur: V2[] = [];
+  const cut = () => {
+    if (cur.length > 1) lines.push(cur);
+    cur = [];
+  };
+  const emit = (s: Sample) => cur.push(s.w);
+
+  // emits the points in (a, b]
+  const refine = (a: Sample, b: Sample, depth: number): void => {
+    if (depth >= maxDepth) {
+      if (a.ok && b.ok) {
+        if (b.c.sub(a.c).len() > breakPx) cut();
+        emit(b);
+      } else if (b.ok) {
+        cut();
+        emit(b);
+      } else {
+        cut();
+      }
+      return;
+    }
+
+    const m = sample((a.t + b.t) / 2);
+    if (a.ok && b.ok && m.ok) {
+      // a long chord whose midpoint sits at one end is a jump seen edge-on, not a straight stretch
+      const chord = b.c.sub(a.c).len();
+      const split = Math.min(m.c.sub(a.c).len(), b.c.sub(m.c).len());
+      const flat = distanceToSegment(m.c, a.c, b.c) <= tol && (chord <= breakPx || split >= 0.25 * chord);
+      const offscreen = (outcode(a.c) & outcode(m.c) & outcode(b.c)) !== 0;
+      if (flat || offscreen) {
+        emit(b);
+        return;
+      }
+    } else if (!a.ok && !b.ok && !m.ok && depth >= 2) {
+      // undefined throughout; features narrower than this are lost
+      return;
+    }
+    refine(a, m, depth + 1);
+    refine(m, b, depth + 1);
+  };
+
+  let prev = sample(t0);
+  if (prev.ok) emit(prev);
+  for (let i = 1; i <= n; i++) {
+    const next = sample(t0 + ((t1 - t0) * i) / n);
+    refine(prev, next, 0);
+    prev = next;
+  }
+  cut();
+  return lines;
+}
+
+export interface CurveOptions extends AdaptiveSampleOptions {
+  color?: string;
+  width?: number;
+  join?: LineJoin;
+  cap?: LineCap;
+  dash?: number[];
+  dashOffset?: number;
+  antialias?: boolean;
+  legend?: LegendMetadata;
+  yAxis?: YAxisId;
+}
+
+/**
+ * Base for curves computed from a function at draw time. Subclasses return
+ * world-space polylines for the current view; styling, hit testing and SVG
+ * export are shared.
+ */
+export abstract class DrawableCurve extends Drawable {
+  public width: number;
+  public join: LineJoin;
+  public cap: LineCap;
+  public sampling: AdaptiveSampleOptions;
+
+  constructor(opts: CurveOptions = {}) {
+    super(opts.color ?? "red", false, null, Transform2D.identity(), opts.legend, opts.yAxis);
+    this.width = opts.width ?? 1;
+    this.join = opts.join ?? "round";
+    this.cap = opts.cap ?? "butt";
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
+    this.sampling = {
+      tolerancePx: opts.tolerancePx,
+      initialSamples: opts.initialSamples,
+      maxDepth: opts.maxDepth,
+      breakPx: opts.breakPx,
+      clipMarginPx: opts.clipMarginPx,
+    };
+  }
+
+  /** World-space polylines for the view of `vp`. */
+  abstract paths(vp: ViewportManager): V2[][];
+
+  /** World → canvas for one point, through the transform. */
+  protected projector(vp: ViewportManager): (p: V2) => V2 {
+    return p => {
+      const w = this.transform.transformV2(p);
+      return vp.worldToCanvas(w.x, w.y);
+    };
+  }
+
+  /** The view in this curve's own coordinates (before the transform). */
+  protected localView(vp: ViewportManager): WorldBounds {
+    const inv = this.transform.invert();
+    const r = vp.viewport;
+    const corners = [vp.canvasToWorld(r.x, r.y), vp.canvasToWorld(r.x + r.width, r.y), vp.canvasToWorld(r.x, r.y + r.height), vp.canvasToWorld(r.x + r.width, r.y + r.height)]
+      .map(p => (inv ? inv.transformV2(p) : p));
+    return {
+      xMin: Math.min(...corners.map(p => p.x)), xMax: Math.max(...corners.map(p => p.x)),
+      yMin: Math.min(...corners.map(p => p.y)), yMax: Math.max(...corners.map(p => p.y)),
+    };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const color = this.parseColorSafe(this.color);
+    for (const path of this.paths(vp)) {
+      strokeShape(app, this.toCanvas(path, vp), color, this.width, {
+        closed: false,
+        join: this.join,
+        cap: this.cap,
+        dash: this.dash,
+        dashOffset: this.dashOffset,
+        antialias: this.antialias,
+      });
+    }
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    return this.paths(vp).some(path => distanceToPolyline(q, this.toCanvas(path, vp)) <= this.width / 2 + tolerancePx);
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    return this.paths(vp)
+      .map(path => `<polyline points="${w.points(this.toCanvas(path, vp))}" fill="none" ${w.paint("stroke", this.color)} stroke-width="${w.num(this.width)}" stroke-linejoin="${this.join}" stroke-linecap="${this.cap}"${w.dash(this.dash, this.dashOffset)}/>`)
+      .join("\n");
+  }
+}
+
+/** Bounds of a curve from uniform samples of its parameter range. */
+function sampledBounds(f: (t: number) => V2, t0: number, t1: number, n: number = 512): WorldBounds | null {
+  let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+  for (let i = 0; i <= n; i++) {
+    const p = f(t0 + ((t1 - t0) * i) / n);
+    if (!p || !isFinite(p.x) || !isFinite(p.y)) continue;
+    xMin = Math.min(xMin, p.x); xMax = Math.max(xMax, p.x);
+    yMin = Math.min(yMin, p.y); yMax = Math.max(yMax, p.y);
+  }
+  return isFinite(xMin) ? { xMin, xMax, yMin, yMax } : null;
+}
+
+// -------------------- y = f(x) --------------------
+
+/**
+ * y = f(x) over the visible x range (limited to `domain` when given). On a
+ * log or symlog x axis samples are spread evenly in scale space.
+ */
+export class DrawableExplicit extends DrawableCurve {
+  public domain?: [number, number];
+
+  constructor(public f: (x: number) => number, opts: CurveOptions & { domain?: [number, number] } = {}) {
+    super(opts);
+    this.domain = opts.domain;
+  }
+
+  /** With a domain: its x range and the sampled y range. Unbounded curves have none. */
+  get bounds(): WorldBounds | null {
+    return this.domain ? sampledBounds(x => new V2(x, this.f(x)), this.domain[0], this.domain[1]) : null;
+  }
+
+  paths(vp: ViewportManager): V2[][] {
+    const view = this.localView(vp);
+    const x0 = Math.max(view.xMin, this.domain?.[0] ?? -Infinity);
+    const x1 = Math.min(view.xMax, this.domain?.[1] ?? Infinity);
+    if (!(x1 > x0)) return [];
+    const s = this.transform.a === 1 && this.transform.b === 0 && this.transform.c === 0 && this.transform.d === 1 ? vp.xScale : null;
+    const u0 = s ? s.forward(x0) : x0, u1 = s ? s.forward(x1) : x1;
+    return adaptiveSample(u => {
+      const x = s ? s.inverse(u) : u;
+      return new V2(x, this.f(x));
+    }, u0, u1, this.projector(vp), vp.viewport, this.sampling);
+  }
+}
+
+// -------------------- PARAMETRIC / POLAR --------------------
+
+/** (x(t), y(t)) for t in `range`; refinement follows the curve wherever it is on screen. */
+export class DrawableParametric extends DrawableCurve {
+  public range: [number, number];
+
+  constructor(public f: (t: number) => V2, opts: CurveOptions & { range?: [number, number] } = {}) {
+    super(opts);
+    this.range = opts.range ?? [0, 1];
+  }
+
+  get bounds(): WorldBounds | null {
+    return sampledBounds(this.f, this.range[0], this.range[1]);
+  }
+
+  paths(vp: ViewportManager): V2[][] {
+    return adaptiveSample(this.f, this.range[0], this.range[1], this.projector(vp), vp.viewport, this.sampling);
+  }
+}
+
+/** r(θ) for θ in `range` (default one full turn), plotted as (r cos θ, r sin θ). */
+export class DrawablePolar extends DrawableParametric {
+  constructor(public r: (theta: number) => number, opts: CurveOptions & { range?: [number, number] } = {}) {
+    super(theta => {
+      const rad = r(theta);
+      return new V2(rad * Math.cos(theta), rad * Math.sin(theta));
+    }, { ...opts, range: opts.range ?? [0, 2 * Math.PI] });
+  }
+}
+
+// -------------------- IMPLICIT --------------------
+
+/**
+ * The zero set of f(x, y) over the view: marching squares on a screen-space
+ * grid of `resolutionPx`, then each crossing is refined along its grid edge
+ * by regula falsi. Sign changes that don't shrink |f| (poles, as in
+ * 1/x - y) are not roots, so the curve is broken there.
+ */
+export class DrawableImplicit extends DrawableCurve {
+  public resolutionPx: number;
+  /** Regula falsi iterations per crossing. */
+  public refineSteps: number;
+
+  constructor(public f: (x: number, y: number) => number, opts: CurveOptions & { resolutionPx?: number; refineSteps?: number } = {}) {
+    super(opts);
+    this.resolutionPx = opts.resolutionPx ?? 4;
+    this.refineSteps = opts.refineSteps ?? 4;
+  }
+
+  paths(vp: ViewportManager): V2[][] {
+    const view = this.localView(vp);
+    const r = vp.viewport;
+    const cols = Math.max(2, Math.ceil(r.width / this.resolutionPx) + 1);
+    const rows = Math.max(2, Math.ceil(r.height / this.resolutionPx) + 1);
+    const dx = (view.xMax - view.xMin) / (cols - 1), dy = (view.yMax - view.yMin) / (rows - 1);
+    const values = new Float64Array(cols * rows);
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) values[j * cols + i] = this.f(view.xMin + i * dx, view.yMin + j * dy);
+    }
+
+    const toWorld = (gx: number, gy: number) => new V2(view.xMin + gx * dx, view.yMin + gy * dy);
+    const root = ({ point: p, col: i0, row: j0, vertical }: IsoCrossing): V2 | null => {
+      const i1 = vertical ? i0 : i0 + 1, j1 = vertical ? j0 + 1 : j0;
+      const A = toWorld(i0, j0), B = toWorld(i1, j1);
+      let a = 0, b = 1, fa = values[j0 * cols + i0], fb = values[j1 * cols + i1];
+      let t = vertical ? p.y - j0 : p.x - i0, ft = NaN;
+      for (let k = 0; k <= this.refineSteps; k++) {
+        const q = V2.lerp(A, B, t);
+        ft = this.f(q.x, q.y);
+        if (!isFinite(ft) || ft === 0 || k === this.refineSteps) break;
+        if ((ft < 0) === (fa < 0)) { a = t; fa = ft; } else { b = t; fb = ft; }
+        t = fa === fb ? (a + b) / 2 : a + ((b - a) * fa) / (fa - fb);
+      }
+      if (!isFinite(ft) || Math.abs(ft) > 0.5 * Math.min(Math.abs(values[j0 * cols + i0]), Math.abs(values[j1 * cols + i1]))) return null;
+      return V2.lerp(A, B, t);
+    };
+
+    const out: V2[][] = [];
+    for (const line of isoCrossings(values, cols, rows, 0)) {
+      let cur: V2[] = [];
+      for (const p of line) {
+        const q = root(p);
+        if (q) { cur.push(q); continue; }
+        if (cur.length > 1) out.push(cur);
+        cur = [];
+      }
+      if (cur.length > 1) out.push(cur);
+    }
+    return out;
+  }
+}
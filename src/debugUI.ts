@@ -1,7 +1,9 @@
 // src/DebugUI.ts
 import { Drawable } from "./drawables";
-import { CanvasRenderer } from "./renderer";
+import { Renderer, textOffset } from "./renderer";
 import { V2 } from "./v2";
+import type { Rect } from "./types";
+import type { ViewportManager } from "./viewport";
 
 class UILabel {
     constructor(
@@ -11,13 +13,14 @@ class UILabel {
         public font: string = "16px monospace"
     ) { }
 
-    draw(renderer: CanvasRenderer, margin: number = 2) {
+    draw(renderer: Renderer, margin: number = 2) {
         const safePos = new V2(this.pos.x + margin, this.pos.y + margin);
         renderer.drawText(this.text, safePos, this.color, this.font, "left", "top");
     }
 }
 
 export class DebugUI extends Drawable {
+    /** Labels drawn top-down; call markDirty() after editing one (update() does for the FPS label). */
     public elements: UILabel[] = [];
     private lastTime: number = performance.now();
     public visible: boolean = true;
@@ -40,9 +43,24 @@ export class DebugUI extends Drawable {
         const fps = dt > 0 ? Math.round(1000 / dt) : 0;
         this.elements[0].text = `FPS: ${fps}`;
         this.lastTime = now;
+        this.markDirty();
     }
 
-    draw(app: CanvasRenderer) {
+    canvasBounds(_vp: ViewportManager | undefined, app: Renderer): Rect | null {
+        let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+        for (const el of this.elements) {
+            const m = app.measureText(el.text, el.font);
+            const w = Math.ceil(m.width + 4), h = Math.ceil(m.height + 4);
+            const o = textOffset(w, h, "left", "top");
+            const x = el.pos.x + this.margin + o.x, y = el.pos.y + this.margin + o.y;
+            x0 = Math.min(x0, x); y0 = Math.min(y0, y);
+            x1 = Math.max(x1, x + w); y1 = Math.max(y1, y + h);
+        }
+        // drawRetained repaints the old bounds too, so a shrinking label leaves no trail
+        return x0 > x1 ? null : { x: x0 - 1, y: y0 - 1, width: x1 - x0 + 2, height: y1 - y0 + 2 };
+    }
+
+    draw(app: Renderer) {
         if (!this.visible) return;
         for (const el of this.elements) {
             el.draw(app, this.margin);
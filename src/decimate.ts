@@ -0,0 +1,103 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/decimate.ts
+// Level-of-detail reduction for long traces
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+
+export type DecimationMode = "minmax" | "lttb";
+
+/**
+ * Indices kept by the min/max envelope over samples [start, end): for each
+ * run of consecutive samples sharing a column (`col(i)` floored), the first,
+ * lowest, highest and last, in drawing order. Samples whose column or y is
+ * not finite break the result into separate runs.
+ */
+export function minMaxIndices(col: (i: number) => number, y: (i: number) => number, start: number, end: number): number[][] {
+  const runs: number[][] = [];
+  let run: number[] = [];
+  let column = NaN, first = -1, lo = -1, hi = -1, last = -1, yLo = 0, yHi = 0;
+
+  const flush = () => {
+    if (first < 0) return;
+    const picks = lo < hi ? [first, lo, hi, last] : [first, hi, lo, last];
+    let prev = -1;
+    for (const i of picks) {
+      if (i !== prev) run.push(i);
+      prev = i;
+    }
+    first = -1;
+  };
+
+  for (let i = start; i < end; i++) {
+    const c = Math.floor(col(i)), v = y(i);
+    if (!isFinite(c) || !isFinite(v)) {
+      flush();
+      if (run.length) runs.push(run);
+      run = [];
+      column = NaN;
+      continue;
+    }
+    if (c !== column) {
+      flush();
+      column = c;
+      first = lo = hi = i;
+      yLo = yHi = v;
+    }
+    if (v < yLo) { lo = i; yLo = v; }
+    if (v > yHi) { hi = i; yHi = v; }
+    last = i;
+  }
+  flush();
+  if (run.length) runs.push(run);
+  return runs;
+}
+
+/**
+ * Reduce a canvas-space polyline, given as parallel coordinate arrays over
+ * [start, end), to at most four points per pixel column (see minMaxIndices).
+ * Stroking the result covers the same pixels as the full trace, so the cost
+ * of drawing follows the plot width rather than the sample count.
+ */
+export function minMaxEnvelope(xs: ArrayLike<number>, ys: ArrayLike<number>, start: number = 0, end: number = xs.length): V2[][] {
+  // pixel centres sit on integer x, so columns run from k - 0.5 to k + 0.5
+  return minMaxIndices(i => xs[i] + 0.5, i => ys[i], start, end).map(run => run.map(i => new V2(xs[i], ys[i])));
+}
+
+/**
+ * Largest-Triangle-Three-Buckets: indices of `threshold` samples from
+ * [start, end) that keep the visual shape of a smooth trace. The first and
+ * last samples are always kept; each bucket in between contributes the
+ * sample spanning the largest triangle with its chosen neighbours.
+ */
+export function lttbIndices(x: (i: number) => number, y: (i: number) => number, start: number, end: number, threshold: number): number[] {
+  const n = end - start;
+  if (threshold >= n || threshold < 3) return Array.from({ length: n }, (_, k) => start + k);
+
+  const out = [start];
+  const every = (n - 2) / (threshold - 2);
+  let a = start;
+  for (let b = 0; b < threshold - 2; b++) {
+    // average of the next bucket stands in for the not-yet-chosen neighbour
+    const n0 = start + 1 + Math.floor((b + 1) * every);
+    const n1 = Math.min(start + 1 + Math.floor((b + 2) * every), end);
+    let ax = 0, ay = 0;
+    for (let i = n0; i < n1; i++) { ax += x(i); ay += y(i); }
+    const len = n1 - n0;
+    if (len > 0) { ax /= len; ay /= len; }
+    else { ax = x(end - 1); ay = y(end - 1); }
+
+    const b0 = start + 1 + Math.floor(b * every);
+    const b1 = start + 1 + Math.floor((b + 1) * every);
+    const px = x(a), py = y(a);
+    let best = b0, bestArea = -1;
+    for (let i = b0; i < b1; i++) {
+      const area = Math.abs((px - ax) * (y(i) - py) - (px - x(i)) * (ay - py));
+      if (area > bestArea) { bestArea = area; best = i; }
+    }
+    out.push(best);
+    a = best;
+  }
+  out.push(end - 1);
+  return out;
+}
@@ -0,0 +1,92 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/dirtyRegion.ts
+// Accumulates changed canvas rectangles between frames
+// ─────────────────────────────────────────────────────────────────────────────
+
+import type { Rect } from "./types";
+
+function intersects(a: Rect, b: Rect, gap: number = 0): boolean {
+  return a.x - gap < b.x + b.width && b.x - gap < a.x + a.width &&
+         a.y - gap < b.y + b.height && b.y - gap < a.y + a.height;
+}
+
+function union(a: Rect, b: Rect): Rect {
+  const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+  return { x, y, width: Math.max(a.x + a.width, b.x + b.width) - x, height: Math.max(a.y + a.height, b.y + b.height) - y };
+}
+
+export function rectsIntersect(a: Rect, b: Rect): boolean {
+  return intersects(a, b);
+}
+
+/**
+ * Integer, canvas-clipped dirty rectangles. Nearby rectangles are merged so
+ * the list stays short; once it grows past `maxRects` or covers most of the
+ * canvas the tracker falls back to a single full-canvas region.
+ */
+export class DirtyRegionTracker {
+  private rects: Rect[] = [];
+  private full = true;
+
+  constructor(
+    public width: number,
+    public height: number,
+    /** Rectangles closer than this many px are merged. */
+    public mergeGap: number = 8,
+    public maxRects: number = 16,
+    /** Fraction of the canvas area above which everything is redrawn. */
+    public fullThreshold: number = 0.6
+  ) {}
+
+  resize(width: number, height: number): void {
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    this.markAll();
+  }
+
+  markAll(): void {
+    this.full = true;
+    this.rects.length = 0;
+  }
+
+  add(rect: Rect | null | undefined): void {
+    if (this.full || !rect) return;
+    const x0 = Math.max(0, Math.floor(rect.x)), y0 = Math.max(0, Math.floor(rect.y));
+    const x1 = Math.min(this.width, Math.ceil(rect.x + rect.width)), y1 = Math.min(this.height, Math.ceil(rect.y + rect.height));
+    if (!(x1 > x0 && y1 > y0)) return;
+
+    let r: Rect = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+    for (let i = 0; i < this.rects.length; ) {
+      if (intersects(this.rects[i], r, this.mergeGap)) {
+        r = union(this.rects[i], r);
+        this.rects.splice(i, 1);
+        i = 0; // the grown rect may now touch earlier ones
+      } else i++;
+    }
+    this.rects.push(r);
+
+    if (this.rects.length > this.maxRects) this.rects = [this.rects.reduce(union)];
+    const area = this.rects.reduce((a, q) => a + q.width * q.height, 0);
+    if (area > this.fullThreshold * this.width * this.height) this.markAll();
+  }
+
+  get isEmpty(): boolean {
+    return !this.full && this.rects.length === 0;
+  }
+
+  get isFull(): boolean {
+    return this.full;
+  }
+
+  /** Regions to repaint this frame. */
+  regions(): Rect[] {
+    if (this.full) return [{ x: 0, y: 0, width: this.width, height: this.height }];
+    return this.rects.map(r => ({ ...r }));
+  }
+
+  clear(): void {
+    this.full = false;
+    this.rects.length = 0;
+  }
+}
@@ -5,17 +5,25 @@
 import { V2 } from "./v2";
 import { Transform2D } from "./transform2d";
 import {
-  drawLine,
   fillCircle,
   drawCircleOutline,
   fillPolygon,
   strokeShape,
   rawPoint,
 } from "./raster";
+import type { LineJoin, LineCap } from "./stroke";
+import { distanceToPolyline, pointInPolygon } from "./geometry";
+import { lttbIndices, minMaxIndices, type DecimationMode } from "./decimate";
+import type { ScenePointerEvent, ScenePointerEventType, ScenePointerListener } from "./pointer";
 import { parseColor } from "./color";
-import { ViewportManager } from "./viewport";
+import { ViewportManager, getDrawableBounds, type YAxisId } from "./viewport";
+import { Renderer, rotatedTextOffset } from "./renderer";
+import { rotatedBounds } from "./pixelbuffer";
+import type { LegendSymbol } from "./legend";
+import type { Rect } from "./types";
 
-export type LegendSymbol = "line" | "marker" | "area";
+// declared with the legend; re-exported here because the barrel exports drawables
+export type { LegendSymbol };
 
 export interface LegendMetadata {
   label: string;
@@ -23,19 +31,71 @@ export interface LegendMetadata {
   symbol?: LegendSymbol;
 }
 
+/**
+ * World points that close the area under `top` (ascending x): the two
+ * baseline corners, or `bottom` walked backwards for a band between curves.
+ */
+export function areaClosure(top: V2[], bottom: number | V2[]): V2[] {
+  if (typeof bottom !== "number") return bottom.slice().reverse();
+  return [new V2(top[top.length - 1].x, bottom), new V2(top[0].x, bottom)];
+}
+
+/** Axis-aligned canvas rectangle around `points`, grown by `pad` px on every side. */
+function canvasRectOf(points: V2[], pad: number): Rect | null {
+  let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+  for (const p of points) {
+    if (!isFinite(p.x) || !isFinite(p.y)) continue;
+    if (p.x < xMin) xMin = p.x; if (p.x > xMax) xMax = p.x;
+    if (p.y < yMin) yMin = p.y; if (p.y > yMax) yMax = p.y;
+  }
+  if (xMin > xMax) return null;
+  return { x: xMin - pad, y: yMin - pad, width: xMax - xMin + 2 * pad, height: yMax - yMin + 2 * pad };
+}
+
+/** Canvas rectangle covered by a text bitmap drawn at `p` (mirrors Renderer.drawText placement). */
+function textRect(app: Renderer, text: string, font: string, p: V2, align: CanvasTextAlign, baseline: CanvasTextBaseline, angle: number = 0): Rect {
+  const m = app.measureText(text, font);
+  const w = Math.ceil(m.width + 4), h = Math.ceil(m.height + 4);
+  const o = rotatedTextOffset(w, h, align, baseline, angle);
+  const b = rotatedBounds(w, h, angle);
+  return { x: p.x + o.x - 1, y: p.y + o.y - 1, width: b.width + 2, height: b.height + 2 };
+}
+
+/**
+ * Base of everything a Scene draws. Styling and geometry are plain public
+ * fields, so assigning one does not mark the drawable dirty: with retained
+ * rendering (Scene.drawRetained, static layers) call markDirty() after
+ * changing them, or the old pixels stay on screen.
+ */
 export abstract class Drawable {
 
   public legend?: LegendMetadata;
+  /** Per-drawable anti-aliasing; undefined follows the renderer's setting. */
+  public antialias?: boolean;
+  /** Dash pattern for outlines (Canvas2D setLineDash semantics); undefined = solid. */
+  public dash?: number[];
+  public dashOffset: number = 0;
+  /** Set when the drawable changed since it was last rasterized; see markDirty(). */
+  public dirty = true;
+  /** Which y axis the drawable maps through; "y2" uses the viewport's secondary axis when it has one. */
+  public yAxis: YAxisId;
+  /** Hidden drawables are skipped by Scene drawing, picking and SVG export, and by their group. */
+  public visible = true;
+  /** Group holding this drawable; markDirty() bubbles up to it. */
+  public parent: Drawable | null = null;
+  private pointerListeners?: Map<ScenePointerEventType, ScenePointerListener[]>;
 
   constructor(
     public color: string | readonly [number, number, number, number] = "white",
     public fill: boolean = false,
     public fillColor: string | readonly [number, number, number, number] | null = null,
     public transform: Transform2D = Transform2D.identity(),
-    legend?: LegendMetadata
+    legend?: LegendMetadata,
+    yAxis?: YAxisId
   ) {
     if (!this.fillColor) this.fillColor = color;
     this.legend = legend;
+    this.yAxis = yAxis ?? "y";
   }
 
   /**
@@ -43,7 +103,66 @@ export abstract class Drawable {
    * @param app - rendering backend (canvas wrapper)
    * @param vp - viewport for coordinate transforms
    */
-   abstract draw(app: any, vp?: ViewportManager): void;
+   abstract draw(app: Renderer, vp?: ViewportManager): void;
+
+  /**
+   * World-space hit test. `p` is in world units; geometry is projected through
+   * this.transform and the viewport so `tolerancePx` is measured on screen.
+   * Drawables without a meaningful shape are never hit.
+   */
+  hitTest(_p: V2, _vp: ViewportManager, _tolerancePx: number = 4): boolean {
+    return false;
+  }
+
+  markDirty(): this {
+    this.dirty = true;
+    this.parent?.markDirty();
+    return this;
+  }
+
+  /**
+   * Canvas-space rectangle this drawable may paint, or null when unknown
+   * (a change then repaints the whole canvas). The default projects
+   * getDrawableBounds through the transform with a small margin.
+   */
+  canvasBounds(vp: ViewportManager | undefined, _app: Renderer): Rect | null {
+    if (!vp) return null;
+    const b = getDrawableBounds(this);
+    if (!b) return null;
+    const corners = [new V2(b.xMin, b.yMin), new V2(b.xMax, b.yMin), new V2(b.xMax, b.yMax), new V2(b.xMin, b.yMax)];
+    return canvasRectOf(this.toCanvas(corners, vp), 2);
+  }
+
+  on(type: ScenePointerEventType, listener: ScenePointerListener): this {
+    if (!this.pointerListeners) this.pointerListeners = new Map();
+    const list = this.pointerListeners.get(type) ?? [];
+    list.push(listener);
+    this.pointerListeners.set(type, list);
+    return this;
+  }
+
+  off(type: ScenePointerEventType, listener: ScenePointerListener): this {
+    const list = this.pointerListeners?.get(type);
+    if (list) this.pointerListeners!.set(type, list.filter(l => l !== listener));
+    return this;
+  }
+
+  hasListeners(type: ScenePointerEventType): boolean {
+    return !!this.pointerListeners?.get(type)?.length;
+  }
+
+  emit(e: ScenePointerEvent): void {
+    const list = this.pointerListeners?.get(e.type);
+    if (list) for (const l of [...list]) l(e);
+  }
+
+  /** Project world points through this.transform and the viewport into canvas space. */
+  protected toCanvas(points: V2[], vp: ViewportManager): V2[] {
+    return points.map((p) => {
+      const w = this.transform.transformV2(p);
+      return vp.worldToCanvas(w.x, w.y);
+    });
+  }
 
   protected parseColorSafe(
     input: string | readonly [number, number, number, number]
@@ -57,8 +176,51 @@ export abstract class Drawable {
   }
 }
 
+/** Zoom levels of decimated traces kept per DrawableFunction. */
+const LOD_CACHE_SIZE = 8;
+
+/** Samples of an ascending-x trace within [x0, x1], plus one neighbour on each side. */
+function cullSorted(path: V2[], x0: number, x1: number): V2[] {
+  const lowerBound = (x: number) => {
+    let lo = 0, hi = path.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (path[mid].x < x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const i0 = Math.max(0, lowerBound(x0) - 1);
+  const i1 = Math.min(path.length, lowerBound(x1) + 1);
+  return i0 === 0 && i1 === path.length ? path : path.slice(i0, i1);
+}
+
+/** `path` broken into runs at non-finite samples, the way decimation breaks it. */
+function splitFinite(path: V2[]): V2[][] {
+  const runs: V2[][] = [];
+  let start = 0;
+  for (let i = 0; i <= path.length; i++) {
+    if (i < path.length && isFinite(path[i].x) && isFinite(path[i].y)) continue;
+    if (i > start) runs.push(start === 0 && i === path.length ? path : path.slice(start, i));
+    start = i + 1;
+  }
+  return runs;
+}
+
 export class DrawableFunction extends Drawable {
   public baselineY: number;
+  public width: number;
+  public join: LineJoin;
+  public cap: LineCap;
+  public miterLimit: number;
+  /** Level of detail for long traces: per-pixel-column min/max envelope, LTTB, or every sample. */
+  public decimation: DecimationMode | "none";
+  /** Traces with at most this many samples are never decimated (they are still culled to the view). */
+  public lodThreshold: number;
+  private lodCache = new Map<string, V2[][]>();
+  private lodSource: V2[] | null = null;
+  private lodLength = 0;
+  private sorted = false;
 
   constructor(
     public data: V2[],
@@ -67,7 +229,17 @@ export class DrawableFunction extends Drawable {
       fill?: boolean;
       fillColor?: string;
       baselineY?: number;
+      width?: number;
+      join?: LineJoin;
+      cap?: LineCap;
+      miterLimit?: number;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
+      dash?: number[];
+      dashOffset?: number;
+      decimation?: DecimationMode | "none";
+      lodThreshold?: number;
     } = {}
   ) {
     super(
@@ -75,31 +247,138 @@ export class DrawableFunction extends Drawable {
       opts.fill ?? false,
       opts.fillColor ?? "rgba(255,0,0,0.3)",
       Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
     this.baselineY = opts.baselineY ?? 0;
+    this.width = opts.width ?? 1;
+    this.join = opts.join ?? "round";
+    this.cap = opts.cap ?? "butt";
+    this.miterLimit = opts.miterLimit ?? 10;
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
+    this.decimation = opts.decimation ?? "minmax";
+    this.lodThreshold = opts.lodThreshold ?? 2048;
+  }
+
+  /** Also drops the cached decimations; call it after editing `data` in place. */
+  markDirty(): this {
+    this.lodSource = null;
+    return super.markDirty();
+  }
+
+  /**
+   * World-space polylines to draw in `vp`. Samples outside the visible x
+   * range are culled when x ascends, and traces longer than lodThreshold are
+   * decimated for the current zoom. Decimations are cached per zoom level,
+   * so panning only re-culls them. Either way the trace breaks at non-finite
+   * samples.
+   */
+  lodPaths(vp: ViewportManager): V2[][] {
+    const data = this.data;
+    if (!data?.length) return [];
+    if (data !== this.lodSource || data.length !== this.lodLength) {
+      this.lodSource = data;
+      this.lodLength = data.length;
+      this.lodCache.clear();
+      this.sorted = data.every((p, i) => i === 0 || data[i - 1].x <= p.x);
+    }
+    // both steps need x to stay a horizontal axis through the transform
+    const { a, b, c, e } = this.transform;
+    if (b !== 0 || c !== 0 || a === 0) return splitFinite(data);
+
+    const lod = this.decimation !== "none" && data.length > this.lodThreshold;
+    if (!this.sorted) return lod ? this.decimated(vp) : splitFinite(data);
+    const { xMin, xMax } = vp.worldBounds;
+    const l0 = Math.min((xMin - e) / a, (xMax - e) / a), l1 = Math.max((xMin - e) / a, (xMax - e) / a);
+    // zoomed in far enough, the visible samples are cheaper than a decimation pass
+    const visible = cullSorted(data, l0, l1);
+    if (!lod || visible.length <= this.lodThreshold) return splitFinite(visible);
+    return this.decimated(vp).map(path => cullSorted(path, l0, l1)).filter(path => path.length);
   }
 
-  draw(app: any, vp: ViewportManager): void {
-    if (!this.data?.length) return;
+  /** The whole trace decimated for the zoom of `vp`, broken at non-finite samples. */
+  private decimated(vp: ViewportManager): V2[][] {
+    const { a, e } = this.transform;
+    const scale = vp.xScale;
+    const sx = vp.canvasMapping().sx;
+    const key = `${this.decimation}|${scale.type}|${sx.toPrecision(6)}|${a}|${e}`;
+    const hit = this.lodCache.get(key);
+    if (hit) return hit;
+
+    const data = this.data;
+    // canvas x up to a pan offset, which is all the bucketing needs
+    const col = (i: number) => sx * scale.forward(a * data[i].x + e);
+    const y = (i: number) => data[i].y;
+    let paths: V2[][];
+    if (this.decimation === "lttb") {
+      paths = [];
+      let start = 0;
+      for (let i = 0; i <= data.length; i++) {
+        if (i < data.length && isFinite(col(i)) && isFinite(y(i))) continue;
+        if (i > start) {
+          const span = Math.abs(col(i - 1) - col(start));
+          paths.push(lttbIndices(col, y, start, i, Math.max(3, Math.ceil(2 * span))).map(k => data[k]));
+        }
+        start = i + 1;
+      }
+    } else {
+      // buckets are pixel-wide around integer x (pixel centres) and each one's
+      // points snap to that centre: whatever the pan offset, a bucket then
+      // strokes as one vertical span with its neighbours exactly 1px away
+      const bucket = (i: number) => col(i) + 0.5;
+      paths = minMaxIndices(bucket, y, 0, data.length).map(run => run.map(i => {
+        const u = Math.floor(bucket(i)) / sx;
+        return new V2((scale.inverse(u) - e) / a, data[i].y);
+      }));
+    }
+
+    if (this.lodCache.size >= LOD_CACHE_SIZE) this.lodCache.delete(this.lodCache.keys().next().value!);
+    this.lodCache.set(key, paths);
+    return paths;
+  }
 
-    let pPrev = vp.worldToCanvas(this.data[0].x, this.data[0].y);
-    const col = this.parseColorSafe(this.color!);
+  /** Canvas outlines of the fill: each visible run closed down to the baseline on its own, so gaps stay open. */
+  private areaOutlines(paths: V2[][], vp: ViewportManager): V2[][] {
+    return paths.map(top => this.toCanvas([...top, ...areaClosure(top, this.baselineY)], vp));
+  }
 
-    for (let i = 1; i < this.data.length; i++) {
-      const pNext = vp.worldToCanvas(this.data[i].x, this.data[i].y);
-      drawLine(app, pPrev, pNext, col);
-      pPrev = pNext;
+  draw(app: Renderer, vp: ViewportManager): void {
+    const paths = this.lodPaths(vp);
+    if (!paths.length) return;
+
+    const color = this.parseColorSafe(this.color!);
+    for (const path of paths) {
+      strokeShape(app, this.toCanvas(path, vp), color, this.width, {
+        closed: false,
+        join: this.join,
+        cap: this.cap,
+        miterLimit: this.miterLimit,
+        dash: this.dash,
+        dashOffset: this.dashOffset,
+        antialias: this.antialias,
+      });
     }
 
     if (!this.fill) return;
+    fillPolygon(app, this.areaOutlines(paths, vp), this.parseColorSafe(this.fillColor!), this.antialias);
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const paths = this.lodPaths(vp);
+    if (!paths.length) return false;
+    const q = vp.worldToCanvas(p.x, p.y);
+    if (paths.some(path => distanceToPolyline(q, this.toCanvas(path, vp)) <= this.width / 2 + tolerancePx)) return true;
+    return this.fill && this.areaOutlines(paths, vp).some(outline => pointInPolygon(q, outline));
+  }
 
-    const pts = this.data.map((p) => vp.worldToCanvas(p.x, p.y));
-    const last = this.data[this.data.length - 1];
-    const first = this.data[0];
-    pts.push(vp.worldToCanvas(last.x, this.baselineY));
-    pts.push(vp.worldToCanvas(first.x, this.baselineY));
-    fillPolygon(app, pts, this.parseColorSafe(this.fillColor!));
+  canvasBounds(vp: ViewportManager | undefined): Rect | null {
+    if (!vp || !this.data?.length) return null;
+    const paths = this.lodPaths(vp);
+    const pts = this.fill ? this.areaOutlines(paths, vp).flat() : paths.flatMap(path => this.toCanvas(path, vp));
+    const reach = this.join === "miter" ? Math.max(1, this.miterLimit) : 1;
+    return canvasRectOf(pts, (this.width / 2) * reach + 2);
   }
 }
 
@@ -113,6 +392,10 @@ export class DrawableCircle extends Drawable {
       fillColor?: string;
       transform?: Transform2D;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
+      dash?: number[];
+      dashOffset?: number;
     } = {}
   ) {
     super(
@@ -120,23 +403,54 @@ export class DrawableCircle extends Drawable {
       opts.fill ?? false,
       opts.fillColor ?? null,
       opts.transform ?? Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
   }
 
-  draw(app: any, vp: ViewportManager): void {
+  draw(app: Renderer, vp: ViewportManager): void {
     const cWorld = this.transform.transformV2(this.center);
     const c = vp.worldToCanvas(cWorld.x, cWorld.y);
-    const sc = vp.scale;
-    const r = this.radius * (vp.preserveAspect ? sc.x : (sc.x + sc.y) * 0.5);
+    const r = this.canvasRadius(vp);
+
+    if (this.fill) fillCircle(app, c, r, this.parseColorSafe(this.fillColor!), this.antialias);
+    drawCircleOutline(app, c, r, this.parseColorSafe(this.color!), 1, 32, {
+      dash: this.dash,
+      dashOffset: this.dashOffset,
+      antialias: this.antialias,
+    });
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const cWorld = this.transform.transformV2(this.center);
+    const c = vp.worldToCanvas(cWorld.x, cWorld.y);
+    const q = vp.worldToCanvas(p.x, p.y);
+    const d = q.sub(c).len();
+    const r = this.canvasRadius(vp);
+    return this.fill ? d <= r + tolerancePx : Math.abs(d - r) <= tolerancePx;
+  }
+
+  canvasBounds(vp: ViewportManager | undefined): Rect | null {
+    if (!vp) return null;
+    const cWorld = this.transform.transformV2(this.center);
+    const c = vp.worldToCanvas(cWorld.x, cWorld.y);
+    const r = this.canvasRadius(vp);
+    return canvasRectOf([new V2(c.x - r, c.y - r), new V2(c.x + r, c.y + r)], 2);
+  }
 
-    if (this.fill) fillCircle(app, c, r, this.parseColorSafe(this.fillColor!));
-    drawCircleOutline(app, c, r, this.parseColorSafe(this.color!));
+  /** Radius in canvas pixels under the current viewport scale. */
+  canvasRadius(vp: ViewportManager): number {
+    const sc = vp.scale;
+    return this.radius * (vp.preserveAspect ? sc.x : (sc.x + sc.y) * 0.5);
   }
 }
 
 export class DrawableLine extends Drawable {
   public width: number;
+  public cap: LineCap;
 
   constructor(
     public p1: V2,
@@ -144,8 +458,13 @@ export class DrawableLine extends Drawable {
     opts: {
       color?: string;
       width?: number;
+      cap?: LineCap;
       transform?: Transform2D;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
+      dash?: number[];
+      dashOffset?: number;
     } = {}
   ) {
     super(
@@ -153,17 +472,38 @@ export class DrawableLine extends Drawable {
       false,
       null,
       opts.transform ?? Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
     this.width = Math.max(1, (opts.width ?? 2) | 0);
+    this.cap = opts.cap ?? "butt";
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
   }
 
-  draw(app: any, vp: ViewportManager): void {
+  draw(app: Renderer, vp: ViewportManager): void {
     const a = this.transform.transformV2(this.p1);
     const b = this.transform.transformV2(this.p2);
     const p0 = vp.worldToCanvas(a.x, a.y);
     const p1 = vp.worldToCanvas(b.x, b.y);
-    strokeShape(app, [p0, p1], this.parseColorSafe(this.color!), this.width);
+    strokeShape(app, [p0, p1], this.parseColorSafe(this.color!), this.width, {
+      closed: false,
+      cap: this.cap,
+      dash: this.dash,
+      dashOffset: this.dashOffset,
+      antialias: this.antialias,
+    });
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    return distanceToPolyline(q, this.toCanvas([this.p1, this.p2], vp)) <= this.width / 2 + tolerancePx;
+  }
+
+  canvasBounds(vp: ViewportManager | undefined): Rect | null {
+    if (!vp) return null;
+    return canvasRectOf(this.toCanvas([this.p1, this.p2], vp), this.width + 2);
   }
 }
 
@@ -179,6 +519,8 @@ export class DrawablePoint extends Drawable {
       size?: number;
       transform?: Transform2D;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
     } = {}
   ) {
     super(
@@ -186,20 +528,34 @@ export class DrawablePoint extends Drawable {
       false,
       null,
       opts.transform ?? Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
     this.type = opts.type ?? "circle";
     this.size = opts.size ?? 3;
+    this.antialias = opts.antialias;
   }
 
-  draw(app: any, vp: ViewportManager): void {
+  draw(app: Renderer, vp: ViewportManager): void {
     const pWorld = this.transform.transformV2(this.pos);
     const c = vp.worldToCanvas(pWorld.x, pWorld.y);
     rawPoint(app, c, this.parseColorSafe(this.color!), {
       type: this.type,
       size: this.size,
+      antialias: this.antialias,
     });
   }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    const [c] = this.toCanvas([this.pos], vp);
+    return q.sub(c).len() <= this.size + tolerancePx;
+  }
+
+  canvasBounds(vp: ViewportManager | undefined): Rect | null {
+    if (!vp) return null;
+    return canvasRectOf(this.toCanvas([this.pos], vp), this.size + 2);
+  }
 }
 
 export class DrawableTriangle extends Drawable {
@@ -215,6 +571,10 @@ export class DrawableTriangle extends Drawable {
       fillColor?: string;
       transform?: Transform2D;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
+      dash?: number[];
+      dashOffset?: number;
     } = {}
   ) {
     super(
@@ -222,19 +582,32 @@ export class DrawableTriangle extends Drawable {
       opts.fill ?? true,
       opts.fillColor ?? "rgba(255,255,0,0.5)",
       opts.transform ?? Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
     this.points = [p1, p2, p3];
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
   }
 
-  draw(app: any, vp: ViewportManager): void {
+  draw(app: Renderer, vp: ViewportManager): void {
     const tp = this.points.map((p) => this.transform.transformV2(p));
     const pts = tp.map((p) => vp.worldToCanvas(p.x, p.y));
 
-    if (this.fill) fillPolygon(app, pts, this.parseColorSafe(this.fillColor!));
-    for (let i = 0; i < 3; i++) {
-      drawLine(app, pts[i], pts[(i + 1) % 3], this.parseColorSafe(this.color!));
-    }
+    if (this.fill) fillPolygon(app, pts, this.parseColorSafe(this.fillColor!), this.antialias);
+    strokeShape(app, pts, this.parseColorSafe(this.color!), 1, {
+      dash: this.dash,
+      dashOffset: this.dashOffset,
+      antialias: this.antialias,
+    });
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    const pts = this.toCanvas(this.points, vp);
+    if (this.fill && pointInPolygon(q, pts)) return true;
+    return distanceToPolyline(q, pts, true) <= tolerancePx;
   }
 }
 
@@ -242,6 +615,7 @@ export class DrawableText extends Drawable {
   public font: string;
   public align: CanvasTextAlign;
   public baseline: CanvasTextBaseline;
+  public angle: number;
 
   constructor(
     public text: string,
@@ -251,8 +625,11 @@ export class DrawableText extends Drawable {
       font?: string;
       align?: CanvasTextAlign;
       baseline?: CanvasTextBaseline;
+      /** Rotation about the anchor in radians, clockwise on screen. */
+      angle?: number;
       transform?: Transform2D;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
     } = {}
   ) {
     super(
@@ -260,25 +637,34 @@ export class DrawableText extends Drawable {
       false,
       null,
       opts.transform ?? Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
     this.font = opts.font ?? "14px sans-serif";
     this.align = opts.align ?? "left";
     this.baseline = opts.baseline ?? "alphabetic";
+    this.angle = opts.angle ?? 0;
   }
 
-  draw(app: any, vp: ViewportManager): void {
+  draw(app: Renderer, vp: ViewportManager): void {
     const pWorld = this.transform.transformV2(this.pos);
     const p = vp.worldToCanvas(pWorld.x, pWorld.y);
-    (app as any).drawText(
+    app.drawText(
       this.text,
       p,
       this.color as string,
       this.font,
       this.align,
-      this.baseline
+      this.baseline,
+      this.angle
     );
   }
+
+  canvasBounds(vp: ViewportManager | undefined, app: Renderer): Rect | null {
+    if (!vp) return null;
+    const [p] = this.toCanvas([this.pos], vp);
+    return textRect(app, this.text, this.font, p, this.align, this.baseline, this.angle);
+  }
 }
 
 export class DrawableLabel extends Drawable {
@@ -286,6 +672,7 @@ export class DrawableLabel extends Drawable {
   public font: string;
   public align: CanvasTextAlign;
   public baseline: CanvasTextBaseline;
+  public angle: number;
 
   constructor(
     public text: string,
@@ -296,8 +683,11 @@ export class DrawableLabel extends Drawable {
       font?: string;
       align?: CanvasTextAlign;
       baseline?: CanvasTextBaseline;
+      /** Rotation about the anchor in radians, clockwise on screen. */
+      angle?: number;
       transform?: Transform2D;
       legend?: LegendMetadata;
+      yAxis?: YAxisId;
     } = {}
   ) {
     super(
@@ -305,15 +695,17 @@ export class DrawableLabel extends Drawable {
       false,
       null,
       opts.transform ?? Transform2D.identity(),
-      opts.legend
+      opts.legend,
+      opts.yAxis
     );
     this.mode = opts.mode ?? "world";
     this.font = opts.font ?? "14px sans-serif";
     this.align = opts.align ?? "left";
     this.baseline = opts.baseline ?? "alphabetic";
+    this.angle = opts.angle ?? 0;
   }
 
-  draw(app: any, vp: ViewportManager): void {
+  draw(app: Renderer, vp: ViewportManager): void {
     const p =
       this.mode === "canvas"
         ? this.pos
@@ -321,13 +713,20 @@ export class DrawableLabel extends Drawable {
             this.transform.transformV2(this.pos).x,
             this.transform.transformV2(this.pos).y
           );
-    (app as any).drawText(
+    app.drawText(
       this.text,
       p,
       this.color as string,
       this.font,
       this.align,
-      this.baseline
+      this.baseline,
+      this.angle
     );
   }
+
+  canvasBounds(vp: ViewportManager | undefined, app: Renderer): Rect | null {
+    if (this.mode !== "canvas" && !vp) return null;
+    const p = this.mode === "canvas" ? this.pos : this.toCanvas([this.pos], vp!)[0];
+    return textRect(app, this.text, this.font, p, this.align, this.baseline, this.angle);
+  }
 }
@@ -0,0 +1,38 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/geometry.ts
+// Small planar geometry helpers (distances, containment) used for hit testing
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+
+/** Euclidean distance from `p` to the segment a–b. */
+export function distanceToSegment(p: V2, a: V2, b: V2): number {
+  const abx = b.x - a.x, aby = b.y - a.y;
+  const len2 = abx * abx + aby * aby;
+  let t = len2 > 0 ? ((p.x - a.x) * abx + (p.y - a.y) * aby) / len2 : 0;
+  t = t < 0 ? 0 : t > 1 ? 1 : t;
+  return Math.hypot(p.x - (a.x + abx * t), p.y - (a.y + aby * t));
+}
+
+/** Smallest distance from `p` to a polyline (optionally closed). */
+export function distanceToPolyline(p: V2, pts: V2[], closed: boolean = false): number {
+  if (!pts.length) return Infinity;
+  if (pts.length === 1) return Math.hypot(p.x - pts[0].x, p.y - pts[0].y);
+  let best = Infinity;
+  const segs = closed ? pts.length : pts.length - 1;
+  for (let i = 0; i < segs; i++) {
+    const d = distanceToSegment(p, pts[i], pts[(i + 1) % pts.length]);
+    if (d < best) best = d;
+  }
+  return best;
+}
+
+/** Even-odd point-in-polygon test (same rule as fillPolygon). */
+export function pointInPolygon(p: V2, poly: V2[]): boolean {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const a = poly[i], b = poly[j];
+    if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
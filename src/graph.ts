@@ -3,31 +3,76 @@
 // ─────────────────────────────────────────────────────────────
 
 import { V2 } from "./v2";
-import { ViewportManager, getDrawableBounds } from "./viewport";
+import { ViewportManager, autoScaleViewport } from "./viewport";
 import { parseColor } from "./color";
 import type { RGBA } from "./types";
 import { drawLine } from "./raster";
+import type { Renderer } from "./renderer";
+import { CategoryScale, decimalsForStep, fmtTick, type AxisScale, type ScaleTicks } from "./scale";
+import { measureBitmapText } from "./bitmapFont";
+import type { ViewportRect } from "./types";
 
-function decimalsForStep(step: number): number {
-  if (!isFinite(step) || step <= 0) return 0;
-  const s = Math.abs(step);
-  if (s >= 1) return 0;
-  return Math.min(6, Math.ceil(-Math.log10(s)));
+export { decimalsForStep, fmtTick };
+
+export type GraphLineRole = "grid" | "axis" | "tick" | "minorGrid" | "minorTick";
+
+export type GraphPrimitive =
+  | { kind: "line"; role: GraphLineRole; p0: V2; p1: V2; color: RGBA; width: number; dash?: number[] }
+  | { kind: "text"; text: string; pos: V2; color: string; font: string; align: CanvasTextAlign; baseline: CanvasTextBaseline; angle?: number };
+
+export interface GraphMargins {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
 }
 
-function fmtTick(x: number, decimals: number): string {
-  const n = +x.toFixed(decimals);
-  const z = Math.abs(n) < 1e-12 ? 0 : n;
-  return z.toFixed(decimals);
+type MeasureText = (text: string, font: string) => { width: number; height: number };
+
+/** Graph's linear tick stepping: about `n` ticks on a 1/2/…/9 × 10^k step inside [min, max]. */
+export function computeTicks(min: number, max: number, n: number): number[] {
+  if (!isFinite(min) || !isFinite(max) || n <= 0) return [];
+  const range = max - min;
+  if (range === 0) return [min];
+
+  const stepRaw = range / n;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(stepRaw)));
+  const step = Math.ceil(stepRaw / magnitude) * magnitude;
+
+  const first = Math.ceil(min / step) * step;
+  const ticks: number[] = [];
+  for (let x = first; x <= max + 1e-12; x += step) {
+    ticks.push(+x.toFixed(6));
+  }
+  return ticks;
+}
+
+/**
+ * Ticks and labels for a [min, max] axis range. Linear scales use Graph's own
+ * stepping and label precision; log, symlog, time and category scales defer
+ * to the scale. Shared by Graph axes and colorbars.
+ */
+export function scaleTicks(scale: AxisScale, min: number, max: number, n: number): ScaleTicks {
+  if (scale.type !== "linear") return scale.ticks(min, max, n);
+  const major = computeTicks(min, max, n);
+  const decimals = decimalsForStep(major.length > 1 ? Math.abs(major[1] - major[0]) : 1);
+  return { major, minor: [], labels: major.map(v => fmtTick(v, decimals)) };
 }
 
 export interface GraphOptions {
   showGrid?: boolean;
   showAxes?: boolean;
   showTicks?: boolean;
+  /** Unlabeled ticks between majors on log / symlog axes (default true). */
+  showMinorTicks?: boolean;
+  /** Grid lines at minor ticks as well (default false). */
+  showMinorGrid?: boolean;
   drawBorder?: boolean;
   axisAtZero?: boolean;
   gridColor?: string;
+  /** Dash pattern for grid lines in pixels, e.g. [4, 4]. Solid when omitted. */
+  gridDash?: number[];
+  minorGridColor?: string;
   axisColor?: string;
   borderColor?: string;
   tickSizePx?: number;
@@ -40,16 +85,39 @@ export interface GraphOptions {
   numTicksX?: number;
   numTicksY?: number;
   autoScale?: boolean;
+  /** Draw vp.y2 (see ViewportManager.addSecondaryY) on the right edge (default true). */
+  showSecondaryAxis?: boolean;
+  /** Axis and label colors for the secondary axis, e.g. to match its series. */
+  secondaryAxisColor?: string;
+  secondaryTextColor?: string;
+  title?: string;
+  subtitle?: string;
+  xTitle?: string;
+  /** Drawn rotated, reading bottom to top, left of the y tick labels. */
+  yTitle?: string;
+  /** Title for the secondary axis, right of its tick labels. */
+  y2Title?: string;
+  titleFont?: string;
+  subtitleFont?: string;
+  axisTitleFont?: string;
+  titleColor?: string;
+  /** Label x (or y, for horizontal bars) slots 0..n-1 with these names; see setCategories(). */
+  xCategories?: string[];
+  yCategories?: string[];
 }
 
 export class Graph {
   public showGrid: boolean;
   public showAxes: boolean;
   public showTicks: boolean;
+  public showMinorTicks: boolean;
+  public showMinorGrid: boolean;
   public drawBorder: boolean;
   public axisAtZero: boolean;
 
   public gridColor: RGBA;
+  public gridDash: number[] | undefined;
+  public minorGridColor: RGBA;
   public axisColor: RGBA;
   public borderColor: RGBA;
 
@@ -65,17 +133,37 @@ export class Graph {
   public numTicksY: number;
   public autoScale: boolean;
 
+  public showSecondaryAxis: boolean;
+  public secondaryAxisColor: RGBA;
+  public secondaryTextColor: string;
+
+  public title: string;
+  public subtitle: string;
+  public xTitle: string;
+  public yTitle: string;
+  public y2Title: string;
+  public titleFont: string;
+  public subtitleFont: string;
+  public axisTitleFont: string;
+  public titleColor: string;
+
   public axisXPos: number;
   public axisYPos: number;
+  /** Retained rendering: set by markDirty() after changing styles or options. */
+  public dirty = true;
 
   constructor(public vp: ViewportManager, options: GraphOptions = {}) {
     this.showGrid = options.showGrid !== false;
     this.showAxes = options.showAxes !== false;
     this.showTicks = options.showTicks !== false;
+    this.showMinorTicks = options.showMinorTicks !== false;
+    this.showMinorGrid = options.showMinorGrid || false;
     this.drawBorder = options.drawBorder || false;
     this.axisAtZero = options.axisAtZero !== false;
 
     this.gridColor = parseColor(options.gridColor || "#2a2a2a")!;
+    this.gridDash = options.gridDash;
+    this.minorGridColor = parseColor(options.minorGridColor || "#1e1e1e")!;
     this.axisColor = parseColor(options.axisColor || "#888")!;
     this.borderColor = parseColor(options.borderColor || "#555")!;
 
@@ -91,6 +179,23 @@ export class Graph {
     this.numTicksY = options.numTicksY ?? 5;
     this.autoScale = options.autoScale ?? false;
 
+    this.showSecondaryAxis = options.showSecondaryAxis !== false;
+    this.secondaryAxisColor = options.secondaryAxisColor ? parseColor(options.secondaryAxisColor)! : this.axisColor;
+    this.secondaryTextColor = options.secondaryTextColor || this.textColor;
+
+    this.title = options.title ?? "";
+    this.subtitle = options.subtitle ?? "";
+    this.xTitle = options.xTitle ?? "";
+    this.yTitle = options.yTitle ?? "";
+    this.y2Title = options.y2Title ?? "";
+    this.titleFont = options.titleFont || "bold 16px sans-serif";
+    this.subtitleFont = options.subtitleFont || "12px sans-serif";
+    this.axisTitleFont = options.axisTitleFont || "13px sans-serif";
+    this.titleColor = options.titleColor || this.textColor;
+
+    if (options.xCategories) this.setCategories("x", options.xCategories);
+    if (options.yCategories) this.setCategories("y", options.yCategories);
+
     this.axisXPos = 0;
     this.axisYPos = 0;
   }
@@ -98,29 +203,36 @@ export class Graph {
   public setAxisPosition(x: number, y: number) {
     this.axisXPos = x;
     this.axisYPos = y;
+    this.dirty = true;
   }
 
   public setLabelStyle(font: string, color: string, offset?: number) {
     this.font = font;
     this.textColor = color;
     if (offset !== undefined) this.labelOffset = offset;
+    this.dirty = true;
   }
 
-  private computeTicks(min: number, max: number, n: number): number[] {
-    if (!isFinite(min) || !isFinite(max) || n <= 0) return [];
-    const range = max - min;
-    if (range === 0) return [min];
+  /** Switch an axis of the viewport to a CategoryScale: ticks on slot centres, labeled by name. */
+  public setCategories(axis: "x" | "y", categories: string[]) {
+    const scale = new CategoryScale(categories);
+    if (axis === "x") this.vp.setScales(scale);
+    else this.vp.setScales(undefined, scale);
+    this.dirty = true;
+  }
 
-    const stepRaw = range / n;
-    const magnitude = Math.pow(10, Math.floor(Math.log10(stepRaw)));
-    const step = Math.ceil(stepRaw / magnitude) * magnitude;
+  public setTitles(titles: { title?: string; subtitle?: string; xTitle?: string; yTitle?: string; y2Title?: string }) {
+    if (titles.title !== undefined) this.title = titles.title;
+    if (titles.subtitle !== undefined) this.subtitle = titles.subtitle;
+    if (titles.xTitle !== undefined) this.xTitle = titles.xTitle;
+    if (titles.yTitle !== undefined) this.yTitle = titles.yTitle;
+    if (titles.y2Title !== undefined) this.y2Title = titles.y2Title;
+    this.dirty = true;
+  }
 
-    const first = Math.ceil(min / step) * step;
-    const ticks: number[] = [];
-    for (let x = first; x <= max + 1e-12; x += step) {
-      ticks.push(+x.toFixed(6));
-    }
-    return ticks;
+  public markDirty(): this {
+    this.dirty = true;
+    return this;
   }
 
   private autoScaleTicks() {
@@ -134,45 +246,134 @@ export class Graph {
     if (yRange > 0) this.numTicksY = Math.max(2, Math.floor(this.vp.viewport.height / 80));
   }
 
+  /** Ticks and labels for one axis of the viewport; see scaleTicks(). */
+  private axisTicks(axis: "x" | "y" | "y2"): ScaleTicks {
+    const vp = axis === "y2" && this.vp.y2 ? this.vp.y2 : this.vp;
+    const world = vp.worldBounds;
+    const [min, max] = axis === "x" ? [world.xMin, world.xMax] : [world.yMin, world.yMax];
+    const n = axis === "x" ? this.numTicksX : this.numTicksY;
+    return scaleTicks(axis === "x" ? vp.xScale : vp.yScale, min, max, n);
+  }
+
+  /** Decimals used for the current x / y tick labels, so overlays can match the axes. */
+  public tickDecimals(): { x: number; y: number } {
+    this.autoScaleTicks();
+    const xTicks = this.axisTicks("x").major;
+    const yTicks = this.axisTicks("y").major;
+    return {
+      x: decimalsForStep(xTicks.length > 1 ? Math.abs(xTicks[1] - xTicks[0]) : 1),
+      y: decimalsForStep(yTicks.length > 1 ? Math.abs(yTicks[1] - yTicks[0]) : 1),
+    };
+  }
+
   /**
    * Automatically scale the Graph to fit the given drawables.
-   * Delegates scaling to the ViewportManager.
+   * Delegates scaling to the ViewportManager; with a secondary axis each
+   * y axis fits the drawables that declare it.
    */
   public autoScaleToDrawables(drawables: any[], padding: number = 0.05) {
-    const boundsArr = drawables.map(getDrawableBounds).filter(b => b != null);
-    if (!boundsArr.length) return;
-    this.vp.fitToBounds(boundsArr, padding);
+    autoScaleViewport(this.vp, drawables, padding);
+  }
+
+  /**
+   * Height of the x tick labels and widths of the y / y2 tick label columns.
+   * Uses the current tick counts: autoScaleTicks() reads the viewport, which
+   * may itself be derived from plotRect().
+   */
+  private labelExtents(measure: MeasureText): { x: number; xHalfWidth: number; y: number; y2: number } {
+    const size = (labels: string[]) => labels.map(l => measure(l, this.font));
+    const xs = size(this.axisTicks("x").labels);
+    const hasY2 = !!this.vp.y2 && this.showSecondaryAxis;
+    return {
+      x: Math.max(0, ...xs.map(m => m.height)),
+      xHalfWidth: Math.max(0, ...xs.map(m => m.width / 2)),
+      y: Math.max(0, ...size(this.axisTicks("y").labels).map(m => m.width)),
+      y2: hasY2 ? Math.max(0, ...size(this.axisTicks("y2").labels).map(m => m.width)) : 0,
+    };
+  }
+
+  /**
+   * Space needed around the plot rect for tick labels, axis titles and the
+   * chart title / subtitle. Text is measured with `app` when given, else with
+   * the bitmap font metrics.
+   */
+  public margins(app?: Renderer): GraphMargins {
+    const measure: MeasureText = app ? (t, f) => app.measureText(t, f) : measureBitmapText;
+    const gap = 6;
+    const ext = this.labelExtents(measure);
+    const h = (text: string, font: string) => (text ? measure(text, font).height + gap : 0);
+    const labels = this.showTicks ? this.labelOffset : 0;
+
+    const top = h(this.title, this.titleFont) + h(this.subtitle, this.subtitleFont) + gap;
+    const bottom = labels + (this.showTicks ? ext.x : 0) + h(this.xTitle, this.axisTitleFont) + gap;
+    const left = labels + (this.showTicks ? ext.y : 0) + h(this.yTitle, this.axisTitleFont) + gap;
+    const right = this.vp.y2 && this.showSecondaryAxis
+      ? labels + (this.showTicks ? ext.y2 : 0) + h(this.y2Title, this.axisTitleFont) + gap
+      : Math.max(gap, ext.xHalfWidth);
+    return { top: Math.ceil(top), right: Math.ceil(right), bottom: Math.ceil(bottom), left: Math.ceil(left) };
+  }
+
+  /**
+   * `outer` shrunk by margins(): a plot rect that leaves room for titles and
+   * labels. Use it from the ViewportManager's viewport function:
+   *
+   *   const vp = new ViewportManager(app, null, a => graph.plotRect({ x: 0, y: 0, width: a.size.x, height: a.size.y }, a));
+   */
+  public plotRect(outer: ViewportRect, app?: Renderer): ViewportRect {
+    const m = this.margins(app);
+    return {
+      x: outer.x + m.left,
+      y: outer.y + m.top,
+      width: Math.max(1, outer.width - m.left - m.right),
+      height: Math.max(1, outer.height - m.top - m.bottom),
+    };
   }
 
-  draw(app: { drawText: (...args: any[]) => void }): void {
+  /**
+   * Resolve grid, axes, ticks and tick labels into canvas-space primitives.
+   * draw() rasterizes them; exporters (e.g. SVG) serialize the same list.
+   */
+  public primitives(app?: Renderer): GraphPrimitive[] {
+    const out: GraphPrimitive[] = [];
     const vpRect = this.vp.viewport;
     const world = this.vp.worldBounds;
-    if (!vpRect || !world) return;
+    if (!vpRect || !world) return out;
 
     if (this.autoScale) {
       this.autoScaleTicks();
     }
 
-    const xTicks = this.computeTicks(world.xMin, world.xMax, this.numTicksX);
-    const yTicks = this.computeTicks(world.yMin, world.yMax, this.numTicksY);
+    const xAxis = this.axisTicks("x");
+    const yAxis = this.axisTicks("y");
+    const xTicks = xAxis.major, yTicks = yAxis.major;
 
-    const decimalsX = decimalsForStep(xTicks.length > 1 ? Math.abs(xTicks[1] - xTicks[0]) : 1);
-    const decimalsY = decimalsForStep(yTicks.length > 1 ? Math.abs(yTicks[1] - yTicks[0]) : 1);
+    // category axes have no meaningful zero, and bars from the value axis' zero would cover
+    // the category labels: keep both axes on the plot edges
+    const atZero = this.axisAtZero && this.vp.xScale.type !== "category" && this.vp.yScale.type !== "category";
+    const drawX = atZero && world.yMin <= 0 && world.yMax >= 0 ? this.axisXPos : world.yMin;
+    const drawY = atZero && world.xMin <= 0 && world.xMax >= 0 ? this.axisYPos : world.xMin;
 
-    const drawX = this.axisAtZero && world.yMin <= 0 && world.yMax >= 0 ? this.axisXPos : world.yMin;
-    const drawY = this.axisAtZero && world.xMin <= 0 && world.xMax >= 0 ? this.axisYPos : world.xMin;
+    const line = (p0: V2, p1: V2, color: RGBA, width: number, role: GraphLineRole, dash?: number[]) =>
+      out.push({ kind: "line", role, p0, p1, color, width, dash });
+    const text = (t: string, pos: V2, align: CanvasTextAlign, baseline: CanvasTextBaseline) =>
+      out.push({ kind: "text", text: t, pos, color: this.textColor, font: this.font, align, baseline });
+
+    if (this.showGrid && this.showMinorGrid) {
+      for (const x of xAxis.minor) {
+        line(this.vp.worldToCanvas(x, world.yMin), this.vp.worldToCanvas(x, world.yMax), this.minorGridColor, 1, "minorGrid", this.gridDash);
+      }
+      for (const y of yAxis.minor) {
+        line(this.vp.worldToCanvas(world.xMin, y), this.vp.worldToCanvas(world.xMax, y), this.minorGridColor, 1, "minorGrid", this.gridDash);
+      }
+    }
 
     if (this.showGrid) {
       for (const x of xTicks) {
-        const p0 = this.vp.worldToCanvas(x, world.yMin);
-        const p1 = this.vp.worldToCanvas(x, world.yMax);
-        drawLine(app as any, p0, p1, this.gridColor, 1);
+        line(this.vp.worldToCanvas(x, world.yMin), this.vp.worldToCanvas(x, world.yMax), this.gridColor, 1, "grid", this.gridDash);
       }
 
       for (const y of yTicks) {
-        const p0 = this.vp.worldToCanvas(world.xMin, y);
-        const p1 = this.vp.worldToCanvas(world.xMax, y);
-        drawLine(app as any, p0, p1, this.gridColor, 1);
+        line(this.vp.worldToCanvas(world.xMin, y), this.vp.worldToCanvas(world.xMax, y), this.gridColor, 1, "grid", this.gridDash);
       }
     }
 
@@ -182,50 +383,117 @@ export class Graph {
       const y0 = this.vp.worldToCanvas(drawY, world.yMin);
       const y1 = this.vp.worldToCanvas(drawY, world.yMax);
 
-      drawLine(app as any, x0, x1, this.axisColor, this.axisThickness);
-      drawLine(app as any, y0, y1, this.axisColor, this.axisThickness);
+      line(x0, x1, this.axisColor, this.axisThickness, "axis");
+      line(y0, y1, this.axisColor, this.axisThickness, "axis");
     }
 
     if (this.showTicks && this.tickSizePx > 0) {
       const t = this.tickSizePx;
 
-      for (const x of xTicks) {
+      if (this.showMinorTicks) {
+        const m = t / 2;
+        for (const x of xAxis.minor) {
+          const c = this.vp.worldToCanvas(x, drawX);
+          line(new V2(c.x, c.y - m / 2), new V2(c.x, c.y + m / 2), this.axisColor, this.tickThickness, "minorTick");
+        }
+        for (const y of yAxis.minor) {
+          const c = this.vp.worldToCanvas(drawY, y);
+          line(new V2(c.x - m / 2, c.y), new V2(c.x + m / 2, c.y), this.axisColor, this.tickThickness, "minorTick");
+        }
+      }
+
+      xTicks.forEach((x, i) => {
         const canvasPos = this.vp.worldToCanvas(x, drawX);
-        drawLine(
-          app as any,
+        line(
           new V2(canvasPos.x, canvasPos.y - t / 2),
           new V2(canvasPos.x, canvasPos.y + t / 2),
           this.axisColor,
-          this.tickThickness
+          this.tickThickness,
+          "tick"
         );
-        app.drawText(
-          fmtTick(x, decimalsX),
-          new V2(canvasPos.x, canvasPos.y + this.labelOffset),
-          this.textColor,
-          this.font,
-          "center",
-          "top"
-        );
-      }
+        text(xAxis.labels[i], new V2(canvasPos.x, canvasPos.y + this.labelOffset), "center", "top");
+      });
 
-      for (const y of yTicks) {
+      yTicks.forEach((y, i) => {
         const canvasPos = this.vp.worldToCanvas(drawY, y);
-        drawLine(
-          app as any,
+        line(
           new V2(canvasPos.x - t / 2, canvasPos.y),
           new V2(canvasPos.x + t / 2, canvasPos.y),
           this.axisColor,
-          this.tickThickness
-        );
-        app.drawText(
-          fmtTick(y, decimalsY),
-          new V2(canvasPos.x - this.labelOffset, canvasPos.y),
-          this.textColor,
-          this.font,
-          "right",
-          "middle"
+          this.tickThickness,
+          "tick"
         );
+        text(yAxis.labels[i], new V2(canvasPos.x - this.labelOffset, canvasPos.y), "right", "middle");
+      });
+    }
+
+    const y2 = this.vp.y2;
+    if (y2 && this.showSecondaryAxis) {
+      const b = y2.worldBounds;
+      const axis = this.axisTicks("y2");
+      const at = (y: number) => y2.worldToCanvas(world.xMax, y);
+      const color = this.secondaryAxisColor;
+      if (this.showAxes) line(at(b.yMin), at(b.yMax), color, this.axisThickness, "axis");
+
+      if (this.showTicks && this.tickSizePx > 0) {
+        const t = this.tickSizePx;
+        if (this.showMinorTicks) {
+          for (const y of axis.minor) {
+            const c = at(y);
+            line(new V2(c.x - t / 4, c.y), new V2(c.x + t / 4, c.y), color, this.tickThickness, "minorTick");
+          }
+        }
+        axis.major.forEach((y, i) => {
+          const c = at(y);
+          line(new V2(c.x - t / 2, c.y), new V2(c.x + t / 2, c.y), color, this.tickThickness, "tick");
+          out.push({
+            kind: "text", text: axis.labels[i], pos: new V2(c.x + this.labelOffset, c.y),
+            color: this.secondaryTextColor, font: this.font, align: "left", baseline: "middle",
+          });
+        });
       }
     }
+
+    this.titlePrimitives(out, vpRect, app);
+    return out;
   }
-}
\ No newline at end of file
+
+  /** Chart and axis titles, placed outside the plot rect in the space margins() reserves. */
+  private titlePrimitives(out: GraphPrimitive[], r: ViewportRect, app?: Renderer): void {
+    if (!this.title && !this.subtitle && !this.xTitle && !this.yTitle && !this.y2Title) return;
+    const measure: MeasureText = app ? (t, f) => app.measureText(t, f) : measureBitmapText;
+    const gap = 6;
+    const ext = this.labelExtents(measure);
+    const labels = this.showTicks ? this.labelOffset : 0;
+    const cx = r.x + r.width / 2, cy = r.y + r.height / 2;
+    const text = (t: string, pos: V2, font: string, color: string, align: CanvasTextAlign, baseline: CanvasTextBaseline, angle?: number) =>
+      out.push({ kind: "text", text: t, pos, color, font, align, baseline, angle });
+
+    let top = r.y - gap;
+    if (this.subtitle) {
+      text(this.subtitle, new V2(cx, top), this.subtitleFont, this.titleColor, "center", "bottom");
+      top -= measure(this.subtitle, this.subtitleFont).height + gap;
+    }
+    if (this.title) text(this.title, new V2(cx, top), this.titleFont, this.titleColor, "center", "bottom");
+
+    if (this.xTitle) {
+      const y = r.y + r.height + labels + (this.showTicks ? ext.x : 0) + gap;
+      text(this.xTitle, new V2(cx, y), this.axisTitleFont, this.textColor, "center", "top");
+    }
+    if (this.yTitle) {
+      const x = r.x - labels - (this.showTicks ? ext.y : 0) - gap;
+      text(this.yTitle, new V2(x, cy), this.axisTitleFont, this.textColor, "center", "bottom", -Math.PI / 2);
+    }
+    if (this.y2Title && this.vp.y2 && this.showSecondaryAxis) {
+      const x = r.x + r.width + labels + (this.showTicks ? ext.y2 : 0) + gap;
+      text(this.y2Title, new V2(x, cy), this.axisTitleFont, this.secondaryTextColor, "center", "bottom", Math.PI / 2);
+    }
+  }
+
+  draw(app: Renderer): void {
+    for (const p of this.primitives(app)) {
+      if (p.kind === "line") drawLine(app, p.p0, p.p1, p.color, p.width, { dash: p.dash });
+      else app.drawText(p.text, p.pos, p.color, p.font, p.align, p.baseline, p.angle);
+    }
+  }
+}
@@ -0,0 +1,213 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/group.ts
+// Nested drawables sharing a transform, visibility and opacity
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager, getDrawableBounds, viewportFor, type YAxisId } from "./viewport";
+import type { Renderer } from "./renderer";
+import { PixelBuffer } from "./pixelbuffer";
+import { legendEntries, type LegendItem } from "./legend";
+import { drawableToSVG, type SVGWriter } from "./svg";
+import type { Rect, WorldBounds } from "./types";
+
+export interface GroupOptions {
+  transform?: Transform2D;
+  visible?: boolean;
+  opacity?: number;
+  /** One legend entry for the whole group instead of one per child. */
+  legend?: LegendMetadata;
+  yAxis?: YAxisId;
+}
+
+/** Part of `r` inside the buffer's current clip; the whole clip when `r` is unknown. */
+function clipRect(b: PixelBuffer, r: Rect | null): Rect {
+  let x0 = b.clipX0, y0 = b.clipY0, x1 = b.clipX1, y1 = b.clipY1;
+  if (r) {
+    x0 = Math.max(x0, Math.floor(r.x));
+    y0 = Math.max(y0, Math.floor(r.y));
+    x1 = Math.min(x1, Math.ceil(r.x + r.width));
+    y1 = Math.min(y1, Math.ceil(r.y + r.height));
+  }
+  return { x: x0, y: y0, width: Math.max(0, x1 - x0), height: Math.max(0, y1 - y0) };
+}
+
+/**
+ * A node of the scene graph: children are drawn in order through
+ * `this.transform ∘ child.transform`, so moving, rotating or hiding the
+ * group moves, rotates or hides everything in it, and groups nest.
+ *
+ *   const arm = new DrawableGroup([upper, new DrawableGroup([forearm, hand])]);
+ *   arm.transform = Transform2D.around(shoulder, Transform2D.rotation(a));
+ *
+ * Below full opacity the children are flattened into an offscreen buffer
+ * first and composited once, so overlapping children don't show through
+ * each other. Mutating a child marks the group dirty.
+ */
+export class DrawableGroup extends Drawable {
+  public children: Drawable[] = [];
+  public opacity: number;
+  private layer: PixelBuffer | null = null;
+
+  constructor(children: Drawable[] = [], opts: GroupOptions = {}) {
+    super("white", false, null, opts.transform ?? Transform2D.identity(), opts.legend && { symbol: "area", ...opts.legend }, opts.yAxis);
+    this.visible = opts.visible ?? true;
+    this.opacity = opts.opacity ?? 1;
+    this.add(...children);
+  }
+
+  add(...children: Drawable[]): this {
+    for (const child of children) {
+      if (child.parent instanceof DrawableGroup) child.parent.remove(child);
+      child.parent = this;
+      this.children.push(child);
+    }
+    return this.markDirty();
+  }
+
+  remove(child: Drawable): this {
+    const i = this.children.indexOf(child);
+    if (i < 0) return this;
+    this.children.splice(i, 1);
+    child.parent = null;
+    return this.markDirty();
+  }
+
+  /** Transform from `child`'s own coordinates to those the group is drawn in. */
+  childTransform(child: Drawable): Transform2D {
+    return this.transform.multiply(child.transform);
+  }
+
+  /** Run `fn` with the child's transform temporarily composed with the group's. */
+  private composed<T>(child: Drawable, fn: () => T): T {
+    const own = child.transform;
+    child.transform = this.childTransform(child);
+    try {
+      return fn();
+    } finally {
+      child.transform = own;
+    }
+  }
+
+  private visibleChildren(): Drawable[] {
+    return this.children.filter(c => c.visible);
+  }
+
+  /**
+   * Union of the visible children's bounds where the group is drawn, i.e.
+   * through this.transform, so autoScaleViewport fits a moved group.
+   */
+  get bounds(): WorldBounds | null {
+    return this.boundsThrough(this.transform);
+  }
+
+  /** Children's bounds mapped through `t` ∘ child.transform; nested groups compose all the way down. */
+  private boundsThrough(t: Transform2D): WorldBounds | null {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    const grow = (b: WorldBounds | null, m: Transform2D) => {
+      if (!b) return;
+      for (const [x, y] of [[b.xMin, b.yMin], [b.xMax, b.yMin], [b.xMax, b.yMax], [b.xMin, b.yMax]]) {
+        const p = m.transformV2(new V2(x, y));
+        if (p.x < xMin) xMin = p.x;
+        if (p.x > xMax) xMax = p.x;
+        if (p.y < yMin) yMin = p.y;
+        if (p.y > yMax) yMax = p.y;
+      }
+    };
+    for (const child of this.visibleChildren()) {
+      const m = t.multiply(child.transform);
+      if (child instanceof DrawableGroup) grow(child.boundsThrough(m), Transform2D.identity());
+      else grow(getDrawableBounds(child), m);
+    }
+    return xMin <= xMax && yMin <= yMax ? { xMin, xMax, yMin, yMax } : null;
+  }
+
+  /** Union of the children's canvas bounds; null when any child's are unknown. */
+  canvasBounds(vp: ViewportManager | undefined, app: Renderer): Rect | null {
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    for (const child of this.visibleChildren()) {
+      const r = this.composed(child, () => child.canvasBounds(viewportFor(child, vp), app));
+      if (!r) return null;
+      x0 = Math.min(x0, r.x);
+      y0 = Math.min(y0, r.y);
+      x1 = Math.max(x1, r.x + r.width);
+      y1 = Math.max(y1, r.y + r.height);
+    }
+    return x0 <= x1 ? { x: x0, y: y0, width: x1 - x0, height: y1 - y0 } : { x: 0, y: 0, width: 0, height: 0 };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    if (!this.visible || this.opacity <= 0) return;
+    if (this.opacity >= 1) {
+      this.drawChildren(app, vp);
+      return;
+    }
+
+    const main = app.buffer;
+    const region = clipRect(main, this.canvasBounds(vp, app));
+    if (!region.width || !region.height) return;
+    const layer = this.layer ?? (this.layer = new PixelBuffer(main.width, main.height));
+    if (layer.width !== main.width || layer.height !== main.height) layer.resize(main.width, main.height);
+    layer.setClip(region);
+    layer.clear("rgba(0,0,0,0)");
+
+    // same swap as Scene's static layers: everything draws through app.buffer
+    app.buffer = layer;
+    try {
+      this.drawChildren(app, vp);
+    } finally {
+      app.buffer = main;
+    }
+
+    const { clipX0, clipY0, clipX1, clipY1 } = main;
+    main.setClip(region);
+    main.blit(layer.imageData, 0, 0, this.opacity);
+    main.clipX0 = clipX0; main.clipY0 = clipY0; main.clipX1 = clipX1; main.clipY1 = clipY1;
+  }
+
+  private drawChildren(app: Renderer, vp: ViewportManager): void {
+    for (const child of this.visibleChildren()) {
+      this.composed(child, () => child.draw(app, viewportFor(child, vp)));
+    }
+  }
+
+  /** Topmost visible child under world point `p` (in `vp`), or null. */
+  childAt(p: V2, vp: ViewportManager, tolerancePx: number = 4): Drawable | null {
+    if (!this.visible) return null;
+    const children = this.visibleChildren();
+    for (let i = children.length - 1; i >= 0; i--) {
+      const child = children[i];
+      const cvp = viewportFor(child, vp);
+      let at = p;
+      if (cvp !== vp) {
+        const q = vp.worldToCanvas(p.x, p.y);
+        at = cvp.canvasToWorld(q.x, q.y);
+      }
+      if (this.composed(child, () => child.hitTest(at, cvp, tolerancePx))) return child;
+    }
+    return null;
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    return this.childAt(p, vp, tolerancePx) !== null;
+  }
+
+  /** The group's own legend entry if it has one, else its children's. */
+  legendItems(): LegendItem[] {
+    if (this.legend) {
+      const color = this.legend.color ?? this.children.map(c => c.color).find(c => typeof c === "string") ?? "#fff";
+      return [{ label: this.legend.label, color, symbol: this.legend.symbol ?? "area" }];
+    }
+    return this.children.flatMap(c => legendEntries(c));
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    if (!this.visible) return "";
+    const parts = this.visibleChildren().flatMap(child => this.composed(child, () => drawableToSVG(child, viewportFor(child, vp), w)));
+    if (!parts.length) return "";
+    const opacity = this.opacity < 1 ? ` opacity="${w.num(Math.max(0, this.opacity))}"` : "";
+    return `<g${opacity}>\n${parts.join("\n")}\n</g>`;
+  }
+}
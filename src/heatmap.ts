@@ -0,0 +1,455 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/heatmap.ts
+// Scalar-field heatmaps mapped through colormaps, and matching colorbars
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager } from "./viewport";
+import type { Renderer } from "./renderer";
+import { fillPolygon, drawLine } from "./raster";
+import { colormapIndex, colormapLUT, sampleColormap, type ColormapSpec } from "./colormap";
+import { scaleTicks } from "./graph";
+import { linearScale } from "./scale";
+import { measureBitmapText } from "./bitmapFont";
+import type { LegendAnchor } from "./legend";
+import type { SVGWriter } from "./svg";
+import type { RGBA, Rect, WorldBounds } from "./types";
+
+export type HeatmapInterpolation = "nearest" | "bilinear";
+
+/** Row-major copy (or view) of a scalar grid given as rows, or as a flat array with `cols`. */
+export function flattenGrid(values: number[][] | ArrayLike<number>, cols?: number): { cells: ArrayLike<number>; cols: number; rows: number } {
+  if (Array.isArray(values) && Array.isArray(values[0])) {
+    const grid = values as number[][];
+    const rows = grid.length, n = grid[0].length;
+    const flat = new Float64Array(rows * n);
+    grid.forEach((row, r) => { for (let c = 0; c < n; c++) flat[r * n + c] = row[c] ?? NaN; });
+    return { cells: flat, cols: n, rows };
+  }
+  const flat = values as ArrayLike<number>;
+  if (!cols || flat.length % cols !== 0) throw new Error(`Grid: flat values need a cols count dividing ${flat.length}`);
+  return { cells: flat, cols, rows: flat.length / cols };
+}
+
+export interface HeatmapOptions {
+  /** Row length when `values` is a flat (typed) array; required there. */
+  cols?: number;
+  /** World rect covered by the grid; defaults to one unit per cell from the origin. */
+  extent?: WorldBounds;
+  colormap?: ColormapSpec;
+  /** Value range mapped onto the colormap; defaults to the finite data range. */
+  range?: [number, number];
+  /** Widen the range symmetrically about this value (for "diverging" maps). */
+  center?: number;
+  interpolation?: HeatmapInterpolation;
+  opacity?: number;
+  antialias?: boolean;
+  legend?: LegendMetadata;
+}
+
+/**
+ * A grid of scalar values drawn over a world rect. `values` is either rows
+ * of numbers (values[row][col]) or a flat row-major array with `cols` set;
+ * row 0 is at extent.yMin, so grid y grows with world y. NaN cells are left
+ * transparent.
+ *
+ * "nearest" fills every cell as a rect (so transforms and zoom stay exact);
+ * "bilinear" samples the field per canvas pixel between cell centres.
+ */
+export class DrawableHeatmap extends Drawable {
+  public cells: ArrayLike<number> = [];
+  public cols = 0;
+  public rows = 0;
+  public extent: WorldBounds;
+  public colormap: ColormapSpec;
+  public range?: [number, number];
+  public center?: number;
+  public interpolation: HeatmapInterpolation;
+  public opacity: number;
+  /** Finite min / max of `cells`, scanned on first use; cleared by markDirty(). */
+  private scanned: [number, number] | null = null;
+
+  constructor(values: number[][] | ArrayLike<number>, opts: HeatmapOptions = {}) {
+    super("white", true, null, Transform2D.identity(), opts.legend);
+    this.colormap = opts.colormap ?? "viridis";
+    this.range = opts.range;
+    this.center = opts.center;
+    this.interpolation = opts.interpolation ?? "nearest";
+    this.opacity = opts.opacity ?? 1;
+    // adjacent AA cell edges would leave seams
+    this.antialias = opts.antialias ?? false;
+    this.setValues(values, opts.cols);
+    this.extent = opts.extent ?? { xMin: 0, xMax: this.cols, yMin: 0, yMax: this.rows };
+  }
+
+  /** Replace the grid. Keeps the extent; pass `cols` for flat arrays. */
+  setValues(values: number[][] | ArrayLike<number>, cols?: number): this {
+    ({ cells: this.cells, cols: this.cols, rows: this.rows } = flattenGrid(values, cols ?? this.cols));
+    return this.markDirty();
+  }
+
+  /** Also drops the scanned data range; call it after editing `cells` in place. */
+  markDirty(): this {
+    this.scanned = null;
+    return super.markDirty();
+  }
+
+  /** Value range mapped onto the colormap, after `range` and `center` are applied. */
+  get domain(): [number, number] {
+    let [lo, hi] = this.range ?? (this.scanned ??= this.scanRange());
+    if (!this.range && lo > hi) return [0, 1];
+    if (this.center !== undefined) {
+      const r = Math.max(Math.abs(hi - this.center), Math.abs(this.center - lo));
+      lo = this.center - r; hi = this.center + r;
+    }
+    return [lo, hi];
+  }
+
+  private scanRange(): [number, number] {
+    let lo = Infinity, hi = -Infinity;
+    for (let i = 0; i < this.cells.length; i++) {
+      const v = this.cells[i];
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+    return [lo, hi];
+  }
+
+  get bounds(): WorldBounds {
+    return this.extent;
+  }
+
+  /** Field value at a world point, interpolated as drawn; NaN outside the grid. */
+  valueAt(p: V2): number {
+    const inv = this.transform.invert();
+    if (!inv) return NaN;
+    const q = inv.transformV2(p);
+    return this.sample(q.x, q.y, this.interpolation === "bilinear");
+  }
+
+  hitTest(p: V2): boolean {
+    return isFinite(this.valueAt(p));
+  }
+
+  /** Sample at local (pre-transform) world coordinates. */
+  private sample(x: number, y: number, bilinear: boolean): number {
+    const { xMin, xMax, yMin, yMax } = this.extent;
+    if (x < xMin || x > xMax || y < yMin || y > yMax || !this.cols || !this.rows) return NaN;
+    const u = ((x - xMin) / (xMax - xMin)) * this.cols;
+    const v = ((y - yMin) / (yMax - yMin)) * this.rows;
+    const cols = this.cols, cells = this.cells;
+    const nearest = () => cells[Math.min(this.rows - 1, Math.floor(v)) * cols + Math.min(cols - 1, Math.floor(u))];
+    if (!bilinear) return nearest();
+
+    // between cell centres; clamp to the outer half cells
+    const fu = Math.max(0, Math.min(cols - 1, u - 0.5)), fv = Math.max(0, Math.min(this.rows - 1, v - 0.5));
+    const c0 = Math.min(cols - 2, Math.floor(fu)), r0 = Math.min(this.rows - 2, Math.floor(fv));
+    if (c0 < 0 || r0 < 0) return nearest();
+    const tx = fu - c0, ty = fv - r0;
+    const a = cells[r0 * cols + c0], b = cells[r0 * cols + c0 + 1];
+    const c = cells[(r0 + 1) * cols + c0], d = cells[(r0 + 1) * cols + c0 + 1];
+    const val = (a * (1 - tx) + b * tx) * (1 - ty) + (c * (1 - tx) + d * tx) * ty;
+    return isNaN(val) ? nearest() : val;
+  }
+
+  private cellColor(v: number, lut: Uint8ClampedArray, lo: number, span: number): RGBA | null {
+    const i = colormapIndex(span > 0 ? (v - lo) / span : 0.5);
+    if (i < 0) return null;
+    return [lut[i * 4], lut[i * 4 + 1], lut[i * 4 + 2], Math.round(lut[i * 4 + 3] * this.opacity)];
+  }
+
+  private cellCorners(r: number, c: number): V2[] {
+    const { xMin, xMax, yMin, yMax } = this.extent;
+    const cw = (xMax - xMin) / this.cols, ch = (yMax - yMin) / this.rows;
+    const x0 = xMin + c * cw, y0 = yMin + r * ch;
+    return [new V2(x0, y0), new V2(x0 + cw, y0), new V2(x0 + cw, y0 + ch), new V2(x0, y0 + ch)];
+  }
+
+  /** Row / column ranges that can be visible; the whole grid when transformed. */
+  private visibleCells(vp: ViewportManager): { r0: number; r1: number; c0: number; c1: number } {
+    const all = { r0: 0, r1: this.rows - 1, c0: 0, c1: this.cols - 1 };
+    const t = this.transform;
+    if (t.a !== 1 || t.b !== 0 || t.c !== 0 || t.d !== 1 || t.e !== 0 || t.f !== 0) return all;
+    const w = vp.worldBounds, { xMin, xMax, yMin, yMax } = this.extent;
+    const col = (x: number) => Math.floor(((x - xMin) / (xMax - xMin)) * this.cols);
+    const row = (y: number) => Math.floor(((y - yMin) / (yMax - yMin)) * this.rows);
+    return {
+      r0: Math.max(0, row(w.yMin)), r1: Math.min(this.rows - 1, row(w.yMax)),
+      c0: Math.max(0, col(w.xMin)), c1: Math.min(this.cols - 1, col(w.xMax)),
+    };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    if (!this.cols || !this.rows) return;
+    const lut = colormapLUT(this.colormap);
+    const [lo, hi] = this.domain;
+    if (this.interpolation === "bilinear") return this.drawBilinear(app, vp, lut, lo, hi - lo);
+
+    const { r0, r1, c0, c1 } = this.visibleCells(vp);
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const color = this.cellColor(this.cells[r * this.cols + c], lut, lo, hi - lo);
+        if (color && color[3] > 0) fillPolygon(app, this.toCanvas(this.cellCorners(r, c), vp), color, this.antialias);
+      }
+    }
+  }
+
+  private drawBilinear(app: Renderer, vp: ViewportManager, lut: Uint8ClampedArray, lo: number, span: number): void {
+    const inv = this.transform.invert();
+    if (!inv) return;
+    const { xMin, xMax, yMin, yMax } = this.extent;
+    const corners = this.toCanvas([new V2(xMin, yMin), new V2(xMax, yMin), new V2(xMax, yMax), new V2(xMin, yMax)], vp);
+    const buf = app.buffer;
+    const x0 = Math.max(buf.clipX0, Math.floor(Math.min(...corners.map(p => p.x))));
+    const x1 = Math.min(buf.clipX1, Math.ceil(Math.max(...corners.map(p => p.x))));
+    const y0 = Math.max(buf.clipY0, Math.floor(Math.min(...corners.map(p => p.y))));
+    const y1 = Math.min(buf.clipY1, Math.ceil(Math.max(...corners.map(p => p.y))));
+    const color: [number, number, number, number] = [0, 0, 0, 0];
+
+    // the viewport maps each axis on its own, so project pixel rows / columns once
+    const wx = new Float64Array(Math.max(0, x1 - x0)), wy = new Float64Array(Math.max(0, y1 - y0));
+    for (let x = x0; x < x1; x++) wx[x - x0] = vp.canvasToWorld(x + 0.5, 0).x;
+    for (let y = y0; y < y1; y++) wy[y - y0] = vp.canvasToWorld(0, y + 0.5).y;
+
+    for (let y = y0; y < y1; y++) {
+      const py = wy[y - y0];
+      for (let x = x0; x < x1; x++) {
+        const px = wx[x - x0];
+        const qx = inv.a * px + inv.c * py + inv.e, qy = inv.b * px + inv.d * py + inv.f;
+        const i = colormapIndex(span > 0 ? (this.sample(qx, qy, true) - lo) / span : 0.5);
+        if (i < 0) continue;
+        color[0] = lut[i * 4]; color[1] = lut[i * 4 + 1]; color[2] = lut[i * 4 + 2];
+        color[3] = Math.round(lut[i * 4 + 3] * this.opacity);
+        buf.putPixelBlend(x, y, color);
+      }
+    }
+  }
+
+  /** One polygon per cell; bilinear maps are exported at cell resolution. */
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const lut = colormapLUT(this.colormap);
+    const [lo, hi] = this.domain;
+    const { r0, r1, c0, c1 } = this.visibleCells(vp);
+    const out: string[] = [];
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const color = this.cellColor(this.cells[r * this.cols + c], lut, lo, hi - lo);
+        if (color && color[3] > 0) out.push(w.polygon(this.toCanvas(this.cellCorners(r, c), vp), color));
+      }
+    }
+    return out.join("\n");
+  }
+}
+
+// -------------------- COLORBAR --------------------
+
+export interface ColorbarOptions {
+  /** Same anchors as DrawableLegend; "outside-top" / "outside-bottom" lay the bar out horizontally. */
+  anchor?: LegendAnchor;
+  /** Bar width across the gradient, in px. */
+  thickness?: number;
+  /** Bar length as a fraction of the plot side; defaults to 1 outside the plot, 0.5 inside. */
+  length?: number;
+  numTicks?: number;
+  tickSize?: number;
+  font?: string;
+  textColor?: string;
+  /** Title beside the bar (rotated along vertical bars). */
+  label?: string;
+  labelFont?: string;
+}
+
+export interface ColorbarLayout {
+  bar: Rect;
+  vertical: boolean;
+  /** Tick start on the bar edge, direction of the tick, label anchor. */
+  ticks: Array<{ at: V2; dir: V2; label: string; textPos: V2 }>;
+  align: CanvasTextAlign;
+  baseline: CanvasTextBaseline;
+  title: { text: string; pos: V2; angle: number; baseline: CanvasTextBaseline } | null;
+  box: Rect;
+}
+
+type ColorbarSource = DrawableHeatmap | { colormap: ColormapSpec; domain: [number, number] };
+
+/**
+ * Gradient bar with value ticks for a heatmap (or any colormap + domain).
+ * Ticks come from the same stepping and label formatting as Graph's axes.
+ * Outside anchors work with ChartLayout like DrawableLegend does.
+ */
+export class DrawableColorbar extends Drawable {
+  /** Distance from the plot edge for "outside-*" anchors; set by ChartLayout. */
+  public outsideMargin = 8;
+
+  constructor(
+    public source: ColorbarSource,
+    public options: ColorbarOptions = {}
+  ) {
+    super("white", false, null);
+    // resolved here so ChartLayout sees the outside default
+    this.options = { anchor: "outside-right", ...options };
+  }
+
+  get isOutside(): boolean {
+    return (this.options.anchor ?? "outside-right").startsWith("outside-");
+  }
+
+  get vertical(): boolean {
+    const a = this.options.anchor ?? "outside-right";
+    return a !== "outside-top" && a !== "outside-bottom";
+  }
+
+  /** Size across the bar (width when vertical, height when horizontal); the length follows the plot. */
+  measure(app?: Renderer): { width: number; height: number } {
+    const o = this.resolveOptions();
+    const measure = app ? (t: string, f: string) => app.measureText(t, f) : measureBitmapText;
+    const labels = this.ticks().labels;
+    const textW = Math.max(0, ...labels.map(l => Math.ceil(measure(l, o.font).width)));
+    const textH = Math.ceil(measure("0", o.font).height);
+    const titleH = o.label ? Math.ceil(measure(o.label, o.labelFont).height) + 6 : 0;
+    return this.vertical
+      ? { width: o.thickness + o.tickSize + 3 + textW + titleH, height: 0 }
+      : { width: 0, height: o.thickness + o.tickSize + 2 + textH + titleH };
+  }
+
+  /** What measure() depends on, for ChartLayout's cache. */
+  layoutDeps(): unknown[] {
+    const [lo, hi] = this.source.domain;
+    return [lo, hi, this.options.label, this.options.thickness, this.options.numTicks];
+  }
+
+  private resolveOptions() {
+    return {
+      anchor: this.options.anchor ?? "outside-right",
+      thickness: this.options.thickness ?? 14,
+      length: this.options.length ?? (this.isOutside ? 1 : 0.5),
+      numTicks: this.options.numTicks ?? 5,
+      tickSize: this.options.tickSize ?? 4,
+      font: this.options.font ?? "12px sans-serif",
+      textColor: this.options.textColor ?? "#fff",
+      label: this.options.label ?? "",
+      labelFont: this.options.labelFont ?? this.options.font ?? "12px sans-serif",
+    };
+  }
+
+  private ticks() {
+    const [lo, hi] = this.source.domain;
+    return scaleTicks(linearScale, Math.min(lo, hi), Math.max(lo, hi), this.resolveOptions().numTicks);
+  }
+
+  layout(vp: ViewportManager, app?: Renderer): ColorbarLayout {
+    const o = this.resolveOptions();
+    const r = vp.viewport;
+    const size = this.measure(app);
+    const out = this.outsideMargin;
+    const vertical = this.vertical;
+    const len = Math.max(1, Math.round((vertical ? r.height : r.width) * o.length));
+    const t = o.thickness;
+
+    // bar rect, and which side of it the labels go
+    let bar: Rect;
+    let flip = false;
+    switch (o.anchor) {
+      case "outside-right": bar = { x: r.x + r.width + out, y: r.y + (r.height - len) / 2, width: t, height: len }; break;
+      case "outside-left": bar = { x: r.x - out - t, y: r.y + (r.height - len) / 2, width: t, height: len }; flip = true; break;
+      case "outside-top": bar = { x: r.x + (r.width - len) / 2, y: r.y - out - t, width: len, height: t }; flip = true; break;
+      case "outside-bottom": bar = { x: r.x + (r.width - len) / 2, y: r.y + r.height + out, width: len, height: t }; break;
+      case "nw": bar = { x: r.x + 4, y: r.y + 4, width: t, height: len }; break;
+      case "sw": bar = { x: r.x + 4, y: r.y + r.height - len - 4, width: t, height: len }; break;
+      case "se": bar = { x: r.x + r.width - size.width - 4, y: r.y + r.height - len - 4, width: t, height: len }; break;
+      default: bar = { x: r.x + r.width - size.width - 4, y: r.y + 4, width: t, height: len }; break;
+    }
+
+    const [lo, hi] = this.source.domain;
+    const span = hi - lo || 1;
+    const { major, labels } = this.ticks();
+    const ticks: ColorbarLayout["ticks"] = [];
+    const gap = o.tickSize + 3;
+    major.forEach((v, i) => {
+      const f = (v - lo) / span;
+      if (vertical) {
+        const y = bar.y + bar.height * (1 - f);
+        const at = new V2(flip ? bar.x : bar.x + bar.width, y), dir = new V2(flip ? -1 : 1, 0);
+        ticks.push({ at, dir, label: labels[i], textPos: new V2(at.x + dir.x * gap, y) });
+      } else {
+        const x = bar.x + bar.width * f;
+        const at = new V2(x, flip ? bar.y : bar.y + bar.height), dir = new V2(0, flip ? -1 : 1);
+        ticks.push({ at, dir, label: labels[i], textPos: new V2(x, at.y + dir.y * (o.tickSize + 2)) });
+      }
+    });
+
+    const box: Rect = vertical
+      ? { x: flip ? bar.x + bar.width - size.width : bar.x, y: bar.y, width: size.width, height: bar.height }
+      : { x: bar.x, y: flip ? bar.y + bar.height - size.height : bar.y, width: bar.width, height: size.height };
+
+    let title: ColorbarLayout["title"] = null;
+    if (o.label) {
+      title = vertical
+        ? { text: o.label, pos: new V2(flip ? box.x : box.x + box.width, bar.y + bar.height / 2), angle: flip ? -Math.PI / 2 : Math.PI / 2, baseline: "top" }
+        : { text: o.label, pos: new V2(bar.x + bar.width / 2, flip ? box.y : box.y + box.height), angle: 0, baseline: flip ? "top" : "bottom" };
+    }
+
+    return {
+      bar, vertical, ticks, title, box,
+      align: vertical ? (flip ? "right" : "left") : "center",
+      baseline: vertical ? "middle" : flip ? "bottom" : "top",
+    };
+  }
+
+  canvasBounds(vp: ViewportManager | undefined, app: Renderer): Rect | null {
+    if (!vp) return null;
+    const { x, y, width, height } = this.layout(vp, app).box;
+    // text bitmaps carry a few px of padding past the measured size
+    return { x: x - 4, y: y - 8, width: width + 12, height: height + 16 };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const o = this.resolveOptions();
+    const lay = this.layout(vp, app);
+    const { bar } = lay;
+    const lut = colormapLUT(this.source.colormap);
+
+    // one 1px slice per gradient step, high values at the top / right
+    const n = Math.round(lay.vertical ? bar.height : bar.width);
+    for (let k = 0; k < n; k++) {
+      const i = colormapIndex((k + 0.5) / n);
+      const color: RGBA = [lut[i * 4], lut[i * 4 + 1], lut[i * 4 + 2], lut[i * 4 + 3]];
+      const s = lay.vertical
+        ? [new V2(bar.x, bar.y + bar.height - k - 1), new V2(bar.x + bar.width, bar.y + bar.height - k - 1), new V2(bar.x + bar.width, bar.y + bar.height - k), new V2(bar.x, bar.y + bar.height - k)]
+        : [new V2(bar.x + k, bar.y), new V2(bar.x + k + 1, bar.y), new V2(bar.x + k + 1, bar.y + bar.height), new V2(bar.x + k, bar.y + bar.height)];
+      fillPolygon(app, s, color, false);
+    }
+
+    const ink = this.parseColorSafe(o.textColor);
+    for (const t of lay.ticks) {
+      drawLine(app, t.at, t.at.add(t.dir.scale(o.tickSize)), ink, 1, { antialias: false });
+      app.drawText(t.label, t.textPos, o.textColor, o.font, lay.align, lay.baseline);
+    }
+    if (lay.title) app.drawText(lay.title.text, lay.title.pos, o.textColor, o.labelFont, "center", lay.title.baseline, lay.title.angle);
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const o = this.resolveOptions();
+    const lay = this.layout(vp);
+    const { bar } = lay;
+    const out: string[] = [];
+    // a stepped gradient as strips keeps the export self-contained (no <defs> ids)
+    const steps = 32;
+    for (let k = 0; k < steps; k++) {
+      const color = sampleColormap(this.source.colormap, (k + 0.5) / steps);
+      const a = k / steps, b = (k + 1) / steps;
+      const pts = lay.vertical
+        ? [new V2(bar.x, bar.y + bar.height * (1 - b)), new V2(bar.x + bar.width, bar.y + bar.height * (1 - b)), new V2(bar.x + bar.width, bar.y + bar.height * (1 - a)), new V2(bar.x, bar.y + bar.height * (1 - a))]
+        : [new V2(bar.x + bar.width * a, bar.y), new V2(bar.x + bar.width * b, bar.y), new V2(bar.x + bar.width * b, bar.y + bar.height), new V2(bar.x + bar.width * a, bar.y + bar.height)];
+      out.push(w.polygon(pts, color));
+    }
+    for (const t of lay.ticks) {
+      out.push(w.line(t.at, t.at.add(t.dir.scale(o.tickSize)), o.textColor));
+      out.push(w.text(t.label, t.textPos, o.textColor, o.font, lay.align, lay.baseline));
+    }
+    if (lay.title) out.push(w.text(lay.title.text, lay.title.pos, o.textColor, o.labelFont, "center", lay.title.baseline, w.rotate(lay.title.angle, lay.title.pos)));
+    return out.join("\n");
+  }
+}
@@ -8,14 +8,39 @@ export * from "./v2";
 export * from "./transform2d";
 export * from "./color";
 export * from "./pixelbuffer";
+export * from "./png";
 export * from "./textCache";
 export * from "./renderer";
+export * from "./memoryRenderer";
+export * from "./sceneWorker";
+export * from "./bitmapFont";
 export * from "./raster";
+export * from "./stroke";
+export * from "./scale";
 export * from "./graph";
+export * from "./layout";
 export * from "./drawables";
+export * from "./charts";
+export * from "./heatmap";
+export * from "./colormap";
+export * from "./contour";
+export * from "./vectorField";
+export * from "./curves";
+export * from "./decimate";
+export * from "./stream";
+export * from "./uncertainty";
+export * from "./markers";
+export * from "./scatter";
+export * from "./group";
 export * from "./tools";
 export * from "./scene";
+export * from "./dirtyRegion";
 export * from "./debugUI";
+export * from "./panZoom";
+export * from "./pointer";
+export * from "./crosshair";
+export * from "./svg";
+export * from "./geometry";
 
 export { ViewportManager, getDivViewport } from "./viewport";
 export { Scene, SceneManager } from "./scene";
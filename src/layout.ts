@@ -0,0 +1,137 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/layout.ts
+// Sizes the plot rect from measured tick labels, titles and legends
+// ─────────────────────────────────────────────────────────────────────────────
+
+import type { Graph, GraphMargins } from "./graph";
+import type { LegendAnchor } from "./legend";
+import type { Renderer } from "./renderer";
+import type { ViewportRect } from "./types";
+
+/** A legend-like block ChartLayout can make room for: DrawableLegend, DrawableColorbar. */
+export interface LayoutBlock {
+  options: { anchor?: LegendAnchor; font?: string };
+  outsideMargin: number;
+  readonly isOutside: boolean;
+  measure(app?: Renderer): { width: number; height: number };
+  /** Values measure() depends on besides the anchor and font. */
+  layoutDeps(): unknown[];
+}
+
+export interface ChartLayoutOptions {
+  /** Rect to lay the chart out in; defaults to the whole canvas. */
+  outer?: (app: any) => ViewportRect;
+  /** Inset of everything from the outer rect. */
+  padding?: number;
+  /** Space between the graph's labels and an outside legend, and between stacked legends. */
+  gap?: number;
+}
+
+export interface ChartLayoutResult {
+  plot: ViewportRect;
+  /** Space around `plot`, legends included. */
+  margins: GraphMargins;
+}
+
+/**
+ * Layout pass for a Graph and its legends or colorbars. Tick labels, titles
+ * and legend labels are measured with the renderer's text metrics, outside legends
+ * ("outside-right", …) get room of their own, and what is left becomes the
+ * plot rect:
+ *
+ *   const layout = new ChartLayout(graph, [legend]).attach();
+ *
+ * attach() runs the pass once per frame, before the Scene draws (through
+ * graph.vp.beforeDraw), and makes the stored plot rect the viewport of
+ * graph.vp. Results are cached until the canvas size, view, titles or
+ * legend items change; call invalidate() after editing a legend label in
+ * place.
+ */
+export class ChartLayout {
+  /** Dependency values seen by the last compute(), overwritten in place. */
+  private deps: unknown[] = [];
+  private cursor = 0;
+  private stale = false;
+  private result: ChartLayoutResult | null = null;
+
+  constructor(
+    public graph: Graph,
+    public legends: LayoutBlock[] = [],
+    public options: ChartLayoutOptions = {}
+  ) {}
+
+  /** Lay out every frame and use the result as the plot rect of the graph's ViewportManager. */
+  attach(): this {
+    const vp = this.graph.vp;
+    vp.beforeDraw = app => { this.compute(app); };
+    // projections read the stored rect; only the first one before any frame measures
+    vp.setViewport(app => (this.result ?? this.compute(app)).plot);
+    return this;
+  }
+
+  invalidate(): void {
+    this.deps = [];
+    this.result = null;
+  }
+
+  compute(app: Renderer): ChartLayoutResult {
+    const outer = this.options.outer?.(app) ?? { x: 0, y: 0, width: app.size.x, height: app.size.y };
+    if (!this.depsChanged(outer) && this.result) return this.result;
+
+    const pad = this.options.padding ?? 4;
+    const gap = this.options.gap ?? 8;
+    const m = { ...this.graph.margins(app) };
+
+    // outside legends stack outward, beyond the graph's own labels and titles
+    for (const legend of this.legends) {
+      if (!legend.isOutside || (legend as any).visible === false) continue;
+      const size = legend.measure(app);
+      switch (legend.options.anchor) {
+        case "outside-right": legend.outsideMargin = m.right + gap; m.right += size.width + gap; break;
+        case "outside-left": legend.outsideMargin = m.left + gap; m.left += size.width + gap; break;
+        case "outside-top": legend.outsideMargin = m.top + gap; m.top += size.height + gap; break;
+        case "outside-bottom": legend.outsideMargin = m.bottom + gap; m.bottom += size.height + gap; break;
+      }
+    }
+
+    const plot = {
+      x: outer.x + pad + m.left,
+      y: outer.y + pad + m.top,
+      width: Math.max(1, outer.width - 2 * pad - m.left - m.right),
+      height: Math.max(1, outer.height - 2 * pad - m.top - m.bottom),
+    };
+    this.result = { plot, margins: m };
+    return this.result;
+  }
+
+  /** Record everything the measured sizes depend on; true when any of it differs from last time. */
+  private depsChanged(outer: ViewportRect): boolean {
+    const g = this.graph, vp = g.vp;
+    const b = vp.worldBounds, b2 = vp.y2?.worldBounds;
+    this.cursor = 0;
+    this.stale = false;
+    this.see(outer.x); this.see(outer.y); this.see(outer.width); this.see(outer.height);
+    this.see(b.xMin); this.see(b.xMax); this.see(b.yMin); this.see(b.yMax); this.see(b2?.yMin); this.see(b2?.yMax);
+    this.see(vp.xScale); this.see(vp.yScale); this.see(vp.y2?.yScale);
+    this.see(g.title); this.see(g.subtitle); this.see(g.xTitle); this.see(g.yTitle); this.see(g.y2Title);
+    this.see(g.font); this.see(g.titleFont); this.see(g.subtitleFont); this.see(g.axisTitleFont);
+    this.see(g.numTicksX); this.see(g.numTicksY); this.see(g.showTicks); this.see(g.showSecondaryAxis); this.see(g.labelOffset);
+    for (const l of this.legends) {
+      this.see((l as any).visible); this.see(l.options.anchor); this.see(l.options.font);
+      for (const d of l.layoutDeps()) this.see(d);
+    }
+    if (this.cursor !== this.deps.length) {
+      this.deps.length = this.cursor;
+      this.stale = true;
+    }
+    return this.stale;
+  }
+
+  private see(value: unknown): void {
+    if (this.deps[this.cursor] !== value) {
+      this.deps[this.cursor] = value;
+      this.stale = true;
+    }
+    this.cursor++;
+  }
+}
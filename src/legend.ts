@@ -1,19 +1,47 @@
 // src/legend.ts
 import { V2 } from "./v2";
 import { ViewportManager } from "./viewport";
+import type { Renderer } from "./renderer";
 import { fillCircle, drawLine, fillPolygon } from "./raster";
-import { parseColor } from "./color";
+import { parseColor, withAlpha } from "./color";
 import { Drawable } from "./drawables";
+import { measureBitmapText } from "./bitmapFont";
+import type { RGBA, Rect } from "./types";
 
-export type LegendSymbol = "line" | "marker" | "area";
+export type LegendSymbol = "line" | "marker" | "area" | "errorbar" | "band" | "box";
 export interface LegendItem {
   label: string;
   color: string;
   symbol?: LegendSymbol;
 }
 
+/** Entries a drawable contributes: its legendItems() when it has them, else its legend metadata. */
+export function legendEntries(d: any): LegendItem[] {
+  // multi-series drawables (bars, stacked areas, groups) list one entry per series
+  if (typeof d.legendItems === "function") return d.legendItems();
+  const meta = d.legend;
+  if (!meta) return [];
+  return [{ label: meta.label, color: meta.color ?? d.color ?? "#fff", symbol: meta.symbol ?? "line" }];
+}
+
+export interface LegendLayout {
+  box: Rect;
+  background: RGBA | null;
+  swatchSize: number;
+  font: string;
+  textColor: string;
+  /** `swatch` is the left-center point of each row's symbol. */
+  rows: Array<{ item: LegendItem; color: RGBA; symbol: LegendSymbol; swatch: V2; textPos: V2 }>;
+}
+
+/**
+ * Inside corners of the plot rect, or outside one of its edges. Outside
+ * legends sit `outsideMargin` px beyond the edge; ChartLayout reserves the room.
+ */
+export type LegendAnchor = "ne" | "nw" | "se" | "sw" | "outside-right" | "outside-left" | "outside-top" | "outside-bottom";
+
 export interface LegendOptions {
-  anchor?: "ne" | "nw" | "se" | "sw";
+  anchor?: LegendAnchor;
   padding?: number;
   gap?: number;
   swatchSize?: number;
@@ -25,6 +53,9 @@ export interface LegendOptions {
 }
 
 export class DrawableLegend extends Drawable {
+  /** Distance from the plot edge for "outside-*" anchors; set by ChartLayout. */
+  public outsideMargin = 8;
+
   constructor(
     public items: LegendItem[],
     public options: LegendOptions = {}
@@ -32,14 +63,37 @@ export class DrawableLegend extends Drawable {
     super("white", false, null);
   }
 
-  private estimateTextWidth(label: string, font: string): number {
-    const m = /(\d+)\s*px/.exec(font);
-    const px = m ? parseInt(m[1], 10) : 12;
-    return Math.max(8, Math.round(label.length * px * 0.6));
+  get isOutside(): boolean {
+    return (this.options.anchor ?? "ne").startsWith("outside-");
   }
 
-  draw(app: any, vp: ViewportManager): void {
-    const opts: Required<LegendOptions> = {
+  /** Box size from measured label widths; bitmap font metrics when no renderer is given. */
+  measure(app?: Renderer): { width: number; height: number } {
+    const opts = this.resolveOptions();
+    if (!this.items?.length) return { width: 0, height: 0 };
+    const measure = app ? (t: string, f: string) => app.measureText(t, f) : measureBitmapText;
+    const pad = opts.padding;
+    const sw = opts.swatchSize;
+    const rowH = Math.max(sw, 12) + opts.gap;
+
+    let textW = 0;
+    for (const it of this.items) {
+      textW = Math.max(textW, Math.ceil(measure(it.label, opts.font).width));
+    }
+    const contentW = sw + 6 + textW;
+    return {
+      width: (opts.maxWidthPx && opts.maxWidthPx > contentW ? opts.maxWidthPx : contentW) + pad * 2,
+      height: this.items.length * rowH - opts.gap + pad * 2,
+    };
+  }
+
+  /** What measure() depends on, for ChartLayout's cache. */
+  layoutDeps(): unknown[] {
+    return [this.items, this.items.length];
+  }
+
+  private resolveOptions(): Required<LegendOptions> {
+    return {
       anchor: this.options.anchor ?? "ne",
       padding: this.options.padding ?? 8,
       gap: this.options.gap ?? 6,
@@ -50,21 +104,19 @@ export class DrawableLegend extends Drawable {
       boxOffset: this.options.boxOffset ?? new V2(0, 0),
       maxWidthPx: this.options.maxWidthPx ?? 0
     };
+  }
 
-    if (!this.items?.length) return;
+  /** Canvas-space placement of the box, swatches and labels (shared by draw and exporters). */
+  layout(vp: ViewportManager, app?: Renderer): LegendLayout | null {
+    const opts = this.resolveOptions();
+    if (!this.items?.length) return null;
 
     const vpRect = vp.viewport;
     const pad = opts.padding;
     const sw = opts.swatchSize;
     const rowH = Math.max(sw, 12) + opts.gap;
-
-    let textW = 0;
-    for (const it of this.items) {
-      textW = Math.max(textW, this.estimateTextWidth(it.label, opts.font));
-    }
-    const contentW = sw + 6 + textW;
-    const boxW = (opts.maxWidthPx && opts.maxWidthPx > contentW ? opts.maxWidthPx : contentW) + pad * 2;
-    const boxH = this.items.length * rowH - opts.gap + pad * 2;
+    const { width: boxW, height: boxH } = this.measure(app);
+    const out = this.outsideMargin;
 
     let x = 0, y = 0;
     switch (opts.anchor) {
@@ -76,44 +128,108 @@ export class DrawableLegend extends Drawable {
         x = vpRect.x + vpRect.width - boxW - 4; y = vpRect.y + vpRect.height - boxH - 4; break;
       case "sw":
         x = vpRect.x + 4; y = vpRect.y + vpRect.height - boxH - 4; break;
+      case "outside-right":
+        x = vpRect.x + vpRect.width + out; y = vpRect.y; break;
+      case "outside-left":
+        x = vpRect.x - out - boxW; y = vpRect.y; break;
+      case "outside-top":
+        x = vpRect.x + (vpRect.width - boxW) / 2; y = vpRect.y - out - boxH; break;
+      case "outside-bottom":
+        x = vpRect.x + (vpRect.width - boxW) / 2; y = vpRect.y + vpRect.height + out; break;
     }
     x += opts.boxOffset.x; y += opts.boxOffset.y;
 
-    if (opts.background) {
-      const bg = parseColor(opts.background) || [0,0,0,128];
+    const cx = x + pad;
+    let cy = y + pad + rowH / 2;
+    const rows: LegendLayout["rows"] = [];
+    for (const it of this.items) {
+      rows.push({
+        item: it,
+        color: (parseColor(it.color) || [255, 255, 255, 255]) as RGBA,
+        symbol: it.symbol ?? "line",
+        swatch: new V2(cx, cy),
+        textPos: new V2(cx + sw + 6, cy),
+      });
+      cy += rowH;
+    }
+
+    return {
+      box: { x, y, width: boxW, height: boxH },
+      background: opts.background ? ((parseColor(opts.background) || [0, 0, 0, 128]) as RGBA) : null,
+      swatchSize: sw,
+      font: opts.font,
+      textColor: opts.textColor,
+      rows,
+    };
+  }
+
+  canvasBounds(vp: ViewportManager | undefined, app: Renderer): Rect | null {
+    const lay = vp ? this.layout(vp, app) : null;
+    if (!lay) return null;
+    const { x, y, width, height } = lay.box;
+    // text bitmaps carry a few px of padding past the measured width
+    return { x: x - 2, y: y - 2, width: width + 8, height: height + 4 };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const lay = this.layout(vp, app);
+    if (!lay) return;
+    const { x, y, width: boxW, height: boxH } = lay.box;
+    const sw = lay.swatchSize;
+
+    if (lay.background) {
       const r: [V2,V2,V2,V2] = [
         new V2(x, y),
         new V2(x + boxW, y),
         new V2(x + boxW, y + boxH),
         new V2(x, y + boxH),
       ];
-      fillPolygon(app, r, bg as any);
+      fillPolygon(app, r, lay.background as any, this.antialias);
     }
 
-    let cx = x + pad;
-    let cy = y + pad + rowH / 2;
-
-    for (const it of this.items) {
-      const col = parseColor(it.color) || [255,255,255,255];
-      const sym = it.symbol ?? "line";
+    for (const row of lay.rows) {
+      const col = row.color;
+      const { x: cx, y: cy } = row.swatch;
 
-      if (sym === "marker") {
-        fillCircle(app, new V2(Math.round(cx + sw/2), Math.round(cy)), Math.max(3, Math.floor(sw/3)), col as any);
-      } else if (sym === "area") {
+      if (row.symbol === "marker") {
+        fillCircle(app, new V2(Math.round(cx + sw/2), Math.round(cy)), Math.max(3, Math.floor(sw/3)), col as any, this.antialias);
+      } else if (row.symbol === "area") {
         const r: [V2,V2,V2,V2] = [
           new V2(cx, cy - sw/2 + 3),
           new V2(cx + sw, cy - sw/2 + 3),
           new V2(cx + sw, cy + sw/2 - 3),
           new V2(cx, cy + sw/2 - 3),
         ];
-        fillPolygon(app, r, col as any);
-        drawLine(app, new V2(cx, cy - sw/2), new V2(cx + sw, cy - sw/2), col as any, 1);
+        fillPolygon(app, r, col as any, this.antialias);
+        drawLine(app, new V2(cx, cy - sw/2), new V2(cx + sw, cy - sw/2), col as any, 1, { antialias: this.antialias });
+      } else if (row.symbol === "errorbar") {
+        const mx = Math.round(cx + sw/2), top = cy - sw/2 + 1, bottom = cy + sw/2 - 1;
+        drawLine(app, new V2(mx, top), new V2(mx, bottom), col as any, 1, { antialias: this.antialias });
+        drawLine(app, new V2(mx - 3, top), new V2(mx + 3, top), col as any, 1, { antialias: this.antialias });
+        drawLine(app, new V2(mx - 3, bottom), new V2(mx + 3, bottom), col as any, 1, { antialias: this.antialias });
+        fillCircle(app, new V2(mx, Math.round(cy)), 2, col as any, this.antialias);
+      } else if (row.symbol === "band") {
+        const r: [V2,V2,V2,V2] = [
+          new V2(cx, cy - sw/2 + 2),
+          new V2(cx + sw, cy - sw/2 + 2),
+          new V2(cx + sw, cy + sw/2 - 2),
+          new V2(cx, cy + sw/2 - 2),
+        ];
+        fillPolygon(app, r, withAlpha(col, 0.35) as any, this.antialias);
+        drawLine(app, new V2(cx, cy), new V2(cx + sw, cy), col as any, 1, { antialias: this.antialias });
+      } else if (row.symbol === "box") {
+        const mx = Math.round(cx + sw/2);
+        const r: [V2,V2,V2,V2] = [new V2(mx - 4, cy - 3), new V2(mx + 4, cy - 3), new V2(mx + 4, cy + 3), new V2(mx - 4, cy + 3)];
+        fillPolygon(app, r, withAlpha(col, 0.4) as any, this.antialias);
+        drawLine(app, new V2(mx, cy - sw/2 + 1), new V2(mx, cy - 3), col as any, 1, { antialias: this.antialias });
+        drawLine(app, new V2(mx, cy + 3), new V2(mx, cy + sw/2 - 1), col as any, 1, { antialias: this.antialias });
+        drawLine(app, new V2(mx - 4, cy), new V2(mx + 4, cy), col as any, 1, { antialias: this.antialias });
+        for (let i = 0; i < 4; i++) drawLine(app, r[i], r[(i + 1) % 4], col as any, 1, { antialias: this.antialias });
       } else {
-        drawLine(app, new V2(cx, cy), new V2(cx + sw, cy), col as any, 2);
+        drawLine(app, new V2(cx, cy), new V2(cx + sw, cy), col as any, 2, { antialias: this.antialias });
       }
 
-      app.drawText(it.label, new V2(cx + sw + 6, cy), opts.textColor, opts.font, "left", "middle");
-      cy += rowH;
+      app.drawText(row.item.label, row.textPos, lay.textColor, lay.font, "left", "middle");
     }
   }
 }
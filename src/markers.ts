@@ -0,0 +1,126 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/markers.ts
+// Marker shapes and their pre-rasterized coverage masks
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { distanceToPolyline, pointInPolygon } from "./geometry";
+
+export type MarkerShape = "circle" | "square" | "triangle" | "diamond" | "x" | "plus" | "star";
+
+/** A shape, filled, or its "-open" variant drawn as a 1px outline. */
+export type MarkerType = MarkerShape | `${MarkerShape}-open`;
+
+export const MARKER_SHAPES: readonly MarkerShape[] = ["circle", "square", "triangle", "diamond", "x", "plus", "star"];
+
+/** Outline width (px) of "-open" markers. */
+const OPEN_WIDTH = 1.2;
+/** Subsamples per pixel side when measuring coverage. */
+const SUPERSAMPLE = 4;
+const MAX_MASKS = 512;
+
+export function parseMarker(type: MarkerType): { shape: MarkerShape; open: boolean } {
+  const open = type.endsWith("-open");
+  return { shape: (open ? type.slice(0, -5) : type) as MarkerShape, open };
+}
+
+/**
+ * Canvas-space outline of a marker of radius `r` centred on (cx, cy), or
+ * null for the circle, which is drawn analytically. Shapes are scaled to
+ * look about equally heavy at the same radius.
+ */
+export function markerPolygon(shape: MarkerShape, r: number, cx: number = 0, cy: number = 0): V2[] | null {
+  const at = (x: number, y: number) => new V2(cx + x, cy + y);
+  switch (shape) {
+    case "circle":
+      return null;
+    case "square": {
+      const h = r * 0.886; // same area as the circle
+      return [at(-h, -h), at(h, -h), at(h, h), at(-h, h)];
+    }
+    case "triangle": {
+      const h = r * 1.2;
+      return [at(0, -h), at(h * 0.866, h * 0.5), at(-h * 0.866, h * 0.5)];
+    }
+    case "diamond": {
+      const h = r * 1.2;
+      return [at(0, -h), at(h, 0), at(0, h), at(-h, 0)];
+    }
+    case "plus":
+    case "x": {
+      const t = Math.max(0.5, r * 0.3), h = r * 1.1;
+      const arm = [[-t, -h], [t, -h], [t, -t], [h, -t], [h, t], [t, t], [t, h], [-t, h], [-t, t], [-h, t], [-h, -t], [-t, -t]];
+      const c = shape === "x" ? Math.SQRT1_2 : 1, s = shape === "x" ? Math.SQRT1_2 : 0;
+      return arm.map(([x, y]) => at(x * c - y * s, x * s + y * c));
+    }
+    case "star": {
+      const pts: V2[] = [];
+      for (let k = 0; k < 10; k++) {
+        const rad = k % 2 ? r * 0.55 : r * 1.25;
+        const a = -Math.PI / 2 + (k * Math.PI) / 5;
+        pts.push(at(rad * Math.cos(a), rad * Math.sin(a)));
+      }
+      return pts;
+    }
+  }
+}
+
+/**
+ * Coverage stamp of a marker centred on pixel (0, 0): `size`×`size` values
+ * in [0, 1], row-major, with the centre at index `half`. Pixel centres sit
+ * on integer coordinates, as in the rest of the rasterizer.
+ */
+export interface MarkerMask {
+  size: number;
+  half: number;
+  coverage: Float32Array;
+}
+
+const maskCache = new Map<string, MarkerMask>();
+
+/**
+ * The mask for `type` at radius `r` (quantized to 0.25 px). Masks are cached
+ * and shared, so stamping thousands of markers costs one blend per covered
+ * pixel and no geometry. Without anti-aliasing coverage is 0 or 1.
+ */
+export function markerMask(type: MarkerType, r: number, antialias: boolean): MarkerMask {
+  const rq = Math.max(0.5, Math.round(r * 4) / 4);
+  const key = `${type}|${rq}|${antialias ? 1 : 0}`;
+  let mask = maskCache.get(key);
+  if (mask) return mask;
+
+  const { shape, open } = parseMarker(type);
+  const poly = markerPolygon(shape, rq);
+  const half = Math.ceil(rq * 1.3 + OPEN_WIDTH);
+  const size = 2 * half + 1;
+  const coverage = new Float32Array(size * size);
+  const inside = (x: number, y: number): boolean => {
+    if (!poly) {
+      const d = Math.hypot(x, y);
+      return open ? Math.abs(d - rq) <= OPEN_WIDTH / 2 : d <= rq;
+    }
+    const p = new V2(x, y);
+    return open ? distanceToPolyline(p, poly, true) <= OPEN_WIDTH / 2 : pointInPolygon(p, poly);
+  };
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      const px = i - half, py = j - half;
+      let hits = 0;
+      if (antialias) {
+        for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+          for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+            if (inside(px - 0.5 + (sx + 0.5) / SUPERSAMPLE, py - 0.5 + (sy + 0.5) / SUPERSAMPLE)) hits++;
+          }
+        }
+        coverage[j * size + i] = hits / (SUPERSAMPLE * SUPERSAMPLE);
+      } else {
+        coverage[j * size + i] = inside(px, py) ? 1 : 0;
+      }
+    }
+  }
+
+  mask = { size, half, coverage };
+  if (maskCache.size >= MAX_MASKS) maskCache.delete(maskCache.keys().next().value!);
+  maskCache.set(key, mask);
+  return mask;
+}
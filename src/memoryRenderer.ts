@@ -0,0 +1,87 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/memoryRenderer.ts
+// DOM-free Renderer backed only by a PixelBuffer (Node, Web Workers, tests)
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { PixelBuffer, PixelImage } from "./pixelbuffer";
+import { TextCache } from "./textCache";
+import { Renderer, placeText } from "./renderer";
+import { measureBitmapText, rasterizeBitmapText } from "./bitmapFont";
+import type { Rect } from "./types";
+
+/**
+ * Pure-memory renderer. Text uses the built-in bitmap font, so a scene drawn
+ * here matches a CanvasRenderer created with `{ bitmapText: true }` exactly.
+ * render() hands the finished buffer (and any dirty rectangles) to `onRender`.
+ */
+export class MemoryRenderer implements Renderer {
+  public size: V2;
+  public buffer: PixelBuffer;
+  public antialias = false;
+  public renderables: Array<{ draw: (app: MemoryRenderer) => void }> = [];
+  public onRender: ((buffer: PixelBuffer, dirty?: readonly Rect[]) => void) | null = null;
+  private textCache = new TextCache(512);
+
+  constructor(width: number, height: number) {
+    this.buffer = new PixelBuffer(width, height);
+    this.size = new V2(this.buffer.width, this.buffer.height);
+  }
+
+  resize(width: number, height: number): void {
+    this.buffer.resize(width, height);
+    this.size = new V2(this.buffer.width, this.buffer.height);
+  }
+
+  addRenderable(obj: { draw: (app: MemoryRenderer) => void }): void {
+    this.renderables.push(obj);
+  }
+
+  clear(color: string = "#131313"): void {
+    this.buffer.clear(color);
+  }
+
+  putPixel(p: V2, color: Readonly<[number, number, number, number]>): void {
+    this.buffer.putPixel(p.x | 0, p.y | 0, color);
+  }
+
+  putPixelBlend(p: V2, color: Readonly<[number, number, number, number]>): void {
+    this.buffer.putPixelBlend(p.x | 0, p.y | 0, color);
+  }
+
+  blitImageData(img: PixelImage, dx: number, dy: number): void {
+    this.buffer.blit(img, dx, dy);
+  }
+
+  render(dirty?: readonly Rect[]): void {
+    this.onRender?.(this.buffer, dirty);
+  }
+
+  renderAll(): void {
+    this.clear();
+    this.renderables.forEach(obj => obj.draw(this));
+    this.render();
+  }
+
+  measureText(text: string, font: string = "12px sans-serif"): { width: number; height: number } {
+    return measureBitmapText(text, font);
+  }
+
+  drawText(
+    text: string,
+    pos: V2,
+    color: string = "#fff",
+    font: string = "12px sans-serif",
+    align: CanvasTextAlign = "left",
+    baseline: CanvasTextBaseline = "alphabetic",
+    angle: number = 0
+  ): void {
+    const t = placeText(this.textCache, `${text}|${font}|${color}`, () => rasterizeBitmapText(text, font, color), pos, align, baseline, angle);
+    this.blitImageData(t.image, t.x, t.y);
+  }
+
+  /** Encode the current frame as PNG bytes. */
+  toPNG(): Uint8Array {
+    return this.buffer.toPNG();
+  }
+}
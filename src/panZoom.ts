@@ -0,0 +1,233 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/panZoom.ts
+// Opt-in mouse / touch pan & zoom controller for a ViewportManager
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { ViewportManager } from "./viewport";
+import type { WorldBounds } from "./types";
+
+export type ViewChangeListener = (bounds: WorldBounds, vp: ViewportManager) => void;
+
+export interface PanZoomOptions {
+  /** Element receiving the pointer events. Defaults to the viewport's canvas. */
+  target?: HTMLElement | null;
+  enablePan?: boolean;
+  enableZoom?: boolean;
+  /** Keep the x range fixed while zooming. */
+  lockX?: boolean;
+  /** Keep the y range fixed while zooming. */
+  lockY?: boolean;
+  /** Zoom factor per wheel delta unit. */
+  wheelSpeed?: number;
+  /** Smallest / largest allowed world span per axis. */
+  minSpan?: number;
+  maxSpan?: number;
+  /** Double-click resets to the last fitted bounds. */
+  resetOnDoubleClick?: boolean;
+}
+
+/** Find the DOM canvas behind a CanvasRenderer or a DynamicCanvasRenderer. */
+function resolveCanvas(app: any): HTMLCanvasElement | null {
+  if (!app) return null;
+  if (app.canvas) return app.canvas;
+  if (app.app && app.app.canvas) return app.app.canvas;
+  return null;
+}
+
+export class PanZoomController {
+  public enablePan: boolean;
+  public enableZoom: boolean;
+  public lockX: boolean;
+  public lockY: boolean;
+  public wheelSpeed: number;
+  public minSpan: number;
+  public maxSpan: number;
+  public resetOnDoubleClick: boolean;
+
+  private target: HTMLElement | null;
+  private homeBounds: WorldBounds;
+  private listeners: ViewChangeListener[] = [];
+  private pointers = new Map<number, V2>();
+  private pinchDist = 0;
+  private pinchMid: V2 | null = null;
+  private attached = false;
+
+  constructor(public vp: ViewportManager, options: PanZoomOptions = {}) {
+    this.target = options.target ?? resolveCanvas(vp.app);
+    this.enablePan = options.enablePan !== false;
+    this.enableZoom = options.enableZoom !== false;
+    this.lockX = options.lockX ?? false;
+    this.lockY = options.lockY ?? false;
+    this.wheelSpeed = options.wheelSpeed ?? 0.0015;
+    this.minSpan = options.minSpan ?? 1e-9;
+    this.maxSpan = options.maxSpan ?? 1e12;
+    this.resetOnDoubleClick = options.resetOnDoubleClick !== false;
+    this.homeBounds = { ...vp.worldBounds };
+  }
+
+  attach(): this {
+    const el = this.target;
+    if (!el || this.attached) return this;
+    el.style.touchAction = "none";
+    el.addEventListener("wheel", this.onWheel, { passive: false });
+    el.addEventListener("pointerdown", this.onPointerDown);
+    el.addEventListener("pointermove", this.onPointerMove);
+    el.addEventListener("pointerup", this.onPointerUp);
+    el.addEventListener("pointercancel", this.onPointerUp);
+    el.addEventListener("dblclick", this.onDoubleClick);
+    this.attached = true;
+    return this;
+  }
+
+  detach(): this {
+    const el = this.target;
+    if (!el || !this.attached) return this;
+    el.removeEventListener("wheel", this.onWheel);
+    el.removeEventListener("pointerdown", this.onPointerDown);
+    el.removeEventListener("pointermove", this.onPointerMove);
+    el.removeEventListener("pointerup", this.onPointerUp);
+    el.removeEventListener("pointercancel", this.onPointerUp);
+    el.removeEventListener("dblclick", this.onDoubleClick);
+    this.pointers.clear();
+    this.attached = false;
+    return this;
+  }
+
+  /** Subscribe to view changes. Returns an unsubscribe function. */
+  onViewChange(listener: ViewChangeListener): () => void {
+    this.listeners.push(listener);
+    return () => { this.listeners = this.listeners.filter(l => l !== listener); };
+  }
+
+  /** Zoom by `factor` (< 1 zooms in) keeping the world point under (cx, cy) fixed. */
+  zoomAt(cx: number, cy: number, factor: number): void {
+    if (!isFinite(factor) || factor <= 0) return;
+    const { xMin, xMax, yMin, yMax } = this.vp.worldBounds;
+    const anchor = this.vp.canvasToWorld(cx, cy);
+    const fx = this.lockX ? 1 : this.clampFactor(xMax - xMin, factor);
+    const fy = this.lockY ? 1 : this.clampFactor(yMax - yMin, factor);
+    if (fx === 1 && fy === 1) return;
+    // scale about the anchor in scale space so log / symlog axes zoom evenly
+    const sx = this.vp.xScale, sy = this.vp.yScale;
+    const ax = sx.forward(anchor.x), ay = sy.forward(anchor.y);
+    if (this.vp.y2) {
+      const a2 = this.vp.y2.yScale.forward(this.vp.y2.canvasToWorld(cx, cy).y);
+      this.moveY2(u => a2 + (u - a2) * fy);
+    }
+    this.setBounds({
+      xMin: sx.inverse(ax - (ax - sx.forward(xMin)) * fx),
+      xMax: sx.inverse(ax + (sx.forward(xMax) - ax) * fx),
+      yMin: sy.inverse(ay - (ay - sy.forward(yMin)) * fy),
+      yMax: sy.inverse(ay + (sy.forward(yMax) - ay) * fy),
+    });
+  }
+
+  /** Pan by a canvas-space pixel delta. */
+  panBy(dxPx: number, dyPx: number): void {
+    if (dxPx === 0 && dyPx === 0) return;
+    const sc = this.vp.scale;
+    const dx = -dxPx / sc.x;
+    const dy = dyPx / sc.y;
+    const { xMin, xMax, yMin, yMax } = this.vp.worldBounds;
+    const sx = this.vp.xScale, sy = this.vp.yScale;
+    if (this.vp.y2) {
+      const dy2 = dyPx / this.vp.y2.scale.y;
+      this.moveY2(u => u + dy2);
+    }
+    this.setBounds({
+      xMin: sx.inverse(sx.forward(xMin) + dx),
+      xMax: sx.inverse(sx.forward(xMax) + dx),
+      yMin: sy.inverse(sy.forward(yMin) + dy),
+      yMax: sy.inverse(sy.forward(yMax) + dy),
+    });
+  }
+
+  /** Return to the last fitted bounds (or the bounds at construction). */
+  reset(): void {
+    const y2 = this.vp.y2;
+    if (y2?.fittedBounds) y2.updateWorld({ ...y2.fittedBounds });
+    this.setBounds({ ...(this.vp.fittedBounds ?? this.homeBounds) });
+  }
+
+  setBounds(bounds: WorldBounds): void {
+    this.vp.updateWorld(bounds);
+    const b = this.vp.worldBounds;
+    for (const l of this.listeners) l(b, this.vp);
+  }
+
+  /** Apply a scale-space y change to the secondary axis so it stays in register with the primary. */
+  private moveY2(map: (u: number) => number): void {
+    const y2 = this.vp.y2!;
+    const s = y2.yScale, { yMin, yMax } = y2.worldBounds;
+    y2.updateWorld({ ...y2.worldBounds, yMin: s.inverse(map(s.forward(yMin))), yMax: s.inverse(map(s.forward(yMax))) });
+  }
+
+  private clampFactor(span: number, factor: number): number {
+    const next = span * factor;
+    if (next < this.minSpan) return this.minSpan / span;
+    if (next > this.maxSpan) return this.maxSpan / span;
+    return factor;
+  }
+
+  private toCanvas(e: { clientX: number; clientY: number }): V2 {
+    const rect = this.target!.getBoundingClientRect();
+    return new V2(e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  private onWheel = (e: WheelEvent): void => {
+    if (!this.enableZoom) return;
+    e.preventDefault();
+    const p = this.toCanvas(e);
+    const unit = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 100 : 1;
+    this.zoomAt(p.x, p.y, Math.exp(e.deltaY * unit * this.wheelSpeed));
+  };
+
+  private onPointerDown = (e: PointerEvent): void => {
+    if (e.defaultPrevented) return; // claimed by e.g. a ScenePointerController drag
+    this.pointers.set(e.pointerId, this.toCanvas(e));
+    this.target!.setPointerCapture?.(e.pointerId);
+    if (this.pointers.size === 2) this.beginPinch();
+  };
+
+  private onPointerMove = (e: PointerEvent): void => {
+    const prev = this.pointers.get(e.pointerId);
+    if (!prev) return;
+    const p = this.toCanvas(e);
+    this.pointers.set(e.pointerId, p);
+
+    if (this.pointers.size === 1) {
+      if (this.enablePan) this.panBy(p.x - prev.x, p.y - prev.y);
+      return;
+    }
+
+    if (this.pointers.size === 2 && this.pinchMid) {
+      const [a, b] = [...this.pointers.values()];
+      const mid = V2.lerp(a, b, 0.5);
+      const dist = b.sub(a).len();
+      if (this.enablePan) this.panBy(mid.x - this.pinchMid.x, mid.y - this.pinchMid.y);
+      if (this.enableZoom && dist > 0 && this.pinchDist > 0) this.zoomAt(mid.x, mid.y, this.pinchDist / dist);
+      this.pinchMid = mid;
+      this.pinchDist = dist;
+    }
+  };
+
+  private onPointerUp = (e: PointerEvent): void => {
+    this.pointers.delete(e.pointerId);
+    this.target!.releasePointerCapture?.(e.pointerId);
+    if (this.pointers.size === 2) this.beginPinch();
+    else this.pinchMid = null;
+  };
+
+  private onDoubleClick = (e: MouseEvent): void => {
+    if (!this.resetOnDoubleClick) return;
+    e.preventDefault();
+    this.reset();
+  };
+
+  private beginPinch(): void {
+    const [a, b] = [...this.pointers.values()];
+    this.pinchMid = V2.lerp(a, b, 0.5);
+    this.pinchDist = b.sub(a).len();
+  }
+}
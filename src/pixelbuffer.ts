@@ -1,68 +1,187 @@
 
 // ─────────────────────────────────────────────────────────────────────────────
 // File: src/pixelbuffer.ts
-// A CPU-side pixel buffer backed by ImageData, with blending puts and blits
+// A CPU-side RGBA pixel buffer with blending puts and blits
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { NAMED, parseColor, packABGR, blendRGBA } from "./color";
+import { encodePNG, decodePNG } from "./png";
+import type { Rect } from "./types";
+
+/** Structural subset of ImageData; a real ImageData satisfies it. */
+export interface PixelImage {
+  readonly width: number;
+  readonly height: number;
+  readonly data: Uint8ClampedArray;
+}
+
+/**
+ * Allocate pixel storage. Uses ImageData where the platform has it (so
+ * CanvasRenderer can putImageData the buffer directly) and a plain object
+ * elsewhere, e.g. in Node.
+ */
+export function createPixelImage(width: number, height: number): PixelImage {
+  const w = Math.max(1, width | 0), h = Math.max(1, height | 0);
+  if (typeof ImageData !== "undefined") return new ImageData(w, h);
+  return { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+}
+
+/**
+ * Integer bounds of a w×h image rotated by `angle` radians (clockwise on
+ * screen) about its top-left corner, relative to that corner.
+ */
+export function rotatedBounds(w: number, h: number, angle: number): Rect {
+  const c = Math.cos(angle), s = Math.sin(angle);
+  const xs = [0, c * w, -s * h, c * w - s * h];
+  const ys = [0, s * w, c * h, s * w + c * h];
+  const x = Math.floor(Math.min(...xs) + 1e-9), y = Math.floor(Math.min(...ys) + 1e-9);
+  return { x, y, width: Math.ceil(Math.max(...xs) - 1e-9) - x, height: Math.ceil(Math.max(...ys) - 1e-9) - y };
+}
+
+/**
+ * Copy of `img` rotated by `angle` radians (clockwise on screen), cropped to
+ * rotatedBounds(). Quarter turns are exact pixel moves; other angles are
+ * resampled bilinearly in premultiplied alpha so edges don't darken.
+ */
+export function rotatePixelImage(img: PixelImage, angle: number): PixelImage {
+  const { width: w, height: h, data: src } = img;
+  const b = rotatedBounds(w, h, angle);
+  const out = createPixelImage(b.width, b.height);
+  const dst = out.data;
+  const c = Math.cos(angle), s = Math.sin(angle);
+  const exact = Math.abs(angle / (Math.PI / 2) - Math.round(angle / (Math.PI / 2))) < 1e-9;
+
+  for (let Y = 0; Y < out.height; Y++) {
+    for (let X = 0; X < out.width; X++) {
+      // inverse-rotate the destination pixel centre into source pixel space
+      const px = X + 0.5 + b.x, py = Y + 0.5 + b.y;
+      const u = c * px + s * py - 0.5, v = -s * px + c * py - 0.5;
+      const o = (Y * out.width + X) * 4;
+
+      if (exact) {
+        const su = Math.round(u), sv = Math.round(v);
+        if (su < 0 || sv < 0 || su >= w || sv >= h) continue;
+        const i = (sv * w + su) * 4;
+        dst[o] = src[i]; dst[o + 1] = src[i + 1]; dst[o + 2] = src[i + 2]; dst[o + 3] = src[i + 3];
+        continue;
+      }
+
+      const u0 = Math.floor(u), v0 = Math.floor(v), fu = u - u0, fv = v - v0;
+      let r = 0, g = 0, bl = 0, a = 0;
+      for (let k = 0; k < 4; k++) {
+        const su = u0 + (k & 1), sv = v0 + (k >> 1);
+        if (su < 0 || sv < 0 || su >= w || sv >= h) continue;
+        const wt = ((k & 1) ? fu : 1 - fu) * ((k >> 1) ? fv : 1 - fv);
+        const i = (sv * w + su) * 4;
+        const aw = src[i + 3] * wt;
+        r += src[i] * aw; g += src[i + 1] * aw; bl += src[i + 2] * aw; a += aw;
+      }
+      if (a <= 0) continue;
+      dst[o] = r / a; dst[o + 1] = g / a; dst[o + 2] = bl / a; dst[o + 3] = a;
+    }
+  }
+  return out;
+}
 
 export class PixelBuffer {
   public width = 0;
   public height = 0;
-  public imageData: ImageData;
+  public imageData: PixelImage;
   public pixels: Uint8ClampedArray; // RGBA view
   public px32: Uint32Array;         // ABGR packed view
 
+  /** Clip rectangle, [clipX0, clipX1) × [clipY0, clipY1). Every write honors it. */
+  public clipX0 = 0;
+  public clipY0 = 0;
+  public clipX1 = 0;
+  public clipY1 = 0;
+
   constructor(width: number, height: number) {
-    this.imageData = new ImageData(Math.max(1, width | 0), Math.max(1, height | 0));
+    this.imageData = createPixelImage(width, height);
     this.pixels = this.imageData.data;
     this.px32 = new Uint32Array(this.pixels.buffer);
     this.width = this.imageData.width;
     this.height = this.imageData.height;
+    this.setClip(null);
   }
 
   resize(width: number, height: number): void {
-    this.imageData = new ImageData(Math.max(1, width | 0), Math.max(1, height | 0));
+    this.imageData = createPixelImage(width, height);
     this.pixels = this.imageData.data;
     this.px32 = new Uint32Array(this.pixels.buffer);
     this.width = this.imageData.width;
     this.height = this.imageData.height;
+    this.setClip(null);
+  }
+
+  /** Restrict writes to `rect` (clamped to the buffer); null removes the clip. */
+  setClip(rect: Rect | null): void {
+    if (!rect) {
+      this.clipX0 = 0; this.clipY0 = 0; this.clipX1 = this.width; this.clipY1 = this.height;
+      return;
+    }
+    this.clipX0 = Math.max(0, Math.floor(rect.x));
+    this.clipY0 = Math.max(0, Math.floor(rect.y));
+    this.clipX1 = Math.max(this.clipX0, Math.min(this.width, Math.ceil(rect.x + rect.width)));
+    this.clipY1 = Math.max(this.clipY0, Math.min(this.height, Math.ceil(rect.y + rect.height)));
+  }
+
+  get clipped(): boolean {
+    return this.clipX0 > 0 || this.clipY0 > 0 || this.clipX1 < this.width || this.clipY1 < this.height;
   }
 
   clear(color: string = "#131313"): void {
     const c = parseColor(color) || NAMED.black;
     const packed = packABGR(c[0], c[1], c[2], c[3]);
-    this.px32.fill(packed);
+    if (!this.clipped) { this.px32.fill(packed); return; }
+    for (let y = this.clipY0; y < this.clipY1; y++) {
+      this.px32.fill(packed, y * this.width + this.clipX0, y * this.width + this.clipX1);
+    }
   }
 
   private index(x: number, y: number): number { return ((y * this.width + x) | 0) * 4; }
 
   putPixel(x: number, y: number, color: Readonly<[number, number, number, number]>): void {
-    if (x >>> 0 >= this.width >>> 0 || y >>> 0 >= this.height >>> 0) return;
-    const i = this.index(x | 0, y | 0);
+    x |= 0; y |= 0;
+    if (x < this.clipX0 || x >= this.clipX1 || y < this.clipY0 || y >= this.clipY1) return;
+    const i = this.index(x, y);
     const c = color;
     this.pixels[i] = c[0]; this.pixels[i + 1] = c[1]; this.pixels[i + 2] = c[2]; this.pixels[i + 3] = c[3];
   }
 
   putPixelBlend(x: number, y: number, color: Readonly<[number, number, number, number]>): void {
-    if (x >>> 0 >= this.width >>> 0 || y >>> 0 >= this.height >>> 0) return;
-    const i = this.index(x | 0, y | 0);
+    x |= 0; y |= 0;
+    if (x < this.clipX0 || x >= this.clipX1 || y < this.clipY0 || y >= this.clipY1) return;
+    const i = this.index(x, y);
     const dr = this.pixels[i], dg = this.pixels[i + 1], db = this.pixels[i + 2], da = this.pixels[i + 3];
     const [r, g, b, a] = blendRGBA(dr, dg, db, da, color[0], color[1], color[2], color[3]);
     this.pixels[i] = (r + 0.5) | 0; this.pixels[i + 1] = (g + 0.5) | 0; this.pixels[i + 2] = (b + 0.5) | 0; this.pixels[i + 3] = (a + 0.5) | 0;
   }
 
-  /** Alpha-blit ImageData into this buffer at (dx,dy). */
-  blit(srcImageData: ImageData, dx: number, dy: number): void {
+  /** Encode the buffer as PNG bytes (8-bit RGBA, no canvas required). */
+  toPNG(): Uint8Array {
+    return encodePNG(this.width, this.height, this.pixels);
+  }
+
+  /** Decode PNG bytes into a new PixelBuffer. */
+  static fromPNG(bytes: Uint8Array | ArrayBuffer): PixelBuffer {
+    const png = decodePNG(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    const pb = new PixelBuffer(png.width, png.height);
+    pb.pixels.set(png.data);
+    return pb;
+  }
+
+  /** Alpha-blit an image (ImageData or PixelImage) into this buffer at (dx,dy), its alpha scaled by `opacity`. */
+  blit(srcImageData: PixelImage, dx: number, dy: number, opacity: number = 1): void {
     const sw = srcImageData.width | 0, sh = srcImageData.height | 0;
     const src = srcImageData.data;
-    const w = this.width, h = this.height;
+    const w = this.width;
     dx |= 0; dy |= 0;
 
-    const startX = Math.max(0, dx);
-    const startY = Math.max(0, dy);
-    const endX = Math.min(w, dx + sw);
-    const endY = Math.min(h, dy + sh);
+    const startX = Math.max(this.clipX0, dx);
+    const startY = Math.max(this.clipY0, dy);
+    const endX = Math.min(this.clipX1, dx + sw);
+    const endY = Math.min(this.clipY1, dy + sh);
 
     for (let sy = startY - dy; sy < endY - dy; sy++) {
       const ty = dy + sy;
@@ -72,15 +191,20 @@ export class PixelBuffer {
         const sIdx = (sy * sw + sx) * 4;
         const dIdx = (rowOff + tx) * 4;
 
+        const sr = src[sIdx], sg = src[sIdx + 1], sb = src[sIdx + 2], sa = opacity === 1 ? src[sIdx + 3] : Math.round(src[sIdx + 3] * opacity);
+        if (sa === 0) continue;
+        if (sa === 255) {
+          this.pixels[dIdx] = sr; this.pixels[dIdx + 1] = sg; this.pixels[dIdx + 2] = sb; this.pixels[dIdx + 3] = 255;
+          continue;
+        }
         const dr = this.pixels[dIdx], dg = this.pixels[dIdx + 1], db = this.pixels[dIdx + 2], da = this.pixels[dIdx + 3];
-        const sr = src[sIdx], sg = src[sIdx + 1], sb = src[sIdx + 2], sa = src[sIdx + 3];
         const alpha = sa / 255;
         const invAlpha = 1 - alpha;
 
         this.pixels[dIdx]     = (sr * alpha + dr * invAlpha + 0.5) | 0;
         this.pixels[dIdx + 1] = (sg * alpha + dg * invAlpha + 0.5) | 0;
         this.pixels[dIdx + 2] = (sb * alpha + db * invAlpha + 0.5) | 0;
-        this.pixels[dIdx + 3] = (sa * alpha + da * invAlpha + 0.5) | 0;
+        this.pixels[dIdx + 3] = (sa + da * invAlpha + 0.5) | 0;
       }
     }
   }
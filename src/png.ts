@@ -0,0 +1,530 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/png.ts
+// Pure-JS PNG encode / decode (zlib deflate + inflate, CRC32, filters)
+// ─────────────────────────────────────────────────────────────────────────────
+
+export interface DecodedPNG {
+  width: number;
+  height: number;
+  /** Non-premultiplied RGBA, 8 bits per channel. */
+  data: Uint8ClampedArray;
+}
+
+// -------------------- CHECKSUMS --------------------
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+export function crc32(bytes: Uint8Array, start: number = 0, end: number = bytes.length): number {
+  let c = 0xffffffff;
+  for (let i = start; i < end; i++) c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+export function adler32(bytes: Uint8Array): number {
+  let a = 1, b = 0;
+  for (let i = 0; i < bytes.length; ) {
+    const end = Math.min(bytes.length, i + 5552); // keeps sums below 2^32 before the modulo
+    for (; i < end; i++) { a += bytes[i]; b += a; }
+    a %= 65521; b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// -------------------- DEFLATE TABLES --------------------
+
+const LEN_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LEN_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CLEN_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/** Length (3..258) → index into LEN_BASE. */
+const LEN_INDEX = (() => {
+  const t = new Uint8Array(259);
+  for (let i = 0; i < LEN_BASE.length; i++) {
+    const end = i + 1 < LEN_BASE.length ? LEN_BASE[i + 1] : 259;
+    for (let l = LEN_BASE[i]; l < end; l++) t[l] = i;
+  }
+  t[258] = 28;
+  return t;
+})();
+
+function distIndex(d: number): number {
+  let lo = 0, hi = DIST_BASE.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (DIST_BASE[mid] <= d) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+// -------------------- DEFLATE (fixed Huffman + LZ77) --------------------
+
+class BitWriter {
+  private buf = new Uint8Array(1 << 16);
+  private len = 0;
+  private bitBuf = 0;
+  private bitCnt = 0;
+
+  private ensure(n: number): void {
+    if (this.len + n <= this.buf.length) return;
+    let cap = this.buf.length * 2;
+    while (cap < this.len + n) cap *= 2;
+    const next = new Uint8Array(cap);
+    next.set(this.buf.subarray(0, this.len));
+    this.buf = next;
+  }
+
+  /** Write `n` bits of `v`, LSB first (deflate bit order). */
+  bits(v: number, n: number): void {
+    this.bitBuf |= v << this.bitCnt;
+    this.bitCnt += n;
+    this.ensure(4);
+    while (this.bitCnt >= 8) {
+      this.buf[this.len++] = this.bitBuf & 255;
+      this.bitBuf >>>= 8;
+      this.bitCnt -= 8;
+    }
+  }
+
+  /** Write a Huffman code (stored MSB first) of `n` bits. */
+  code(c: number, n: number): void {
+    let r = 0;
+    for (let i = 0; i < n; i++) { r = (r << 1) | (c & 1); c >>>= 1; }
+    this.bits(r, n);
+  }
+
+  byte(b: number): void { this.ensure(1); this.buf[this.len++] = b & 255; }
+
+  flush(): void { if (this.bitCnt > 0) this.bits(0, 8 - this.bitCnt); }
+
+  result(): Uint8Array { return this.buf.slice(0, this.len); }
+}
+
+function writeFixedLiteral(w: BitWriter, sym: number): void {
+  if (sym < 144) w.code(0x30 + sym, 8);
+  else if (sym < 256) w.code(0x190 + sym - 144, 9);
+  else if (sym < 280) w.code(sym - 256, 7);
+  else w.code(0xc0 + sym - 280, 8);
+}
+
+const WINDOW = 32768;
+const HASH_BITS = 15;
+const MAX_CHAIN = 64;
+const MAX_MATCH = 258;
+
+/** zlib stream (RFC 1950) wrapping a single fixed-Huffman deflate block. */
+export function zlibDeflate(data: Uint8Array): Uint8Array {
+  const w = new BitWriter();
+  w.byte(0x78); w.byte(0x9c);
+  w.bits(1, 1); // BFINAL
+  w.bits(1, 2); // BTYPE = fixed Huffman
+
+  const n = data.length;
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const prev = new Int32Array(WINDOW);
+  const hash = (i: number) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & ((1 << HASH_BITS) - 1);
+  const insert = (i: number) => {
+    if (i + 2 >= n) return;
+    const h = hash(i);
+    prev[i & (WINDOW - 1)] = head[h];
+    head[h] = i;
+  };
+
+  let i = 0;
+  while (i < n) {
+    let bestLen = 0, bestDist = 0;
+    if (i + 2 < n) {
+      let cand = head[hash(i)];
+      let chain = MAX_CHAIN;
+      const maxLen = Math.min(MAX_MATCH, n - i);
+      while (cand >= 0 && i - cand <= WINDOW && chain-- > 0) {
+        if (data[cand + bestLen] === data[i + bestLen]) {
+          let l = 0;
+          while (l < maxLen && data[cand + l] === data[i + l]) l++;
+          if (l > bestLen) { bestLen = l; bestDist = i - cand; if (l === maxLen) break; }
+        }
+        const next = prev[cand & (WINDOW - 1)];
+        if (next >= cand) break;
+        cand = next;
+      }
+    }
+
+    if (bestLen >= 3) {
+      const li = LEN_INDEX[bestLen];
+      writeFixedLiteral(w, 257 + li);
+      if (LEN_EXTRA[li]) w.bits(bestLen - LEN_BASE[li], LEN_EXTRA[li]);
+      const di = distIndex(bestDist);
+      w.code(di, 5);
+      if (DIST_EXTRA[di]) w.bits(bestDist - DIST_BASE[di], DIST_EXTRA[di]);
+      for (let k = 0; k < bestLen; k++) insert(i + k);
+      i += bestLen;
+    } else {
+      writeFixedLiteral(w, data[i]);
+      insert(i);
+      i++;
+    }
+  }
+  writeFixedLiteral(w, 256);
+  w.flush();
+
+  const a = adler32(data);
+  w.byte(a >>> 24); w.byte(a >>> 16); w.byte(a >>> 8); w.byte(a);
+  return w.result();
+}
+
+// -------------------- INFLATE --------------------
+
+interface Huffman { count: Uint16Array; symbol: Uint16Array }
+
+function buildHuffman(lengths: ArrayLike<number>, n: number): Huffman {
+  const count = new Uint16Array(16);
+  const symbol = new Uint16Array(n);
+  for (let s = 0; s < n; s++) count[lengths[s]]++;
+  const offs = new Uint16Array(16);
+  for (let len = 1; len < 15; len++) offs[len + 1] = offs[len] + count[len];
+  for (let s = 0; s < n; s++) if (lengths[s]) symbol[offs[lengths[s]]++] = s;
+  return { count, symbol };
+}
+
+const FIXED_LIT = (() => {
+  const l = new Uint8Array(288);
+  l.fill(8, 0, 144); l.fill(9, 144, 256); l.fill(7, 256, 280); l.fill(8, 280, 288);
+  return buildHuffman(l, 288);
+})();
+const FIXED_DIST = buildHuffman(new Uint8Array(30).fill(5), 30);
+
+class Inflater {
+  private pos: number;
+  private bitBuf = 0;
+  private bitCnt = 0;
+  private out: Uint8Array;
+  private outLen = 0;
+
+  constructor(private src: Uint8Array, start: number, sizeHint: number) {
+    this.pos = start;
+    this.out = new Uint8Array(Math.max(1024, sizeHint));
+  }
+
+  private need(n: number): void {
+    if (this.outLen + n <= this.out.length) return;
+    let cap = this.out.length * 2;
+    while (cap < this.outLen + n) cap *= 2;
+    const next = new Uint8Array(cap);
+    next.set(this.out.subarray(0, this.outLen));
+    this.out = next;
+  }
+
+  private bits(n: number): number {
+    let v = this.bitBuf;
+    while (this.bitCnt < n) {
+      if (this.pos >= this.src.length) throw new Error("inflate: unexpected end of data");
+      v |= this.src[this.pos++] << this.bitCnt;
+      this.bitCnt += 8;
+    }
+    this.bitBuf = v >>> n;
+    this.bitCnt -= n;
+    return v & ((1 << n) - 1);
+  }
+
+  private decode(h: Huffman): number {
+    let code = 0, first = 0, index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= this.bits(1);
+      const count = h.count[len];
+      if (code - count < first) return h.symbol[index + (code - first)];
+      index += count;
+      first += count;
+      first <<= 1;
+      code <<= 1;
+    }
+    throw new Error("inflate: invalid Huffman code");
+  }
+
+  private stored(): void {
+    this.bitBuf = 0; this.bitCnt = 0;
+    const s = this.src;
+    if (this.pos + 4 > s.length) throw new Error("inflate: truncated stored block");
+    const len = s[this.pos] | (s[this.pos + 1] << 8);
+    const nlen = s[this.pos + 2] | (s[this.pos + 3] << 8);
+    if (len !== (~nlen & 0xffff)) throw new Error("inflate: stored block length mismatch");
+    this.pos += 4;
+    if (this.pos + len > s.length) throw new Error("inflate: truncated stored block");
+    this.need(len);
+    this.out.set(s.subarray(this.pos, this.pos + len), this.outLen);
+    this.outLen += len;
+    this.pos += len;
+  }
+
+  private codes(lit: Huffman, dist: Huffman): void {
+    for (;;) {
+      const sym = this.decode(lit);
+      if (sym < 256) { this.need(1); this.out[this.outLen++] = sym; continue; }
+      if (sym === 256) return;
+      const li = sym - 257;
+      if (li >= 29) throw new Error("inflate: bad length symbol");
+      const len = LEN_BASE[li] + this.bits(LEN_EXTRA[li]);
+      const di = this.decode(dist);
+      if (di >= 30) throw new Error("inflate: bad distance symbol");
+      const d = DIST_BASE[di] + this.bits(DIST_EXTRA[di]);
+      if (d > this.outLen) throw new Error("inflate: distance too far back");
+      this.need(len);
+      const o = this.out;
+      for (let k = 0; k < len; k++, this.outLen++) o[this.outLen] = o[this.outLen - d];
+    }
+  }
+
+  private dynamic(): void {
+    const nlen = this.bits(5) + 257, ndist = this.bits(5) + 1, ncode = this.bits(4) + 4;
+    const lengths = new Uint8Array(320);
+    for (let i = 0; i < ncode; i++) lengths[CLEN_ORDER[i]] = this.bits(3);
+    const lencode = buildHuffman(lengths, 19);
+    lengths.fill(0);
+    let idx = 0;
+    while (idx < nlen + ndist) {
+      const sym = this.decode(lencode);
+      if (sym < 16) { lengths[idx++] = sym; continue; }
+      let len = 0, rep: number;
+      if (sym === 16) {
+        if (idx === 0) throw new Error("inflate: repeat with no previous length");
+        len = lengths[idx - 1];
+        rep = 3 + this.bits(2);
+      } else if (sym === 17) rep = 3 + this.bits(3);
+      else rep = 11 + this.bits(7);
+      if (idx + rep > nlen + ndist) throw new Error("inflate: too many code lengths");
+      while (rep--) lengths[idx++] = len;
+    }
+    this.codes(buildHuffman(lengths, nlen), buildHuffman(lengths.subarray(nlen), ndist));
+  }
+
+  run(): Uint8Array {
+    let last = 0;
+    while (!last) {
+      last = this.bits(1);
+      const type = this.bits(2);
+      if (type === 0) this.stored();
+      else if (type === 1) this.codes(FIXED_LIT, FIXED_DIST);
+      else if (type === 2) this.dynamic();
+      else throw new Error("inflate: invalid block type");
+    }
+    return this.out.slice(0, this.outLen);
+  }
+}
+
+/** Decompress a zlib stream (RFC 1950). The Adler-32 trailer is verified when present. */
+export function zlibInflate(data: Uint8Array, sizeHint: number = data.length * 4): Uint8Array {
+  if (data.length < 2) throw new Error("zlib: stream too short");
+  const cmf = data[0], flg = data[1];
+  if ((cmf & 15) !== 8 || ((cmf << 8) | flg) % 31 !== 0) throw new Error("zlib: bad header");
+  if (flg & 32) throw new Error("zlib: preset dictionaries are not supported");
+  const inf = new Inflater(data, 2, sizeHint);
+  const out = inf.run();
+  const end = data.length;
+  if (end >= 6) {
+    const stored = ((data[end - 4] << 24) | (data[end - 3] << 16) | (data[end - 2] << 8) | data[end - 1]) >>> 0;
+    if (stored !== adler32(out)) throw new Error("zlib: Adler-32 mismatch");
+  }
+  return out;
+}
+
+// -------------------- PNG --------------------
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function writeU32(buf: Uint8Array, off: number, v: number): void {
+  buf[off] = v >>> 24; buf[off + 1] = v >>> 16; buf[off + 2] = v >>> 8; buf[off + 3] = v;
+}
+
+function readU32(buf: Uint8Array, off: number): number {
+  return ((buf[off] << 24) | (buf[off + 1] << 16) | (buf[off + 2] << 8) | buf[off + 3]) >>> 0;
+}
+
+function chunk(type: string, data: Uint8Array): Uint8Array {
+  const out = new Uint8Array(12 + data.length);
+  writeU32(out, 0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  writeU32(out, 8 + data.length, crc32(out, 4, 8 + data.length));
+  return out;
+}
+
+/**
+ * Encode 8-bit RGBA pixels as PNG. Every scanline gets the filter
+ * (None/Sub/Up/Average/Paeth) with the smallest sum of absolute residuals.
+ */
+export function encodePNG(width: number, height: number, rgba: ArrayLike<number>): Uint8Array {
+  width |= 0; height |= 0;
+  if (width <= 0 || height <= 0) throw new Error("PNG: image must be at least 1x1");
+  if (rgba.length < width * height * 4) throw new Error("PNG: pixel data too short");
+
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  const cand = [0, 1, 2, 3, 4].map(() => new Uint8Array(stride));
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    let best = 0, bestScore = Infinity;
+    for (let f = 0; f < 5; f++) {
+      const out = cand[f];
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const x = rgba[row + i];
+        const a = i >= 4 ? rgba[row + i - 4] : 0;
+        const b = y > 0 ? rgba[row - stride + i] : 0;
+        const c = i >= 4 && y > 0 ? rgba[row - stride + i - 4] : 0;
+        const pred = f === 0 ? 0 : f === 1 ? a : f === 2 ? b : f === 3 ? (a + b) >> 1 : paeth(a, b, c);
+        const v = (x - pred) & 255;
+        out[i] = v;
+        score += v < 128 ? v : 256 - v;
+      }
+      if (score < bestScore) { bestScore = score; best = f; }
+    }
+    raw[y * (stride + 1)] = best;
+    raw.set(cand[best], y * (stride + 1) + 1);
+  }
+
+  const ihdr = new Uint8Array(13);
+  writeU32(ihdr, 0, width);
+  writeU32(ihdr, 4, height);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // color type: RGBA
+  ihdr[10] = 0; ihdr[11] = 0; ihdr[12] = 0;
+
+  const parts = [
+    Uint8Array.from(PNG_SIGNATURE),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlibDeflate(raw)),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
+
+const ADAM7: Array<[number, number, number, number]> = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2],
+];
+
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a PNG into 8-bit RGBA. Supports every standard color type and bit
+ * depth (16-bit samples are truncated to 8), palettes with tRNS, and Adam7.
+ */
+export function decodePNG(bytes: Uint8Array): DecodedPNG {
+  for (let i = 0; i < 8; i++) if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error("PNG: bad signature");
+
+  let width = 0, height = 0, depth = 0, colorType = 0, interlace = 0;
+  let palette: Uint8Array | null = null;
+  let trns: Uint8Array | null = null;
+  const idat: Uint8Array[] = [];
+  let off = 8;
+  while (off + 8 <= bytes.length) {
+    const len = readU32(bytes, off);
+    const type = String.fromCharCode(bytes[off + 4], bytes[off + 5], bytes[off + 6], bytes[off + 7]);
+    const start = off + 8, end = start + len;
+    if (end + 4 > bytes.length) throw new Error(`PNG: truncated ${type} chunk`);
+    if (crc32(bytes, off + 4, end) !== readU32(bytes, end)) throw new Error(`PNG: CRC mismatch in ${type}`);
+    const body = bytes.subarray(start, end);
+    if (type === "IHDR") {
+      width = readU32(body, 0); height = readU32(body, 4);
+      depth = body[8]; colorType = body[9]; interlace = body[12];
+      if (body[10] !== 0 || body[11] !== 0) throw new Error("PNG: unsupported compression or filter method");
+      if (!(colorType in CHANNELS)) throw new Error(`PNG: bad color type ${colorType}`);
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") trns = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+    off = end + 4;
+  }
+  if (!width || !height) throw new Error("PNG: missing IHDR");
+  if (colorType === 3 && !palette) throw new Error("PNG: missing PLTE");
+
+  const idatLen = idat.reduce((n, c) => n + c.length, 0);
+  const z = new Uint8Array(idatLen);
+  let zo = 0;
+  for (const c of idat) { z.set(c, zo); zo += c.length; }
+
+  const channels = CHANNELS[colorType];
+  const bitsPP = channels * depth;
+  const bpp = Math.max(1, bitsPP >> 3);
+  const raw = zlibInflate(z, ((width * bitsPP + 7) >> 3) * height + height);
+  const out = new Uint8ClampedArray(width * height * 4);
+
+  const maxV = (1 << depth) - 1;
+  const sample = (row: Uint8Array, idx: number): number => {
+    if (depth === 8) return row[idx];
+    if (depth === 16) return row[idx * 2];
+    const bit = idx * depth;
+    const v = (row[bit >> 3] >> (8 - depth - (bit & 7))) & maxV;
+    return colorType === 3 ? v : Math.round((v * 255) / maxV);
+  };
+  const trnsKey = (i: number) => (depth === 16 ? trns![i * 2] : trns![i * 2 + 1]);
+
+  let pos = 0;
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1] as [number, number, number, number]];
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx), ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const stride = (pw * bitsPP + 7) >> 3;
+    let prevRow = new Uint8Array(stride);
+    for (let r = 0; r < ph; r++) {
+      if (pos + 1 + stride > raw.length) throw new Error("PNG: image data too short");
+      const filter = raw[pos];
+      const row = raw.slice(pos + 1, pos + 1 + stride);
+      pos += 1 + stride;
+      for (let i = 0; i < stride; i++) {
+        const a = i >= bpp ? row[i - bpp] : 0, b = prevRow[i], c = i >= bpp ? prevRow[i - bpp] : 0;
+        switch (filter) {
+          case 0: break;
+          case 1: row[i] = (row[i] + a) & 255; break;
+          case 2: row[i] = (row[i] + b) & 255; break;
+          case 3: row[i] = (row[i] + ((a + b) >> 1)) & 255; break;
+          case 4: row[i] = (row[i] + paeth(a, b, c)) & 255; break;
+          default: throw new Error(`PNG: bad filter type ${filter}`);
+        }
+      }
+      prevRow = row;
+
+      const y = y0 + r * dy;
+      for (let px = 0; px < pw; px++) {
+        const o = (y * width + x0 + px * dx) * 4;
+        const s = px * channels;
+        let R: number, G: number, B: number, A = 255;
+        if (colorType === 0) {
+          R = G = B = sample(row, s);
+          if (trns && sample(row, s) === (depth < 8 ? Math.round((trnsKey(0) * 255) / maxV) : trnsKey(0))) A = 0;
+        } else if (colorType === 2) {
+          R = sample(row, s); G = sample(row, s + 1); B = sample(row, s + 2);
+          if (trns && R === trnsKey(0) && G === trnsKey(1) && B === trnsKey(2)) A = 0;
+        } else if (colorType === 3) {
+          const p = sample(row, s);
+          R = palette![p * 3]; G = palette![p * 3 + 1]; B = palette![p * 3 + 2];
+          if (trns && p < trns.length) A = trns[p];
+        } else if (colorType === 4) {
+          R = G = B = sample(row, s); A = sample(row, s + 1);
+        } else {
+          R = sample(row, s); G = sample(row, s + 1); B = sample(row, s + 2); A = sample(row, s + 3);
+        }
+        out[o] = R; out[o + 1] = G; out[o + 2] = B; out[o + 3] = A;
+      }
+    }
+  }
+  return { width, height, data: out };
+}
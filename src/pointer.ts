@@ -0,0 +1,179 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/pointer.ts
+// Pointer events (hover / enter / leave / click / drag) for Scene drawables
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import type { Drawable } from "./drawables";
+import type { Scene } from "./scene";
+import { ViewportManager } from "./viewport";
+
+export type ScenePointerEventType = "hover" | "enter" | "leave" | "click" | "dragstart" | "drag" | "dragend";
+
+export interface ScenePointerEvent {
+  type: ScenePointerEventType;
+  /** Topmost drawable under the pointer (or being dragged); null for empty space. */
+  target: Drawable | null;
+  canvas: V2;
+  world: V2;
+  /** World-space movement since the previous drag event; zero for other types. */
+  delta: V2;
+  originalEvent: PointerEvent | MouseEvent;
+}
+
+export type ScenePointerListener = (e: ScenePointerEvent) => void;
+
+export interface ScenePointerOptions {
+  /** Element receiving the pointer events. Defaults to the viewport's canvas. */
+  target?: HTMLElement | null;
+  /** Hit tolerance in canvas pixels. */
+  tolerancePx?: number;
+  /** Movement in pixels before a press turns into a drag. */
+  dragThresholdPx?: number;
+}
+
+interface PressState {
+  pointerId: number;
+  target: Drawable | null;
+  start: V2;
+  lastWorld: V2;
+  dragging: boolean;
+}
+
+/**
+ * Turns DOM pointer input into ScenePointerEvents using Scene.pick.
+ * Attach it before a PanZoomController on the same canvas: presses on a
+ * drawable with drag listeners call preventDefault, which stops panning.
+ */
+export class ScenePointerController {
+  public tolerancePx: number;
+  public dragThresholdPx: number;
+  public hovered: Drawable | null = null;
+
+  private el: HTMLElement | null;
+  private press: PressState | null = null;
+  private attached = false;
+
+  constructor(public scene: Scene, public vp: ViewportManager, options: ScenePointerOptions = {}) {
+    const app = vp.app;
+    this.el = options.target ?? app?.canvas ?? app?.app?.canvas ?? null;
+    this.tolerancePx = options.tolerancePx ?? 4;
+    this.dragThresholdPx = options.dragThresholdPx ?? 3;
+  }
+
+  attach(): this {
+    const el = this.el;
+    if (!el || this.attached) return this;
+    el.addEventListener("pointerdown", this.onPointerDown);
+    el.addEventListener("pointermove", this.onPointerMove);
+    el.addEventListener("pointerup", this.onPointerUp);
+    el.addEventListener("pointercancel", this.onPointerCancel);
+    el.addEventListener("pointerleave", this.onPointerLeave);
+    this.attached = true;
+    return this;
+  }
+
+  detach(): this {
+    const el = this.el;
+    if (!el || !this.attached) return this;
+    el.removeEventListener("pointerdown", this.onPointerDown);
+    el.removeEventListener("pointermove", this.onPointerMove);
+    el.removeEventListener("pointerup", this.onPointerUp);
+    el.removeEventListener("pointercancel", this.onPointerCancel);
+    el.removeEventListener("pointerleave", this.onPointerLeave);
+    this.press = null;
+    this.hovered = null;
+    this.attached = false;
+    return this;
+  }
+
+  private toCanvas(e: { clientX: number; clientY: number }): V2 {
+    const rect = this.el!.getBoundingClientRect();
+    return new V2(e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  private topmost(c: V2): Drawable | null {
+    return this.scene.pick(c.x, c.y, this.vp, this.tolerancePx)[0] ?? null;
+  }
+
+  private dispatch(type: ScenePointerEventType, target: Drawable | null, canvas: V2, world: V2, originalEvent: PointerEvent | MouseEvent, delta: V2 = new V2(0, 0)): void {
+    this.scene.dispatch({ type, target, canvas, world, delta, originalEvent });
+  }
+
+  private wantsDrag(target: Drawable | null): boolean {
+    if (!target) return false;
+    return target.hasListeners("dragstart") || target.hasListeners("drag")
+      || this.scene.hasListeners("dragstart") || this.scene.hasListeners("drag");
+  }
+
+  private onPointerDown = (e: PointerEvent): void => {
+    if (this.press) return;
+    const c = this.toCanvas(e);
+    const world = this.vp.canvasToWorld(c.x, c.y);
+    const target = this.topmost(c);
+    this.press = { pointerId: e.pointerId, target, start: c, lastWorld: world, dragging: false };
+    if (this.wantsDrag(target)) {
+      e.preventDefault();
+      this.el!.setPointerCapture?.(e.pointerId);
+    }
+  };
+
+  private onPointerMove = (e: PointerEvent): void => {
+    const c = this.toCanvas(e);
+    const world = this.vp.canvasToWorld(c.x, c.y);
+    const press = this.press;
+
+    if (press && press.pointerId === e.pointerId && this.wantsDrag(press.target)) {
+      if (!press.dragging && c.sub(press.start).len() >= this.dragThresholdPx) {
+        press.dragging = true;
+        this.dispatch("dragstart", press.target, c, world, e);
+      }
+      if (press.dragging) {
+        this.dispatch("drag", press.target, c, world, e, world.sub(press.lastWorld));
+        press.lastWorld = world;
+        return;
+      }
+    }
+
+    const top = this.topmost(c);
+    if (top !== this.hovered) {
+      if (this.hovered) this.dispatch("leave", this.hovered, c, world, e);
+      if (top) this.dispatch("enter", top, c, world, e);
+      this.hovered = top;
+    }
+    if (top) this.dispatch("hover", top, c, world, e);
+  };
+
+  private onPointerUp = (e: PointerEvent): void => {
+    const press = this.press;
+    if (!press || press.pointerId !== e.pointerId) return;
+    this.press = null;
+    this.el!.releasePointerCapture?.(e.pointerId);
+    const c = this.toCanvas(e);
+    const world = this.vp.canvasToWorld(c.x, c.y);
+    if (press.dragging) {
+      this.dispatch("dragend", press.target, c, world, e);
+      return;
+    }
+    if (c.sub(press.start).len() < this.dragThresholdPx || this.topmost(c) === press.target) {
+      this.dispatch("click", press.target, c, world, e);
+    }
+  };
+
+  private onPointerCancel = (e: PointerEvent): void => {
+    const press = this.press;
+    if (!press || press.pointerId !== e.pointerId) return;
+    this.press = null;
+    if (press.dragging) {
+      const c = this.toCanvas(e);
+      this.dispatch("dragend", press.target, c, this.vp.canvasToWorld(c.x, c.y), e);
+    }
+  };
+
+  private onPointerLeave = (e: PointerEvent): void => {
+    if (!this.hovered || this.press?.dragging) return;
+    const c = this.toCanvas(e);
+    this.dispatch("leave", this.hovered, c, this.vp.canvasToWorld(c.x, c.y), e);
+    this.hovered = null;
+  };
+}
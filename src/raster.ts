@@ -5,9 +5,103 @@
 
 import { V2 } from "./v2";
 import { toColor, blendRGBA } from "./color";
-import { CanvasRenderer } from "./renderer";
+import type { Renderer } from "./renderer";
+import { strokeToPolygons, dashPolyline, StrokeGeometry } from "./stroke";
+import type { MarkerMask } from "./markers";
 
-export function rawLine(app: CanvasRenderer, p0: V2, p1: V2, color: Readonly<[number, number, number, number]>): void {
+/** Resolve the anti-aliasing flag: explicit per-call value wins, else the renderer's global setting. */
+export function useAA(app: Renderer, antialias?: boolean): boolean {
+  return antialias ?? !!(app as any).antialias;
+}
+
+/** Source-over blend `color` into `pix` at byte offset `idx`, scaling its alpha by `coverage` (0..1). */
+function blendCoverage(pix: Uint8ClampedArray, idx: number, color: Readonly<[number, number, number, number]>, coverage: number): void {
+  const a = color[3] * coverage;
+  if (a <= 0) return;
+  const [r0, g0, b0, a0] = blendRGBA(pix[idx], pix[idx + 1], pix[idx + 2], pix[idx + 3], color[0], color[1], color[2], a);
+  pix[idx] = (r0 + 0.5) | 0; pix[idx + 1] = (g0 + 0.5) | 0; pix[idx + 2] = (b0 + 0.5) | 0; pix[idx + 3] = (a0 + 0.5) | 0;
+}
+
+function plotCoverage(app: Renderer, x: number, y: number, color: Readonly<[number, number, number, number]>, coverage: number): void {
+  const buf = app.buffer;
+  if (x < buf.clipX0 || x >= buf.clipX1 || y < buf.clipY0 || y >= buf.clipY1) return;
+  blendCoverage(buf.pixels, ((y * buf.width + x) | 0) * 4, color, coverage);
+}
+
+/**
+ * Blend `color` through a coverage mask centred on pixel (cx, cy), clipped
+ * like every other write. Fully covered opaque pixels are stored directly.
+ */
+export function stampMask(app: Renderer, cx: number, cy: number, mask: MarkerMask, color: Readonly<[number, number, number, number]>): void {
+  const buf = app.buffer, pix = buf.pixels, cov = mask.coverage, n = mask.size;
+  const x0 = (cx | 0) - mask.half, y0 = (cy | 0) - mask.half;
+  const i0 = Math.max(0, buf.clipX0 - x0), i1 = Math.min(n, buf.clipX1 - x0);
+  const j0 = Math.max(0, buf.clipY0 - y0), j1 = Math.min(n, buf.clipY1 - y0);
+  const opaque = color[3] >= 255;
+  for (let j = j0; j < j1; j++) {
+    let idx = ((y0 + j) * buf.width + x0 + i0) * 4;
+    for (let i = i0; i < i1; i++, idx += 4) {
+      const c = cov[j * n + i];
+      if (c <= 0) continue;
+      if (opaque && c >= 1) {
+        pix[idx] = color[0]; pix[idx + 1] = color[1]; pix[idx + 2] = color[2]; pix[idx + 3] = 255;
+      } else {
+        blendCoverage(pix, idx, color, c);
+      }
+    }
+  }
+}
+
+/** Xiaolin Wu anti-aliased line. Pixel centers sit on integer coordinates. */
+export function rawLineAA(app: Renderer, p0: V2, p1: V2, color: Readonly<[number, number, number, number]>): void {
+  let x0 = p0.x, y0 = p0.y, x1 = p1.x, y1 = p1.y;
+  if (!isFinite(x0) || !isFinite(y0) || !isFinite(x1) || !isFinite(y1)) return;
+  const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+  if (steep) { [x0, y0] = [y0, x0]; [x1, y1] = [y1, x1]; }
+  if (x0 > x1) { [x0, x1] = [x1, x0]; [y0, y1] = [y1, y0]; }
+
+  const plot = steep
+    ? (x: number, y: number, c: number) => plotCoverage(app, y, x, color, c)
+    : (x: number, y: number, c: number) => plotCoverage(app, x, y, color, c);
+  const fpart = (v: number) => v - Math.floor(v);
+
+  const dx = x1 - x0, dy = y1 - y0;
+  const gradient = dx === 0 ? 1 : dy / dx;
+
+  // first endpoint
+  const xs = Math.round(x0);
+  const ys = y0 + gradient * (xs - x0);
+  const gapS = 1 - fpart(x0 + 0.5);
+  const yi = Math.floor(ys);
+  plot(xs, yi, (1 - fpart(ys)) * gapS);
+  plot(xs, yi + 1, fpart(ys) * gapS);
+
+  // second endpoint
+  const xe = Math.round(x1);
+  const ye = y1 + gradient * (xe - x1);
+  const gapE = fpart(x1 + 0.5);
+  if (xe !== xs) {
+    const yj = Math.floor(ye);
+    plot(xe, yj, (1 - fpart(ye)) * gapE);
+    plot(xe, yj + 1, fpart(ye) * gapE);
+  }
+
+  // interior, clipped to the buffer along the major axis
+  const limit = (steep ? app.buffer.height : app.buffer.width) | 0;
+  const from = Math.max(xs + 1, -1);
+  const to = Math.min(xe - 1, limit);
+  let intery = ys + gradient * (from - xs);
+  for (let x = from; x <= to; x++) {
+    const iy = Math.floor(intery);
+    const f = intery - iy;
+    plot(x, iy, 1 - f);
+    plot(x, iy + 1, f);
+    intery += gradient;
+  }
+}
+
+export function rawLine(app: Renderer, p0: V2, p1: V2, color: Readonly<[number, number, number, number]>, antialias?: boolean): void {
+  if (useAA(app, antialias)) { rawLineAA(app, p0, p1, color); return; }
   const col = color;
   let x0 = Math.round(p0.x), y0 = Math.round(p0.y);
   const x1 = Math.round(p1.x), y1 = Math.round(p1.y);
@@ -25,44 +119,89 @@ export function rawLine(app: CanvasRenderer, p0: V2, p1: V2, color: Readonly<[nu
   }
 }
 
-export interface RawPointOptions { type?: "circle" | "cross" | "square"; size?: number }
+export interface RawPointOptions { type?: "circle" | "cross" | "square"; size?: number; antialias?: boolean }
 
-export function rawPoint(app: CanvasRenderer, pos: V2, color: Readonly<[number, number, number, number]>, { type = "circle", size = 3 }: RawPointOptions = {}): void {
+export function rawPoint(app: Renderer, pos: V2, color: Readonly<[number, number, number, number]>, { type = "circle", size = 3, antialias }: RawPointOptions = {}): void {
   if (type === "circle") {
-    fillCircle(app, pos, size, color);
+    fillCircle(app, pos, size, color, antialias);
   } else if (type === "cross") {
-    rawLine(app, new V2(pos.x - size, pos.y), new V2(pos.x + size, pos.y), color);
-    rawLine(app, new V2(pos.x, pos.y - size), new V2(pos.x, pos.y + size), color);
+    rawLine(app, new V2(pos.x - size, pos.y), new V2(pos.x + size, pos.y), color, antialias);
+    rawLine(app, new V2(pos.x, pos.y - size), new V2(pos.x, pos.y + size), color, antialias);
   } else if (type === "square") {
     const half = size | 0;
     const p = [ new V2(pos.x - half, pos.y - half), new V2(pos.x + half, pos.y - half), new V2(pos.x + half, pos.y + half), new V2(pos.x - half, pos.y + half) ];
-    strokeShape(app, p, color, 1);
+    strokeShape(app, p, color, 1, { antialias });
   }
 }
 
-export function strokeShape(app: CanvasRenderer, points: V2[], color: Readonly<[number, number, number, number]>, width: number = 1): void {
-  for (let i = 0; i < points.length; i++) {
-    const p0 = points[i];
-    const p1 = points[(i + 1) % points.length];
-    if (width <= 1) { rawLine(app, p0, p1, color); continue; }
-    const d = p1.sub(p0); const len = d.len() || 1;
-    const u = d.scale(1 / len);
-    const n = new V2(-u.y, u.x);
-    const half = (width / 2) | 0;
-    for (let o = -half; o <= half; o++) {
-      const off = n.scale(o);
-      rawLine(app, p0.add(off), p1.add(off), color);
+export interface StrokeStyle extends StrokeGeometry {
+  /** Override the renderer's global anti-aliasing setting. */
+  antialias?: boolean;
+}
+
+/**
+ * Stroke a polyline (closed by default, like a shape outline). Widths above
+ * one pixel are expanded into join/cap geometry and filled in a single
+ * nonzero pass so translucent strokes get their alpha exactly once.
+ * A `dash` pattern is applied along the whole path before stroking.
+ */
+export function strokeShape(app: Renderer, points: V2[], color: Readonly<[number, number, number, number]>, width: number = 1, style: StrokeStyle = {}): void {
+  const aa = useAA(app, style.antialias);
+  const n = points?.length | 0; if (!n) return;
+  const closed = (style.closed ?? true) && n > 2;
+  const paths = style.dash?.length ? dashPolyline(points, style.dash, style.dashOffset ?? 0, closed) : null;
+
+  if (width <= 1) {
+    if (paths) {
+      for (const path of paths) for (let i = 1; i < path.length; i++) rawLine(app, path[i - 1], path[i], color, aa);
+      return;
     }
+    const segs = closed ? n : n - 1;
+    for (let i = 0; i < segs; i++) rawLine(app, points[i], points[(i + 1) % n], color, aa);
+    if (n === 1) rawLine(app, points[0], points[0], color, aa);
+    return;
   }
+
+  const pieces = paths
+    ? paths.flatMap(path => strokeToPolygons(path, width, { ...style, closed: false }))
+    : strokeToPolygons(points, width, { ...style, closed });
+  fillPolygon(app, pieces, color, aa, "nonzero");
 }
 
-export function fillCircle(app: CanvasRenderer, c: V2, r: number, color: Readonly<[number, number, number, number]>): void {
+/** Anti-aliased disc: per-pixel coverage from the distance to the rim. */
+export function fillCircleAA(app: Renderer, c: V2, r: number, color: Readonly<[number, number, number, number]>): void {
+  if (!(r > 0)) return;
+  const buf = app.buffer;
+  const xMin = Math.max(buf.clipX0, Math.floor(c.x - r - 1) | 0);
+  const xMax = Math.min(buf.clipX1 - 1, Math.ceil(c.x + r + 1) | 0);
+  const yMin = Math.max(buf.clipY0, Math.floor(c.y - r - 1) | 0);
+  const yMax = Math.min(buf.clipY1 - 1, Math.ceil(c.y + r + 1) | 0);
+  const pix = buf.pixels; const w = buf.width;
+  const inner = Math.max(0, r - 0.5), inner2 = inner * inner;
+  const outer = r + 0.5, outer2 = outer * outer;
+  for (let y = yMin; y <= yMax; y++) {
+    const dy = y - c.y; const dy2 = dy * dy;
+    let idx = ((y * w + xMin) | 0) * 4;
+    for (let x = xMin; x <= xMax; x++, idx += 4) {
+      const dx = x - c.x;
+      const d2 = dx * dx + dy2;
+      if (d2 >= outer2) continue;
+      blendCoverage(pix, idx, color, d2 <= inner2 ? 1 : outer - Math.sqrt(d2));
+    }
+  }
+}
+
+export function fillCircle(app: Renderer, c: V2, r: number, color: Readonly<[number, number, number, number]>, antialias?: boolean): void {
+  if (useAA(app, antialias)) { fillCircleAA(app, c, r, color); return; }
   const r2 = r * r;
-  const xMin = Math.max(0, Math.floor(c.x) | 0);
-  const xMax = Math.min(app.buffer.width - 1, Math.ceil(c.x) | 0);
-  const yMin = Math.max(0, Math.floor(c.y) | 0);
-  const yMax = Math.min(app.buffer.height - 1, Math.ceil(c.y) | 0);
-  const pix = app.buffer.pixels; const w = app.buffer.width;
+  const buf = app.buffer;
+  // every pixel whose centre is within r; scanning only floor(c)..ceil(c), as
+  // this used to, left any disc wider than a pixel drawn as a 2x2 dot
+  const xMin = Math.max(buf.clipX0, Math.floor(c.x - r) | 0);
+  const xMax = Math.min(buf.clipX1 - 1, Math.ceil(c.x + r) | 0);
+  const yMin = Math.max(buf.clipY0, Math.floor(c.y - r) | 0);
+  const yMax = Math.min(buf.clipY1 - 1, Math.ceil(c.y + r) | 0);
+  const pix = buf.pixels; const w = buf.width;
   for (let y = yMin; y <= yMax; y++) {
     const dy = y - c.y; const dy2 = dy * dy;
     let idx = ((y * w + xMin) | 0) * 4;
@@ -77,48 +216,143 @@ export function fillCircle(app: CanvasRenderer, c: V2, r: number, color: Readonl
   }
 }
 
-/** Scanline polygon fill (Active Edge Table). `points` in CANVAS space */
-export function fillPolygon(app: CanvasRenderer, points: V2[], color: Readonly<[number, number, number, number]>): void {
-  const n = points?.length | 0; if (n < 3) return;
-  const h = app.buffer.height | 0, w = app.buffer.width | 0;
+/** Vertical sub-scanlines per pixel row used by fillPolygonAA. */
+const AA_SUBSAMPLES = 4;
+
+export type FillRule = "evenodd" | "nonzero";
+
+interface Edge { ymin: number; ymax: number; x: number; invSlope: number; dir: number }
+
+/** Accepts one ring or a list of rings (holes / unions resolved by the fill rule). */
+function toContours(points: V2[] | V2[][]): V2[][] {
+  if (!points?.length) return [];
+  return Array.isArray(points[0]) ? points as V2[][] : [points as V2[]];
+}
+
+function buildEdges(contours: V2[][]): { edges: Edge[]; minY: number; maxY: number } {
   let minY = Infinity, maxY = -Infinity;
-  const edges: Array<{ ymin: number; ymax: number; x: number; invSlope: number }> = [];
-  for (let i = 0; i < n; i++) {
-    const p1 = points[i], p2 = points[(i + 1) % n];
-    const x1 = p1.x, y1 = p1.y, x2 = p2.x, y2 = p2.y;
-    if (y1 === y2) continue; // skip horizontals
-    const ymin = Math.min(y1, y2), ymax = Math.max(y1, y2);
-    const xAtYmin = y1 < y2 ? x1 : x2;
-    const invSlope = (x2 - x1) / (y2 - y1);
-    edges.push({ ymin, ymax, x: xAtYmin, invSlope });
-    if (ymin < minY) minY = ymin; if (ymax > maxY) maxY = ymax;
+  const edges: Edge[] = [];
+  for (const ring of contours) {
+    const n = ring?.length | 0; if (n < 3) continue;
+    for (let i = 0; i < n; i++) {
+      const p1 = ring[i], p2 = ring[(i + 1) % n];
+      const x1 = p1.x, y1 = p1.y, x2 = p2.x, y2 = p2.y;
+      if (y1 === y2 || !isFinite(y1) || !isFinite(y2)) continue; // skip horizontals
+      const ymin = Math.min(y1, y2), ymax = Math.max(y1, y2);
+      const xAtYmin = y1 < y2 ? x1 : x2;
+      edges.push({ ymin, ymax, x: xAtYmin, invSlope: (x2 - x1) / (y2 - y1), dir: y2 > y1 ? 1 : -1 });
+      if (ymin < minY) minY = ymin; if (ymax > maxY) maxY = ymax;
+    }
+  }
+  return { edges, minY, maxY };
+}
+
+/** Inside spans of scanline `y` as flat [x0, x1, x0, x1, ...] pairs in `out`. */
+function scanSpans(edges: Edge[], y: number, rule: FillRule, crossings: Array<{ x: number; dir: number }>, out: number[]): void {
+  crossings.length = 0;
+  out.length = 0;
+  for (const e of edges) if (y >= e.ymin && y < e.ymax) crossings.push({ x: e.x + (y - e.ymin) * e.invSlope, dir: e.dir });
+  if (crossings.length < 2) return;
+  crossings.sort((a, b) => a.x - b.x);
+  let winding = 0;
+  for (const c of crossings) {
+    const wasInside = rule === "nonzero" ? winding !== 0 : (winding & 1) !== 0;
+    winding += rule === "nonzero" ? c.dir : 1;
+    const isInside = rule === "nonzero" ? winding !== 0 : (winding & 1) !== 0;
+    if (!wasInside && isInside) out.push(c.x);
+    else if (wasInside && !isInside) out.push(c.x);
+  }
+}
+
+/**
+ * Coverage-based polygon fill. Each pixel row is sampled with
+ * AA_SUBSAMPLES sub-scanlines; spans contribute exact horizontal coverage.
+ */
+export function fillPolygonAA(app: Renderer, points: V2[] | V2[][], color: Readonly<[number, number, number, number]>, rule: FillRule = "evenodd"): void {
+  const { edges, minY, maxY } = buildEdges(toContours(points));
+  if (!edges.length) return;
+  const buf = app.buffer;
+  const w = buf.width | 0, cx0 = buf.clipX0, cx1 = buf.clipX1;
+  const rowMin = Math.max(buf.clipY0, Math.floor(minY + 0.5) | 0);
+  const rowMax = Math.min(buf.clipY1 - 1, Math.ceil(maxY - 0.5) | 0);
+
+  const cov = new Float32Array(w + 1);
+  const weight = 1 / AA_SUBSAMPLES;
+  const pix = buf.pixels;
+  const crossings: Array<{ x: number; dir: number }> = [];
+  const spans: number[] = [];
+
+  for (let y = rowMin; y <= rowMax; y++) {
+    let lo = w, hi = -1;
+    for (let s = 0; s < AA_SUBSAMPLES; s++) {
+      scanSpans(edges, y - 0.5 + (s + 0.5) * weight, rule, crossings, spans);
+      for (let k = 0; k + 1 < spans.length; k += 2) {
+        // pixel x covers [x - 0.5, x + 0.5); shift so it covers [x, x + 1)
+        const u = Math.max(cx0, Math.min(cx1, spans[k] + 0.5));
+        const v = Math.max(cx0, Math.min(cx1, spans[k + 1] + 0.5));
+        if (v <= u) continue;
+        const iu = Math.floor(u), iv = Math.floor(v);
+        if (iu === iv) {
+          cov[iu] += (v - u) * weight;
+        } else {
+          cov[iu] += (iu + 1 - u) * weight;
+          for (let x = iu + 1; x < iv; x++) cov[x] += weight;
+          cov[iv] += (v - iv) * weight;
+        }
+        if (iu < lo) lo = iu;
+        if (iv > hi) hi = iv;
+      }
+    }
+    if (hi < lo) continue;
+    hi = Math.min(hi, cx1 - 1);
+    let idx = ((y * w + lo) | 0) * 4;
+    for (let x = lo; x <= hi; x++, idx += 4) {
+      const c = cov[x];
+      if (c > 0) blendCoverage(pix, idx, color, c > 1 ? 1 : c);
+      cov[x] = 0;
+    }
+    cov[cx1] = 0;
   }
-  minY = Math.max(0, Math.floor(minY) | 0);
-  maxY = Math.min(h - 1, Math.ceil(maxY) | 0);
+}
+
+/**
+ * Scanline polygon fill (Active Edge Table). `points` in CANVAS space, either
+ * a single ring or several rings combined with `rule`. Each pixel is blended
+ * at most once per call.
+ */
+export function fillPolygon(app: Renderer, points: V2[] | V2[][], color: Readonly<[number, number, number, number]>, antialias?: boolean, rule: FillRule = "evenodd"): void {
+  if (useAA(app, antialias)) { fillPolygonAA(app, points, color, rule); return; }
+  const { edges, minY: y0, maxY: y1 } = buildEdges(toContours(points));
+  if (!edges.length) return;
+  const buf = app.buffer;
+  const w = buf.width | 0;
+  const minY = Math.max(buf.clipY0, Math.floor(y0) | 0);
+  const maxY = Math.min(buf.clipY1 - 1, Math.ceil(y1) | 0);
 
-  const pix = app.buffer.pixels;
+  const pix = buf.pixels;
+  const crossings: Array<{ x: number; dir: number }> = [];
+  const spans: number[] = [];
   for (let y = minY; y <= maxY; y++) {
-    const crossings: number[] = [];
-    for (const e of edges) if (y >= e.ymin && y < e.ymax) crossings.push(e.x + (y - e.ymin) * e.invSlope);
-    if (!crossings.length) continue;
-    crossings.sort((a, b) => a - b);
-    for (let k = 0; k < crossings.length; k += 2) {
-      const xStart = Math.max(0, Math.floor(crossings[k]) | 0);
-      const xEnd = Math.min(w - 1, Math.ceil(crossings[k + 1]) | 0);
+    scanSpans(edges, y, rule, crossings, spans);
+    let filledTo = -1;
+    for (let k = 0; k + 1 < spans.length; k += 2) {
+      const xStart = Math.max(buf.clipX0, filledTo + 1, Math.floor(spans[k]) | 0);
+      const xEnd = Math.min(buf.clipX1 - 1, Math.ceil(spans[k + 1]) | 0);
       let idx = ((y * w + xStart) | 0) * 4;
       for (let x = xStart; x <= xEnd; x++, idx += 4) {
         const dr = pix[idx], dg = pix[idx + 1], db = pix[idx + 2], da = pix[idx + 3];
         const [r0, g0, b0, a0] = blendRGBA(dr, dg, db, da, color[0], color[1], color[2], color[3]);
         pix[idx] = (r0 + 0.5) | 0; pix[idx + 1] = (g0 + 0.5) | 0; pix[idx + 2] = (b0 + 0.5) | 0; pix[idx + 3] = (a0 + 0.5) | 0;
       }
+      if (xEnd > filledTo) filledTo = xEnd;
     }
   }
 }
 
-export const drawLine = (app: CanvasRenderer, p0: V2, p1: V2, color: Readonly<[number, number, number, number]>, width: number = 1): void => strokeShape(app, [p0, p1], color, width);
+export const drawLine = (app: Renderer, p0: V2, p1: V2, color: Readonly<[number, number, number, number]>, width: number = 1, style: StrokeStyle = {}): void => strokeShape(app, [p0, p1], color, width, { ...style, closed: false });
 
-export function drawCircleOutline(app: CanvasRenderer, c: V2, r: number, color: Readonly<[number, number, number, number]>, width: number = 1, segments: number = 32): void {
+export function drawCircleOutline(app: Renderer, c: V2, r: number, color: Readonly<[number, number, number, number]>, width: number = 1, segments: number = 32, style: StrokeStyle = {}): void {
   const pts: V2[] = [];
   for (let i = 0; i < segments; i++) { const t = (i / segments) * Math.PI * 2; pts.push(new V2(c.x + r * Math.cos(t), c.y + r * Math.sin(t))); }
-  strokeShape(app, pts, color, width);
+  strokeShape(app, pts, color, width, style);
 }
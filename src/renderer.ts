@@ -4,25 +4,121 @@
 // ─────────────────────────────────────────────────────────────────────────────
 
 import { V2 } from "./v2";
-import { PixelBuffer } from "./pixelbuffer";
+import { PixelBuffer, PixelImage, rotatedBounds, rotatePixelImage } from "./pixelbuffer";
 import { TextCache } from "./textCache";
+import { measureBitmapText, rasterizeBitmapText } from "./bitmapFont";
+import type { Rect } from "./types";
+
+/**
+ * What drawables and the raster functions draw into. CanvasRenderer presents
+ * to a DOM canvas; MemoryRenderer keeps everything in its PixelBuffer.
+ */
+export interface Renderer {
+  size: V2;
+  buffer: PixelBuffer;
+  /** Global anti-aliasing default for the raster functions; drawables may override it. */
+  antialias: boolean;
+  clear(color?: string): void;
+  putPixel(p: V2, color: Readonly<[number, number, number, number]>): void;
+  putPixelBlend(p: V2, color: Readonly<[number, number, number, number]>): void;
+  blitImageData(img: PixelImage, dx: number, dy: number): void;
+  measureText(text: string, font?: string): { width: number; height: number };
+  /** `angle` rotates the text about `pos`, in radians clockwise on screen (Canvas2D rotate()). */
+  drawText(text: string, pos: V2, color?: string, font?: string, align?: CanvasTextAlign, baseline?: CanvasTextBaseline, angle?: number): void;
+  /** Present the buffer; `dirty` limits the upload to those rectangles. */
+  render(dirty?: readonly Rect[]): void;
+}
+
+/** Top-left offset of a w×h text bitmap for the given canvas-style align / baseline. */
+export function textOffset(w: number, h: number, align: CanvasTextAlign, baseline: CanvasTextBaseline): V2 {
+  let ox = 0, oy = 0;
+  if (align === "center") ox = -w / 2;
+  else if (align === "right" || align === "end") ox = -w;
+  if (baseline === "middle") oy = -h / 2;
+  else if (baseline === "bottom" || baseline === "ideographic" || baseline === "alphabetic") oy = -h;
+  return new V2(ox, oy);
+}
+
+/**
+ * Top-left offset of the rotated copy of a w×h text bitmap (see
+ * rotatePixelImage) so that align / baseline still hold in the text's own frame.
+ */
+export function rotatedTextOffset(w: number, h: number, align: CanvasTextAlign, baseline: CanvasTextBaseline, angle: number): V2 {
+  const o = textOffset(w, h, align, baseline);
+  if (!angle) return o;
+  const c = Math.cos(angle), s = Math.sin(angle);
+  const b = rotatedBounds(w, h, angle);
+  return new V2(c * o.x - s * o.y + b.x, s * o.x + c * o.y + b.y);
+}
+
+/**
+ * Text bitmap for `key` (rasterized on a cache miss) and the integer canvas
+ * position to blit it at. Rotated copies are cached under their own key.
+ */
+export function placeText(
+  cache: TextCache,
+  key: string,
+  rasterize: () => PixelImage,
+  pos: V2,
+  align: CanvasTextAlign,
+  baseline: CanvasTextBaseline,
+  angle: number = 0
+): { image: PixelImage; x: number; y: number } {
+  let image = cache.get(key);
+  if (!image) {
+    image = rasterize();
+    cache.set(key, image);
+  }
+  const o = rotatedTextOffset(image.width, image.height, align, baseline, angle);
+  if (angle) {
+    const upright = image;
+    const rkey = `${key}|${angle}`;
+    image = cache.get(rkey);
+    if (!image) {
+      image = rotatePixelImage(upright, angle);
+      cache.set(rkey, image);
+    }
+  }
+  return { image, x: (pos.x + o.x + 0.5) | 0, y: (pos.y + o.y + 0.5) | 0 };
+}
+
+export interface CanvasRendererOptions {
+  /**
+   * Rasterize text with the built-in 5×7 bitmap font instead of fillText on
+   * a DOM/Offscreen text canvas, so output matches MemoryRenderer pixel for
+   * pixel (e.g. for snapshot tests shared by Node and the browser). Off by
+   * default: the bitmap font ignores the font family and only scales in
+   * whole steps of its 8px size.
+   */
+  bitmapText?: boolean;
+}
+
+type TextContext = CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D;
+
+/** Scratch canvas for rasterizing text: DOM canvas, else OffscreenCanvas, else none. */
+function createTextContext(): TextContext | null {
+  if (typeof document !== "undefined") return document.createElement("canvas").getContext("2d");
+  if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(1, 1).getContext("2d");
+  return null;
+}
 
-export class CanvasRenderer {
+export class CanvasRenderer implements Renderer {
   public ctx: CanvasRenderingContext2D;
   public size: V2;
   public buffer: PixelBuffer;
-  private textCanvas: HTMLCanvasElement;
-  private textCtx: CanvasRenderingContext2D;
+  private textCtx: TextContext | null;
   private textCache: TextCache;
   public renderables: Array<{ draw: (app: CanvasRenderer) => void }> = [];
+  public antialias = false;
+  public bitmapText: boolean;
 
-  constructor(public canvas: HTMLCanvasElement) {
+  constructor(public canvas: HTMLCanvasElement, options: CanvasRendererOptions = {}) {
     this.ctx = canvas.getContext("2d")!;
     this.size = new V2(canvas.width, canvas.height);
     this.buffer = new PixelBuffer(this.size.x, this.size.y);
 
-    this.textCanvas = document.createElement("canvas");
-    this.textCtx = this.textCanvas.getContext("2d")!;
+    this.bitmapText = options.bitmapText ?? false;
+    this.textCtx = this.bitmapText ? null : createTextContext();
     this.textCache = new TextCache(512);
   }
 
@@ -42,12 +138,18 @@ export class CanvasRenderer {
     this.buffer.putPixelBlend(p.x | 0, p.y | 0, color);
   }
 
-  blitImageData(img: ImageData, dx: number, dy: number): void {
+  blitImageData(img: PixelImage, dx: number, dy: number): void {
     this.buffer.blit(img, dx, dy);
   }
 
-  render(): void {
-    this.ctx.putImageData(this.buffer.imageData, 0, 0);
+  render(dirty?: readonly Rect[]): void {
+    // in any environment with a canvas, PixelBuffer is backed by a real ImageData
+    const img = this.buffer.imageData as ImageData;
+    if (!dirty) {
+      this.ctx.putImageData(img, 0, 0);
+      return;
+    }
+    for (const r of dirty) this.ctx.putImageData(img, 0, 0, r.x, r.y, r.width, r.height);
   }
 
   renderAll(): void {
@@ -56,48 +158,56 @@ export class CanvasRenderer {
     this.render();
   }
 
+  /** Measure `text` with the DOM text canvas (width and ascent + descent in px). */
+  measureText(text: string, font: string = "12px sans-serif"): { width: number; height: number } {
+    const ctx = this.textCtx;
+    if (!ctx) return measureBitmapText(text, font);
+    ctx.font = font;
+    const m = ctx.measureText(text);
+    return {
+      width: m.width,
+      height: (m.actualBoundingBoxAscent || 10) + (m.actualBoundingBoxDescent || 4),
+    };
+  }
+
   drawText(
     text: string,
     pos: V2,
     color: string = "#fff",
     font: string = "12px sans-serif",
     align: CanvasTextAlign = "left",
-    baseline: CanvasTextBaseline = "alphabetic"
+    baseline: CanvasTextBaseline = "alphabetic",
+    angle: number = 0
   ): void {
-    const key = `${text}|${font}|${color}`;
-    let entry = this.textCache.get(key);
-
-    if (!entry) {
-      const ctx = this.textCtx;
-      ctx.font = font;
-      const metrics = ctx.measureText(text);
-      const w = Math.ceil(metrics.width + 4);
-      const h = Math.ceil(
-        (metrics.actualBoundingBoxAscent || 10) +
-        (metrics.actualBoundingBoxDescent || 4) + 4
-      );
-      if (this.textCanvas.width < w || this.textCanvas.height < h) {
-        this.textCanvas.width = w;
-        this.textCanvas.height = h;
-      }
-      ctx.clearRect(0, 0, w, h);
-      ctx.font = font;
-      ctx.fillStyle = color;
-      ctx.textBaseline = "top";
-      ctx.textAlign = "left";
-      ctx.fillText(text, 2, 2);
-      entry = ctx.getImageData(0, 0, w, h);
-      this.textCache.set(key, entry);
-    }
-
-    const { width: tw, height: th } = entry;
-    let ox = 0, oy = 0;
-    if (align === "center") ox = -tw / 2;
-    else if (align === "right" || align === "end") ox = -tw;
-    if (baseline === "middle") oy = -th / 2;
-    else if (baseline === "bottom" || baseline === "ideographic" || baseline === "alphabetic") oy = -th;
+    const ctx = this.textCtx;
+    const t = placeText(
+      this.textCache,
+      `${text}|${font}|${color}`,
+      () => (ctx ? this.rasterizeText(ctx, text, font, color) : rasterizeBitmapText(text, font, color)),
+      pos, align, baseline, angle
+    );
+    this.blitImageData(t.image, t.x, t.y);
+  }
 
-    this.blitImageData(entry, (pos.x + ox + 0.5) | 0, (pos.y + oy + 0.5) | 0);
+  private rasterizeText(ctx: TextContext, text: string, font: string, color: string): PixelImage {
+    ctx.font = font;
+    const metrics = ctx.measureText(text);
+    const w = Math.ceil(metrics.width + 4);
+    const h = Math.ceil(
+      (metrics.actualBoundingBoxAscent || 10) +
+      (metrics.actualBoundingBoxDescent || 4) + 4
+    );
+    if (ctx.canvas.width < w || ctx.canvas.height < h) {
+      ctx.canvas.width = w;
+      ctx.canvas.height = h;
+    }
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText(text, 2, 2);
+    return ctx.getImageData(0, 0, w, h);
   }
 }
 
@@ -107,7 +217,7 @@ export class DynamicCanvasRenderer {
 
   constructor(
     public containerDiv: HTMLElement,
-    options: { background?: string } = {}
+    options: { background?: string } & CanvasRendererOptions = {}
   ) {
     this.canvas = document.createElement("canvas");
     containerDiv.appendChild(this.canvas);
@@ -118,7 +228,7 @@ export class DynamicCanvasRenderer {
       background: options.background || "black"
     });
 
-    this.app = new CanvasRenderer(this.canvas);
+    this.app = new CanvasRenderer(this.canvas, { bitmapText: options.bitmapText });
     this.resize(); // initialize
     window.addEventListener("resize", () => this.resize());
   }
@@ -140,5 +250,5 @@ export class DynamicCanvasRenderer {
   }
 
   clear(): void { this.app.clear(); }
-  render(): void { this.app.render(); }
+  render(dirty?: readonly Rect[]): void { this.app.render(dirty); }
 }
@@ -0,0 +1,361 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/scale.ts
+// Per-axis scales (linear, log10, symlog, time) and their tick generators
+// ─────────────────────────────────────────────────────────────────────────────
+
+export type ScaleType = "linear" | "log10" | "symlog" | "time" | "category";
+
+export interface ScaleTicks {
+  major: number[];
+  /** Unlabeled ticks between majors (e.g. 2..9 × 10^k on a log axis). */
+  minor: number[];
+  /** One label per major tick. */
+  labels: string[];
+}
+
+/**
+ * Maps world values into a linear "scaled" space where the viewport does its
+ * affine mapping. forward/inverse must be monotonic inverses of each other.
+ */
+export interface AxisScale {
+  readonly type: ScaleType;
+  forward(v: number): number;
+  inverse(u: number): number;
+  /** Repair a [min, max] the scale cannot show (e.g. non-positive on log). */
+  clampDomain(min: number, max: number): [number, number];
+  ticks(min: number, max: number, count: number): ScaleTicks;
+}
+
+export type ScaleSpec = AxisScale | ScaleType | "log";
+
+// -------------------- NUMBER FORMATTING --------------------
+
+export function decimalsForStep(step: number): number {
+  if (!isFinite(step) || step <= 0) return 0;
+  const s = Math.abs(step);
+  if (s >= 1) return 0;
+  return Math.min(6, Math.ceil(-Math.log10(s)));
+}
+
+export function fmtTick(x: number, decimals: number): string {
+  const n = +x.toFixed(decimals);
+  const z = Math.abs(n) < 1e-12 ? 0 : n;
+  return z.toFixed(decimals);
+}
+
+/** Powers of ten read as plain numbers near 1 and as 1e±k beyond. */
+function fmtPow10(v: number): string {
+  if (v === 0) return "0";
+  const e = Math.round(Math.log10(Math.abs(v)));
+  const sign = v < 0 ? "-" : "";
+  const mant = Math.abs(v) / Math.pow(10, e);
+  if (e >= -3 && e <= 4) return String(+v.toPrecision(12));
+  return Math.abs(mant - 1) < 1e-9 ? `${sign}1e${e}` : v.toExponential(1);
+}
+
+function niceStep(raw: number): number {
+  if (!isFinite(raw) || raw <= 0) return 1;
+  const e = Math.floor(Math.log10(raw));
+  const f = raw / Math.pow(10, e);
+  const nice = f < 1.5 ? 1 : f < 3 ? 2 : f < 7 ? 5 : 10;
+  return nice * Math.pow(10, e);
+}
+
+function linearTicks(min: number, max: number, count: number): ScaleTicks {
+  if (!isFinite(min) || !isFinite(max) || count <= 0) return { major: [], minor: [], labels: [] };
+  if (max - min < 1e-12) return { major: [min], minor: [], labels: [fmtTick(min, 2)] };
+  const step = niceStep((max - min) / count);
+  const dec = decimalsForStep(step);
+  const major: number[] = [];
+  for (let i = Math.ceil(min / step); i * step <= max + step * 1e-9; i++) major.push(+(i * step).toFixed(10));
+  return { major, minor: [], labels: major.map(v => fmtTick(v, dec)) };
+}
+
+// -------------------- LINEAR --------------------
+
+export class LinearScale implements AxisScale {
+  readonly type = "linear" as const;
+  forward(v: number): number { return v; }
+  inverse(u: number): number { return u; }
+  clampDomain(min: number, max: number): [number, number] { return [min, max]; }
+  ticks(min: number, max: number, count: number): ScaleTicks { return linearTicks(min, max, count); }
+}
+
+// -------------------- LOG10 --------------------
+
+/** Smallest value log axes will map; non-positive inputs land far below the plot. */
+const LOG_FLOOR = 1e-300;
+
+export class LogScale implements AxisScale {
+  readonly type = "log10" as const;
+
+  forward(v: number): number { return Math.log10(v > LOG_FLOOR ? v : LOG_FLOOR); }
+  inverse(u: number): number { return Math.pow(10, u); }
+
+  clampDomain(min: number, max: number): [number, number] {
+    if (!(max > 0)) return [1, 10];
+    if (!(min > 0)) return [max / 1000, max];
+    return [min, max];
+  }
+
+  ticks(min: number, max: number, count: number): ScaleTicks {
+    [min, max] = this.clampDomain(min, max);
+    const lo = Math.floor(Math.log10(min) + 1e-9), hi = Math.ceil(Math.log10(max) - 1e-9);
+    // less than a decade visible: decade ticks would be empty, fall back to linear steps
+    if (hi - lo <= 1 && max / min < 10) {
+      const t = linearTicks(min, max, count);
+      return { ...t, labels: t.major.map(v => String(+v.toPrecision(6))) };
+    }
+
+    const stride = Math.max(1, Math.ceil((hi - lo) / Math.max(1, count)));
+    const major: number[] = [], minor: number[] = [];
+    for (let e = lo; e <= hi; e++) {
+      const d = Number(`1e${e}`);
+      if (((e % stride) + stride) % stride === 0) {
+        if (d >= min * (1 - 1e-9) && d <= max * (1 + 1e-9)) major.push(d);
+      } else if (d >= min && d <= max) {
+        minor.push(d);
+      }
+      if (stride === 1) {
+        for (let m = 2; m <= 9; m++) {
+          const v = m * d;
+          if (v >= min && v <= max) minor.push(v);
+        }
+      }
+    }
+    return { major, minor, labels: major.map(fmtPow10) };
+  }
+}
+
+// -------------------- SYMLOG --------------------
+
+/**
+ * Symmetric log: linear within ±linthresh, logarithmic beyond, defined for
+ * every real number (0 and negatives included).
+ */
+export class SymlogScale implements AxisScale {
+  readonly type = "symlog" as const;
+  constructor(public linthresh: number = 1) {
+    if (!(linthresh > 0)) this.linthresh = 1;
+  }
+
+  forward(v: number): number { return Math.sign(v) * Math.log10(1 + Math.abs(v) / this.linthresh); }
+  inverse(u: number): number { return Math.sign(u) * this.linthresh * (Math.pow(10, Math.abs(u)) - 1); }
+  clampDomain(min: number, max: number): [number, number] { return [min, max]; }
+
+  ticks(min: number, max: number, count: number): ScaleTicks {
+    const C = this.linthresh;
+    if (Math.max(Math.abs(min), Math.abs(max)) <= C) return linearTicks(min, max, count);
+
+    // candidate majors: 0 and ±C·10^k, thinned to roughly `count`
+    const top = Math.ceil(Math.log10(Math.max(Math.abs(min), Math.abs(max)) / C));
+    const sides = min < 0 && max > 0 ? 2 : 1;
+    const stride = Math.max(1, Math.ceil(((top + 1) * sides) / Math.max(1, count)));
+    const major: number[] = [], minor: number[] = [];
+    const push = (v: number, isMajor: boolean) => {
+      if (v < min - 1e-12 || v > max + 1e-12) return;
+      (isMajor ? major : minor).push(v);
+    };
+    push(0, true);
+    for (let k = 0; k <= top; k++) {
+      const d = C * Math.pow(10, k);
+      const isMajor = k % stride === 0;
+      push(d, isMajor); push(-d, isMajor);
+      if (stride === 1) {
+        for (let m = 2; m <= 9; m++) { push(m * d, false); push(-m * d, false); }
+      }
+    }
+    major.sort((a, b) => a - b);
+    minor.sort((a, b) => a - b);
+    return { major, minor, labels: major.map(fmtPow10) };
+  }
+}
+
+// -------------------- TIME --------------------
+
+const SEC = 1000, MIN = 60 * SEC, HOUR = 60 * MIN, DAY = 24 * HOUR;
+
+type TimeUnit = "ms" | "second" | "minute" | "hour" | "day" | "month" | "year";
+
+/** Candidate tick intervals, finest first. */
+const TIME_STEPS: Array<{ unit: TimeUnit; n: number; approx: number }> = [
+  { unit: "second", n: 1, approx: SEC }, { unit: "second", n: 2, approx: 2 * SEC },
+  { unit: "second", n: 5, approx: 5 * SEC }, { unit: "second", n: 10, approx: 10 * SEC },
+  { unit: "second", n: 15, approx: 15 * SEC }, { unit: "second", n: 30, approx: 30 * SEC },
+  { unit: "minute", n: 1, approx: MIN }, { unit: "minute", n: 2, approx: 2 * MIN },
+  { unit: "minute", n: 5, approx: 5 * MIN }, { unit: "minute", n: 10, approx: 10 * MIN },
+  { unit: "minute", n: 15, approx: 15 * MIN }, { unit: "minute", n: 30, approx: 30 * MIN },
+  { unit: "hour", n: 1, approx: HOUR }, { unit: "hour", n: 2, approx: 2 * HOUR },
+  { unit: "hour", n: 3, approx: 3 * HOUR }, { unit: "hour", n: 6, approx: 6 * HOUR },
+  { unit: "hour", n: 12, approx: 12 * HOUR },
+  { unit: "day", n: 1, approx: DAY }, { unit: "day", n: 2, approx: 2 * DAY },
+  { unit: "day", n: 7, approx: 7 * DAY }, { unit: "day", n: 14, approx: 14 * DAY },
+  { unit: "month", n: 1, approx: 30 * DAY }, { unit: "month", n: 2, approx: 61 * DAY },
+  { unit: "month", n: 3, approx: 91 * DAY }, { unit: "month", n: 6, approx: 182 * DAY },
+  { unit: "year", n: 1, approx: 365 * DAY },
+];
+
+const MAX_TICKS = 1000;
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const pad2 = (n: number) => (n < 10 ? "0" : "") + n;
+
+/**
+ * Time axis over millisecond timestamps (Date.now() units). Ticks land on
+ * calendar boundaries — whole seconds through months and years — in local
+ * time, or UTC with `utc: true`.
+ */
+export class TimeScale implements AxisScale {
+  readonly type = "time" as const;
+  constructor(public utc: boolean = false) {}
+
+  forward(v: number): number { return v; }
+  inverse(u: number): number { return u; }
+  clampDomain(min: number, max: number): [number, number] { return [min, max]; }
+
+  private parts(t: number) {
+    const d = new Date(t);
+    return this.utc
+      ? { Y: d.getUTCFullYear(), M: d.getUTCMonth(), D: d.getUTCDate(), h: d.getUTCHours(), m: d.getUTCMinutes(), s: d.getUTCSeconds(), ms: d.getUTCMilliseconds(), W: d.getUTCDay() }
+      : { Y: d.getFullYear(), M: d.getMonth(), D: d.getDate(), h: d.getHours(), m: d.getMinutes(), s: d.getSeconds(), ms: d.getMilliseconds(), W: d.getDay() };
+  }
+
+  private make(Y: number, M: number, D: number = 1, h: number = 0, m: number = 0, s: number = 0): number {
+    return this.utc ? Date.UTC(Y, M, D, h, m, s) : new Date(Y, M, D, h, m, s).getTime();
+  }
+
+  /** Calendar-aligned boundaries of `unit`·n inside [min, max]. */
+  private walk(min: number, max: number, unit: TimeUnit, n: number): number[] {
+    const out: number[] = [];
+    const p = this.parts(min);
+    const push = (t: number) => {
+      if (t >= min && t <= max && (out.length === 0 || t > out[out.length - 1])) out.push(t);
+    };
+
+    // multi-day steps restart on the 1st of every month, dropping a last
+    // tick that would crowd it
+    if (unit === "day" && n < 7) {
+      for (let mo = 0; out.length < MAX_TICKS && this.make(p.Y, p.M + mo) <= max; mo++) {
+        const days = this.parts(this.make(p.Y, p.M + mo + 1, 0)).D;
+        for (let d = 1; d <= days - n + 1; d += n) {
+          const t = this.make(p.Y, p.M + mo, d);
+          if (t > max) break;
+          push(t);
+        }
+      }
+      return out;
+    }
+
+    let at: (i: number) => number;
+    switch (unit) {
+      case "second": { const b = this.make(p.Y, p.M, p.D, p.h, p.m); at = i => b + i * n * SEC; break; }
+      case "minute": { const b = this.make(p.Y, p.M, p.D, p.h); at = i => b + i * n * MIN; break; }
+      // via the calendar so DST days still tick on local whole hours
+      case "hour": at = i => this.make(p.Y, p.M, p.D, i * n); break;
+      case "day": {
+        const monday = p.D - (p.W + 6) % 7;
+        at = i => this.make(p.Y, p.M, monday + i * n);
+        break;
+      }
+      case "month": at = i => this.make(p.Y, Math.floor(p.M / n) * n + i * n); break;
+      default: { const y0 = Math.floor(p.Y / n) * n; at = i => this.make(y0 + i * n, 0); }
+    }
+    for (let i = 0; out.length < MAX_TICKS; i++) {
+      const t = at(i);
+      if (t > max) break;
+      push(t);
+    }
+    return out;
+  }
+
+  ticks(min: number, max: number, count: number): ScaleTicks {
+    if (!isFinite(min) || !isFinite(max) || max <= min || count <= 0) return { major: [], minor: [], labels: [] };
+    const target = (max - min) / count;
+
+    // sub-second spans and multi-year spans use plain nice steps
+    if (target < SEC) {
+      const step = niceStep(target);
+      const major: number[] = [];
+      for (let i = Math.ceil(min / step); i * step <= max; i++) major.push(i * step);
+      return { major, minor: [], labels: major.map((_, i) => this.label(major, i, "ms")) };
+    }
+    const choice = TIME_STEPS.find(s => s.approx >= target);
+    if (!choice) {
+      const years = Math.max(1, niceStep(target / (365.25 * DAY)));
+      const major = this.walk(min, max, "year", years);
+      return { major, minor: [], labels: major.map((_, i) => this.label(major, i, "year")) };
+    }
+    const major = this.walk(min, max, choice.unit, choice.n);
+    return { major, minor: [], labels: major.map((_, i) => this.label(major, i, choice.unit)) };
+  }
+
+  /**
+   * Label at the precision of the tick unit. The first tick and ticks that
+   * roll over a larger unit (new minute, day or year) carry that unit too.
+   */
+  private label(ticks: number[], i: number, unit: TimeUnit): string {
+    const p = this.parts(ticks[i]);
+    const prev = i > 0 ? this.parts(ticks[i - 1]) : null;
+    const newDay = !prev || prev.D !== p.D || prev.M !== p.M || prev.Y !== p.Y;
+    const newMinute = newDay || prev!.h !== p.h || prev!.m !== p.m;
+    const newYear = !prev || prev.Y !== p.Y;
+    const date = `${MONTHS[p.M]} ${p.D}`;
+    const hm = `${pad2(p.h)}:${pad2(p.m)}`;
+    switch (unit) {
+      case "ms": {
+        const s = `${pad2(p.s)}.${String(p.ms).padStart(3, "0")}`;
+        return newMinute ? `${hm}:${s}` : s;
+      }
+      case "second": return newDay ? `${date} ${hm}:${pad2(p.s)}` : `${hm}:${pad2(p.s)}`;
+      case "minute":
+      case "hour": return newDay ? (p.h === 0 && p.m === 0 ? date : `${date} ${hm}`) : hm;
+      case "day": return newYear ? `${date}, ${p.Y}` : date;
+      case "month": return p.M === 0 || newYear ? `${MONTHS[p.M]} ${p.Y}` : MONTHS[p.M];
+      default: return String(p.Y);
+    }
+  }
+}
+
+// -------------------- CATEGORY --------------------
+
+/**
+ * Named slots at integer positions 0..n-1 (bars, box plots). Mapping stays
+ * linear; ticks sit on slot centres labeled with the category names, thinned
+ * only when more than three times `count` are visible.
+ */
+export class CategoryScale implements AxisScale {
+  readonly type = "category" as const;
+  constructor(public categories: string[] = []) {}
+
+  forward(v: number): number { return v; }
+  inverse(u: number): number { return u; }
+  clampDomain(min: number, max: number): [number, number] { return [min, max]; }
+
+  ticks(min: number, max: number, count: number): ScaleTicks {
+    const first = Math.max(0, Math.ceil(min - 1e-9));
+    const last = Math.min(this.categories.length - 1, Math.floor(max + 1e-9));
+    if (last < first) return { major: [], minor: [], labels: [] };
+    const stride = Math.max(1, Math.ceil((last - first + 1) / Math.max(1, count * 3)));
+    const major: number[] = [];
+    for (let i = first; i <= last; i += stride) major.push(i);
+    return { major, minor: [], labels: major.map(i => this.categories[i]) };
+  }
+}
+
+// -------------------- FACTORY --------------------
+
+export const linearScale = new LinearScale();
+
+export function resolveScale(spec: ScaleSpec | null | undefined): AxisScale {
+  if (!spec) return linearScale;
+  if (typeof spec !== "string") return spec;
+  switch (spec) {
+    case "log":
+    case "log10": return new LogScale();
+    case "symlog": return new SymlogScale();
+    case "time": return new TimeScale();
+    case "category": return new CategoryScale();
+    default: return linearScale;
+  }
+}
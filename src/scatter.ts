@@ -0,0 +1,253 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/scatter.ts
+// Columnar scatter plot drawn in one pass with cached marker masks
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager, type YAxisId } from "./viewport";
+import type { Renderer } from "./renderer";
+import { stampMask, useAA } from "./raster";
+import { withAlpha } from "./color";
+import { CATEGORY_PALETTE, colormapIndex, colormapLUT, type ColormapSpec } from "./colormap";
+import { markerMask, markerPolygon, parseMarker, type MarkerType } from "./markers";
+import type { LegendItem } from "./legend";
+import type { SVGWriter } from "./svg";
+import type { RGBA, WorldBounds } from "./types";
+
+export interface ScatterOptions {
+  /** Marker radius (px) per point; overrides `size`. */
+  sizes?: ArrayLike<number>;
+  /** Marker radius (px) for every point. */
+  size?: number;
+  /** Values colored through `colormap` over `range`; take precedence over categories. */
+  values?: ArrayLike<number>;
+  colormap?: ColormapSpec;
+  /** Value range mapped onto the colormap; defaults to the finite min / max. */
+  range?: [number, number];
+  /** Category per point: indices into `categoryLabels`, or the labels themselves. */
+  categories?: ArrayLike<number> | readonly string[];
+  categoryLabels?: string[];
+  palette?: readonly string[];
+  /** One marker for every point, or one per category (cycled). */
+  marker?: MarkerType | readonly MarkerType[];
+  color?: string;
+  opacity?: number;
+  legend?: LegendMetadata;
+  yAxis?: YAxisId;
+  antialias?: boolean;
+}
+
+/**
+ * Scatter plot over parallel arrays (x, y and optional size, color value and
+ * category columns). Points are never turned into objects: each frame
+ * projects them straight from the columns and stamps a cached coverage mask
+ * per marker type and size, so 100k points draw in one pass. Call update()
+ * after replacing or editing a column.
+ */
+export class DrawableScatter extends Drawable {
+  public sizes?: ArrayLike<number>;
+  public size: number;
+  public values?: ArrayLike<number>;
+  public colormap: ColormapSpec;
+  public range?: [number, number];
+  public categories?: ArrayLike<number> | readonly string[];
+  public categoryLabels: string[];
+  public palette: readonly string[];
+  public marker: MarkerType | readonly MarkerType[];
+  public opacity: number;
+
+  /** Resolved category index per point (-1 for none). */
+  private categoryIndex: Int32Array | null = null;
+  private valueDomain: [number, number] = [0, 1];
+  private maxSize = 0;
+
+  constructor(public xs: ArrayLike<number>, public ys: ArrayLike<number>, opts: ScatterOptions = {}) {
+    super(opts.color ?? CATEGORY_PALETTE[0], true, null, Transform2D.identity(), opts.legend && { symbol: "marker", ...opts.legend }, opts.yAxis);
+    this.sizes = opts.sizes;
+    this.size = opts.size ?? 3;
+    this.values = opts.values;
+    this.colormap = opts.colormap ?? "viridis";
+    this.range = opts.range;
+    this.categories = opts.categories;
+    this.categoryLabels = opts.categoryLabels ?? [];
+    this.palette = opts.palette ?? CATEGORY_PALETTE;
+    this.marker = opts.marker ?? "circle";
+    this.opacity = opts.opacity ?? 1;
+    this.antialias = opts.antialias;
+    this.update();
+  }
+
+  get length(): number {
+    return Math.min(this.xs.length, this.ys.length);
+  }
+
+  /** Re-derive category indices and the value domain from the columns. */
+  update(): this {
+    this.categoryIndex = null;
+    const cats = this.categories;
+    if (cats) {
+      const n = cats.length;
+      const index = new Int32Array(n);
+      if (n && typeof cats[0] === "string") {
+        const labels = this.categoryLabels.slice();
+        const seen = new Map(labels.map((l, k) => [l, k]));
+        for (let i = 0; i < n; i++) {
+          const label = cats[i] as string;
+          let k = seen.get(label);
+          if (k === undefined) {
+            k = labels.length;
+            labels.push(label);
+            seen.set(label, k);
+          }
+          index[i] = k;
+        }
+        this.categoryLabels = labels;
+      } else {
+        for (let i = 0; i < n; i++) {
+          const k = cats[i] as number;
+          index[i] = isFinite(k) && k >= 0 ? k | 0 : -1;
+        }
+      }
+      this.categoryIndex = index;
+    }
+
+    let lo = Infinity, hi = -Infinity;
+    if (this.values) {
+      for (let i = 0; i < this.values.length; i++) {
+        const v = this.values[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+    }
+    this.valueDomain = lo <= hi ? (lo < hi ? [lo, hi] : [lo - 0.5, hi + 0.5]) : [0, 1];
+
+    this.maxSize = this.size;
+    if (this.sizes) {
+      this.maxSize = 0;
+      for (let i = 0; i < this.sizes.length; i++) if (this.sizes[i] > this.maxSize) this.maxSize = this.sizes[i];
+    }
+    return this.markDirty();
+  }
+
+  /** Value range on the colormap, so a DrawableColorbar can take the scatter as its source. */
+  get domain(): [number, number] {
+    return this.range ?? this.valueDomain;
+  }
+
+  categoryColor(k: number): string {
+    return this.palette[k % this.palette.length];
+  }
+
+  markerFor(k: number): MarkerType {
+    const m = this.marker;
+    return typeof m === "string" ? m : m[Math.max(0, k) % m.length];
+  }
+
+  get bounds(): WorldBounds | null {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (let i = 0; i < this.length; i++) {
+      const x = this.xs[i], y = this.ys[i];
+      if (!isFinite(x) || !isFinite(y)) continue;
+      if (x < xMin) xMin = x;
+      if (x > xMax) xMax = x;
+      if (y < yMin) yMin = y;
+      if (y > yMax) yMax = y;
+    }
+    return xMin <= xMax ? { xMin, xMax, yMin, yMax } : null;
+  }
+
+  /**
+   * Walk the visible points in drawing order with their canvas position,
+   * radius, marker and color; `rgba` is one reused array, so copy it to keep it.
+   */
+  private forEachVisible(vp: ViewportManager, margin: number, fn: (i: number, px: number, py: number, r: number, marker: MarkerType, rgba: RGBA) => void): void {
+    const n = this.length;
+    if (!n) return;
+    const m = vp.canvasMapping();
+    const fx = vp.xScale, fy = vp.yScale;
+    const { a, b, c, d, e, f } = this.transform;
+    const rect = vp.viewport;
+    const x0 = rect.x - margin, x1 = rect.x + rect.width + margin;
+    const y0 = rect.y - margin, y1 = rect.y + rect.height + margin;
+
+    const lut = this.values ? colormapLUT(this.colormap) : null;
+    const [lo, hi] = this.domain;
+    const palette = this.palette.map(col => withAlpha(this.parseColorSafe(col), this.opacity));
+    const base = withAlpha(this.parseColorSafe(this.color), this.opacity);
+    const rgba: [number, number, number, number] = [0, 0, 0, 0];
+
+    for (let i = 0; i < n; i++) {
+      const x = this.xs[i], y = this.ys[i];
+      const px = m.x0 + m.sx * fx.forward(a * x + c * y + e);
+      const py = m.y0 + m.sy * fy.forward(b * x + d * y + f);
+      if (!(px >= x0 && px <= x1 && py >= y0 && py <= y1)) continue;
+      const r = this.sizes ? this.sizes[i] : this.size;
+      if (!(r > 0)) continue;
+      const k = this.categoryIndex ? this.categoryIndex[i] : -1;
+
+      if (lut) {
+        const t = colormapIndex((this.values![i] - lo) / (hi - lo));
+        if (t < 0) continue;
+        rgba[0] = lut[t * 4]; rgba[1] = lut[t * 4 + 1]; rgba[2] = lut[t * 4 + 2];
+        rgba[3] = Math.round(lut[t * 4 + 3] * this.opacity);
+      } else {
+        const col = k >= 0 ? palette[k % palette.length] : base;
+        rgba[0] = col[0]; rgba[1] = col[1]; rgba[2] = col[2]; rgba[3] = col[3];
+      }
+      fn(i, px, py, r, this.markerFor(k), rgba);
+    }
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const aa = useAA(app, this.antialias);
+    this.forEachVisible(vp, this.maxSize * 1.5 + 2, (_i, px, py, r, marker, rgba) => {
+      stampMask(app, Math.round(px), Math.round(py), markerMask(marker, r, aa), rgba);
+    });
+  }
+
+  /** Index of the point drawn nearest to world point `p` within its radius + `tolerancePx`, or -1. */
+  pointAt(p: V2, vp: ViewportManager, tolerancePx: number = 4): number {
+    const q = vp.worldToCanvas(p.x, p.y);
+    let best = -1, bestD = Infinity;
+    this.forEachVisible(vp, this.maxSize + tolerancePx, (i, px, py, r) => {
+      const dist = Math.hypot(px - q.x, py - q.y);
+      // later points are drawn on top, so they win ties
+      if (dist <= r + tolerancePx && dist <= bestD) {
+        best = i;
+        bestD = dist;
+      }
+    });
+    return best;
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    return this.pointAt(p, vp, tolerancePx) >= 0;
+  }
+
+  /** One entry per labelled category, else the drawable's own legend entry. */
+  legendItems(): LegendItem[] {
+    if (this.categoryIndex && this.categoryLabels.length && !this.values) {
+      return this.categoryLabels.map((label, k) => ({ label, color: this.categoryColor(k), symbol: "marker" }));
+    }
+    if (!this.legend) return [];
+    const color = this.legend.color ?? (typeof this.color === "string" ? this.color : "#fff");
+    return [{ label: this.legend.label, color, symbol: this.legend.symbol ?? "marker" }];
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const out: string[] = [];
+    this.forEachVisible(vp, this.maxSize * 1.5, (_i, px, py, r, marker, rgba) => {
+      const { shape, open } = parseMarker(marker);
+      const poly = markerPolygon(shape, r, px, py);
+      if (poly) {
+        out.push(open ? w.polygon(poly, null, rgba, 1.2) : w.polygon(poly, rgba));
+      } else {
+        const paint = open ? `fill="none" ${w.paint("stroke", rgba)} stroke-width="1.2"` : w.paint("fill", rgba);
+        out.push(`<circle cx="${w.num(px)}" cy="${w.num(py)}" r="${w.num(r)}" ${paint}/>`);
+      }
+    });
+    return out.join("\n");
+  }
+}
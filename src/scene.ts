@@ -1,16 +1,39 @@
 // src/scene.ts
 import { Drawable } from "./drawables";
-import { ViewportManager } from "./viewport";
-import { CanvasRenderer } from "./renderer";
-import { LegendItem } from "./legend";
+import { ViewportManager, viewportFor } from "./viewport";
+import { PixelBuffer } from "./pixelbuffer";
+import { DirtyRegionTracker, rectsIntersect } from "./dirtyRegion";
+import type { Rect } from "./types";
+import type { Renderer } from "./renderer";
+import { LegendItem, legendEntries } from "./legend";
+import type { WorkerSceneHost } from "./sceneWorker";
+import type { ScenePointerEvent, ScenePointerEventType, ScenePointerListener } from "./pointer";
 
-interface Layer {
+export interface Layer {
     name: string;
     drawables: Drawable[];
+    /** Static layers are rasterized once into `cache` and composited with PixelBuffer.blit. */
+    static?: boolean;
+    cache?: PixelBuffer | null;
+    cacheKey?: string;
 }
 
+/** Duck-typed view of the retained-rendering hooks (plain `{ draw }` objects have none). */
+type Retainable = {
+    dirty?: boolean;
+    visible?: boolean;
+    ignoreViewport?: boolean;
+    canvasBounds?: (vp: ViewportManager | undefined, app: Renderer) => Rect | null;
+};
+
 export class Scene {
     private layers: Layer[] = [];
+    private pointerListeners = new Map<ScenePointerEventType, ScenePointerListener[]>();
+    /** Canvas bounds each drawable had when last painted by drawRetained (null = unknown). */
+    private paintedBounds = new WeakMap<Drawable, Rect | null>();
+    private pendingRects: Rect[] = [];
+    private pendingFull = false;
+    private viewKey = "";
 
     add(items: Drawable | Drawable[], layerName: string = "default"): this {
         const drawables = Array.isArray(items) ? items : [items];
@@ -23,43 +46,256 @@ export class Scene {
         }
 
         layer.drawables.push(...drawables);
+        for (const d of drawables) (d as Retainable).dirty = true;
+        layer.cacheKey = undefined;
         return this;
     }
 
     remove(item: Drawable): this {
         for (const layer of this.layers) {
+            const before = layer.drawables.length;
             layer.drawables = layer.drawables.filter(d => d !== item);
+            if (layer.drawables.length !== before) layer.cacheKey = undefined;
         }
+        this.forgetPainted(item);
         return this;
     }
 
     clear(layerName?: string): this {
         if (layerName) {
             const layer = this.layers.find(l => l.name === layerName);
-            if (layer) layer.drawables.length = 0;
+            if (layer) {
+                layer.drawables.length = 0;
+                layer.cacheKey = undefined;
+            }
         } else {
             this.layers.length = 0;
         }
+        this.pendingFull = true;
+        return this;
+    }
+
+    /**
+     * Flag a layer as static: it is rasterized into its own PixelBuffer and
+     * only re-rasterized when the view changes or one of its drawables is
+     * marked dirty. Good for a Graph's grid and tick labels.
+     */
+    setStatic(layerName: string, isStatic: boolean = true): this {
+        let layer = this.layers.find(l => l.name === layerName);
+        if (!layer) {
+            layer = { name: layerName, drawables: [] };
+            this.layers.push(layer);
+            this.sortLayers();
+        }
+        layer.static = isStatic && layerName !== "debug";
+        if (!layer.static) layer.cache = null;
+        layer.cacheKey = undefined;
+        this.pendingFull = true;
         return this;
     }
 
-    draw(app: CanvasRenderer, vp?: ViewportManager): void {
+    /** Drop cached static-layer pixels (all layers when no name is given). */
+    invalidate(layerName?: string): this {
+        for (const layer of this.layers) {
+            if (!layerName || layer.name === layerName) layer.cacheKey = undefined;
+        }
+        this.pendingFull = true;
+        return this;
+    }
+
+    draw(app: Renderer, vp?: ViewportManager): void {
+        vp?.beforeDraw?.(app);
         for (const layer of this.layers) {
             if (layer.name === "debug") continue;
+            this.drawLayer(layer, app, vp);
+        }
+
+        const debugLayer = this.layers.find(l => l.name === "debug");
+        if (debugLayer) this.drawLayer(debugLayer, app, vp);
+    }
+
+    /**
+     * Retained variant of draw(): repaints only the rectangles that changed
+     * since the previous call and returns them (empty when nothing changed)
+     * so the host can push just those via putImageData. A change of canvas
+     * size or view repaints everything; so does any dirty drawable whose
+     * canvasBounds are unknown. Drawables must call markDirty() when mutated.
+     */
+    drawRetained(app: Renderer, vp: ViewportManager | undefined, tracker: DirtyRegionTracker): Rect[] {
+        vp?.beforeDraw?.(app);
+        const buf = app.buffer;
+        tracker.resize(buf.width, buf.height);
+
+        const key = this.viewKeyFor(app, vp);
+        const viewChanged = key !== this.viewKey;
+        if (viewChanged) {
+            this.viewKey = key;
+            tracker.markAll();
+        }
+        if (this.pendingFull) tracker.markAll();
+        for (const r of this.pendingRects) tracker.add(r);
+        this.pendingFull = false;
+        this.pendingRects.length = 0;
+
+        const bounds = new Map<Drawable, Rect | null>();
+        for (const layer of this.layers) {
+            if (layer.static) {
+                if (this.layerCacheStale(layer, app, vp)) tracker.markAll();
+                continue;
+            }
             for (const d of layer.drawables) {
-                if ((d as any).visible === false) continue;
-                d.draw(app, vp);
+                const r = d as Retainable;
+                // a clean drawable in an unchanged view is still where it was painted
+                if (r.dirty === false && !viewChanged && this.paintedBounds.has(d)) {
+                    bounds.set(d, this.paintedBounds.get(d)!);
+                    continue;
+                }
+                const dvp = layer.name === "debug" && r.ignoreViewport ? undefined : viewportFor(d, vp);
+                const now = r.visible === false || typeof r.canvasBounds !== "function" ? null : r.canvasBounds(dvp, app);
+                bounds.set(d, now);
+                if (r.dirty === false) continue;
+                const was = this.paintedBounds.get(d);
+                if (was === null || (now === null && r.visible !== false)) tracker.markAll();
+                else {
+                    tracker.add(was);
+                    tracker.add(now);
+                }
             }
         }
 
-        const debugLayer = this.layers.find(l => l.name === "debug");
-        if (debugLayer) {
-            for (const d of debugLayer.drawables) {
-                if ((d as any).visible === false) continue;
-                if ((d as any).ignoreViewport) d.draw(app, undefined);
-                else d.draw(app, vp);
+        if (tracker.isEmpty) return [];
+        const regions = tracker.regions();
+        for (const region of regions) {
+            buf.setClip(region);
+            app.clear();
+            for (const layer of this.layers) {
+                if (layer.static) {
+                    this.drawLayer(layer, app, vp);
+                    continue;
+                }
+                const touching = layer.drawables.filter(d => {
+                    const b = bounds.get(d);
+                    return b == null || rectsIntersect(b, region);
+                });
+                this.drawLayer({ name: layer.name, drawables: touching }, app, vp);
+            }
+        }
+        buf.setClip(null);
+
+        for (const layer of this.layers) {
+            if (layer.static) continue;
+            for (const d of layer.drawables) {
+                const r = d as Retainable;
+                r.dirty = false;
+                if (r.visible === false) this.paintedBounds.delete(d);
+                else this.paintedBounds.set(d, bounds.get(d) ?? null);
+            }
+        }
+        tracker.clear();
+        return regions;
+    }
+
+    private drawLayer(layer: Layer, app: Renderer, vp?: ViewportManager): void {
+        if (layer.static) {
+            app.buffer.blit(this.layerCache(layer, app, vp).imageData, 0, 0);
+            return;
+        }
+        const debug = layer.name === "debug";
+        for (const d of layer.drawables) {
+            if ((d as any).visible === false) continue;
+            if (debug && (d as any).ignoreViewport) d.draw(app, undefined);
+            else d.draw(app, viewportFor(d, vp));
+        }
+    }
+
+    /** The layer's cached pixels, re-rasterized into a transparent buffer when stale. */
+    private layerCache(layer: Layer, app: Renderer, vp?: ViewportManager): PixelBuffer {
+        if (layer.cache && !this.layerCacheStale(layer, app, vp)) return layer.cache;
+
+        const main = app.buffer;
+        const cache = layer.cache ?? new PixelBuffer(main.width, main.height);
+        if (cache.width !== main.width || cache.height !== main.height) cache.resize(main.width, main.height);
+        cache.clear("rgba(0,0,0,0)");
+
+        // raster functions and drawText all write through app.buffer
+        app.buffer = cache;
+        try {
+            this.drawLayer({ name: layer.name, drawables: layer.drawables }, app, vp);
+        } finally {
+            app.buffer = main;
+        }
+        for (const d of layer.drawables) (d as Retainable).dirty = false;
+        layer.cache = cache;
+        layer.cacheKey = this.viewKeyFor(app, vp);
+        return cache;
+    }
+
+    private layerCacheStale(layer: Layer, app: Renderer, vp?: ViewportManager): boolean {
+        if (!layer.cache || layer.cacheKey !== this.viewKeyFor(app, vp)) return true;
+        return layer.drawables.some(d => (d as Retainable).dirty === true);
+    }
+
+    /** Everything that moves the pixels of every drawable at once. */
+    private viewKeyFor(app: Renderer, vp?: ViewportManager): string {
+        const b = vp?.worldBounds, r = vp?.viewport, b2 = vp?.y2?.worldBounds;
+        return [app.buffer.width, app.buffer.height, b?.xMin, b?.xMax, b?.yMin, b?.yMax, r?.x, r?.y, r?.width, r?.height, vp?.preserveAspect, b2?.yMin, b2?.yMax].join("|");
+    }
+
+    private forgetPainted(item: Drawable): void {
+        const was = this.paintedBounds.get(item);
+        if (was === null) this.pendingFull = true;
+        else if (was) this.pendingRects.push(was);
+        this.paintedBounds.delete(item);
+    }
+
+    /**
+     * Drawables under canvas point (canvasX, canvasY), topmost first
+     * (reverse draw order). Hidden drawables and viewport-less debug
+     * overlays are skipped.
+     */
+    pick(canvasX: number, canvasY: number, vp: ViewportManager, tolerancePx: number = 4): Drawable[] {
+        const world = vp.canvasToWorld(canvasX, canvasY);
+        const hits: Drawable[] = [];
+        for (let li = this.layers.length - 1; li >= 0; li--) {
+            const layer = this.layers[li];
+            for (let i = layer.drawables.length - 1; i >= 0; i--) {
+                const d = layer.drawables[i];
+                if ((d as any).visible === false || (d as any).ignoreViewport) continue;
+                const dvp = viewportFor(d, vp);
+                const at = dvp === vp ? world : dvp.canvasToWorld(canvasX, canvasY);
+                if (typeof d.hitTest === "function" && d.hitTest(at, dvp, tolerancePx)) hits.push(d);
             }
         }
+        return hits;
+    }
+
+    on(type: ScenePointerEventType, listener: ScenePointerListener): this {
+        const list = this.pointerListeners.get(type) ?? [];
+        list.push(listener);
+        this.pointerListeners.set(type, list);
+        return this;
+    }
+
+    off(type: ScenePointerEventType, listener: ScenePointerListener): this {
+        const list = this.pointerListeners.get(type);
+        if (list) this.pointerListeners.set(type, list.filter(l => l !== listener));
+        return this;
+    }
+
+    hasListeners(type: ScenePointerEventType): boolean {
+        return !!this.pointerListeners.get(type)?.length;
+    }
+
+    /** Deliver a pointer event to its target drawable, then to Scene listeners. */
+    dispatch(e: ScenePointerEvent): void {
+        if (e.target && typeof e.target.emit === "function") e.target.emit(e);
+        const list = this.pointerListeners.get(e.type);
+        if (list) for (const l of [...list]) l(e);
+    }
+
+    /** Layers in draw order ("debug" last). */
+    getLayers(): readonly Layer[] {
+        return this.layers;
     }
 
     collectDrawables(): Drawable[] {
@@ -73,16 +309,7 @@ export class Scene {
     collectLegend(): LegendItem[] {
         const items: LegendItem[] = [];
         for (const layer of this.layers) {
-            for (const d of layer.drawables) {
-                const meta = (d as any).legend;
-                if (meta) {
-                    items.push({
-                        label: meta.label,
-                        color: meta.color ?? (d as any).color ?? "#fff",
-                        symbol: meta.symbol ?? "line",
-                    });
-                }
-            }
+            for (const d of layer.drawables) items.push(...legendEntries(d));
         }
         return items;
     }
@@ -97,10 +324,11 @@ export class Scene {
 }
 
 export interface CanvasHost {
-    app: CanvasRenderer;
+    app: Renderer;
     resize?: () => void;
     clear?: () => void;
-    render?: () => void;
+    /** Present the frame; `dirty` limits the upload to those rectangles. */
+    render?: (dirty?: readonly Rect[]) => void;
     containerDiv?: HTMLElement;
 }
 
@@ -109,18 +337,51 @@ export interface SceneEntry {
     scene: Scene;
     vp?: ViewportManager;
     id?: string;
+    /** Repaint only dirty rectangles (Scene.drawRetained) instead of the full frame. */
+    retained?: boolean;
+    tracker?: DirtyRegionTracker;
+}
+
+export interface SceneEntryOptions {
+    retained?: boolean;
+}
+
+export interface WorkerSceneEntry {
+    host: WorkerSceneHost;
+    id?: string;
 }
 
 export class SceneManager {
     private entries: SceneEntry[] = [];
+    private workers: WorkerSceneEntry[] = [];
     private _rafId: number | null = null;
 
-    add(host: CanvasHost, scene: Scene, vp?: ViewportManager, id?: string): this {
-        this.entries.push({ host, scene, vp, id });
+    add(host: CanvasHost, scene: Scene, vp?: ViewportManager, id?: string, options: SceneEntryOptions = {}): this {
+        this.entries.push({ host, scene, vp, id, retained: options.retained });
+        return this;
+    }
+
+    /** Switch an entry between full redraws and dirty-rectangle rendering. */
+    setRetained(id: string, retained: boolean = true): this {
+        const entry = this.get(id);
+        if (entry) {
+            entry.retained = retained;
+            entry.tracker = undefined;
+        }
+        return this;
+    }
+
+    /**
+     * Register a scene rendered off the main thread. renderAll() only requests
+     * its next frame; the worker owns the Scene and ViewportManager.
+     */
+    addWorker(host: WorkerSceneHost, id?: string): this {
+        this.workers.push({ host, id });
         return this;
     }
 
     init(): void {
+        this.workers.forEach(({ host }) => host.resize());
         this.entries.forEach(({ host, vp }) => {
             host.resize?.();
             if (vp?.updateWorld) {
@@ -134,6 +395,7 @@ export class SceneManager {
     }
 
     resizeAll(): void {
+        this.workers.forEach(({ host }) => host.resize());
         this.entries.forEach(({ host, vp }) => {
             host.resize?.();
             if (vp?.updateWorld) {
@@ -145,7 +407,16 @@ export class SceneManager {
     }
 
     renderAll(): void {
-        this.entries.forEach(({ host, scene, vp }) => {
+        this.workers.forEach(({ host }) => host.requestFrame());
+        this.entries.forEach(entry => {
+            const { host, scene, vp } = entry;
+            if (entry.retained) {
+                const buf = host.app.buffer;
+                entry.tracker ??= new DirtyRegionTracker(buf.width, buf.height);
+                const dirty = scene.drawRetained(host.app, vp, entry.tracker);
+                if (dirty.length) host.render?.(dirty);
+                return;
+            }
             host.clear?.();
             scene.draw(host.app, vp);
             host.render?.();
@@ -173,6 +444,10 @@ export class SceneManager {
         return this.entries.find(entry => entry.id === id);
     }
 
+    getWorker(id: string): WorkerSceneEntry | undefined {
+        return this.workers.find(entry => entry.id === id);
+    }
+
     attachWindowResize(debounceMs: number = 120): void {
         let timer: number | null = null;
         window.addEventListener("resize", () => {
@@ -0,0 +1,331 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/sceneWorker.ts
+// Render a Scene inside a Web Worker; only finished frames cross threads
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { MemoryRenderer } from "./memoryRenderer";
+import { Scene } from "./scene";
+import { ViewportManager } from "./viewport";
+import type { ViewportRect } from "./types";
+
+/** "bitmap" transfers an ImageBitmap from a worker-side OffscreenCanvas; "pixels" transfers the raw RGBA buffer. */
+export type WorkerFrameFormat = "bitmap" | "pixels";
+
+export type ToWorkerMessage =
+  | { type: "init"; width: number; height: number; dpr: number; format: WorkerFrameFormat }
+  | { type: "resize"; width: number; height: number; dpr: number }
+  | { type: "frame"; time: number }
+  | { type: "message"; data: any };
+
+export type FromWorkerMessage =
+  | { type: "frame"; width: number; height: number; bitmap?: ImageBitmap; pixels?: ArrayBuffer }
+  | { type: "message"; data: any }
+  | { type: "error"; message: string; stack?: string };
+
+// -------------------- MAIN THREAD --------------------
+
+export interface WorkerSceneHostOptions {
+  background?: string;
+  /** Force a frame format; defaults to "bitmap" when OffscreenCanvas exists. */
+  format?: WorkerFrameFormat;
+}
+
+/**
+ * Main-thread side of a worker-rendered scene. Owns the visible canvas,
+ * forwards size / devicePixelRatio changes, requests frames and paints the
+ * frames the worker sends back. Scenes are rendered at CSS-pixel size, like
+ * the PixelBuffer of a DynamicCanvasRenderer; bitmap frames come back
+ * scaled to device pixels. Add it to a SceneManager with addWorker().
+ */
+export class WorkerSceneHost {
+  public canvas: HTMLCanvasElement;
+  public size = { x: 1, y: 1 };
+  public dpr = 1;
+  public format: WorkerFrameFormat;
+
+  private bitmapCtx: ImageBitmapRenderingContext | null = null;
+  private ctx2d: CanvasRenderingContext2D | null = null;
+  private inFlight = false;
+  private listeners: Array<(data: any) => void> = [];
+  private errorListeners: Array<(error: { message: string; stack?: string }) => void> = [];
+  private dprQuery: MediaQueryList | null = null;
+
+  constructor(public worker: Worker, public containerDiv: HTMLElement, options: WorkerSceneHostOptions = {}) {
+    this.canvas = document.createElement("canvas");
+    containerDiv.appendChild(this.canvas);
+    Object.assign(this.canvas.style, {
+      width: "100%",
+      height: "100%",
+      display: "block",
+      background: options.background || "black"
+    });
+
+    this.format = options.format ?? (typeof OffscreenCanvas !== "undefined" ? "bitmap" : "pixels");
+    if (this.format === "bitmap") this.bitmapCtx = this.canvas.getContext("bitmaprenderer");
+    else this.ctx2d = this.canvas.getContext("2d");
+
+    worker.addEventListener("message", this.onWorkerMessage);
+    worker.addEventListener("error", this.onWorkerError);
+    worker.addEventListener("messageerror", this.onWorkerError);
+    this.measure();
+    this.send({ type: "init", width: this.size.x, height: this.size.y, dpr: this.dpr, format: this.format });
+    this.watchDpr();
+  }
+
+  /** Re-measure the container and forward the new size / DPR to the worker. */
+  resize(): void {
+    this.measure();
+    this.send({ type: "resize", width: this.size.x, height: this.size.y, dpr: this.dpr });
+  }
+
+  /** Ask for a frame. Skipped while the previous one is still being rendered. */
+  requestFrame(time: number = performance.now()): boolean {
+    if (this.inFlight) return false;
+    this.inFlight = true;
+    this.send({ type: "frame", time });
+    return true;
+  }
+
+  /** Send application state to the worker's onMessage handler. */
+  post(data: any, transfer: Transferable[] = []): void {
+    this.send({ type: "message", data }, transfer);
+  }
+
+  /** Subscribe to messages posted by the worker's ctx.post(). Returns an unsubscribe function. */
+  onMessage(listener: (data: any) => void): () => void {
+    this.listeners.push(listener);
+    return () => { this.listeners = this.listeners.filter(l => l !== listener); };
+  }
+
+  /**
+   * Subscribe to errors thrown in the worker (setup, handlers or drawing) and
+   * to messages that failed to deserialize. Without listeners they go to
+   * console.error. Returns an unsubscribe function.
+   */
+  onError(listener: (error: { message: string; stack?: string }) => void): () => void {
+    this.errorListeners.push(listener);
+    return () => { this.errorListeners = this.errorListeners.filter(l => l !== listener); };
+  }
+
+  terminate(): void {
+    this.worker.removeEventListener("message", this.onWorkerMessage);
+    this.worker.removeEventListener("error", this.onWorkerError);
+    this.worker.removeEventListener("messageerror", this.onWorkerError);
+    this.dprQuery?.removeEventListener("change", this.onDprChange);
+    this.worker.terminate();
+  }
+
+  private send(msg: ToWorkerMessage, transfer: Transferable[] = []): void {
+    this.worker.postMessage(msg, transfer);
+  }
+
+  private measure(): void {
+    const rect = this.containerDiv.getBoundingClientRect();
+    this.size = { x: Math.max(1, rect.width | 0), y: Math.max(1, rect.height | 0) };
+    this.dpr = window.devicePixelRatio || 1;
+  }
+
+  /** devicePixelRatio changes (zoom, moving between monitors) do not fire "resize" everywhere. */
+  private watchDpr(): void {
+    this.dprQuery?.removeEventListener("change", this.onDprChange);
+    if (typeof window.matchMedia !== "function") return;
+    this.dprQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    this.dprQuery.addEventListener("change", this.onDprChange);
+  }
+
+  private onDprChange = (): void => {
+    this.resize();
+    this.watchDpr();
+  };
+
+  private reportError(error: { message: string; stack?: string }): void {
+    // the frame that failed will never arrive; let the next one be requested
+    this.inFlight = false;
+    if (!this.errorListeners.length) console.error(`Scene worker: ${error.message}`, error.stack ?? "");
+    for (const l of this.errorListeners) l(error);
+  }
+
+  private onWorkerError = (e: Event): void => {
+    const message = e instanceof ErrorEvent ? e.message : e.type === "messageerror" ? "message could not be deserialized" : "worker error";
+    this.reportError({ message });
+  };
+
+  private onWorkerMessage = (e: MessageEvent<FromWorkerMessage>): void => {
+    const msg = e.data;
+    if (msg.type === "message") {
+      for (const l of this.listeners) l(msg.data);
+      return;
+    }
+    if (msg.type === "error") {
+      this.reportError(msg);
+      return;
+    }
+    if (msg.type !== "frame") return;
+    this.inFlight = false;
+
+    if (this.canvas.width !== msg.width || this.canvas.height !== msg.height) {
+      this.canvas.width = msg.width;
+      this.canvas.height = msg.height;
+    }
+    if (msg.bitmap && this.bitmapCtx) {
+      this.bitmapCtx.transferFromImageBitmap(msg.bitmap);
+    } else if (msg.pixels) {
+      const image = new ImageData(new Uint8ClampedArray(msg.pixels), msg.width, msg.height);
+      if (this.ctx2d) {
+        this.ctx2d.putImageData(image, 0, 0);
+      } else if (this.bitmapCtx) {
+        // a worker without OffscreenCanvas falls back to pixels; this canvas only takes bitmaps
+        const ctx = this.bitmapCtx;
+        createImageBitmap(image).then(bitmap => ctx.transferFromImageBitmap(bitmap), err => this.reportError({ message: String(err) }));
+      }
+    }
+  };
+}
+
+// -------------------- WORKER --------------------
+
+export interface SceneWorkerContext {
+  app: MemoryRenderer;
+  scene: Scene;
+  /** Default viewport: the frame inset by `margin`, tracking resizes. */
+  vp: ViewportManager;
+  /** The host's devicePixelRatio; bitmap frames are scaled up by it. */
+  dpr: number;
+  /** Send data to the host's onMessage listeners. */
+  post(data: any, transfer?: Transferable[]): void;
+}
+
+export interface SceneWorkerHandlers {
+  /** State pushed from the main thread via WorkerSceneHost.post(). */
+  onMessage?(data: any, ctx: SceneWorkerContext): void;
+  /** Called before each frame is drawn; animate here. */
+  onFrame?(time: number, ctx: SceneWorkerContext): void;
+  onResize?(ctx: SceneWorkerContext): void;
+}
+
+export interface SceneWorkerOptions {
+  background?: string;
+  /** Inset of the default viewport, as in getDivViewport. */
+  margin?: number;
+  preserveAspect?: string | boolean;
+  worldBounds?: { xMin: number; xMax: number; yMin: number; yMax: number };
+}
+
+interface WorkerScope {
+  postMessage(msg: any, transfer?: Transferable[]): void;
+  addEventListener(type: "message", listener: (e: MessageEvent) => void): void;
+}
+
+/**
+ * Worker entry point. `setup` runs once the host has sent its size; build the
+ * scene there. Messages arriving before init are queued.
+ *
+ *   // chart.worker.js
+ *   runSceneWorker(({ scene, vp }) => {
+ *     const wave = new DrawableFunction([], { color: "lime" });
+ *     scene.add([new Graph(vp), wave]);
+ *     return { onMessage: data => { wave.data = data.map(p => new V2(p.x, p.y)); } };
+ *   });
+ */
+export function runSceneWorker(
+  setup: (ctx: SceneWorkerContext) => SceneWorkerHandlers | void,
+  options: SceneWorkerOptions = {},
+  scope: WorkerScope = globalThis as any
+): void {
+  const margin = options.margin ?? 30;
+  const background = options.background ?? "#131313";
+  let ctx: SceneWorkerContext | null = null;
+  let handlers: SceneWorkerHandlers = {};
+  let format: WorkerFrameFormat = "pixels";
+  let dpr = 1;
+  // `frame` holds the CSS-pixel buffer, `surface` the device-pixel backing store sent to the host
+  let frame: OffscreenCanvas | null = null;
+  let frameCtx: OffscreenCanvasRenderingContext2D | null = null;
+  let surface: OffscreenCanvas | null = null;
+  let surfaceCtx: OffscreenCanvasRenderingContext2D | null = null;
+  const pending: ToWorkerMessage[] = [];
+
+  const post = (msg: FromWorkerMessage, transfer: Transferable[] = []) => scope.postMessage(msg, transfer);
+
+  const sendFrame = (app: MemoryRenderer) => {
+    const { width, height } = app.buffer;
+    if (format === "bitmap" && typeof OffscreenCanvas !== "undefined") {
+      const bw = Math.max(1, Math.round(width * dpr)), bh = Math.max(1, Math.round(height * dpr));
+      frame ??= new OffscreenCanvas(width, height);
+      frameCtx ??= frame.getContext("2d");
+      surface ??= new OffscreenCanvas(bw, bh);
+      surfaceCtx ??= surface.getContext("2d");
+      if (frame.width !== width || frame.height !== height) {
+        frame.width = width;
+        frame.height = height;
+      }
+      if (surface.width !== bw || surface.height !== bh) {
+        surface.width = bw;
+        surface.height = bh;
+      }
+      frameCtx!.putImageData(app.buffer.imageData as ImageData, 0, 0);
+      // resizing resets context state, so set smoothing every frame
+      surfaceCtx!.imageSmoothingEnabled = false;
+      surfaceCtx!.drawImage(frame, 0, 0, bw, bh);
+      const bitmap = surface.transferToImageBitmap();
+      post({ type: "frame", width: bw, height: bh, bitmap }, [bitmap]);
+    } else {
+      const pixels = app.buffer.pixels.slice().buffer;
+      post({ type: "frame", width, height, pixels }, [pixels]);
+    }
+  };
+
+  const handle = (msg: ToWorkerMessage) => {
+    if (msg.type === "init") {
+      format = msg.format;
+      dpr = msg.dpr;
+      const app = new MemoryRenderer(msg.width, msg.height);
+      const viewport = (a: MemoryRenderer): ViewportRect => ({
+        x: margin,
+        y: margin,
+        width: a.size.x - 2 * margin,
+        height: a.size.y - 2 * margin,
+      });
+      const vp = new ViewportManager(app, options.worldBounds ?? null, viewport, options.preserveAspect ?? "none");
+      ctx = {
+        app,
+        scene: new Scene(),
+        vp,
+        dpr,
+        post: (data, transfer) => post({ type: "message", data }, transfer),
+      };
+      handlers = setup(ctx) || {};
+      pending.splice(0).forEach(handle);
+      return;
+    }
+    if (!ctx) {
+      pending.push(msg);
+      return;
+    }
+    if (msg.type === "resize") {
+      ctx.app.resize(msg.width, msg.height);
+      ctx.dpr = dpr = msg.dpr;
+      ctx.vp.updateWorld(ctx.vp.worldBounds);
+      handlers.onResize?.(ctx);
+    } else if (msg.type === "message") {
+      handlers.onMessage?.(msg.data, ctx);
+    } else if (msg.type === "frame") {
+      handlers.onFrame?.(msg.time, ctx);
+      ctx.app.clear(background);
+      ctx.scene.draw(ctx.app, ctx.vp);
+      ctx.app.render();
+      sendFrame(ctx.app);
+    }
+  };
+
+  scope.addEventListener("message", e => {
+    const msg = e.data as ToWorkerMessage;
+    try {
+      handle(msg);
+    } catch (err) {
+      // reported instead of thrown, so the host clears its in-flight frame and keeps going
+      const error = err instanceof Error ? err : new Error(String(err));
+      post({ type: "error", message: error.message, stack: error.stack });
+    }
+  });
+}
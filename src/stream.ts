@@ -0,0 +1,324 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/stream.ts
+// Real-time time series over a fixed-capacity ring buffer
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager, type YAxisId } from "./viewport";
+import type { Renderer } from "./renderer";
+import { strokeShape } from "./raster";
+import type { LineCap, LineJoin } from "./stroke";
+import { distanceToPolyline } from "./geometry";
+import { minMaxEnvelope } from "./decimate";
+import type { SVGWriter } from "./svg";
+import type { WorldBounds } from "./types";
+
+export interface StreamOptions {
+  color?: string;
+  width?: number;
+  join?: LineJoin;
+  cap?: LineCap;
+  legend?: LegendMetadata;
+  yAxis?: YAxisId;
+  antialias?: boolean;
+  dash?: number[];
+  dashOffset?: number;
+  /** Width (world x units) of the window ending at the newest sample; null spans the whole buffer. */
+  window?: number | null;
+  /** Fit the followed viewport's y range to the samples inside the window. */
+  autoscaleY?: boolean;
+  /** Padding around the autoscaled y range, as a fraction of its height. */
+  yPadding?: number;
+}
+
+/**
+ * Sample numbers whose y beats that of every later held sample, oldest
+ * first (a monotonic queue). The extreme over any range ending at the
+ * newest sample is then the first entry inside the range, so a sliding
+ * window's y range costs a binary search instead of a rescan.
+ */
+class SuffixExtremes {
+  private at: Float64Array;
+  private start = 0;
+  private size = 0;
+
+  constructor(capacity: number, private beats: (a: number, b: number) => boolean) {
+    this.at = new Float64Array(capacity);
+  }
+
+  private entry(k: number): number {
+    return this.at[(this.start + k) % this.at.length];
+  }
+
+  clear(): void {
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /** Forget samples numbered below `n` (overwritten in the ring). */
+  dropBefore(n: number): void {
+    while (this.size && this.at[this.start] < n) {
+      this.start = (this.start + 1) % this.at.length;
+      this.size--;
+    }
+  }
+
+  /** Append sample `n` with value `y`; `yOf` reads the y of a held sample number. */
+  push(n: number, y: number, yOf: (n: number) => number): void {
+    while (this.size && !this.beats(yOf(this.entry(this.size - 1)), y)) this.size--;
+    this.at[(this.start + this.size) % this.at.length] = n;
+    this.size++;
+  }
+
+  /** First entry numbered `n` or later, -1 when there is none. */
+  from(n: number): number {
+    let lo = 0, hi = this.size;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.entry(mid) < n) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo < this.size ? this.entry(lo) : -1;
+  }
+}
+
+/**
+ * A live trace backed by a typed-array ring buffer: once `capacity` samples
+ * are held, each push overwrites the oldest. x should be non-decreasing
+ * (timestamps, sample counters); culling binary-searches on it.
+ *
+ *   const s = new DrawableStream(5000, { window: 10, autoscaleY: true }).follow(vp);
+ *   s.push(t, value);
+ *
+ * Drawing projects straight from the buffer into reused scratch arrays and
+ * strokes a per-pixel-column envelope, so a frame allocates in proportion
+ * to the plot width, not to the number of samples.
+ */
+export class DrawableStream extends Drawable {
+  readonly capacity: number;
+  public width: number;
+  public join: LineJoin;
+  public cap: LineCap;
+  public window: number | null;
+  public autoscaleY: boolean;
+  public yPadding: number;
+  /** Clear to stop moving the followed viewport (e.g. while the user pans); pushes still record. */
+  public following = true;
+
+  private xs: Float64Array;
+  private ys: Float64Array;
+  private px: Float64Array;
+  private py: Float64Array;
+  private head = 0;
+  private count = 0;
+  /** Samples written since the last clear; sample n lives in slot n % capacity. */
+  private total = 0;
+  private lows: SuffixExtremes;
+  private highs: SuffixExtremes;
+  private followed: ViewportManager | null = null;
+
+  constructor(capacity: number, opts: StreamOptions = {}) {
+    super(opts.color ?? "lime", false, null, Transform2D.identity(), opts.legend, opts.yAxis);
+    if (!(capacity >= 1)) throw new Error(`DrawableStream: capacity must be at least 1, got ${capacity}`);
+    this.capacity = Math.floor(capacity);
+    this.xs = new Float64Array(this.capacity);
+    this.ys = new Float64Array(this.capacity);
+    this.px = new Float64Array(this.capacity);
+    this.py = new Float64Array(this.capacity);
+    this.lows = new SuffixExtremes(this.capacity, (a, b) => a < b);
+    this.highs = new SuffixExtremes(this.capacity, (a, b) => a > b);
+    this.width = opts.width ?? 1;
+    this.join = opts.join ?? "round";
+    this.cap = opts.cap ?? "butt";
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
+    this.window = opts.window ?? null;
+    this.autoscaleY = opts.autoscaleY ?? false;
+    this.yPadding = opts.yPadding ?? 0.05;
+  }
+
+  /** Number of samples held (at most `capacity`). */
+  get length(): number {
+    return this.count;
+  }
+
+  /** x of the i-th held sample, oldest first. */
+  xAt(i: number): number {
+    return this.xs[(this.head + i) % this.capacity];
+  }
+
+  /** y of the i-th held sample, oldest first. */
+  yAt(i: number): number {
+    return this.ys[(this.head + i) % this.capacity];
+  }
+
+  /** x of the newest sample, NaN while empty. */
+  get lastX(): number {
+    return this.count ? this.xAt(this.count - 1) : NaN;
+  }
+
+  push(x: number, y: number): this {
+    this.write(x, y);
+    this.markDirty();
+    this.updateFollowed();
+    return this;
+  }
+
+  /** Append samples in order; only the newest `capacity` of them are kept. */
+  pushMany(xs: ArrayLike<number>, ys: ArrayLike<number>): this {
+    if (xs.length !== ys.length) throw new Error(`DrawableStream: pushMany got ${xs.length} x values and ${ys.length} y values`);
+    for (let i = Math.max(0, xs.length - this.capacity); i < xs.length; i++) this.write(xs[i], ys[i]);
+    this.markDirty();
+    this.updateFollowed();
+    return this;
+  }
+
+  clear(): this {
+    this.head = 0;
+    this.count = 0;
+    this.total = 0;
+    this.lows.clear();
+    this.highs.clear();
+    return this.markDirty();
+  }
+
+  /**
+   * Keep `vp` on the newest data: its x range becomes the window (or the
+   * whole buffer) after every push, and with `autoscaleY` its y range (the
+   * secondary axis for a "y2" stream) fits the samples in that window.
+   * Pass null to stop.
+   */
+  follow(vp: ViewportManager | null): this {
+    this.followed = vp;
+    this.updateFollowed();
+    return this;
+  }
+
+  /** Bounds of the samples inside the window, so autoScaleViewport fits what follow() would show. */
+  get bounds(): WorldBounds | null {
+    const [i0, i1] = this.windowRange();
+    if (i0 >= i1) return null;
+    const first = this.total - this.count + i0;
+    const lo = this.lows.from(first), hi = this.highs.from(first);
+    if (lo < 0 || hi < 0) return null;
+    const yOf = (n: number) => this.ys[n % this.capacity];
+    return { xMin: this.xAt(i0), xMax: this.lastX, yMin: yOf(lo), yMax: yOf(hi) };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const color = this.parseColorSafe(this.color);
+    for (const run of this.runs(vp)) {
+      strokeShape(app, run, color, this.width, {
+        closed: false,
+        join: this.join,
+        cap: this.cap,
+        dash: this.dash,
+        dashOffset: this.dashOffset,
+        antialias: this.antialias,
+      });
+    }
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    return this.runs(vp).some(run => distanceToPolyline(q, run) <= this.width / 2 + tolerancePx);
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    return this.runs(vp)
+      .map(run => `<polyline points="${w.points(run)}" fill="none" ${w.paint("stroke", this.color)} stroke-width="${w.num(this.width)}" stroke-linejoin="${this.join}" stroke-linecap="${this.cap}"${w.dash(this.dash, this.dashOffset)}/>`)
+      .join("\n");
+  }
+
+  private write(x: number, y: number): void {
+    const n = this.total++;
+    if (this.count < this.capacity) {
+      const i = (this.head + this.count) % this.capacity;
+      this.xs[i] = x;
+      this.ys[i] = y;
+      this.count++;
+    } else {
+      this.xs[this.head] = x;
+      this.ys[this.head] = y;
+      this.head = (this.head + 1) % this.capacity;
+    }
+    // NaN never bounds the window, so it never enters the queues
+    const oldest = this.total - this.count;
+    this.lows.dropBefore(oldest);
+    this.highs.dropBefore(oldest);
+    if (y !== y) return;
+    const yOf = (k: number) => this.ys[k % this.capacity];
+    this.lows.push(n, y, yOf);
+    this.highs.push(n, y, yOf);
+  }
+
+  /** First held index whose x is >= `x` (count when none is). */
+  private lowerBound(x: number): number {
+    let lo = 0, hi = this.count;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.xAt(mid) < x) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /** Held index range [start, end) inside the window. */
+  private windowRange(): [number, number] {
+    if (!this.count) return [0, 0];
+    if (this.window == null) return [0, this.count];
+    return [this.lowerBound(this.lastX - this.window), this.count];
+  }
+
+  private updateFollowed(): void {
+    const vp = this.followed;
+    if (!vp || !this.following || !this.count) return;
+    const [i0] = this.windowRange();
+    const xMin = this.xAt(i0), xMax = this.lastX;
+    const target = this.yAxis === "y2" && vp.y2 ? vp.y2 : vp;
+    let { yMin, yMax } = target.worldBounds;
+    const b = this.autoscaleY ? this.bounds : null;
+    if (b) {
+      const pad = (b.yMax - b.yMin) * this.yPadding;
+      yMin = b.yMin - pad;
+      yMax = b.yMax + pad;
+    }
+    if (target === vp) {
+      vp.updateWorld({ xMin, xMax, yMin, yMax });
+      return;
+    }
+    vp.updateWorld({ ...vp.worldBounds, xMin, xMax });
+    target.updateWorld({ ...target.worldBounds, yMin, yMax });
+  }
+
+  /**
+   * Canvas polylines for the samples in view: culled by binary search when
+   * the transform keeps x axis-aligned, projected into the scratch arrays,
+   * then reduced to the per-column envelope.
+   */
+  private runs(vp: ViewportManager): V2[][] {
+    if (!this.count) return [];
+    const { a, b, c, d, e, f } = this.transform;
+    let i0 = 0, i1 = this.count;
+    if (b === 0 && c === 0 && a !== 0) {
+      const { xMin, xMax } = vp.worldBounds;
+      const l0 = (xMin - e) / a, l1 = (xMax - e) / a;
+      // keep one sample either side so the trace runs to the plot edges
+      i0 = Math.max(0, this.lowerBound(Math.min(l0, l1)) - 1);
+      i1 = Math.min(this.count, this.lowerBound(Math.max(l0, l1)) + 1);
+    }
+    const m = vp.canvasMapping();
+    const fx = vp.xScale, fy = vp.yScale;
+    let n = 0;
+    for (let i = i0; i < i1; i++) {
+      const x = this.xAt(i), y = this.yAt(i);
+      this.px[n] = m.x0 + m.sx * fx.forward(a * x + c * y + e);
+      this.py[n] = m.y0 + m.sy * fy.forward(b * x + d * y + f);
+      n++;
+    }
+    return minMaxEnvelope(this.px, this.py, 0, n);
+  }
+}
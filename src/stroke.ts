@@ -0,0 +1,182 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/stroke.ts
+// Polyline stroker: expands a path into fill pieces with joins and caps
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+
+export type LineJoin = "miter" | "round" | "bevel";
+export type LineCap = "butt" | "round" | "square";
+
+export interface StrokeGeometry {
+  join?: LineJoin;
+  cap?: LineCap;
+  /** Max ratio of miter length to half the width before falling back to bevel (Canvas2D semantics). */
+  miterLimit?: number;
+  closed?: boolean;
+  /** Alternating dash / gap lengths in pixels (Canvas2D setLineDash). Empty = solid. */
+  dash?: readonly number[];
+  /** Distance into the dash pattern at which the stroke starts. */
+  dashOffset?: number;
+}
+
+/** Reverse `poly` in place if it winds negatively, so every piece unions under the nonzero rule. */
+function orient(poly: V2[]): V2[] {
+  let area = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i], b = poly[(i + 1) % poly.length];
+    area += a.x * b.y - b.x * a.y;
+  }
+  return area < 0 ? poly.reverse() : poly;
+}
+
+function disc(c: V2, r: number): V2[] {
+  const segs = Math.max(8, Math.min(64, Math.ceil(Math.PI * r)));
+  const pts: V2[] = [];
+  for (let i = 0; i < segs; i++) {
+    const t = (i / segs) * Math.PI * 2;
+    pts.push(new V2(c.x + r * Math.cos(t), c.y + r * Math.sin(t)));
+  }
+  return pts;
+}
+
+/** Drop consecutive duplicates (and the closing duplicate of a closed path). */
+function dedupe(points: V2[], closed: boolean): V2[] {
+  const out: V2[] = [];
+  for (const p of points) {
+    if (!isFinite(p.x) || !isFinite(p.y)) continue;
+    const last = out[out.length - 1];
+    if (last && Math.abs(last.x - p.x) < 1e-9 && Math.abs(last.y - p.y) < 1e-9) continue;
+    out.push(p);
+  }
+  if (closed && out.length > 1) {
+    const a = out[0], b = out[out.length - 1];
+    if (Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9) out.pop();
+  }
+  return out;
+}
+
+/**
+ * Expand a polyline into positively-wound polygons (segment bodies, joins,
+ * caps). Filling their union with the nonzero rule paints every covered
+ * pixel exactly once.
+ */
+export function strokeToPolygons(points: V2[], width: number, opts: StrokeGeometry = {}): V2[][] {
+  const join = opts.join ?? "miter";
+  const cap = opts.cap ?? "butt";
+  const miterLimit = opts.miterLimit ?? 10;
+  const h = width / 2;
+  const pts = dedupe(points, !!opts.closed);
+  const closed = !!opts.closed && pts.length > 2;
+  const out: V2[][] = [];
+  if (!(h > 0) || !pts.length) return out;
+
+  if (pts.length === 1) {
+    const p = pts[0];
+    if (cap === "round") out.push(orient(disc(p, h)));
+    else if (cap === "square") out.push(orient([new V2(p.x - h, p.y - h), new V2(p.x + h, p.y - h), new V2(p.x + h, p.y + h), new V2(p.x - h, p.y + h)]));
+    return out;
+  }
+
+  const segCount = closed ? pts.length : pts.length - 1;
+  const dirs: V2[] = [];
+  for (let i = 0; i < segCount; i++) {
+    const p0 = pts[i], p1 = pts[(i + 1) % pts.length];
+    const u = p1.sub(p0).norm();
+    const n = u.perp().scale(h);
+    dirs.push(u);
+    out.push(orient([p0.add(n), p1.add(n), p1.sub(n), p0.sub(n)]));
+  }
+
+  const joinAt = (p: V2, u0: V2, u1: V2) => {
+    const cross = u0.x * u1.y - u0.y * u1.x;
+    if (Math.abs(cross) < 1e-12 && u0.dot(u1) > 0) return; // collinear, bodies already touch
+    if (join === "round") { out.push(orient(disc(p, h))); return; }
+    const side = cross > 0 ? -1 : 1;
+    const a = p.add(u0.perp().scale(h * side));
+    const b = p.add(u1.perp().scale(h * side));
+    if (join === "miter") {
+      const m = u0.perp().add(u1.perp());
+      const mLen = m.len();
+      if (mLen > 1e-12) {
+        const mn = m.scale(1 / mLen);
+        const cosHalf = mn.dot(u0.perp());
+        const ratio = cosHalf > 1e-12 ? 1 / cosHalf : Infinity;
+        if (ratio <= miterLimit) {
+          out.push(orient([p, a, p.add(mn.scale(h * ratio * side)), b]));
+          return;
+        }
+      }
+    }
+    out.push(orient([p, a, b]));
+  };
+
+  if (closed) {
+    for (let i = 0; i < segCount; i++) joinAt(pts[(i + 1) % pts.length], dirs[i], dirs[(i + 1) % segCount]);
+    return out;
+  }
+
+  for (let i = 1; i < pts.length - 1; i++) joinAt(pts[i], dirs[i - 1], dirs[i]);
+
+  if (cap === "round") {
+    out.push(orient(disc(pts[0], h)));
+    out.push(orient(disc(pts[pts.length - 1], h)));
+  } else if (cap === "square") {
+    const ends: Array<[V2, V2]> = [[pts[0], dirs[0].scale(-1)], [pts[pts.length - 1], dirs[dirs.length - 1]]];
+    for (const [p, u] of ends) {
+      const n = u.perp().scale(h);
+      const q = p.add(u.scale(h));
+      out.push(orient([p.add(n), q.add(n), q.sub(n), p.sub(n)]));
+    }
+  }
+  return out;
+}
+
+/**
+ * Split a polyline into dash sub-paths following a Canvas2D-style dash array
+ * (odd-length arrays repeat twice). The dash phase runs continuously across
+ * vertices, so a densely sampled curve keeps an even pattern. Like
+ * setLineDash, a pattern with any negative or non-finite entry is ignored
+ * and the line drawn solid. Segments touching a non-finite vertex are
+ * skipped without advancing the phase.
+ */
+export function dashPolyline(points: V2[], dash: readonly number[], dashOffset: number = 0, closed: boolean = false): V2[][] {
+  const pts = closed && points.length > 2 ? [...points, points[0]] : points;
+  if (dash.some(d => !(isFinite(d) && d >= 0))) return [pts];
+  const pattern = dash.length % 2 === 1 ? dash.concat(dash) : dash;
+  const total = pattern.reduce((a, b) => a + b, 0);
+  if (!(total > 0) || pts.length < 2) return [pts];
+
+  let phase = ((dashOffset % total) + total) % total;
+  let idx = 0;
+  while (phase >= pattern[idx]) { phase -= pattern[idx]; idx = (idx + 1) % pattern.length; }
+  let remaining = pattern[idx] - phase;
+  let on = idx % 2 === 0;
+
+  const out: V2[][] = [];
+  let cur: V2[] | null = null;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1], b = pts[i];
+    const len = b.sub(a).len();
+    if (!isFinite(len)) {
+      if (cur && cur.length > 1) out.push(cur);
+      cur = null;
+      continue;
+    }
+    if (on && !cur) cur = [a];
+    let t = 0;
+    while (len - t > remaining) {
+      t += remaining;
+      const p = V2.lerp(a, b, t / len);
+      if (on) { cur!.push(p); out.push(cur!); cur = null; }
+      else cur = [p];
+      on = !on;
+      idx = (idx + 1) % pattern.length;
+      remaining = pattern[idx];
+    }
+    remaining -= len - t;
+    if (on) cur!.push(b);
+  }
+  if (on && cur && cur.length > 1) out.push(cur);
+  return out;
+}
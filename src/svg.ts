@@ -0,0 +1,253 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/svg.ts
+// Headless SVG export of a Scene (no DOM canvas required)
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { ViewportManager, viewportFor } from "./viewport";
+import { Scene } from "./scene";
+import { parseColor, withAlpha } from "./color";
+import { Graph } from "./graph";
+import { DrawableLegend } from "./legend";
+import {
+  Drawable,
+  DrawableFunction,
+  DrawableCircle,
+  DrawableLine,
+  DrawablePoint,
+  DrawableTriangle,
+  DrawableText,
+  DrawableLabel,
+  areaClosure,
+} from "./drawables";
+
+export interface SVGExportOptions {
+  /** Document size in px; defaults to the viewport's renderer size. */
+  width?: number;
+  height?: number;
+  /** Background fill; null for transparent. */
+  background?: string | null;
+  /** Include the "debug" layer and ignoreViewport overlays. */
+  includeDebug?: boolean;
+  /** Decimal places for coordinates. */
+  precision?: number;
+}
+
+/** Drawables can opt into export by returning their own SVG fragment. */
+export interface SVGExportable {
+  toSVG(vp: ViewportManager, writer: SVGWriter): string;
+}
+
+type ColorInput = string | readonly number[];
+
+/** Formatting helpers shared by the built-in converters and custom toSVG implementations. */
+export class SVGWriter {
+  constructor(public precision: number = 2) {}
+
+  num(v: number): string {
+    return String(+v.toFixed(this.precision));
+  }
+
+  points(pts: V2[]): string {
+    return pts.map(p => `${this.num(p.x)},${this.num(p.y)}`).join(" ");
+  }
+
+  /** `stroke="…"` / `fill="…"` plus an opacity attribute when translucent. */
+  paint(attr: "stroke" | "fill", color: ColorInput | null | undefined): string {
+    if (color == null) return `${attr}="none"`;
+    const c = parseColor(color as any) || [255, 255, 255, 255];
+    const out = `${attr}="rgb(${c[0]},${c[1]},${c[2]})"`;
+    return c[3] >= 255 ? out : `${out} ${attr}-opacity="${+(c[3] / 255).toFixed(3)}"`;
+  }
+
+  dash(dash?: readonly number[], offset: number = 0): string {
+    if (!dash?.length) return "";
+    const attr = ` stroke-dasharray="${dash.map(d => this.num(d)).join(" ")}"`;
+    return offset ? `${attr} stroke-dashoffset="${this.num(offset)}"` : attr;
+  }
+
+  line(p0: V2, p1: V2, color: ColorInput, width: number = 1, extra: string = ""): string {
+    return `<line x1="${this.num(p0.x)}" y1="${this.num(p0.y)}" x2="${this.num(p1.x)}" y2="${this.num(p1.y)}" ${this.paint("stroke", color)} stroke-width="${this.num(width)}"${extra}/>`;
+  }
+
+  polygon(pts: V2[], fill: ColorInput | null, stroke: ColorInput | null = null, width: number = 1, extra: string = ""): string {
+    const s = stroke == null ? "" : ` ${this.paint("stroke", stroke)} stroke-width="${this.num(width)}"`;
+    return `<polygon points="${this.points(pts)}" ${this.paint("fill", fill)}${s}${extra}/>`;
+  }
+
+  /** A point marker centred on `c`, matching rawPoint's shapes. */
+  marker(c: V2, type: "circle" | "cross" | "square", size: number, color: ColorInput): string {
+    if (type === "cross") {
+      return [
+        this.line(new V2(c.x - size, c.y), new V2(c.x + size, c.y), color),
+        this.line(new V2(c.x, c.y - size), new V2(c.x, c.y + size), color),
+      ].join("\n");
+    }
+    if (type === "square") {
+      const h = size | 0;
+      return `<rect x="${this.num(c.x - h)}" y="${this.num(c.y - h)}" width="${2 * h}" height="${2 * h}" fill="none" ${this.paint("stroke", color)} stroke-width="1"/>`;
+    }
+    return `<circle cx="${this.num(c.x)}" cy="${this.num(c.y)}" r="${this.num(size)}" ${this.paint("fill", color)}/>`;
+  }
+
+  /** transform attribute rotating by `angle` radians (clockwise on screen) about `pos`; "" for 0. */
+  rotate(angle: number | undefined, pos: V2): string {
+    if (!angle) return "";
+    return ` transform="rotate(${this.num((angle * 180) / Math.PI)} ${this.num(pos.x)} ${this.num(pos.y)})"`;
+  }
+
+  text(text: string, pos: V2, color: ColorInput, font: string, align: CanvasTextAlign = "left", baseline: CanvasTextBaseline = "alphabetic", extra: string = ""): string {
+    const anchor = align === "center" ? "middle" : align === "right" || align === "end" ? "end" : "start";
+    // CanvasRenderer.drawText places the bitmap's bottom edge at pos for bottom/alphabetic
+    const dominant = baseline === "top" || baseline === "hanging" ? "text-before-edge" : baseline === "middle" ? "middle" : "text-after-edge";
+    return `<text x="${this.num(pos.x)}" y="${this.num(pos.y)}" ${this.paint("fill", color)} style="font: ${escapeXML(font)}" text-anchor="${anchor}" dominant-baseline="${dominant}"${extra}>${escapeXML(text)}</text>`;
+  }
+}
+
+export function escapeXML(s: string): string {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function project(d: Drawable, pts: V2[], vp: ViewportManager): V2[] {
+  return pts.map(p => {
+    const w = d.transform.transformV2(p);
+    return vp.worldToCanvas(w.x, w.y);
+  });
+}
+
+function graphToSVG(g: Graph, w: SVGWriter): string[] {
+  return g.primitives().map(p =>
+    p.kind === "line"
+      ? w.line(p.p0, p.p1, p.color, p.width, w.dash(p.dash) + ` data-role="${p.role}"`)
+      : w.text(p.text, p.pos, p.color, p.font, p.align, p.baseline, w.rotate(p.angle, p.pos))
+  );
+}
+
+function legendToSVG(l: DrawableLegend, vp: ViewportManager, w: SVGWriter): string[] {
+  const lay = l.layout(vp);
+  if (!lay) return [];
+  const out: string[] = [];
+  const { x, y, width, height } = lay.box;
+  const sw = lay.swatchSize;
+  if (lay.background) {
+    out.push(`<rect x="${w.num(x)}" y="${w.num(y)}" width="${w.num(width)}" height="${w.num(height)}" ${w.paint("fill", lay.background)}/>`);
+  }
+  for (const row of lay.rows) {
+    const { x: cx, y: cy } = row.swatch;
+    if (row.symbol === "marker") {
+      out.push(`<circle cx="${w.num(Math.round(cx + sw / 2))}" cy="${w.num(Math.round(cy))}" r="${Math.max(3, Math.floor(sw / 3))}" ${w.paint("fill", row.color)}/>`);
+    } else if (row.symbol === "area") {
+      out.push(`<rect x="${w.num(cx)}" y="${w.num(cy - sw / 2 + 3)}" width="${w.num(sw)}" height="${w.num(sw - 6)}" ${w.paint("fill", row.color)}/>`);
+      out.push(w.line(new V2(cx, cy - sw / 2), new V2(cx + sw, cy - sw / 2), row.color, 1));
+    } else if (row.symbol === "errorbar") {
+      const mx = Math.round(cx + sw / 2), top = cy - sw / 2 + 1, bottom = cy + sw / 2 - 1;
+      out.push(w.line(new V2(mx, top), new V2(mx, bottom), row.color, 1));
+      out.push(w.line(new V2(mx - 3, top), new V2(mx + 3, top), row.color, 1));
+      out.push(w.line(new V2(mx - 3, bottom), new V2(mx + 3, bottom), row.color, 1));
+      out.push(`<circle cx="${w.num(mx)}" cy="${w.num(Math.round(cy))}" r="2" ${w.paint("fill", row.color)}/>`);
+    } else if (row.symbol === "band") {
+      out.push(`<rect x="${w.num(cx)}" y="${w.num(cy - sw / 2 + 2)}" width="${w.num(sw)}" height="${w.num(sw - 4)}" ${w.paint("fill", withAlpha(row.color, 0.35))}/>`);
+      out.push(w.line(new V2(cx, cy), new V2(cx + sw, cy), row.color, 1));
+    } else if (row.symbol === "box") {
+      const mx = Math.round(cx + sw / 2);
+      out.push(w.line(new V2(mx, cy - sw / 2 + 1), new V2(mx, cy - 3), row.color, 1));
+      out.push(w.line(new V2(mx, cy + 3), new V2(mx, cy + sw / 2 - 1), row.color, 1));
+      out.push(`<rect x="${w.num(mx - 4)}" y="${w.num(cy - 3)}" width="8" height="6" ${w.paint("fill", withAlpha(row.color, 0.4))} ${w.paint("stroke", row.color)} stroke-width="1"/>`);
+      out.push(w.line(new V2(mx - 4, cy), new V2(mx + 4, cy), row.color, 1));
+    } else {
+      out.push(w.line(new V2(cx, cy), new V2(cx + sw, cy), row.color, 2));
+    }
+    out.push(w.text(row.item.label, row.textPos, lay.textColor, lay.font, "left", "middle"));
+  }
+  return out;
+}
+
+function pointToSVG(d: DrawablePoint, vp: ViewportManager, w: SVGWriter): string[] {
+  const [c] = project(d, [d.pos], vp);
+  return [w.marker(c, d.type, d.size, d.color)];
+}
+
+/** Convert one drawable into SVG elements (empty when the type is not exportable). */
+export function drawableToSVG(d: any, vp: ViewportManager, w: SVGWriter = new SVGWriter()): string[] {
+  if (d == null) return [];
+  if (typeof d.toSVG === "function") return [d.toSVG(vp, w)];
+  if (d instanceof Graph) return graphToSVG(d, w);
+  if (d instanceof DrawableLegend) return legendToSVG(d, vp, w);
+
+  if (d instanceof DrawableFunction) {
+    // the same culled, decimated trace the raster path draws
+    const paths = d.lodPaths(vp);
+    if (!paths.length) return [];
+    const out = paths.map(path =>
+      `<polyline points="${w.points(project(d, path, vp))}" fill="none" ${w.paint("stroke", d.color)} stroke-width="${w.num(d.width)}" stroke-linejoin="${d.join}" stroke-linecap="${d.cap}" stroke-miterlimit="${w.num(d.miterLimit)}"${w.dash(d.dash, d.dashOffset)}/>`
+    );
+    // one polygon per run, so the fill stays open across NaN gaps
+    if (d.fill) for (const top of paths) out.push(w.polygon(project(d, [...top, ...areaClosure(top, d.baselineY)], vp), d.fillColor));
+    return out;
+  }
+
+  if (d instanceof DrawableCircle) {
+    const [c] = project(d, [d.center], vp);
+    const fill = d.fill ? w.paint("fill", d.fillColor) : `fill="none"`;
+    return [`<circle cx="${w.num(c.x)}" cy="${w.num(c.y)}" r="${w.num(d.canvasRadius(vp))}" ${fill} ${w.paint("stroke", d.color)} stroke-width="1"${w.dash(d.dash, d.dashOffset)}/>`];
+  }
+
+  if (d instanceof DrawableLine) {
+    const [a, b] = project(d, [d.p1, d.p2], vp);
+    return [w.line(a, b, d.color, d.width, ` stroke-linecap="${d.cap}"` + w.dash(d.dash, d.dashOffset))];
+  }
+
+  if (d instanceof DrawablePoint) return pointToSVG(d, vp, w);
+
+  if (d instanceof DrawableTriangle) {
+    const pts = project(d, d.points, vp);
+    return [w.polygon(pts, d.fill ? d.fillColor : null, d.color, 1, w.dash(d.dash, d.dashOffset))];
+  }
+
+  if (d instanceof DrawableText) {
+    const [p] = project(d, [d.pos], vp);
+    return [w.text(d.text, p, d.color, d.font, d.align, d.baseline, w.rotate(d.angle, p))];
+  }
+
+  if (d instanceof DrawableLabel) {
+    const p = d.mode === "canvas" ? d.pos : project(d, [d.pos], vp)[0];
+    return [w.text(d.text, p, d.color, d.font, d.align, d.baseline, w.rotate(d.angle, p))];
+  }
+
+  return [];
+}
+
+/**
+ * Serialize a Scene to a standalone SVG document. The ViewportManager
+ * mapping is baked into canvas-space coordinates, so the output matches the
+ * raster layout pixel for pixel in position. Runs in Node: nothing here
+ * touches the DOM.
+ */
+export function sceneToSVG(scene: Scene, vp: ViewportManager, options: SVGExportOptions = {}): string {
+  const size = vp.app?.size ?? vp.app?.app?.size;
+  const width = options.width ?? size?.x ?? vp.viewport.width;
+  const height = options.height ?? size?.y ?? vp.viewport.height;
+  const w = new SVGWriter(options.precision ?? 2);
+  const background = options.background === undefined ? "#131313" : options.background;
+
+  const body: string[] = [];
+  if (background) body.push(`<rect width="100%" height="100%" ${w.paint("fill", background)}/>`);
+
+  for (const layer of scene.getLayers()) {
+    if (layer.name === "debug" && !options.includeDebug) continue;
+    const parts: string[] = [];
+    for (const d of layer.drawables) {
+      if ((d as any).visible === false) continue;
+      if ((d as any).ignoreViewport && !options.includeDebug) continue;
+      parts.push(...drawableToSVG(d, viewportFor(d, vp), w));
+    }
+    if (parts.length) body.push(`<g data-layer="${escapeXML(layer.name)}">\n${parts.join("\n")}\n</g>`);
+  }
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w.num(width)}" height="${w.num(height)}" viewBox="0 0 ${w.num(width)} ${w.num(height)}">`,
+    ...body,
+    `</svg>`,
+  ].join("\n");
+}
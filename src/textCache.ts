@@ -4,17 +4,19 @@
 // File: src/textCache.ts
 // ─────────────────────────────────────────────────────────────────────────────
 
+import type { PixelImage } from "./pixelbuffer";
+
 export class TextCache {
-    private map = new Map<string, ImageData>();
+    private map = new Map<string, PixelImage>();
     constructor(public capacity: number = 256) { this.capacity |= 0; }
 
-    get(key: string): ImageData | null {
+    get(key: string): PixelImage | null {
         const v = this.map.get(key);
         if (v) { this.map.delete(key); this.map.set(key, v); }
         return v ?? null;
     }
 
-    set(key: string, value: ImageData): void {
+    set(key: string, value: PixelImage): void {
         if (this.map.has(key)) this.map.delete(key);
         this.map.set(key, value);
         while (this.map.size > this.capacity) {
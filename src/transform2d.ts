@@ -47,6 +47,20 @@ export class Transform2D {
     );
   }
 
+  /** Inverse transform, or null when the matrix is singular. */
+  invert(): Transform2D | null {
+    const det = this.a * this.d - this.b * this.c;
+    if (!det || !isFinite(det)) return null;
+    return new Transform2D(
+      this.d / det,
+      -this.b / det,
+      -this.c / det,
+      this.a / det,
+      (this.c * this.f - this.d * this.e) / det,
+      (this.b * this.e - this.a * this.f) / det
+    );
+  }
+
   /** Build a transform applied around a pivot: T(p) * mat * T(-p) */
   static around(pivot: V2, mat: Transform2D): Transform2D {
     return Transform2D.translation(pivot.x, pivot.y).multiply(mat).multiply(Transform2D.translation(-pivot.x, -pivot.y));
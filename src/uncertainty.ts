@@ -0,0 +1,274 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/uncertainty.ts
+// Measurement uncertainty: error bars and confidence bands
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, areaClosure, type LegendMetadata } from "./drawables";
+import { ViewportManager, type YAxisId } from "./viewport";
+import type { Renderer } from "./renderer";
+import { drawLine, fillPolygon, rawPoint, strokeShape } from "./raster";
+import { distanceToPolyline, distanceToSegment, pointInPolygon } from "./geometry";
+import { withAlpha } from "./color";
+import type { SVGWriter } from "./svg";
+import type { RGBA, WorldBounds } from "./types";
+
+/**
+ * Error extents: one symmetric half-width for every point, one per point,
+ * or separate [minus, plus] arrays for asymmetric errors.
+ */
+export type ErrorSpec = number | ArrayLike<number> | [ArrayLike<number>, ArrayLike<number>];
+
+/** [minus, plus] extent of point `i`; missing or non-finite entries count as 0. */
+function errorAt(spec: ErrorSpec | undefined, i: number): [number, number] {
+  if (spec == null) return [0, 0];
+  const finite = (v: number | undefined) => (v != null && isFinite(v) ? Math.abs(v) : 0);
+  if (typeof spec === "number") return [finite(spec), finite(spec)];
+  if (Array.isArray(spec) && spec.length === 2 && typeof spec[0] !== "number") {
+    const [minus, plus] = spec as [ArrayLike<number>, ArrayLike<number>];
+    return [finite(minus[i]), finite(plus[i])];
+  }
+  const e = finite((spec as ArrayLike<number>)[i]);
+  return [e, e];
+}
+
+// -------------------- ERROR BARS --------------------
+
+/** One measurement with the absolute ends of its whiskers. */
+export interface ErrorBar {
+  index: number;
+  x: number;
+  y: number;
+  x0: number;
+  x1: number;
+  y0: number;
+  y1: number;
+}
+
+/**
+ * Points with x and/or y whiskers. Caps are drawn perpendicular to each
+ * whisker and sized in pixels, so they stay legible at any zoom.
+ */
+export class DrawableErrorBars extends Drawable {
+  public xErr?: ErrorSpec;
+  public yErr?: ErrorSpec;
+  public width: number;
+  /** Half-length of the caps in px; 0 draws bare whiskers. */
+  public capSize: number;
+  /** Marker at each measurement; null draws whiskers only. */
+  public marker: "circle" | "cross" | "square" | null;
+  public markerSize: number;
+
+  constructor(
+    public xs: ArrayLike<number>,
+    public ys: ArrayLike<number>,
+    opts: {
+      xErr?: ErrorSpec;
+      yErr?: ErrorSpec;
+      color?: string;
+      width?: number;
+      capSize?: number;
+      marker?: "circle" | "cross" | "square" | null;
+      markerSize?: number;
+      legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
+    } = {}
+  ) {
+    super(opts.color ?? "white", false, null, Transform2D.identity(), opts.legend && { symbol: "errorbar", ...opts.legend }, opts.yAxis);
+    this.xErr = opts.xErr;
+    this.yErr = opts.yErr;
+    this.width = opts.width ?? 1;
+    this.capSize = opts.capSize ?? 4;
+    this.marker = opts.marker === undefined ? "circle" : opts.marker;
+    this.markerSize = opts.markerSize ?? 3;
+    this.antialias = opts.antialias;
+  }
+
+  /** Measurements with finite coordinates, in input order. */
+  bars(): ErrorBar[] {
+    const out: ErrorBar[] = [];
+    const n = Math.min(this.xs.length, this.ys.length);
+    for (let i = 0; i < n; i++) {
+      const x = this.xs[i], y = this.ys[i];
+      if (!isFinite(x) || !isFinite(y)) continue;
+      const [xm, xp] = errorAt(this.xErr, i);
+      const [ym, yp] = errorAt(this.yErr, i);
+      out.push({ index: i, x, y, x0: x - xm, x1: x + xp, y0: y - ym, y1: y + yp });
+    }
+    return out;
+  }
+
+  get bounds(): WorldBounds | null {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (const b of this.bars()) {
+      if (b.x0 < xMin) xMin = b.x0;
+      if (b.x1 > xMax) xMax = b.x1;
+      if (b.y0 < yMin) yMin = b.y0;
+      if (b.y1 > yMax) yMax = b.y1;
+    }
+    return xMin <= xMax ? { xMin, xMax, yMin, yMax } : null;
+  }
+
+  /** Canvas segments of every whisker and cap, plus the marker positions. */
+  private geometry(vp: ViewportManager): { segments: Array<[V2, V2]>; centres: V2[] } {
+    const segments: Array<[V2, V2]> = [];
+    const centres: V2[] = [];
+    const whisker = (a: V2, b: V2) => {
+      const d = b.sub(a);
+      if (d.len() < 1e-9) return;
+      segments.push([a, b]);
+      if (this.capSize <= 0) return;
+      const n = d.norm().perp().scale(this.capSize);
+      segments.push([a.sub(n), a.add(n)], [b.sub(n), b.add(n)]);
+    };
+    for (const bar of this.bars()) {
+      const [c, xa, xb, ya, yb] = this.toCanvas([
+        new V2(bar.x, bar.y), new V2(bar.x0, bar.y), new V2(bar.x1, bar.y), new V2(bar.x, bar.y0), new V2(bar.x, bar.y1),
+      ], vp);
+      if (bar.x1 > bar.x0) whisker(xa, xb);
+      if (bar.y1 > bar.y0) whisker(ya, yb);
+      centres.push(c);
+    }
+    return { segments, centres };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const color = this.parseColorSafe(this.color);
+    const { segments, centres } = this.geometry(vp);
+    for (const [a, b] of segments) drawLine(app, a, b, color, this.width, { antialias: this.antialias });
+    if (!this.marker) return;
+    for (const c of centres) rawPoint(app, c, color, { type: this.marker, size: this.markerSize, antialias: this.antialias });
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    const { segments, centres } = this.geometry(vp);
+    return segments.some(([a, b]) => distanceToSegment(q, a, b) <= this.width / 2 + tolerancePx)
+      || centres.some(c => q.sub(c).len() <= this.markerSize + tolerancePx);
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const { segments, centres } = this.geometry(vp);
+    const out = segments.map(([a, b]) => w.line(a, b, this.color, this.width));
+    if (this.marker) for (const c of centres) out.push(w.marker(c, this.marker, this.markerSize, this.color));
+    return out.join("\n");
+  }
+}
+
+// -------------------- BAND --------------------
+
+/**
+ * The region between a lower and an upper series over shared x values, e.g.
+ * a confidence interval around a fit. Samples where either bound is not
+ * finite split the band into separate pieces.
+ */
+export class DrawableBand extends Drawable {
+  public fillOpacity: number;
+  /** Width of the lower/upper edge lines; 0 leaves the band unoutlined. */
+  public edgeWidth: number;
+
+  constructor(
+    public xs: ArrayLike<number>,
+    public lower: ArrayLike<number>,
+    public upper: ArrayLike<number>,
+    opts: {
+      color?: string;
+      fillColor?: string;
+      fillOpacity?: number;
+      edgeWidth?: number;
+      legend?: LegendMetadata;
+      yAxis?: YAxisId;
+      antialias?: boolean;
+      dash?: number[];
+      dashOffset?: number;
+    } = {}
+  ) {
+    super(opts.color ?? "#4e79a7", true, opts.fillColor ?? null, Transform2D.identity(), opts.legend && { symbol: "band", ...opts.legend }, opts.yAxis);
+    this.fillOpacity = opts.fillOpacity ?? (opts.fillColor ? 1 : 0.3);
+    this.edgeWidth = opts.edgeWidth ?? 0;
+    this.antialias = opts.antialias;
+    this.dash = opts.dash;
+    this.dashOffset = opts.dashOffset ?? 0;
+  }
+
+  /** World-space [lower, upper] polylines of each contiguous piece. */
+  pieces(): Array<[V2[], V2[]]> {
+    const out: Array<[V2[], V2[]]> = [];
+    let lo: V2[] = [], hi: V2[] = [];
+    const n = Math.min(this.xs.length, this.lower.length, this.upper.length);
+    for (let i = 0; i <= n; i++) {
+      const x = this.xs[i], a = this.lower[i], b = this.upper[i];
+      if (i < n && isFinite(x) && isFinite(a) && isFinite(b)) {
+        lo.push(new V2(x, a));
+        hi.push(new V2(x, b));
+        continue;
+      }
+      if (lo.length > 1) out.push([lo, hi]);
+      lo = [];
+      hi = [];
+    }
+    return out;
+  }
+
+  get bounds(): WorldBounds | null {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (const [lo, hi] of this.pieces()) {
+      for (const edge of [lo, hi]) {
+        for (const p of edge) {
+          if (p.x < xMin) xMin = p.x;
+          if (p.x > xMax) xMax = p.x;
+          if (p.y < yMin) yMin = p.y;
+          if (p.y > yMax) yMax = p.y;
+        }
+      }
+    }
+    return xMin <= xMax ? { xMin, xMax, yMin, yMax } : null;
+  }
+
+  /** Canvas outline of each piece: upper edge forward, lower edge back. */
+  private outlines(vp: ViewportManager): V2[][] {
+    return this.pieces().map(([lo, hi]) => this.toCanvas([...hi, ...areaClosure(hi, lo)], vp));
+  }
+
+  private fillRGBA(): RGBA {
+    return withAlpha(this.parseColorSafe(this.fillColor!), this.fillOpacity);
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    const outlines = this.outlines(vp);
+    if (!outlines.length) return;
+    // nonzero so a band whose bounds cross still fills both lobes once
+    fillPolygon(app, outlines, this.fillRGBA(), this.antialias, "nonzero");
+    if (this.edgeWidth <= 0) return;
+    const color = this.parseColorSafe(this.color);
+    for (const [lo, hi] of this.pieces()) {
+      for (const edge of [lo, hi]) {
+        strokeShape(app, this.toCanvas(edge, vp), color, this.edgeWidth, {
+          closed: false,
+          dash: this.dash,
+          dashOffset: this.dashOffset,
+          antialias: this.antialias,
+        });
+      }
+    }
+  }
+
+  hitTest(p: V2, vp: ViewportManager, tolerancePx: number = 4): boolean {
+    const q = vp.worldToCanvas(p.x, p.y);
+    return this.outlines(vp).some(poly => pointInPolygon(q, poly) || distanceToPolyline(q, poly, true) <= tolerancePx);
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const out = this.outlines(vp).map(poly => w.polygon(poly, this.fillRGBA()));
+    if (this.edgeWidth > 0) {
+      for (const [lo, hi] of this.pieces()) {
+        for (const edge of [lo, hi]) {
+          out.push(`<polyline points="${w.points(this.toCanvas(edge, vp))}" fill="none" ${w.paint("stroke", this.color)} stroke-width="${w.num(this.edgeWidth)}"${w.dash(this.dash, this.dashOffset)}/>`);
+        }
+      }
+    }
+    return out.join("\n");
+  }
+}
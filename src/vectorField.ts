@@ -0,0 +1,307 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// File: src/vectorField.ts
+// Quiver plots of 2D vector fields, with RK4 streamlines
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { V2 } from "./v2";
+import { Transform2D } from "./transform2d";
+import { Drawable, type LegendMetadata } from "./drawables";
+import { ViewportManager } from "./viewport";
+import type { Renderer } from "./renderer";
+import { fillPolygon, strokeShape } from "./raster";
+import { colormapIndex, colormapLUT, type ColormapSpec } from "./colormap";
+import { flattenGrid } from "./heatmap";
+import type { SVGWriter } from "./svg";
+import type { RGBA, WorldBounds } from "./types";
+
+export type VectorFn = (x: number, y: number) => V2;
+
+/** Vector components on a grid, laid out like DrawableHeatmap values (row 0 at extent.yMin). */
+export interface VectorGrid {
+  u: number[][] | ArrayLike<number>;
+  v: number[][] | ArrayLike<number>;
+  cols?: number;
+  extent?: WorldBounds;
+}
+
+/**
+ * Trace a streamline from `seed` with fixed-step RK4 through `field`, which
+ * returns null (or a non-finite vector) where the field is undefined. Stops
+ * there, where the field vanishes, or after `maxSteps`. A negative `step`
+ * traces upstream.
+ */
+export function rk4Streamline(field: (p: V2) => V2 | null, seed: V2, step: number, maxSteps: number = 500): V2[] {
+  const pts = [seed];
+  const ok = (v: V2 | null): v is V2 => !!v && isFinite(v.x) && isFinite(v.y) && (v.x !== 0 || v.y !== 0);
+  let p = seed;
+  for (let i = 0; i < maxSteps; i++) {
+    const k1 = field(p);
+    if (!ok(k1)) break;
+    const k2 = field(p.add(k1.scale(step / 2)));
+    if (!ok(k2)) break;
+    const k3 = field(p.add(k2.scale(step / 2)));
+    if (!ok(k3)) break;
+    const k4 = field(p.add(k3.scale(step)));
+    if (!ok(k4)) break;
+    p = p.add(k1.add(k2.scale(2)).add(k3.scale(2)).add(k4).scale(step / 6));
+    pts.push(p);
+  }
+  return pts;
+}
+
+export interface VectorFieldOptions {
+  /** Arrow length from magnitude (relative to the largest), or all the same length. */
+  scaleMode?: "magnitude" | "normalized";
+  /** Arrow spacing on screen (px); grids skip cells to keep at least this much room. */
+  spacingPx?: number;
+  /** Arrows centred on their sample point, or starting there. */
+  pivot?: "middle" | "tail";
+  /** Region sampled for function fields; defaults to the visible world rect. */
+  extent?: WorldBounds;
+  colormap?: ColormapSpec;
+  /** Fixed arrow color instead of the magnitude colormap. */
+  color?: string;
+  /** Magnitudes mapped onto the colormap / full arrow length; defaults to 0..max. */
+  magnitudeRange?: [number, number];
+  width?: number;
+  /** Arrowhead length (px). */
+  headSize?: number;
+  /** Streamline start points (world). */
+  seeds?: V2[];
+  /** RK4 step in world units; defaults to 1/200 of the extent's larger side. */
+  streamStep?: number;
+  streamMaxSteps?: number;
+  streamColor?: string;
+  streamWidth?: number;
+  antialias?: boolean;
+  legend?: LegendMetadata;
+}
+
+interface Arrow { tail: V2; tip: V2; mag: number }
+
+/**
+ * Arrows for a vector field given as (x, y) => V2 (sampled on a screen-space
+ * lattice every draw) or as u / v grids. Arrow directions go through the
+ * viewport, and lengths and heads are sized in pixels, so they follow the
+ * aspect mode and stay undistorted when x and y scale differently.
+ */
+export class DrawableVectorField extends Drawable {
+  public fn: VectorFn | null = null;
+  public u: ArrayLike<number> = [];
+  public v: ArrayLike<number> = [];
+  public cols = 0;
+  public rows = 0;
+  public extent?: WorldBounds;
+
+  public scaleMode: "magnitude" | "normalized";
+  public spacingPx: number;
+  public pivot: "middle" | "tail";
+  public colormap: ColormapSpec;
+  public arrowColor?: string;
+  public magnitudeRange?: [number, number];
+  public width: number;
+  public headSize: number;
+  public seeds: V2[];
+  public streamStep?: number;
+  public streamMaxSteps: number;
+  public streamColor: string;
+  public streamWidth: number;
+
+  private streamCache: V2[][] | null = null;
+
+  constructor(field: VectorFn | VectorGrid, opts: VectorFieldOptions = {}) {
+    super(opts.color ?? "white", false, null, Transform2D.identity(), opts.legend);
+    this.scaleMode = opts.scaleMode ?? "magnitude";
+    this.spacingPx = opts.spacingPx ?? 28;
+    this.pivot = opts.pivot ?? "middle";
+    this.colormap = opts.colormap ?? "viridis";
+    this.arrowColor = opts.color;
+    this.magnitudeRange = opts.magnitudeRange;
+    this.width = opts.width ?? 1.5;
+    this.headSize = opts.headSize ?? 6;
+    this.seeds = opts.seeds ?? [];
+    this.streamStep = opts.streamStep;
+    this.streamMaxSteps = opts.streamMaxSteps ?? 500;
+    this.streamColor = opts.streamColor ?? "rgba(255,255,255,0.8)";
+    this.streamWidth = opts.streamWidth ?? 1;
+    this.antialias = opts.antialias;
+    this.extent = opts.extent;
+    this.setField(field);
+  }
+
+  /** Swap in a new function or grid. */
+  setField(field: VectorFn | VectorGrid): this {
+    if (typeof field === "function") {
+      this.fn = field;
+    } else {
+      const u = flattenGrid(field.u, field.cols);
+      const v = flattenGrid(field.v, field.cols);
+      if (u.cols !== v.cols || u.rows !== v.rows) throw new Error("Vector field: u and v grids differ in size");
+      this.fn = null;
+      this.u = u.cells; this.v = v.cells;
+      this.cols = u.cols; this.rows = u.rows;
+      this.extent = field.extent ?? this.extent ?? { xMin: 0, xMax: this.cols, yMin: 0, yMax: this.rows };
+    }
+    this.streamCache = null;
+    return this.markDirty();
+  }
+
+  setSeeds(seeds: V2[]): this {
+    this.seeds = seeds;
+    this.streamCache = null;
+    return this.markDirty();
+  }
+
+  get bounds(): WorldBounds | null {
+    return this.extent ?? null;
+  }
+
+  /**
+   * Field vector at a world point (before this.transform). Grids interpolate
+   * bilinearly between cell centres; null outside the grid or extent.
+   */
+  vectorAt(x: number, y: number): V2 | null {
+    const e = this.extent;
+    if (e && (x < e.xMin || x > e.xMax || y < e.yMin || y > e.yMax)) return null;
+    if (this.fn) return this.fn(x, y);
+    if (!e || !this.cols || !this.rows) return null;
+
+    const fu = Math.max(0, Math.min(this.cols - 1, ((x - e.xMin) / (e.xMax - e.xMin)) * this.cols - 0.5));
+    const fv = Math.max(0, Math.min(this.rows - 1, ((y - e.yMin) / (e.yMax - e.yMin)) * this.rows - 0.5));
+    const c0 = Math.min(Math.max(0, this.cols - 2), Math.floor(fu)), r0 = Math.min(Math.max(0, this.rows - 2), Math.floor(fv));
+    const c1 = Math.min(this.cols - 1, c0 + 1), r1 = Math.min(this.rows - 1, r0 + 1);
+    const tx = fu - c0, ty = fv - r0;
+    const lerp2 = (g: ArrayLike<number>) =>
+      (g[r0 * this.cols + c0] * (1 - tx) + g[r0 * this.cols + c1] * tx) * (1 - ty) +
+      (g[r1 * this.cols + c0] * (1 - tx) + g[r1 * this.cols + c1] * tx) * ty;
+    const out = new V2(lerp2(this.u), lerp2(this.v));
+    return isFinite(out.x) && isFinite(out.y) ? out : null;
+  }
+
+  /** Streamlines through each seed, traced both downstream and upstream (world coordinates). */
+  streamlines(vp?: ViewportManager): V2[][] {
+    if (this.streamCache) return this.streamCache;
+    const e = this.extent ?? vp?.worldBounds;
+    if (!e) return [];
+    const step = this.streamStep ?? Math.max(e.xMax - e.xMin, e.yMax - e.yMin) / 200;
+    const field = (p: V2) => this.vectorAt(p.x, p.y);
+    const lines = this.seeds.map(s => {
+      const down = rk4Streamline(field, s, step, this.streamMaxSteps);
+      const up = rk4Streamline(field, s, -step, this.streamMaxSteps);
+      return [...up.reverse(), ...down.slice(1)];
+    });
+    // function fields without an extent depend on the view; only grids / extents are cached
+    if (this.extent) this.streamCache = lines;
+    return lines;
+  }
+
+  /** Sample points (world) and the on-screen room each arrow gets. */
+  private samples(vp: ViewportManager): { pts: V2[]; cellPx: number } {
+    const pts: V2[] = [];
+    if (this.fn) {
+      // a screen-space lattice over the plot rect, kept to the extent when there is one
+      const r = vp.viewport, s = this.spacingPx;
+      const inv = this.transform.invert();
+      if (!inv) return { pts, cellPx: s };
+      for (let y = r.y + s / 2; y < r.y + r.height; y += s) {
+        for (let x = r.x + s / 2; x < r.x + r.width; x += s) {
+          const p = inv.transformV2(vp.canvasToWorld(x, y));
+          const e = this.extent;
+          if (!e || (p.x >= e.xMin && p.x <= e.xMax && p.y >= e.yMin && p.y <= e.yMax)) pts.push(p);
+        }
+      }
+      return { pts, cellPx: s };
+    }
+
+    const e = this.extent!;
+    const cw = (e.xMax - e.xMin) / this.cols, ch = (e.yMax - e.yMin) / this.rows;
+    const [a, bx, by] = this.toCanvas([new V2(e.xMin, e.yMin), new V2(e.xMin + cw, e.yMin), new V2(e.xMin, e.yMin + ch)], vp);
+    const cellPx = Math.max(1e-9, Math.min(bx.sub(a).len(), by.sub(a).len()));
+    const stride = Math.max(1, Math.ceil(this.spacingPx / cellPx));
+    for (let r = Math.floor(stride / 2); r < this.rows; r += stride) {
+      for (let c = Math.floor(stride / 2); c < this.cols; c += stride) {
+        pts.push(new V2(e.xMin + (c + 0.5) * cw, e.yMin + (r + 0.5) * ch));
+      }
+    }
+    return { pts, cellPx: cellPx * stride };
+  }
+
+  /** Canvas-space arrows for the current view. */
+  arrows(vp: ViewportManager): Arrow[] {
+    const { pts, cellPx } = this.samples(vp);
+    const vecs = pts.map(p => this.vectorAt(p.x, p.y));
+    let maxMag = this.magnitudeRange?.[1] ?? 0;
+    if (!this.magnitudeRange) for (const v of vecs) if (v) maxMag = Math.max(maxMag, v.len());
+    const span = this.extent ?? vp.worldBounds;
+    const h = Math.max(span.xMax - span.xMin, span.yMax - span.yMin) * 1e-4;
+
+    const out: Arrow[] = [];
+    pts.forEach((p, i) => {
+      const v = vecs[i];
+      const mag = v ? v.len() : 0;
+      if (!v || !(mag > 0) || !isFinite(mag)) return;
+      // direction through the transform and viewport: follows aspect mode and axis scales
+      const [c0, c1] = this.toCanvas([p, p.add(v.scale(h / mag))], vp);
+      const dir = c1.sub(c0).norm();
+      const len = 0.85 * cellPx * (this.scaleMode === "normalized" ? 1 : Math.min(1, mag / (maxMag || 1)));
+      const tail = this.pivot === "middle" ? c0.sub(dir.scale(len / 2)) : c0;
+      out.push({ tail, tip: tail.add(dir.scale(len)), mag });
+    });
+    return out;
+  }
+
+  /** Per-arrow colors: the fixed color, or magnitude through the colormap. */
+  private arrowColors(arrows: Arrow[]): RGBA[] {
+    if (this.arrowColor) {
+      const c = this.parseColorSafe(this.arrowColor);
+      return arrows.map(() => c);
+    }
+    const lut = colormapLUT(this.colormap);
+    const [lo, hi] = this.magnitudeRange ?? [0, Math.max(0, ...arrows.map(a => a.mag))];
+    return arrows.map(a => {
+      const i = colormapIndex(hi > lo ? (a.mag - lo) / (hi - lo) : 1);
+      return [lut[i * 4], lut[i * 4 + 1], lut[i * 4 + 2], lut[i * 4 + 3]];
+    });
+  }
+
+  /** Shaft end and head triangle of an arrow; heads shrink on short arrows. */
+  private arrowShape(a: Arrow): { shaftEnd: V2; head: V2[] } {
+    const d = a.tip.sub(a.tail), len = d.len();
+    const hs = Math.min(this.headSize, len * 0.6);
+    const dir = d.scale(1 / (len || 1)), n = dir.perp();
+    const base = a.tip.sub(dir.scale(hs));
+    return { shaftEnd: base, head: [a.tip, base.add(n.scale(hs * 0.45)), base.sub(n.scale(hs * 0.45))] };
+  }
+
+  draw(app: Renderer, vp: ViewportManager): void {
+    if (this.seeds.length) {
+      const sc = this.parseColorSafe(this.streamColor);
+      for (const line of this.streamlines(vp)) {
+        if (line.length > 1) strokeShape(app, this.toCanvas(line, vp), sc, this.streamWidth, { closed: false, join: "round", antialias: this.antialias });
+      }
+    }
+    const arrows = this.arrows(vp);
+    const colors = this.arrowColors(arrows);
+    arrows.forEach((a, i) => {
+      const color = colors[i];
+      const { shaftEnd, head } = this.arrowShape(a);
+      if (shaftEnd.sub(a.tail).len() > 0.5) strokeShape(app, [a.tail, shaftEnd], color, this.width, { closed: false, antialias: this.antialias });
+      fillPolygon(app, head, color, this.antialias);
+    });
+  }
+
+  toSVG(vp: ViewportManager, w: SVGWriter): string {
+    const out: string[] = [];
+    for (const line of this.seeds.length ? this.streamlines(vp) : []) {
+      out.push(`<polyline points="${w.points(this.toCanvas(line, vp))}" fill="none" ${w.paint("stroke", this.streamColor)} stroke-width="${w.num(this.streamWidth)}" stroke-linejoin="round"/>`);
+    }
+    const arrows = this.arrows(vp);
+    const colors = this.arrowColors(arrows);
+    arrows.forEach((a, i) => {
+      const { shaftEnd, head } = this.arrowShape(a);
+      out.push(w.line(a.tail, shaftEnd, colors[i], this.width));
+      out.push(w.polygon(head, colors[i]));
+    });
+    return out.join("\n");
+  }
+}
@@ -1,5 +1,16 @@
 import { V2 } from "./v2";
 import { ViewportRect } from "./types";
+import { AxisScale, ScaleSpec, resolveScale } from "./scale";
+
+export type YAxisId = "y" | "y2";
+
+export interface ViewportManagerOptions {
+    /** Scale of each axis; defaults to linear. */
+    x?: ScaleSpec;
+    y?: ScaleSpec;
+    /** Refit to app.drawables when the canvas parent resizes (default true). */
+    observeResize?: boolean;
+}
 
 function safeSpan(min: number, max: number, eps = 1e-9): [number, number] {
     if (!isFinite(min) || !isFinite(max)) return [0, 1];
@@ -10,6 +21,19 @@ function safeSpan(min: number, max: number, eps = 1e-9): [number, number] {
     return [min, max];
 }
 
+/** Round a step up or down to 1, 2, 5 or 10 × 10^k (the viewport's tick stepping). */
+export function nicify(step: number): number {
+    if (!isFinite(step) || step <= 0) return 1;
+    const e = Math.floor(Math.log10(step));
+    const f = step / Math.pow(10, e);
+    let nice: number;
+    if (f < 1.5) nice = 1;
+    else if (f < 3) nice = 2;
+    else if (f < 7) nice = 5;
+    else nice = 10;
+    return nice * Math.pow(10, e);
+}
+
 // -------------------- VIEWPORT MANAGER --------------------
 export class ViewportManager {
     app: any;
@@ -18,22 +42,35 @@ export class ViewportManager {
     worldBounds: { xMin: number; xMax: number; yMin: number; yMax: number };
     xTicks: number[];
     yTicks: number[];
+    /** Bounds produced by the most recent fitToBounds call (used as the "home" view). */
+    fittedBounds: { xMin: number; xMax: number; yMin: number; yMax: number } | null = null;
+    /** Per-axis scales; the affine world→canvas mapping happens in their forward space. */
+    xScale: AxisScale;
+    yScale: AxisScale;
+    /** Secondary y axis sharing this viewport's rect and x range; see addSecondaryY(). */
+    y2: ViewportManager | null = null;
+    private primary: ViewportManager | null = null;
+    /** Per-frame pass run by Scene before anything draws, e.g. ChartLayout's measuring (see attach()). */
+    beforeDraw: ((app: any) => void) | null = null;
 
     constructor(
         app: any,
         worldBounds: { xMin: number; xMax: number; yMin: number; yMax: number } | null = null,
         _viewport: ViewportRect | ((app: any) => ViewportRect) | null = null,
-        preserveAspect: string | boolean = "none"
+        preserveAspect: string | boolean = "none",
+        options: ViewportManagerOptions = {}
     ) {
         this.app = app;
         this._viewport = _viewport || { x: 0, y: 0, width: app.size.x, height: app.size.y };
         this.preserveAspect = preserveAspect;
+        this.xScale = resolveScale(options.x);
+        this.yScale = resolveScale(options.y);
         this.worldBounds = worldBounds || { xMin: 0, xMax: 1, yMin: 0, yMax: 1 };
         this.xTicks = [];
         this.yTicks = [];
         this.updateWorld(this.worldBounds);
 
-        if (this.app.canvas && this.app.canvas.parentElement) {
+        if (options.observeResize !== false && this.app.canvas && this.app.canvas.parentElement) {
             const ro = new ResizeObserver(() => {
                 const canvas = this.app.canvas;
                 const dpr = window.devicePixelRatio || 1;
@@ -69,6 +106,11 @@ export class ViewportManager {
         return this._viewport;
     }
 
+    /** Replace the plot rect (or the function computing it, e.g. ChartLayout.attach()). */
+    setViewport(viewport: ViewportRect | ((app: any) => ViewportRect)): void {
+        this._viewport = viewport;
+    }
+
     // Normalize preserveAspect to 'none' | 'square' | 'fit'
     private aspectMode(): "none" | "square" | "fit" {
         if (this.preserveAspect === true) return "square";
@@ -79,8 +121,56 @@ export class ViewportManager {
         return "none";
     }
 
-    get scale(): V2 {
+    /**
+     * Switch axis scales ("linear", "log10", "symlog", "time" or a custom
+     * AxisScale). Current bounds are repaired for the new scale.
+     */
+    setScales(x?: ScaleSpec, y?: ScaleSpec): void {
+        if (x !== undefined) this.xScale = resolveScale(x);
+        if (y !== undefined) this.yScale = resolveScale(y);
+        this.fittedBounds = null;
+        this.updateWorld(this.worldBounds);
+    }
+
+    /**
+     * Create (or replace) the secondary y axis: a child viewport over the same
+     * rect and x range with its own y bounds and scale. Drawables declaring
+     * `yAxis: "y2"` are mapped through it; Graph draws it on the right.
+     */
+    addSecondaryY(bounds: { yMin: number; yMax: number } | null = null, scale?: ScaleSpec): ViewportManager {
         const { xMin, xMax, yMin, yMax } = this.worldBounds;
+        const child = new ViewportManager(
+            this.app,
+            { xMin, xMax, yMin: bounds?.yMin ?? yMin, yMax: bounds?.yMax ?? yMax },
+            () => this.viewport,
+            "none",
+            { x: this.xScale, y: scale, observeResize: false }
+        );
+        child.primary = this;
+        child.updateWorld();
+        this.y2 = child;
+        return child;
+    }
+
+    removeSecondaryY(): void {
+        if (this.y2) this.y2.primary = null;
+        this.y2 = null;
+    }
+
+    /** World bounds mapped into scale space, where the viewport mapping is affine. */
+    private scaledBounds(): { xMin: number; xMax: number; yMin: number; yMax: number } {
+        const { xMin, xMax, yMin, yMax } = this.worldBounds;
+        return {
+            xMin: this.xScale.forward(xMin),
+            xMax: this.xScale.forward(xMax),
+            yMin: this.yScale.forward(yMin),
+            yMax: this.yScale.forward(yMax),
+        };
+    }
+
+    /** Pixels per unit of scale space (per world unit on linear axes). */
+    get scale(): V2 {
+        const { xMin, xMax, yMin, yMax } = this.scaledBounds();
         const s = xMax - xMin;
         const o = yMax - yMin;
         const a = this.viewport;
@@ -95,8 +185,10 @@ export class ViewportManager {
     }
 
     worldToCanvas(x: number, y: number): V2 {
-        const { xMin, xMax, yMin, yMax } = this.worldBounds;
+        const { xMin, xMax, yMin, yMax } = this.scaledBounds();
         const vp = this.viewport;
+        x = this.xScale.forward(x);
+        y = this.yScale.forward(y);
         const u = xMax - xMin;
         const v = yMax - yMin;
 
@@ -119,7 +211,7 @@ export class ViewportManager {
     }
 
     canvasToWorld(x: number, y: number): V2 {
-        const { xMin, xMax, yMin, yMax } = this.worldBounds;
+        const { xMin, xMax, yMin, yMax } = this.scaledBounds();
         const vp = this.viewport;
         const u = xMax - xMin;
         const v = yMax - yMin;
@@ -133,28 +225,51 @@ export class ViewportManager {
             const offsetY = vp.y + (vp.height - h) / 2;
             const wx = xMin + (x - offsetX) / scale;
             const wy = yMax - (y - offsetY) / scale;
-            return new V2(wx, wy);
+            return new V2(this.xScale.inverse(wx), this.yScale.inverse(wy));
         } else {
             const scale = this.scale;
             const wx = xMin + (x - vp.x) / scale.x;
             const wy = yMax - (y - vp.y) / scale.y;
-            return new V2(wx, wy);
+            return new V2(this.xScale.inverse(wx), this.yScale.inverse(wy));
         }
     }
 
+    /**
+     * The world→canvas mapping as a gain and offset per axis in scale space:
+     * canvas x = x0 + sx * xScale.forward(x), likewise for y. Lets hot loops
+     * project plain numbers without a V2 per point.
+     */
+    canvasMapping(): { x0: number; sx: number; y0: number; sy: number } {
+        const { xMin, xMax, yMin, yMax } = this.worldBounds;
+        const u0 = this.xScale.forward(xMin), u1 = this.xScale.forward(xMax);
+        const v0 = this.yScale.forward(yMin), v1 = this.yScale.forward(yMax);
+        const c0 = this.worldToCanvas(xMin, yMin);
+        const c1 = this.worldToCanvas(xMax, yMax);
+        const sx = (c1.x - c0.x) / (u1 - u0);
+        const sy = (c1.y - c0.y) / (v1 - v0);
+        return { x0: c0.x - sx * u0, sx, y0: c0.y - sy * v0, sy };
+    }
+
     unitsToPixels(t: number): number {
         return t * this.scale.x;
     }
 
     updateWorld(bounds: { xMin: number; xMax: number; yMin: number; yMax: number } | null = null, numTicks: number = 10) {
         if (bounds) {
-            const [sxMin, sxMax] = safeSpan(bounds.xMin, bounds.xMax);
-            const [syMin, syMax] = safeSpan(bounds.yMin, bounds.yMax);
+            const [sxMin, sxMax] = safeSpan(...this.xScale.clampDomain(bounds.xMin, bounds.xMax));
+            const [syMin, syMax] = safeSpan(...this.yScale.clampDomain(bounds.yMin, bounds.yMax));
             this.worldBounds = { xMin: sxMin, xMax: sxMax, yMin: syMin, yMax: syMax };
         }
+        // a secondary axis only owns its y range; x always follows the primary
+        if (this.primary) {
+            const p = this.primary.worldBounds;
+            this.xScale = this.primary.xScale;
+            this.worldBounds = { ...this.worldBounds, xMin: p.xMin, xMax: p.xMax };
+        }
         const { xMin, xMax, yMin, yMax } = this.worldBounds;
-        this.xTicks = this.computeTicks(xMin, xMax, numTicks);
-        this.yTicks = this.computeTicks(yMin, yMax, numTicks);
+        this.xTicks = this.xScale.type === "linear" ? this.computeTicks(xMin, xMax, numTicks) : this.xScale.ticks(xMin, xMax, numTicks).major;
+        this.yTicks = this.yScale.type === "linear" ? this.computeTicks(yMin, yMax, numTicks) : this.yScale.ticks(yMin, yMax, numTicks).major;
+        this.y2?.updateWorld(null, numTicks);
     }
 
     computeTicks(min: number, max: number, numTicks: number): number[] {
@@ -175,15 +290,7 @@ export class ViewportManager {
     }
 
     nicify(step: number): number {
-        if (!isFinite(step) || step <= 0) return 1;
-        const e = Math.floor(Math.log10(step));
-        const f = step / Math.pow(10, e);
-        let nice: number;
-        if (f < 1.5) nice = 1;
-        else if (f < 3) nice = 2;
-        else if (f < 7) nice = 5;
-        else nice = 10;
-        return nice * Math.pow(10, e);
+        return nicify(step);
     }
 
     fitToBounds(boundsArray: { xMin: number; xMax: number; yMin: number; yMax: number }[], padding: number = 0.05) {
@@ -198,8 +305,12 @@ export class ViewportManager {
             yMax = Math.max(yMax, b.yMax);
         }
         if (!isFinite(xMin) || !isFinite(xMax) || !isFinite(yMin) || !isFinite(yMax)) return;
-        [xMin, xMax] = safeSpan(xMin, xMax);
-        [yMin, yMax] = safeSpan(yMin, yMax);
+        // pad and square up in scale space so log axes get equal padding per decade
+        const sx = this.xScale, sy = this.yScale;
+        [xMin, xMax] = sx.clampDomain(xMin, xMax);
+        [yMin, yMax] = sy.clampDomain(yMin, yMax);
+        [xMin, xMax] = safeSpan(sx.forward(xMin), sx.forward(xMax));
+        [yMin, yMax] = safeSpan(sy.forward(yMin), sy.forward(yMax));
 
         const width = xMax - xMin;
         const height = yMax - yMin;
@@ -235,27 +346,46 @@ export class ViewportManager {
             } catch (e) {}
         }
 
+        xMin = sx.inverse(xMin); xMax = sx.inverse(xMax);
+        yMin = sy.inverse(yMin); yMax = sy.inverse(yMax);
         this.worldBounds = { xMin, xMax, yMin, yMax };
+        this.fittedBounds = { xMin, xMax, yMin, yMax };
         this.updateWorld(this.worldBounds);
     }
 }
 
+/** The viewport a drawable maps through: the secondary axis when it declares `yAxis: "y2"`. */
+export function viewportFor<T extends ViewportManager | undefined>(d: any, vp: T): T {
+    return d && d.yAxis === "y2" && vp?.y2 ? (vp.y2 as T) : vp;
+}
+
+/** Element rect inset by a fixed margin. ChartLayout sizes the margins from measured labels instead. */
 export function getDivViewport(el: HTMLElement, margin: number = 30): ViewportRect {
     const rect = el.getBoundingClientRect();
     return { x: margin, y: margin, width: rect.width - 2 * margin, height: rect.height - 2 * margin };
 }
 
+/** Bounds of the finite points in one pass (no spread, so million-point traces fit); null if none. */
+function pointBounds(points: ArrayLike<{ x: number; y: number }>): { xMin: number; xMax: number; yMin: number; yMax: number } | null {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (let i = 0; i < points.length; i++) {
+        const { x, y } = points[i];
+        if (!isFinite(x) || !isFinite(y)) continue;
+        if (x < xMin) xMin = x;
+        if (x > xMax) xMax = x;
+        if (y < yMin) yMin = y;
+        if (y > yMax) yMax = y;
+    }
+    return xMin <= xMax ? { xMin, xMax, yMin, yMax } : null;
+}
+
 export function getDrawableBounds(d: any) {
     try {
         if (d == null) return null;
         if (Array.isArray(d.data) && d.data.length) {
-            const xs = d.data.map((p: any) => p.x);
-            const ys = d.data.map((p: any) => p.y);
-            return { xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: Math.min(...ys), yMax: Math.max(...ys) };
+            return pointBounds(d.data);
         } else if (Array.isArray(d.points) && d.points.length) {
-            const xs = d.points.map((p: any) => p.x);
-            const ys = d.points.map((p: any) => p.y);
-            return { xMin: Math.min(...xs), xMax: Math.max(...xs), yMin: Math.min(...ys), yMax: Math.max(...ys) };
+            return pointBounds(d.points);
         } else if (d.pos) {
             let xMin = d.pos.x, xMax = d.pos.x, yMin = d.pos.y, yMax = d.pos.y;
             if (typeof d.radius === "number") {
@@ -278,8 +408,31 @@ export function getDrawableBounds(d: any) {
     return null;
 }
 
+/**
+ * Fit the viewport to the drawables' bounds. With a secondary y axis, each
+ * y axis fits only its own drawables while x spans all of them.
+ */
 export function autoScaleViewport(vp: ViewportManager, drawables: any[], padding: number = 0.05) {
-    const boundsArr = drawables.map(getDrawableBounds).filter(b => b != null);
-    if (!boundsArr.length) return;
-    vp.fitToBounds(boundsArr as any, padding);
+    const fitted = drawables.map(d => ({ d, b: getDrawableBounds(d) })).filter(e => e.b != null);
+    if (!fitted.length) return;
+    if (!vp.y2) {
+        vp.fitToBounds(fitted.map(e => e.b), padding);
+        return;
+    }
+
+    const xMin = Math.min(...fitted.map(e => e.b.xMin));
+    const xMax = Math.max(...fitted.map(e => e.b.xMax));
+    // x spans every drawable; a y axis without drawables keeps its current range
+    const fitAxis = (target: ViewportManager, onY2: boolean) => {
+        const own = fitted.filter(e => (e.d.yAxis === "y2") === onY2).map(e => ({ ...e.b, xMin, xMax }));
+        if (own.length) {
+            target.fitToBounds(own, padding);
+            return;
+        }
+        const { yMin, yMax } = target.worldBounds;
+        target.fitToBounds([{ xMin, xMax, yMin, yMax }], padding);
+        target.updateWorld({ ...target.worldBounds, yMin, yMax });
+    };
+    fitAxis(vp, false);
+    fitAxis(vp.y2, true);
 }
@@ -0,0 +1,86 @@
+import { test, expect } from "@playwright/test";
+import { histogramBins, DrawableHistogram, DrawableStackedArea } from "../../src/charts";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+import { SVGWriter } from "../../src/svg";
+import { Transform2D } from "../../src/transform2d";
+import { V2 } from "../../src/v2";
+
+test.describe("histogramBins", () => {
+  test("equal-width bins are half-open except the last", () => {
+    expect(histogramBins([0, 1, 1.5, 2, 3, 4], 4)).toEqual({ edges: [0, 1, 2, 3, 4], counts: [1, 2, 1, 2] });
+  });
+
+  test("explicit edges, range and non-finite samples", () => {
+    expect(histogramBins([-1, 0, 5, 9.99, 10, 11, NaN, Infinity], [0, 5, 10]).counts).toEqual([1, 3]);
+    const { edges, counts } = histogramBins([-5, 0, 1, 2, NaN, 50], 2, [0, 2]);
+    expect(edges).toEqual([0, 1, 2]);
+    expect(counts).toEqual([1, 2]);
+  });
+
+  test("a constant sample is binned over a unit-wide range", () => {
+    expect(histogramBins([3, 3, 3], 1)).toEqual({ edges: [2.5, 3.5], counts: [3] });
+    const { edges, counts } = histogramBins([3, 3, 3], "auto");
+    expect([edges[0], edges[edges.length - 1]]).toEqual([2.5, 3.5]);
+    expect(counts.reduce((a, b) => a + b, 0)).toBe(3);
+    expect(histogramBins([], 3).counts).toEqual([0, 0, 0]);
+  });
+
+  test("rules pick more bins for more samples", () => {
+    const sample = (n: number) => Array.from({ length: n }, (_, i) => Math.sin(i * 12.9898) * 43758.5453 % 1);
+    for (const rule of ["sturges", "sqrt", "scott", "fd", "auto"] as const) {
+      const small = histogramBins(sample(50), rule), large = histogramBins(sample(5000), rule);
+      expect(large.counts.length).toBeGreaterThan(small.counts.length);
+      expect(large.counts.reduce((a, b) => a + b, 0)).toBe(5000);
+    }
+    expect(histogramBins(sample(100), "sturges").counts.length).toBe(Math.ceil(Math.log2(100)) + 1);
+    expect(histogramBins(sample(100), "sqrt").counts.length).toBe(10);
+  });
+});
+
+test.describe("DrawableHistogram", () => {
+  test("hit testing follows the bars through the transform", () => {
+    const vp = new ViewportManager(new MemoryRenderer(120, 40), null, null, "none");
+    vp.updateWorld({ xMin: 0, xMax: 12, yMin: 0, yMax: 4 });
+    const h = new DrawableHistogram([0.5, 1.5, 1.6], { bins: [0, 1, 2] });
+    expect(h.heights).toEqual([1, 2]);
+    expect(h.hitTest(new V2(0.5, 0.5), vp)).toBe(true);
+    expect(h.hitTest(new V2(0.5, 1.5), vp)).toBe(false);
+    expect(h.hitTest(new V2(1.5, 1.5), vp)).toBe(true);
+
+    h.transform = Transform2D.translation(10, 0);
+    expect(h.hitTest(new V2(0.5, 0.5), vp)).toBe(false);
+    expect(h.hitTest(new V2(10.5, 0.5), vp)).toBe(true);
+    expect(h.hitTest(new V2(11.5, 1.5), vp)).toBe(true);
+  });
+});
+
+test.describe("DrawableStackedArea", () => {
+  const area = (lineWidth: number) => new DrawableStackedArea([0, 1, 2], [
+    { label: "a", values: [1, 2, 1], color: "red" },
+    { label: "b", values: [1, 1, 1], color: "blue" },
+  ], { lineWidth });
+
+  test("layers stack on the baseline and normalize to 100", () => {
+    const tops = area(1).layers().map(top => top.map(p => p.y));
+    expect(tops).toEqual([[1, 2, 1], [2, 3, 2]]);
+    const normal = new DrawableStackedArea([0], [{ values: [1] }, { values: [3] }], { normalize: true });
+    expect(normal.layers().map(top => top[0].y)).toEqual([25, 100]);
+  });
+
+  test("SVG fills bands without outline and strokes only the top edge", () => {
+    const vp = new ViewportManager(new MemoryRenderer(100, 100), null, null, "none");
+    vp.updateWorld({ xMin: 0, xMax: 2, yMin: 0, yMax: 3 });
+    const svg = area(2).toSVG(vp, new SVGWriter()).split("\n");
+    expect(svg.length).toBe(4);
+    for (const k of [0, 2]) {
+      expect(svg[k]).toMatch(/^<polygon /);
+      expect(svg[k]).not.toContain("stroke");
+      expect(svg[k + 1]).toMatch(/^<polyline /);
+      expect(svg[k + 1]).toContain('fill="none"');
+      expect(svg[k + 1]).toContain('stroke-width="2"');
+      expect(svg[k + 1].match(/points="([^"]*)"/)![1].split(" ").length).toBe(3);
+    }
+    expect(area(0).toSVG(vp, new SVGWriter()).split("\n").length).toBe(2);
+  });
+});
@@ -0,0 +1,115 @@
+import { test, expect } from "@playwright/test";
+import { contourLevels, marchingSquares, contourBand, DrawableContour } from "../../src/contour";
+import { V2 } from "../../src/v2";
+
+/** n×n grid of the distance to its centre, row-major. */
+function cone(n: number): number[] {
+  const c = (n - 1) / 2;
+  return Array.from({ length: n * n }, (_, i) => Math.hypot((i % n) - c, Math.floor(i / n) - c));
+}
+
+function area(poly: V2[]): number {
+  let a = 0;
+  for (let i = 0; i < poly.length; i++) {
+    const p = poly[i], q = poly[(i + 1) % poly.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return Math.abs(a) / 2;
+}
+
+test.describe("contourLevels", () => {
+  test("nice levels strictly inside the range", () => {
+    expect(contourLevels(0, 10, 4)).toEqual([2, 4, 6, 8]);
+    expect(contourLevels(0.5, 1, 4)).toEqual([0.6, 0.7, 0.8, 0.9]);
+    expect(contourLevels(3, 3)).toEqual([]);
+    expect(contourLevels(0, NaN)).toEqual([]);
+  });
+});
+
+test.describe("marchingSquares", () => {
+  test("a cone gives one closed ring at the level's radius", () => {
+    const lines = marchingSquares(cone(21), 21, 21, 6);
+    expect(lines.length).toBe(1);
+    const ring = lines[0];
+    expect(ring[0]).toEqual(ring[ring.length - 1]);
+    for (const p of ring) expect(Math.hypot(p.x - 10, p.y - 10)).toBeCloseTo(6, 0);
+  });
+
+  test("crossings are interpolated linearly along grid edges", () => {
+    // one row of two cells: 0 → 4 crosses 1 a quarter of the way
+    const lines = marchingSquares([0, 4, 0, 4], 2, 2, 1);
+    expect(lines).toEqual([[new V2(0.25, 0), new V2(0.25, 1)]]);
+  });
+
+  test("lines open at the grid border and stop at NaN squares", () => {
+    const ramp = Array.from({ length: 25 }, (_, i) => i % 5);
+    const [line] = marchingSquares(ramp, 5, 5, 2.5);
+    expect(line.length).toBe(5);
+    expect(line.every(p => p.x === 2.5)).toBe(true);
+
+    const holed = ramp.slice();
+    holed[12] = NaN;
+    expect(marchingSquares(holed, 5, 5, 2.5).length).toBe(2);
+  });
+
+  test("saddles are resolved by the centre average", () => {
+    // high corners on one diagonal; the centre (0.5) decides which pairs join
+    const up = marchingSquares([1, 0, 0, 1], 2, 2, 0.4);
+    const down = marchingSquares([1, 0, 0, 1], 2, 2, 0.6);
+    expect(up.length).toBe(2);
+    expect(down.length).toBe(2);
+    const joins = (lines: V2[][]) => lines.map(l => l.map(p => `${p.x},${p.y}`).sort().join(" ")).sort();
+    expect(joins(up)).not.toEqual(joins(down));
+  });
+});
+
+test.describe("contourBand", () => {
+  test("bands tile the grid and match the disc area", () => {
+    const cells = cone(41);
+    const total = (lo: number, hi: number) => contourBand(cells, 41, 41, lo, hi).reduce((a, p) => a + area(p), 0);
+    expect(total(-Infinity, 10)).toBeCloseTo(Math.PI * 100, -1);
+    expect(total(-Infinity, 5) + total(5, 12) + total(12, Infinity)).toBeCloseTo(40 * 40, 6);
+  });
+
+  test("saddles split or join as the iso-lines do", () => {
+    const saddle = [1, 0, 0, 1];
+    const key = (a: V2, b: V2) => [`${a.x},${a.y}`, `${b.x},${b.y}`].sort().join(" ");
+    const onBorder = (a: V2, b: V2) => (a.x === b.x && (a.x === 0 || a.x === 1)) || (a.y === b.y && (a.y === 0 || a.y === 1));
+    // piece edges that cut across the square rather than run along its sides
+    const inner = (pieces: V2[][]) =>
+      pieces.flatMap(p => p.map((a, i) => [a, p[(i + 1) % p.length]])).filter(([a, b]) => !onBorder(a, b)).map(([a, b]) => key(a, b)).sort();
+    for (const level of [0.4, 0.6]) {
+      const lines = marchingSquares(saddle, 2, 2, level).map(l => key(l[0], l[l.length - 1])).sort();
+      const above = contourBand(saddle, 2, 2, level, Infinity);
+      const below = contourBand(saddle, 2, 2, -Infinity, level);
+      expect(inner(above)).toEqual(lines);
+      expect(inner(below)).toEqual(lines);
+      // the centre (0.5) joins one side and splits the other
+      expect([above.length, below.length]).toEqual(level < 0.5 ? [1, 2] : [2, 1]);
+      expect([...above, ...below].reduce((a, p) => a + area(p), 0)).toBeCloseTo(1, 12);
+    }
+  });
+});
+
+test.describe("DrawableContour", () => {
+  test("maps grid geometry into the extent with values at cell centres", () => {
+    const c = new DrawableContour(cone(11), { cols: 11, levels: [3], filled: true, extent: { xMin: 0, xMax: 22, yMin: 0, yMax: 11 } });
+    expect(c.levels).toEqual([3]);
+    const ring = c.paths[0].lines[0];
+    // grid centre (5, 5) sits at world (11, 5.5); x is stretched 2×
+    const xs = ring.map(p => p.x), ys = ring.map(p => p.y);
+    expect((Math.min(...xs) + Math.max(...xs)) / 2).toBeCloseTo(11, 6);
+    expect((Math.min(...ys) + Math.max(...ys)) / 2).toBeCloseTo(5.5, 6);
+    expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(12, 0);
+    expect(c.bands.map(b => [b.lo, b.hi])).toEqual([[0, 3], [3, Math.hypot(5, 5)]]);
+  });
+
+  test("setLevels and setValues recompute", () => {
+    const c = new DrawableContour([[0, 1], [2, 3]], { levels: 2 });
+    expect(c.levels.length).toBeGreaterThan(0);
+    c.setLevels([1.5]);
+    expect(c.paths.length).toBe(1);
+    c.setValues([[5, 5], [5, 5]]);
+    expect(c.paths[0].lines).toEqual([]);
+  });
+});
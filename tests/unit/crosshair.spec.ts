@@ -0,0 +1,100 @@
+import { test, expect } from "@playwright/test";
+import { DrawableCrosshair, type CrosshairSeries } from "../../src/crosshair";
+import { Graph } from "../../src/graph";
+import { ViewportManager } from "../../src/viewport";
+import type { ViewportRect, WorldBounds } from "../../src/types";
+import { V2 } from "../../src/v2";
+
+/**
+ * A 200×100 renderer that keeps the text it is asked to draw. Glyphs measure
+ * 6×8 px, so each readout row is 10 px tall.
+ */
+function recorder() {
+  const w = 200, h = 100;
+  const texts: Array<{ text: string; pos: V2 }> = [];
+  const app = {
+    size: new V2(w, h),
+    buffer: { width: w, height: h, pixels: new Uint8ClampedArray(w * h * 4), clipX0: 0, clipY0: 0, clipX1: w, clipY1: h, putPixelBlend() {} },
+    measureText: (text: string) => ({ width: text.length * 6, height: 8 }),
+    drawText: (text: string, pos: V2) => { texts.push({ text, pos }); },
+  };
+  return { app: app as any, texts };
+}
+
+function crosshair(app: any, bounds: WorldBounds, series: CrosshairSeries[], rect: ViewportRect | null = null, mode: "snap" | "interpolate" = "interpolate") {
+  const vp = new ViewportManager(app, null, rect, "none");
+  vp.updateWorld(bounds);
+  return new DrawableCrosshair(vp, series, { mode, padding: 4 });
+}
+
+const tent: CrosshairSeries = { data: [new V2(0, 0), new V2(3, 30), new V2(7, 70), new V2(10, 0)], color: "#ff0000", legend: { label: "tent" } };
+
+test.describe("DrawableCrosshair", () => {
+  test("interpolates each series at the cursor x", () => {
+    const { app, texts } = recorder();
+    const ch = crosshair(app, { xMin: 0, xMax: 10, yMin: 0, yMax: 100 }, [tent, { data: [new V2(0, 5), new V2(10, 5)], color: "#00ff00" }]);
+    const c = ch.vp.worldToCanvas(5, 50);
+    ch.setCursor(c.x, c.y);
+    ch.draw(app);
+    expect(texts.map(t => t.text)).toEqual(["x: 5", "tent: 50", "y2: 5"]);
+  });
+
+  test("snap mode jumps to the nearest sample and reports its x", () => {
+    const { app, texts } = recorder();
+    const ch = crosshair(app, { xMin: 0, xMax: 10, yMin: 0, yMax: 100 }, [tent], null, "snap");
+    const c = ch.vp.worldToCanvas(4, 50);
+    ch.setCursor(c.x, c.y);
+    ch.draw(app);
+    expect(texts.map(t => t.text)).toEqual(["x: 3", "tent: 30"]);
+  });
+
+  test("matches the tick precision of the viewport or the graph", () => {
+    const { app, texts } = recorder();
+    const ch = crosshair(app, { xMin: 0, xMax: 1, yMin: 0, yMax: 0.01 }, [{ data: [new V2(0, 0), new V2(1, 0.01)], color: "#fff" }]);
+    const c = ch.vp.worldToCanvas(0.25, 0.005);
+    ch.setCursor(c.x, c.y);
+    ch.draw(app);
+    // ticks 0.1 and 0.001 apart
+    expect(texts.map(t => t.text)).toEqual(["x: 0.3", "y1: 0.003"]);
+
+    texts.length = 0;
+    const graph = new Graph(ch.vp);
+    graph.numTicksX = 40;
+    (ch as any).graph = graph;
+    ch.draw(app);
+    expect(texts[0].text).toBe(`x: ${(0.25).toFixed(graph.tickDecimals().x)}`);
+    expect(graph.tickDecimals().x).toBeGreaterThan(1);
+  });
+
+  test("keeps the readout box inside vp.viewport", () => {
+    const { app, texts } = recorder();
+    const rect = { x: 20, y: 10, width: 160, height: 80 };
+    const ch = crosshair(app, { xMin: 0, xMax: 10, yMin: 0, yMax: 100 }, [tent], rect);
+    const boxOf = () => ({ x: texts[0].pos.x - 4, y: texts[0].pos.y - 4 });
+
+    ch.setCursor(30, 20);
+    ch.draw(app);
+    expect(boxOf()).toEqual({ x: 42, y: 32 });
+
+    // flipped to the left of and above the cursor near the far corner;
+    // "tent: 15" is 8 × 6 + 2 × 4 = 56 px wide, two rows are 2 × 10 + 8 = 28 px tall
+    texts.length = 0;
+    ch.setCursor(170, 85);
+    ch.draw(app);
+    expect(boxOf()).toEqual({ x: 170 - 12 - 56, y: 85 - 12 - 28 });
+
+    // a 128×100 box fits on neither side: pinned to the viewport's top-left
+    texts.length = 0;
+    ch.setCursor(60, 30);
+    ch.options.padding = 40;
+    ch.draw(app);
+    const box = { x: texts[0].pos.x - 40, y: texts[0].pos.y - 40 };
+    expect(box).toEqual({ x: rect.x, y: rect.y });
+
+    // outside the plot rect nothing is drawn
+    texts.length = 0;
+    ch.setCursor(10, 5);
+    ch.draw(app);
+    expect(texts).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+import { test, expect } from "@playwright/test";
+import { DrawableImplicit, DrawableExplicit, adaptiveSample } from "../../src/curves";
+import { marchingSquares, isoCrossings } from "../../src/contour";
+import { V2 } from "../../src/v2";
+import { view } from "./helpers";
+
+test.describe("curves", () => {
+  test("iso crossings carry the grid edge they lie on", () => {
+    // one high corner: the line cuts the bottom edge of square (0,0) and its left edge
+    const cells = [1, -1, -1, -1];
+    const [line] = isoCrossings(cells, 2, 2, 0);
+    const edges = line.map(c => `${c.col},${c.row},${c.vertical ? "v" : "h"}`).sort();
+    expect(edges).toEqual(["0,0,h", "0,0,v"]);
+    expect(marchingSquares(cells, 2, 2, 0)[0].map(p => [p.x, p.y]).sort()).toEqual([[0, 0.5], [0.5, 0]]);
+  });
+
+  test("implicit circle points lie on the circle", () => {
+    const { vp } = view({ xMin: -2, xMax: 2, yMin: -2, yMax: 2 }, 300, 300);
+    const paths = new DrawableImplicit((x, y) => x * x + y * y - 1).paths(vp);
+    const pts = paths.flat();
+    expect(pts.length).toBeGreaterThan(50);
+    for (const p of pts) expect(Math.abs(Math.hypot(p.x, p.y) - 1)).toBeLessThan(1e-3);
+  });
+
+  test("implicit curves are broken at poles instead of bridging them", () => {
+    const { vp } = view({ xMin: -5, xMax: 5, yMin: -5, yMax: 5 }, 400, 300);
+    const paths = new DrawableImplicit((x, y) => 1 / x - y).paths(vp);
+    // a crossing beside the pole column must be refined along its own edge, not extrapolated off-screen
+    expect(paths.length).toBe(2);
+    for (const p of paths.flat()) {
+      expect(Math.abs(p.y - 1 / p.x), `(${p.x}, ${p.y})`).toBeLessThan(1e-2 * Math.max(1, Math.abs(p.y)));
+      expect(Math.abs(p.x) <= 5 + 1e-9 && Math.abs(p.y) <= 5 + 1e-9, `(${p.x}, ${p.y}) in view`).toBe(true);
+    }
+    for (const path of paths) expect(path.every(p => p.x > 0) || path.every(p => p.x < 0)).toBe(true);
+  });
+
+  test("explicit curves break at asymptotes", () => {
+    const { vp } = view({ xMin: -4, xMax: 4, yMin: -5, yMax: 5 }, 400, 300);
+    const paths = new DrawableExplicit(Math.tan).paths(vp);
+    // tan has poles at ±π/2 inside the view: three branches
+    expect(paths.length).toBe(3);
+    for (const path of paths) {
+      for (let i = 1; i < path.length; i++) expect(path[i].x).toBeGreaterThan(path[i - 1].x);
+    }
+  });
+
+  test("adaptive sampling spends points on bends, not straight stretches", () => {
+    const identity = (p: V2) => p;
+    const [line] = adaptiveSample(t => new V2(t, 2 * t), 0, 100, identity, null, { initialSamples: 4 });
+    expect(line.length).toBe(5);
+    const [wave] = adaptiveSample(t => new V2(t, 50 * Math.sin(t / 5)), 0, 100, identity, null, { initialSamples: 4 });
+    expect(wave.length).toBeGreaterThan(20);
+    expect(adaptiveSample(t => new V2(t, Math.sqrt(t)), -10, -1, identity)).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+import { test, expect } from "@playwright/test";
+import { minMaxIndices, minMaxEnvelope, lttbIndices } from "../../src/decimate";
+import { DrawableFunction } from "../../src/drawables";
+import { getDrawableBounds, autoScaleViewport } from "../../src/viewport";
+import { drawableToSVG, SVGWriter } from "../../src/svg";
+import { V2 } from "../../src/v2";
+import { view, pixel } from "./helpers";
+
+const WORLD = { xMin: 0, xMax: 10, yMin: -2, yMax: 2 };
+
+/** n samples of a sine over [0, 10], with the ones in [gap0, gap1) set to NaN. */
+function trace(n: number, gap0: number, gap1: number): V2[] {
+  return Array.from({ length: n }, (_, i) => {
+    const x = (10 * i) / (n - 1);
+    return new V2(x, x >= gap0 && x < gap1 ? NaN : 1 + Math.sin(x));
+  });
+}
+
+test.describe("minMaxIndices", () => {
+  test("keeps first, lowest, highest and last of each column in order", () => {
+    const ys = [0, -3, 5, 2, 1, 9, 4, -1, 6];
+    const cols = [0, 0, 0.5, 0.9, 0.2, 1, 1.5, 1, 2];
+    expect(minMaxIndices(i => cols[i], i => ys[i], 0, ys.length)).toEqual([[0, 1, 2, 4, 5, 7, 8]]);
+  });
+
+  test("non-finite samples split the runs", () => {
+    const ys = [1, 2, NaN, 3, 4];
+    expect(minMaxIndices(i => i, i => ys[i], 0, ys.length)).toEqual([[0, 1], [3, 4]]);
+  });
+
+  test("minMaxEnvelope keeps at most four points per pixel column", () => {
+    const n = 10_000;
+    const xs = Float64Array.from({ length: n }, (_, i) => (i * 100) / n);
+    const ys = Float64Array.from({ length: n }, (_, i) => Math.sin(i));
+    const [run] = minMaxEnvelope(xs, ys);
+    expect(run.length).toBeLessThanOrEqual(4 * 101);
+    expect(Math.max(...run.map(p => p.y))).toBe(Math.max(...ys));
+    expect(Math.min(...run.map(p => p.y))).toBe(Math.min(...ys));
+  });
+});
+
+test.describe("lttbIndices", () => {
+  test("keeps both ends and the threshold count, in ascending order", () => {
+    const ys = Array.from({ length: 1000 }, (_, i) => Math.sin(i / 50));
+    const idx = lttbIndices(i => i, i => ys[i], 0, ys.length, 50);
+    expect(idx.length).toBe(50);
+    expect(idx[0]).toBe(0);
+    expect(idx[idx.length - 1]).toBe(999);
+    expect(idx.every((k, i) => i === 0 || k > idx[i - 1])).toBe(true);
+  });
+
+  test("picks the spike in its bucket", () => {
+    const ys = new Array(100).fill(0);
+    ys[42] = 10;
+    expect(lttbIndices(i => i, i => ys[i], 0, 100, 10)).toContain(42);
+  });
+
+  test("returns every index when the threshold is not below the count", () => {
+    expect(lttbIndices(i => i, () => 0, 3, 8, 10)).toEqual([3, 4, 5, 6, 7]);
+  });
+});
+
+test.describe("DrawableFunction NaN gaps", () => {
+  for (const n of [500, 20_000]) {
+    test(`${n} samples split at the gap whether or not they are decimated`, () => {
+      const { vp } = view(WORLD, 200, 100);
+      for (const decimation of ["minmax", "lttb", "none"] as const) {
+        const f = new DrawableFunction(trace(n, 4, 6), { decimation });
+        const paths = f.lodPaths(vp);
+        expect(paths.length).toBe(2);
+        expect(paths.flat().every(p => isFinite(p.y))).toBe(true);
+        // minmax snaps x to pixel centres, 0.05 apart here
+        expect(paths[0][paths[0].length - 1].x).toBeLessThan(4.05);
+        expect(paths[1][0].x).toBeGreaterThan(5.95);
+      }
+    });
+
+    test(`${n} samples leave the gap unfilled`, () => {
+      const { app, vp } = view(WORLD, 200, 100);
+      const f = new DrawableFunction(trace(n, 4, 6), { fill: true, fillColor: "red", color: "red" });
+      app.clear();
+      f.draw(app, vp);
+      expect(pixel(app, vp, 2, 0.5)).toEqual([255, 0, 0, 255]);
+      expect(pixel(app, vp, 5, 0.5)).toEqual([19, 19, 19, 255]);
+      expect(pixel(app, vp, 8, 0.2)).toEqual([255, 0, 0, 255]);
+      expect(f.hitTest(new V2(5, 0.5), vp, 0)).toBe(false);
+      expect(f.hitTest(new V2(2, 0.5), vp, 0)).toBe(true);
+
+      const svg = drawableToSVG(f, vp, new SVGWriter());
+      expect(svg.filter(s => s.startsWith("<polygon")).length).toBe(2);
+    });
+  }
+});
+
+test.describe("DrawableFunction bounds", () => {
+  test("a million-sample trace with a NaN gap still autoscales", () => {
+    const f = new DrawableFunction(trace(1_000_000, 4, 6));
+    const b = getDrawableBounds(f)!;
+    expect(b.xMin).toBe(0);
+    expect(b.xMax).toBe(10);
+    // the trough at 3π/2 falls in the gap; the lowest finite sample sits at its edge
+    expect(b.yMin).toBeCloseTo(1 + Math.sin(4), 4);
+    expect(b.yMax).toBeCloseTo(2, 6);
+
+    const { vp } = view({ xMin: 100, xMax: 200, yMin: 100, yMax: 200 });
+    autoScaleViewport(vp, [f], 0);
+    expect(vp.worldBounds).toEqual(b);
+  });
+
+  test("a trace with no finite sample has no bounds", () => {
+    expect(getDrawableBounds(new DrawableFunction([new V2(NaN, 1), new V2(2, Infinity)]))).toBeNull();
+  });
+});
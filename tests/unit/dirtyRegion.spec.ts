@@ -0,0 +1,117 @@
+import { test, expect } from "@playwright/test";
+import { DirtyRegionTracker } from "../../src/dirtyRegion";
+import { DebugUI } from "../../src/debugUI";
+import { DrawableCircle } from "../../src/drawables";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+import { Scene } from "../../src/scene";
+import { V2 } from "../../src/v2";
+
+test.describe("DirtyRegionTracker", () => {
+  test("starts full, then collects integer rects clipped to the canvas", () => {
+    const t = new DirtyRegionTracker(100, 100);
+    expect(t.isFull).toBe(true);
+    t.clear();
+    expect(t.isEmpty).toBe(true);
+    t.add({ x: -5.5, y: 10.2, width: 10, height: 5.5 });
+    t.add({ x: 200, y: 0, width: 10, height: 10 });
+    t.add(null);
+    expect(t.regions()).toEqual([{ x: 0, y: 10, width: 5, height: 6 }]);
+  });
+
+  test("merges rects within the gap and keeps distant ones apart", () => {
+    const t = new DirtyRegionTracker(200, 200, 8);
+    t.clear();
+    t.add({ x: 0, y: 0, width: 10, height: 10 });
+    t.add({ x: 15, y: 0, width: 10, height: 10 });
+    t.add({ x: 100, y: 100, width: 10, height: 10 });
+    expect(t.regions()).toEqual([{ x: 0, y: 0, width: 25, height: 10 }, { x: 100, y: 100, width: 10, height: 10 }]);
+
+    // a rect bridging both re-merges everything it touches
+    t.add({ x: 20, y: 5, width: 85, height: 100 });
+    expect(t.regions()).toEqual([{ x: 0, y: 0, width: 110, height: 110 }]);
+  });
+
+  test("falls back to the full canvas past maxRects or the area threshold", () => {
+    const t = new DirtyRegionTracker(1000, 1000, 0, 3);
+    t.clear();
+    for (let i = 0; i < 4; i++) t.add({ x: i * 100, y: 0, width: 1, height: 1 });
+    expect(t.regions()).toEqual([{ x: 0, y: 0, width: 301, height: 1 }]);
+
+    t.clear();
+    t.add({ x: 0, y: 0, width: 1000, height: 700 });
+    expect(t.isFull).toBe(true);
+    expect(t.regions()).toEqual([{ x: 0, y: 0, width: 1000, height: 1000 }]);
+  });
+});
+
+test.describe("Scene.drawRetained", () => {
+  function setup() {
+    const app = new MemoryRenderer(300, 100);
+    const vp = new ViewportManager(app, null, null, "none");
+    vp.updateWorld({ xMin: 0, xMax: 30, yMin: 0, yMax: 10 });
+    const scene = new Scene();
+    const dot = new DrawableCircle(new V2(25, 5), 1, { color: "red", fill: true, fillColor: "red" });
+    const ui = new DebugUI(new V2(4, 4));
+    scene.add(dot, "data");
+    scene.add(ui, "debug");
+    return { app, vp, scene, dot, ui };
+  }
+
+  function fullRedraw(scene: Scene, vp: ViewportManager): number[] {
+    const app = new MemoryRenderer(300, 100);
+    app.clear();
+    scene.draw(app, vp);
+    return Array.from(app.buffer.pixels);
+  }
+
+  test("repaints only around what changed and matches a full redraw", () => {
+    const { app, vp, scene, dot, ui } = setup();
+    const tracker = new DirtyRegionTracker(300, 100);
+    ui.elements[0].text = "FPS: 123456";
+    scene.drawRetained(app, vp, tracker);
+
+    ui.elements[0].text = "FPS: 1";
+    ui.markDirty();
+    const regions = scene.drawRetained(app, vp, tracker);
+    expect(regions.length).toBe(1);
+    expect(regions[0].x).toBeLessThan(10);
+    expect(regions[0].x + regions[0].width).toBeLessThan(200);
+    expect(Array.from(app.buffer.pixels)).toEqual(fullRedraw(scene, vp));
+
+    dot.center = new V2(3, 2);
+    dot.markDirty();
+    scene.drawRetained(app, vp, tracker);
+    expect(Array.from(app.buffer.pixels)).toEqual(fullRedraw(scene, vp));
+    expect(scene.drawRetained(app, vp, tracker)).toEqual([]);
+  });
+
+  test("clean drawables are not re-measured until the view changes", () => {
+    const { app, vp, scene, dot } = setup();
+    const tracker = new DirtyRegionTracker(300, 100);
+    let measured = 0;
+    const canvasBounds = dot.canvasBounds.bind(dot);
+    dot.canvasBounds = (v, a) => { measured++; return canvasBounds(v, a); };
+    scene.drawRetained(app, vp, tracker);
+    expect(measured).toBe(1);
+
+    for (let i = 0; i < 3; i++) expect(scene.drawRetained(app, vp, tracker)).toEqual([]);
+    expect(measured).toBe(1);
+
+    vp.updateWorld({ xMin: 0, xMax: 60, yMin: 0, yMax: 10 });
+    scene.drawRetained(app, vp, tracker);
+    expect(measured).toBe(2);
+    expect(Array.from(app.buffer.pixels)).toEqual(fullRedraw(scene, vp));
+  });
+
+  test("DebugUI bounds hug the measured label", () => {
+    const { app, ui } = setup();
+    ui.elements[0].text = "FPS: 1";
+    const short = ui.canvasBounds(undefined, app)!;
+    ui.elements[0].text = "FPS: 1000";
+    const long = ui.canvasBounds(undefined, app)!;
+    const grow = app.measureText("FPS: 1000", ui.elements[0].font).width - app.measureText("FPS: 1", ui.elements[0].font).width;
+    expect(long.width - short.width).toBeCloseTo(grow, 0);
+    expect(short.width).toBeLessThanOrEqual(app.measureText("FPS: 1", ui.elements[0].font).width + 8);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, expect } from "@playwright/test";
+import { DrawableGroup } from "../../src/group";
+import { DrawableTriangle, DrawableCircle, DrawableLine } from "../../src/drawables";
+import { Transform2D } from "../../src/transform2d";
+import { autoScaleViewport, getDrawableBounds } from "../../src/viewport";
+import { Scene } from "../../src/scene";
+import { V2 } from "../../src/v2";
+import { view, pixel } from "./helpers";
+
+const unitTriangle = () => new DrawableTriangle(new V2(0, 0), new V2(1, 0), new V2(0, 1), { color: "yellow", fill: true });
+const WORLD = { xMin: -3, xMax: 3, yMin: -3, yMax: 3 };
+
+test.describe("DrawableGroup", () => {
+  test("bounds include the group's own transform", () => {
+    const group = new DrawableGroup([unitTriangle()], { transform: Transform2D.translation(10, 10) });
+    expect(getDrawableBounds(group)).toEqual({ xMin: 10, xMax: 11, yMin: 10, yMax: 11 });
+
+    const { vp } = view(WORLD, 120, 120);
+    autoScaleViewport(vp, [group], 0);
+    expect(vp.worldBounds).toMatchObject({ xMin: 10, xMax: 11, yMin: 10, yMax: 11 });
+  });
+
+  test("nested transforms compose", () => {
+    const inner = new DrawableGroup([unitTriangle()], { transform: Transform2D.scale(2) });
+    const outer = new DrawableGroup([inner], { transform: Transform2D.translation(-5, 1) });
+    expect(getDrawableBounds(outer)).toEqual({ xMin: -5, xMax: -3, yMin: 1, yMax: 3 });
+
+    const arm = new DrawableLine(new V2(0, 0), new V2(1, 0));
+    const elbow = new DrawableGroup([arm], { transform: Transform2D.rotation(Math.PI / 2) });
+    const shoulder = new DrawableGroup([elbow], { transform: Transform2D.translation(1, 0) });
+    const b = getDrawableBounds(shoulder)!;
+    expect(b.xMin).toBeCloseTo(1);
+    expect(b.xMax).toBeCloseTo(1);
+    expect(b.yMax).toBeCloseTo(1);
+  });
+
+  test("hidden children are left out of drawing and bounds", () => {
+    const shown = unitTriangle();
+    const hidden = new DrawableCircle(new V2(-2, -2), 0.5, { color: "red", fill: true, fillColor: "red" });
+    const group = new DrawableGroup([shown, new DrawableGroup([unitTriangle()], { transform: Transform2D.translation(5, 5), visible: false }), hidden]);
+    hidden.visible = false;
+    expect(getDrawableBounds(group)).toEqual({ xMin: 0, xMax: 1, yMin: 0, yMax: 1 });
+
+    const { app, vp } = view(WORLD, 120, 120);
+    app.clear();
+    group.draw(app, vp);
+    expect(pixel(app, vp, -2, -2)).toEqual([19, 19, 19, 255]);
+    expect(pixel(app, vp, 0.25, 0.25)).not.toEqual([19, 19, 19, 255]);
+
+    group.visible = false;
+    app.clear();
+    new Scene().add(group).draw(app, vp);
+    expect(pixel(app, vp, 0.25, 0.25)).toEqual([19, 19, 19, 255]);
+  });
+
+  test("group opacity composites overlapping children once", () => {
+    const disc = (x: number) => new DrawableCircle(new V2(x, 0), 1, { color: "red", fill: true, fillColor: "red" });
+    const { app, vp } = view(WORLD, 120, 120);
+    app.clear();
+    new DrawableGroup([disc(-0.5), disc(0.5)], { opacity: 0.5 }).draw(app, vp);
+    const overlap = pixel(app, vp, 0, 0), single = pixel(app, vp, -1.2, 0);
+    expect(overlap).toEqual(single);
+    expect(overlap[3]).toBe(255);
+    expect(overlap[0]).toBeGreaterThan(120);
+    expect(overlap[0]).toBeLessThan(150);
+  });
+
+  test("picking finds the child under the transformed point", () => {
+    const tri = unitTriangle();
+    const group = new DrawableGroup([tri], { transform: Transform2D.translation(-2, -2) });
+    const { vp } = view(WORLD, 120, 120);
+    expect(group.childAt(new V2(-1.75, -1.75), vp)).toBe(tri);
+    expect(group.childAt(new V2(0.25, 0.25), vp)).toBeNull();
+  });
+
+  test("mutating a child marks its groups dirty; reparenting moves it", () => {
+    const tri = unitTriangle();
+    const inner = new DrawableGroup([tri]);
+    const outer = new DrawableGroup([inner]);
+    const other = new DrawableGroup();
+    inner.dirty = outer.dirty = false;
+    tri.markDirty();
+    expect([inner.dirty, outer.dirty]).toEqual([true, true]);
+
+    other.add(tri);
+    expect(inner.children).toEqual([]);
+    expect(tri.parent).toBe(other);
+  });
+});
@@ -0,0 +1,142 @@
+import { test, expect } from "@playwright/test";
+import { DrawableHeatmap, DrawableColorbar, flattenGrid } from "../../src/heatmap";
+import { colormapLUT, colormapIndex, sampleColormap, COLORMAP_SIZE } from "../../src/colormap";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { V2 } from "../../src/v2";
+import { view, pixel } from "./helpers";
+
+const WORLD = { xMin: 0, xMax: 2, yMin: 0, yMax: 2 };
+const BACKGROUND = [19, 19, 19, 255];
+
+/** RGBA at canvas pixel (x, y). */
+function at(app: MemoryRenderer, x: number, y: number): number[] {
+  const i = (Math.floor(y) * app.buffer.width + Math.floor(x)) * 4;
+  return Array.from(app.buffer.pixels.slice(i, i + 4));
+}
+
+test.describe("colormaps", () => {
+  test("stops land on the ends and interpolate in between", () => {
+    expect(sampleColormap("grayscale", 0)).toEqual([0, 0, 0, 255]);
+    expect(sampleColormap("grayscale", 1)).toEqual([255, 255, 255, 255]);
+    expect(sampleColormap("grayscale", 0.5)[0]).toBeCloseTo(128, -1);
+    expect(sampleColormap(["#ff0000", "#0000ff"], 2)).toEqual([0, 0, 255, 255]);
+    expect(sampleColormap("viridis", NaN)).toEqual([0, 0, 0, 0]);
+  });
+
+  test("named LUTs are shared and unknown names throw", () => {
+    expect(colormapLUT("magma")).toBe(colormapLUT("magma"));
+    expect(colormapLUT("magma").length).toBe(COLORMAP_SIZE * 4);
+    expect(() => colormapLUT("nope" as any)).toThrow(/Unknown colormap/);
+    expect([colormapIndex(-1), colormapIndex(NaN), colormapIndex(7)]).toEqual([0, -1, COLORMAP_SIZE - 1]);
+  });
+});
+
+test.describe("DrawableHeatmap", () => {
+  test("flat grids need a dividing cols count", () => {
+    expect(flattenGrid([[1, 2], [3]]).cells).toEqual(Float64Array.from([1, 2, 3, NaN]));
+    expect(flattenGrid([1, 2, 3, 4, 5, 6], 3).rows).toBe(2);
+    expect(() => flattenGrid([1, 2, 3], 2)).toThrow(/cols/);
+  });
+
+  test("the domain is the finite data range, widened about center", () => {
+    expect(new DrawableHeatmap([[NaN, -1], [4, 2]]).domain).toEqual([-1, 4]);
+    expect(new DrawableHeatmap([[NaN, -1], [4, 2]], { center: 0 }).domain).toEqual([-4, 4]);
+    expect(new DrawableHeatmap([[NaN, -1], [4, 2]], { range: [0, 10] }).domain).toEqual([0, 10]);
+    expect(new DrawableHeatmap([[NaN]]).domain).toEqual([0, 1]);
+  });
+
+  test("the scanned range is kept until the values change", () => {
+    const h = new DrawableHeatmap([[0, 1], [2, 3]]);
+    expect(h.domain).toEqual([0, 3]);
+    (h.cells as Float64Array)[0] = -5;
+    expect(h.domain).toEqual([0, 3]);
+    h.markDirty();
+    expect(h.domain).toEqual([-5, 3]);
+    h.setValues([[7, 8]]);
+    expect(h.domain).toEqual([7, 8]);
+  });
+
+  test("nearest fills each cell flat, row 0 at the bottom, NaN left clear", () => {
+    const { app, vp } = view(WORLD);
+    const h = new DrawableHeatmap([[0, 1], [NaN, 0.5]], { colormap: "grayscale" });
+    app.clear();
+    h.draw(app, vp);
+    expect(pixel(app, vp, 0.2, 0.2)).toEqual([0, 0, 0, 255]);
+    expect(pixel(app, vp, 0.8, 0.8)).toEqual([0, 0, 0, 255]);
+    expect(pixel(app, vp, 1.5, 0.5)).toEqual([255, 255, 255, 255]);
+    expect(pixel(app, vp, 0.5, 1.5)).toEqual(BACKGROUND);
+    expect(pixel(app, vp, 1.5, 1.5)[0]).toBeCloseTo(128, -1);
+    expect(h.hitTest(new V2(0.5, 1.5))).toBe(false);
+    expect(h.hitTest(new V2(1.5, 1.5))).toBe(true);
+  });
+
+  test("bilinear blends between cell centres and clamps at the edges", () => {
+    const { app, vp } = view(WORLD);
+    const h = new DrawableHeatmap([[0, 1], [0, 1]], { colormap: "grayscale", interpolation: "bilinear" });
+    expect(h.valueAt(new V2(1, 1))).toBeCloseTo(0.5, 12);
+    expect(h.valueAt(new V2(0.75, 0.3))).toBeCloseTo(0.25, 12);
+    expect(h.valueAt(new V2(0.1, 1))).toBe(0);
+    expect(h.valueAt(new V2(3, 1))).toBeNaN();
+
+    app.clear();
+    h.draw(app, vp);
+    const left = pixel(app, vp, 0.6, 1)[0], mid = pixel(app, vp, 1, 1)[0], right = pixel(app, vp, 1.4, 1)[0];
+    expect(left).toBeLessThan(mid);
+    expect(mid).toBeLessThan(right);
+    expect(mid).toBeCloseTo(128, -1);
+
+    h.interpolation = "nearest";
+    expect(h.valueAt(new V2(0.75, 0.3))).toBe(0);
+  });
+});
+
+test.describe("DrawableColorbar", () => {
+  test("ticks follow the source domain, high values at the top", () => {
+    const { app, vp } = view(WORLD);
+    const bar = new DrawableColorbar({ colormap: "grayscale", domain: [0, 100] }, { anchor: "nw" });
+    const lay = bar.layout(vp, app);
+    expect(lay.vertical).toBe(true);
+    expect(lay.ticks.map(t => t.label)).toEqual(["0", "20", "40", "60", "80", "100"]);
+    expect(lay.ticks[0].at.y).toBeCloseTo(lay.bar.y + lay.bar.height, 6);
+    expect(lay.ticks[5].at.y).toBeCloseTo(lay.bar.y, 6);
+
+    app.clear();
+    bar.draw(app, vp);
+    const cx = lay.bar.x + lay.bar.width / 2;
+    // one gradient step per pixel row, sampled at the row centre
+    expect(at(app, cx, lay.bar.y)[0]).toBeGreaterThan(245);
+    expect(at(app, cx, lay.bar.y + lay.bar.height - 1)[0]).toBeLessThan(10);
+    expect(at(app, cx, lay.bar.y + lay.bar.height / 2)[0]).toBeCloseTo(128, -1);
+  });
+
+  test("measures across the bar and sits beside the plot when outside", () => {
+    const { app, vp } = view(WORLD, 200, 100);
+    const heat = new DrawableHeatmap([[0, 5]]);
+    const right = new DrawableColorbar(heat);
+    expect(right.isOutside).toBe(true);
+    const size = right.measure(app);
+    expect(size.height).toBe(0);
+    expect(size.width).toBeGreaterThan(14);
+
+    right.options.label = "value";
+    expect(right.measure(app).width).toBeGreaterThan(size.width);
+    const lay = right.layout(vp, app);
+    expect(lay.bar.x).toBe(vp.viewport.x + vp.viewport.width + right.outsideMargin);
+    expect(lay.title?.angle).toBeCloseTo(Math.PI / 2, 12);
+
+    const bottom = new DrawableColorbar(heat, { anchor: "outside-bottom" });
+    expect(bottom.vertical).toBe(false);
+    expect(bottom.measure(app).width).toBe(0);
+    expect(bottom.layout(vp, app).bar.width).toBe(vp.viewport.width);
+  });
+
+  test("layoutDeps reads the heatmap's cached range", () => {
+    const heat = new DrawableHeatmap([[0, 5]]);
+    const bar = new DrawableColorbar(heat);
+    expect(bar.layoutDeps().slice(0, 2)).toEqual([0, 5]);
+    (heat.cells as Float64Array)[1] = 9;
+    expect(bar.layoutDeps()[1]).toBe(5);
+    heat.markDirty();
+    expect(bar.layoutDeps()[1]).toBe(9);
+  });
+});
@@ -0,0 +1,18 @@
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+import type { WorldBounds } from "../../src/types";
+
+/** A width×height MemoryRenderer and a stretched viewport over `bounds`. */
+export function view(bounds: WorldBounds, width = 100, height = 100) {
+  const app = new MemoryRenderer(width, height);
+  const vp = new ViewportManager(app, null, null, "none");
+  vp.updateWorld(bounds);
+  return { app, vp };
+}
+
+/** RGBA of the canvas pixel under world point (x, y). */
+export function pixel(app: MemoryRenderer, vp: ViewportManager, x: number, y: number): number[] {
+  const c = vp.worldToCanvas(x, y);
+  const i = ((Math.round(c.y) * app.buffer.width) + Math.round(c.x)) * 4;
+  return Array.from(app.buffer.pixels.slice(i, i + 4));
+}
@@ -0,0 +1,81 @@
+import { test, expect } from "@playwright/test";
+import { ChartLayout } from "../../src/layout";
+import { Graph } from "../../src/graph";
+import { DrawableLegend } from "../../src/legend";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+import { Scene } from "../../src/scene";
+
+function chart() {
+  const app = new MemoryRenderer(400, 300);
+  const vp = new ViewportManager(app, null, null, "none");
+  vp.updateWorld({ xMin: 0, xMax: 10, yMin: 0, yMax: 10 });
+  const graph = new Graph(vp);
+  const legend = new DrawableLegend([{ label: "signal", color: "lime", symbol: "line" }], { anchor: "outside-right" });
+  const layout = new ChartLayout(graph, [legend]).attach();
+  return { app, vp, graph, legend, layout };
+}
+
+test.describe("ChartLayout", () => {
+  test("reuses the cached result while nothing changes", () => {
+    const { app, vp, layout } = chart();
+    const first = layout.compute(app);
+    for (let i = 0; i < 100; i++) vp.worldToCanvas(i / 10, i / 10);
+    expect(layout.compute(app)).toBe(first);
+    expect(vp.viewport).toBe(first.plot);
+  });
+
+  test("lays out once per frame; projections read the stored rect", () => {
+    const { app, vp, graph, legend, layout } = chart();
+    const scene = new Scene().add([graph, legend]);
+    let passes = 0;
+    const compute = layout.compute.bind(layout);
+    layout.compute = a => { passes++; return compute(a); };
+    app.clear();
+    scene.draw(app, vp);
+    expect(passes).toBe(1);
+
+    graph.title = "Title";
+    for (let i = 0; i < 100; i++) vp.worldToCanvas(i / 10, i / 10);
+    expect(passes).toBe(1);
+    const before = vp.viewport;
+    scene.draw(app, vp);
+    expect(passes).toBe(2);
+    expect(vp.viewport.y).toBeGreaterThan(before.y);
+  });
+
+  test("recomputes when the view, titles, legends or canvas change", () => {
+    const { app, vp, graph, legend, layout } = chart();
+    let last = layout.compute(app);
+    const changed = () => {
+      const next = layout.compute(app);
+      const fresh = next !== last;
+      last = next;
+      return fresh;
+    };
+
+    graph.title = "Title";
+    expect(changed()).toBe(true);
+    expect(last.margins.top).toBeGreaterThan(0);
+    expect(changed()).toBe(false);
+
+    vp.updateWorld({ xMin: 0, xMax: 10, yMin: 0, yMax: 100000 });
+    expect(changed()).toBe(true);
+
+    const narrow = last.plot.width;
+    legend.items = [...legend.items, { label: "a much longer series label", color: "red", symbol: "line" }];
+    expect(changed()).toBe(true);
+    expect(last.plot.width).toBeLessThan(narrow);
+
+    layout.legends = [];
+    expect(changed()).toBe(true);
+    expect(last.plot.width).toBeGreaterThan(narrow);
+
+    app.resize(500, 300);
+    expect(changed()).toBe(true);
+    expect(changed()).toBe(false);
+
+    layout.invalidate();
+    expect(changed()).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+import { test, expect } from "@playwright/test";
+import { PanZoomController } from "../../src/panZoom";
+import { ViewportManager } from "../../src/viewport";
+import type { ScaleSpec } from "../../src/scale";
+import type { WorldBounds } from "../../src/types";
+import { V2 } from "../../src/v2";
+
+/** A 100×100 canvas stretched over `bounds`; panning and zooming only read app.size. */
+function stubView(bounds: WorldBounds, options: { x?: ScaleSpec; y?: ScaleSpec } = {}) {
+  return new ViewportManager({ size: new V2(100, 100) }, bounds, null, "none", options);
+}
+
+function expectBounds(actual: WorldBounds, expected: WorldBounds) {
+  for (const k of ["xMin", "xMax", "yMin", "yMax"] as const) expect(actual[k]).toBeCloseTo(expected[k], 9);
+}
+
+test.describe("PanZoomController", () => {
+  test("zooms about the cursor on linear axes", () => {
+    const vp = stubView({ xMin: 0, xMax: 10, yMin: 0, yMax: 10 });
+    const pz = new PanZoomController(vp);
+    const seen: WorldBounds[] = [];
+    pz.onViewChange(b => seen.push({ ...b }));
+
+    const c = vp.worldToCanvas(2, 8);
+    pz.zoomAt(c.x, c.y, 0.5);
+    expectBounds(vp.worldBounds, { xMin: 1, xMax: 6, yMin: 4, yMax: 9 });
+    const after = vp.worldToCanvas(2, 8);
+    expect(after.x).toBeCloseTo(c.x, 9);
+    expect(after.y).toBeCloseTo(c.y, 9);
+    expect(seen).toHaveLength(1);
+
+    pz.reset();
+    expectBounds(vp.worldBounds, { xMin: 0, xMax: 10, yMin: 0, yMax: 10 });
+  });
+
+  test("zooms and pans log axes in scale space", () => {
+    const vp = stubView({ xMin: 1, xMax: 1000, yMin: 0, yMax: 10 }, { x: "log" });
+    const pz = new PanZoomController(vp);
+    const c = vp.worldToCanvas(10, 5);
+    pz.zoomAt(c.x, c.y, 0.5);
+    // decades 0..3 halve about decade 1
+    expectBounds(vp.worldBounds, { xMin: Math.sqrt(10), xMax: 100, yMin: 2.5, yMax: 7.5 });
+    expect(vp.worldToCanvas(10, 5).x).toBeCloseTo(c.x, 9);
+
+    // a third of the canvas is one decade now
+    pz.panBy(-100 / 1.5, 0);
+    expectBounds(vp.worldBounds, { xMin: Math.sqrt(10) * 10, xMax: 1000, yMin: 2.5, yMax: 7.5 });
+  });
+
+  test("clamps the zoom factor to minSpan / maxSpan and honours axis locks", () => {
+    const vp = stubView({ xMin: 0, xMax: 10, yMin: 0, yMax: 10 });
+    const pz = new PanZoomController(vp, { minSpan: 2, maxSpan: 20 });
+    pz.zoomAt(50, 50, 0.01);
+    expectBounds(vp.worldBounds, { xMin: 4, xMax: 6, yMin: 4, yMax: 6 });
+    pz.zoomAt(50, 50, 100);
+    expectBounds(vp.worldBounds, { xMin: -5, xMax: 15, yMin: -5, yMax: 15 });
+
+    // already at the limit: nothing changes and nobody is notified
+    let calls = 0;
+    pz.onViewChange(() => calls++);
+    pz.zoomAt(50, 50, 2);
+    expect(calls).toBe(0);
+
+    pz.lockY = true;
+    pz.zoomAt(50, 50, 0.5);
+    expectBounds(vp.worldBounds, { xMin: 0, xMax: 10, yMin: -5, yMax: 15 });
+    pz.zoomAt(50, 50, NaN);
+    expect(calls).toBe(1);
+  });
+
+  test("keeps the secondary y axis in register", () => {
+    const vp = stubView({ xMin: 0, xMax: 10, yMin: 0, yMax: 10 });
+    const y2 = vp.addSecondaryY({ yMin: 0, yMax: 100 });
+    const pz = new PanZoomController(vp);
+
+    pz.zoomAt(50, 25, 0.5);
+    expectBounds(vp.worldBounds, { xMin: 2.5, xMax: 7.5, yMin: 3.75, yMax: 8.75 });
+    expect(y2.worldBounds.yMin).toBeCloseTo(37.5, 9);
+    expect(y2.worldBounds.yMax).toBeCloseTo(87.5, 9);
+    expect(y2.worldBounds.xMin).toBeCloseTo(2.5, 9);
+
+    // 10 px down is half a primary unit and 5 secondary units
+    pz.panBy(0, 10);
+    expect(vp.worldBounds.yMin).toBeCloseTo(4.25, 9);
+    expect(y2.worldBounds.yMin).toBeCloseTo(42.5, 9);
+
+    y2.fittedBounds = { xMin: 0, xMax: 10, yMin: 0, yMax: 100 };
+    pz.reset();
+    expect([y2.worldBounds.yMin, y2.worldBounds.yMax]).toEqual([0, 100]);
+  });
+});
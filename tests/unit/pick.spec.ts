@@ -0,0 +1,135 @@
+import { test, expect } from "@playwright/test";
+import { Scene } from "../../src/scene";
+import { ScenePointerController, type ScenePointerEvent } from "../../src/pointer";
+import { ViewportManager } from "../../src/viewport";
+import { DrawableCircle, DrawableLine } from "../../src/drawables";
+import { Transform2D } from "../../src/transform2d";
+import { V2 } from "../../src/v2";
+
+/** 100×100 canvas over 0..10 on both axes: 10 px per unit, y up. */
+function stubView() {
+  const vp = new ViewportManager({ size: new V2(100, 100) }, null, null, "none");
+  vp.updateWorld({ xMin: 0, xMax: 10, yMin: 0, yMax: 10 });
+  return vp;
+}
+
+/** Element stand-in that hands its listeners back so tests can fire pointer input. */
+function fakeElement() {
+  const handlers: Record<string, (e: any) => void> = {};
+  const el = {
+    addEventListener: (type: string, l: (e: any) => void) => { handlers[type] = l; },
+    removeEventListener: (type: string) => { delete handlers[type]; },
+    getBoundingClientRect: () => ({ left: 0, top: 0 }),
+    setPointerCapture() {},
+    releasePointerCapture() {},
+  };
+  const fire = (type: string, x: number, y: number) => {
+    const e = { clientX: x, clientY: y, pointerId: 1, defaultPrevented: false, preventDefault() { e.defaultPrevented = true; } };
+    handlers[type](e);
+    return e;
+  };
+  return { el: el as any, handlers, fire };
+}
+
+test.describe("Scene.pick", () => {
+  test("returns hits topmost first across layers", () => {
+    const vp = stubView();
+    const scene = new Scene();
+    const bottom = new DrawableCircle(new V2(5, 5), 2, { fill: true });
+    const middle = new DrawableCircle(new V2(5, 5), 1, { fill: true });
+    const top = new DrawableLine(new V2(0, 5), new V2(10, 5));
+    scene.add([bottom, middle]);
+    scene.add(top, "overlay");
+
+    const c = vp.worldToCanvas(5, 5);
+    expect(scene.pick(c.x, c.y, vp)).toEqual([top, middle, bottom]);
+    // 15 px from the centre: inside the big disc only
+    expect(scene.pick(c.x, c.y + 15, vp)).toEqual([bottom]);
+    expect(scene.pick(5, 5, vp)).toEqual([]);
+  });
+
+  test("outlines hit near the edge only and tolerance is in pixels", () => {
+    const vp = stubView();
+    const scene = new Scene();
+    const ring = new DrawableCircle(new V2(5, 5), 2);
+    scene.add(ring);
+    const c = vp.worldToCanvas(5, 5);
+    expect(scene.pick(c.x, c.y, vp)).toEqual([]);
+    expect(scene.pick(c.x + 23, c.y, vp)).toEqual([ring]);
+    expect(scene.pick(c.x + 23, c.y, vp, 2)).toEqual([]);
+  });
+
+  test("skips hidden drawables and viewport-less overlays, and honours transforms", () => {
+    const vp = stubView();
+    const scene = new Scene();
+    const hidden = new DrawableCircle(new V2(5, 5), 1, { fill: true });
+    hidden.visible = false;
+    const overlay = new DrawableCircle(new V2(5, 5), 1, { fill: true });
+    overlay.ignoreViewport = true;
+    const moved = new DrawableCircle(new V2(0, 0), 1, { fill: true });
+    moved.transform = Transform2D.translation(5, 5);
+    scene.add([moved, hidden, overlay]);
+
+    const c = vp.worldToCanvas(5, 5);
+    expect(scene.pick(c.x, c.y, vp)).toEqual([moved]);
+    hidden.visible = true;
+    expect(scene.pick(c.x, c.y, vp)).toEqual([hidden, moved]);
+  });
+});
+
+test.describe("pointer events", () => {
+  test("dispatch reaches the target before scene listeners", () => {
+    const scene = new Scene();
+    const d = new DrawableCircle(new V2(0, 0), 1);
+    const seen: string[] = [];
+    d.on("click", () => seen.push("drawable"));
+    const sceneListener = (e: ScenePointerEvent) => seen.push(`scene:${e.target === d}`);
+    scene.on("click", sceneListener);
+    const e = { type: "click", target: d, canvas: new V2(0, 0), world: new V2(0, 0), delta: new V2(0, 0), originalEvent: {} as any } as const;
+    scene.dispatch(e);
+    expect(seen).toEqual(["drawable", "scene:true"]);
+
+    scene.off("click", sceneListener);
+    scene.dispatch({ ...e, target: null });
+    expect(seen).toHaveLength(2);
+  });
+
+  test("the controller turns moves and presses into enter, hover, leave, click and drag", () => {
+    const vp = stubView();
+    const scene = new Scene();
+    const disc = new DrawableCircle(new V2(5, 5), 1, { fill: true });
+    scene.add(disc);
+    const { el, handlers, fire } = fakeElement();
+    const events: string[] = [];
+    for (const type of ["enter", "hover", "leave", "click"] as const) scene.on(type, e => events.push(`${type}:${e.target === disc}`));
+    const pointer = new ScenePointerController(scene, vp, { target: el }).attach();
+
+    fire("pointermove", 50, 50);
+    fire("pointermove", 51, 50);
+    fire("pointermove", 90, 90);
+    expect(events).toEqual(["enter:true", "hover:true", "hover:true", "leave:true"]);
+
+    events.length = 0;
+    expect(fire("pointerdown", 50, 50).defaultPrevented).toBe(false);
+    fire("pointerup", 51, 50);
+    expect(events).toEqual(["click:true"]);
+
+    // drag listeners claim the press and report world-space deltas
+    const deltas: V2[] = [];
+    const drags: string[] = [];
+    disc.on("dragstart", () => drags.push("start"));
+    disc.on("drag", e => { drags.push("drag"); deltas.push(e.delta); });
+    disc.on("dragend", () => drags.push("end"));
+    expect(fire("pointerdown", 50, 50).defaultPrevented).toBe(true);
+    fire("pointermove", 51, 50);
+    expect(drags).toEqual([]);
+    fire("pointermove", 60, 50);
+    fire("pointerup", 60, 50);
+    expect(drags).toEqual(["start", "drag", "end"]);
+    expect(deltas[0].x).toBeCloseTo(1, 12);
+    expect(deltas[0].y).toBeCloseTo(0, 12);
+
+    pointer.detach();
+    expect(Object.keys(handlers)).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+import { test, expect } from "@playwright/test";
+import { crc32, adler32, zlibDeflate, zlibInflate, encodePNG, decodePNG } from "../../src/png";
+import { PixelBuffer } from "../../src/pixelbuffer";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+import { Graph } from "../../src/graph";
+import { Scene } from "../../src/scene";
+import { DrawableFunction, DrawableCircle } from "../../src/drawables";
+import { V2 } from "../../src/v2";
+
+/** Deterministic pseudo-random bytes. */
+function noise(n: number, seed: number = 1): Uint8Array {
+  const out = new Uint8Array(n);
+  let s = seed;
+  for (let i = 0; i < n; i++) out[i] = (s = (s * 16807) % 2147483647) & 255;
+  return out;
+}
+
+function renderChart(): MemoryRenderer {
+  const app = new MemoryRenderer(200, 120);
+  app.antialias = true;
+  const vp = new ViewportManager(app, null, null, "none");
+  vp.updateWorld({ xMin: 0, xMax: 10, yMin: -1.5, yMax: 1.5 });
+  const wave = Array.from({ length: 200 }, (_, i) => new V2(i / 20, Math.sin(i / 10)));
+  const scene = new Scene().add([
+    new Graph(vp, { title: "png" }),
+    new DrawableFunction(wave, { color: "orange", width: 2 }),
+    new DrawableCircle(new V2(5, 0), 0.5, { color: "cyan", fill: true, fillColor: "rgba(0,255,255,0.4)" }),
+  ]);
+  app.clear();
+  scene.draw(app, vp);
+  return app;
+}
+
+test.describe("png", () => {
+  test("checksums match their reference values", () => {
+    const digits = new TextEncoder().encode("123456789");
+    expect(crc32(digits) >>> 0).toBe(0xcbf43926);
+    expect(adler32(new TextEncoder().encode("Wikipedia")) >>> 0).toBe(0x11e60398);
+  });
+
+  test("zlib round-trips compressible and random data", () => {
+    const runs = new Uint8Array(10000).map((_, i) => (i >> 7) & 3);
+    for (const data of [new Uint8Array(0), runs, noise(5000)]) {
+      expect(zlibInflate(zlibDeflate(data))).toEqual(data);
+    }
+    expect(zlibDeflate(runs).length).toBeLessThan(runs.length / 10);
+  });
+
+  test("encode then decode returns the same RGBA pixels", () => {
+    for (const [w, h] of [[1, 1], [7, 3], [64, 33]]) {
+      const rgba = noise(w * h * 4, w + h);
+      const decoded = decodePNG(encodePNG(w, h, rgba));
+      expect([decoded.width, decoded.height]).toEqual([w, h]);
+      expect(Array.from(decoded.data)).toEqual(Array.from(rgba));
+    }
+  });
+
+  test("rejects corrupt input", () => {
+    const png = encodePNG(4, 4, noise(64));
+    expect(() => decodePNG(png.slice(1))).toThrow(/signature/);
+    const flipped = png.slice();
+    flipped[40] ^= 0xff;
+    expect(() => decodePNG(flipped)).toThrow();
+    expect(() => encodePNG(0, 4, [])).toThrow();
+  });
+
+  test("a rendered frame survives the PNG round-trip pixel for pixel", () => {
+    const app = renderChart();
+    const back = PixelBuffer.fromPNG(app.toPNG());
+    expect([back.width, back.height]).toEqual([200, 120]);
+    expect(back.pixels).toEqual(app.buffer.pixels);
+  });
+
+  test("rendering the same scene twice gives identical PNGs", () => {
+    expect(renderChart().toPNG()).toEqual(renderChart().toPNG());
+  });
+});
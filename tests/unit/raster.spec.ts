@@ -0,0 +1,53 @@
+import { test, expect } from "@playwright/test";
+import { fillCircle } from "../../src/raster";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { V2 } from "../../src/v2";
+
+const RED: [number, number, number, number] = [255, 0, 0, 255];
+
+/** Pixels whose red channel was touched, as "x,y" strings. */
+function painted(app: MemoryRenderer): Set<string> {
+  const out = new Set<string>();
+  const { width, height, pixels } = app.buffer;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) if (pixels[(y * width + x) * 4] > 19) out.add(`${x},${y}`);
+  }
+  return out;
+}
+
+test.describe("fillCircle", () => {
+  for (const c of [new V2(20, 20), new V2(20.3, 19.6)]) {
+    test(`non-AA disc at (${c.x}, ${c.y}) covers every pixel centre within r`, () => {
+      const app = new MemoryRenderer(40, 40);
+      app.clear();
+      fillCircle(app, c, 6, RED, false);
+      const expected = new Set<string>();
+      for (let y = 0; y < 40; y++) {
+        for (let x = 0; x < 40; x++) if ((x - c.x) ** 2 + (y - c.y) ** 2 <= 36) expected.add(`${x},${y}`);
+      }
+      expect(painted(app)).toEqual(expected);
+    });
+  }
+
+  test("AA disc stays within half a pixel of the non-AA one", () => {
+    const hard = new MemoryRenderer(40, 40), soft = new MemoryRenderer(40, 40);
+    hard.clear(); soft.clear();
+    fillCircle(hard, new V2(20, 20), 6, RED, false);
+    fillCircle(soft, new V2(20, 20), 6, RED, true);
+    const a = painted(hard), b = painted(soft);
+    for (const p of a) expect(b.has(p)).toBe(true);
+    for (const p of b) {
+      const [x, y] = p.split(",").map(Number);
+      expect(Math.hypot(x - 20, y - 20)).toBeLessThan(6.5);
+    }
+  });
+
+  test("respects the buffer clip", () => {
+    const app = new MemoryRenderer(40, 40);
+    app.clear();
+    app.buffer.setClip({ x: 20, y: 0, width: 20, height: 40 });
+    fillCircle(app, new V2(20, 20), 6, RED, false);
+    for (const p of painted(app)) expect(Number(p.split(",")[0])).toBeGreaterThanOrEqual(20);
+    expect(painted(app).size).toBeGreaterThan(50);
+  });
+});
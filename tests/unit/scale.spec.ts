@@ -0,0 +1,125 @@
+import { test, expect } from "@playwright/test";
+import { LinearScale, LogScale, SymlogScale, TimeScale, CategoryScale, resolveScale, fmtTick, decimalsForStep } from "../../src/scale";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+
+test.describe("formatting", () => {
+  test("decimals follow the step and -0 prints as 0", () => {
+    expect([decimalsForStep(5), decimalsForStep(0.5), decimalsForStep(0.02), decimalsForStep(0)]).toEqual([0, 1, 2, 0]);
+    expect(fmtTick(-0.0000001, 2)).toBe("0.00");
+    expect(fmtTick(0.1 + 0.2, 1)).toBe("0.3");
+  });
+});
+
+test.describe("scales", () => {
+  test("forward and inverse round-trip", () => {
+    const values = [-1000, -3.5, -1, -0.01, 0, 0.01, 1, 2.5, 1e6];
+    for (const scale of [new LinearScale(), new SymlogScale(2), new TimeScale()]) {
+      for (const v of values) expect(scale.inverse(scale.forward(v))).toBeCloseTo(v, 6);
+    }
+    const log = new LogScale();
+    for (const v of [1e-5, 0.3, 1, 42, 1e12]) expect(log.inverse(log.forward(v)) / v).toBeCloseTo(1, 12);
+    expect(log.forward(1000)).toBe(3);
+    expect(isFinite(log.forward(0))).toBe(true);
+  });
+
+  test("symlog is linear near zero and odd", () => {
+    const s = new SymlogScale(10);
+    expect(s.forward(0)).toBe(0);
+    expect(s.forward(-50)).toBe(-s.forward(50));
+    expect(s.forward(1) / s.forward(0.5)).toBeCloseTo(2, 1);
+    expect(new SymlogScale(-1).linthresh).toBe(1);
+  });
+
+  test("log clampDomain repairs non-positive ranges", () => {
+    const log = new LogScale();
+    expect(log.clampDomain(-5, 100)).toEqual([0.1, 100]);
+    expect(log.clampDomain(-5, -1)).toEqual([1, 10]);
+    expect(log.clampDomain(2, 20)).toEqual([2, 20]);
+  });
+
+  test("resolveScale", () => {
+    expect(resolveScale(undefined).type).toBe("linear");
+    expect(resolveScale("log").type).toBe("log10");
+    expect(resolveScale("symlog").type).toBe("symlog");
+    const custom = new LogScale();
+    expect(resolveScale(custom)).toBe(custom);
+  });
+});
+
+test.describe("ticks", () => {
+  test("linear ticks take nice steps", () => {
+    expect(new LinearScale().ticks(0, 10, 5)).toEqual({ major: [0, 2, 4, 6, 8, 10], minor: [], labels: ["0", "2", "4", "6", "8", "10"] });
+    const t = new LinearScale().ticks(-0.25, 0.25, 5);
+    expect(t.major).toEqual([-0.2, -0.1, 0, 0.1, 0.2]);
+    expect(t.labels).toEqual(["-0.2", "-0.1", "0.0", "0.1", "0.2"]);
+    expect(new LinearScale().ticks(3, 3, 5).major).toEqual([3]);
+  });
+
+  test("log ticks sit on decades with 2..9 minors", () => {
+    const t = new LogScale().ticks(1, 1000, 5);
+    expect(t.major).toEqual([1, 10, 100, 1000]);
+    expect(t.labels).toEqual(["1", "10", "100", "1000"]);
+    expect(t.minor).toContain(20);
+    expect(t.minor).toContain(900);
+    expect(t.minor.length).toBe(3 * 8);
+
+    const wide = new LogScale().ticks(1e-10, 1e10, 5);
+    // every 4th decade, on multiples of the stride
+    expect(wide.labels).toEqual(["1e-8", "1e-4", "1", "10000", "1e8"]);
+    expect(wide.minor).toContain(1e-10);
+
+    // under a decade falls back to linear steps
+    expect(new LogScale().ticks(2, 8, 3).major).toEqual([2, 4, 6, 8]);
+  });
+
+  test("symlog ticks include 0 and mirror both signs", () => {
+    const t = new SymlogScale(1).ticks(-100, 100, 10);
+    expect(t.major).toEqual([-100, -10, -1, 0, 1, 10, 100]);
+    expect(new SymlogScale(10).ticks(-5, 5, 5).major).toEqual([-4, -2, 0, 2, 4]);
+  });
+
+  test("time ticks land on calendar boundaries", () => {
+    const utc = new TimeScale(true);
+    const t0 = Date.UTC(2024, 0, 1, 10, 7, 13);
+    const minutes = utc.ticks(t0, t0 + 10 * 60_000, 5);
+    expect(minutes.major.every(v => v % (2 * 60_000) === 0)).toBe(true);
+    expect(minutes.labels[0]).toBe("Jan 1 10:08");
+    expect(minutes.labels[1]).toBe("10:10");
+
+    const months = utc.ticks(Date.UTC(2023, 10, 15), Date.UTC(2024, 5, 1), 6);
+    expect(months.major.map(v => new Date(v).getUTCDate())).toEqual(months.major.map(() => 1));
+    expect(months.labels).toContain("Jan 2024");
+
+    const ms = utc.ticks(t0, t0 + 500, 5);
+    expect(ms.major[1] - ms.major[0]).toBe(100);
+    expect(ms.labels[0]).toBe("10:07:13.000");
+  });
+
+  test("category ticks label slot centres and thin out", () => {
+    const cats = new CategoryScale(["a", "b", "c", "d"]);
+    expect(cats.ticks(-0.5, 3.5, 5)).toEqual({ major: [0, 1, 2, 3], minor: [], labels: ["a", "b", "c", "d"] });
+    const many = new CategoryScale(Array.from({ length: 100 }, (_, i) => `c${i}`));
+    expect(many.ticks(0, 99, 5).major.length).toBeLessThanOrEqual(15);
+  });
+});
+
+test.describe("ViewportManager with scales", () => {
+  test("log axis maps decades to equal canvas distances", () => {
+    const app = new MemoryRenderer(300, 100);
+    const vp = new ViewportManager(app, null, null, "none", { x: "log10" });
+    vp.updateWorld({ xMin: 1, xMax: 1000, yMin: 0, yMax: 1 });
+    const at = (x: number) => vp.worldToCanvas(x, 0).x;
+    expect(at(10) - at(1)).toBeCloseTo(at(1000) - at(100), 6);
+    expect(vp.canvasToWorld(at(100), 0).x).toBeCloseTo(100, 6);
+  });
+
+  test("switching to log repairs a non-positive range", () => {
+    const app = new MemoryRenderer(300, 100);
+    const vp = new ViewportManager(app, null, null, "none");
+    vp.updateWorld({ xMin: -5, xMax: 100, yMin: 0, yMax: 1 });
+    vp.setScales("log10");
+    expect(vp.worldBounds.xMin).toBeGreaterThan(0);
+    expect(vp.worldBounds.xMax).toBe(100);
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from "@playwright/test";
+import { DrawableScatter } from "../../src/scatter";
+import { markerMask, markerPolygon, parseMarker, MARKER_SHAPES } from "../../src/markers";
+import { SVGWriter } from "../../src/svg";
+import { V2 } from "../../src/v2";
+import { view, pixel } from "./helpers";
+
+const WORLD = { xMin: 0, xMax: 10, yMin: 0, yMax: 10 };
+
+test.describe("markers", () => {
+  test("parseMarker splits the open suffix", () => {
+    expect(parseMarker("square")).toEqual({ shape: "square", open: false });
+    expect(parseMarker("diamond-open")).toEqual({ shape: "diamond", open: true });
+  });
+
+  test("masks are cached per quantized radius and antialiasing", () => {
+    expect(markerMask("circle", 3, true)).toBe(markerMask("circle", 3.1, true));
+    expect(markerMask("circle", 3, true)).not.toBe(markerMask("circle", 3.5, true));
+    expect(markerMask("circle", 3, true)).not.toBe(markerMask("circle", 3, false));
+  });
+
+  test("mask coverage is centred, bounded and hard-edged without AA", () => {
+    for (const shape of MARKER_SHAPES) {
+      const { size, half, coverage } = markerMask(shape, 4, false);
+      expect(size).toBe(2 * half + 1);
+      expect(coverage.every(c => c === 0 || c === 1)).toBe(true);
+      expect(coverage.some(c => c === 1)).toBe(true);
+      if (shape !== "x") expect(coverage[half * size + half]).toBe(1);
+    }
+    const open = markerMask("circle-open", 4, false);
+    expect(open.coverage[open.half * open.size + open.half]).toBe(0);
+  });
+
+  test("marker polygons sit within their radius around the centre", () => {
+    for (const shape of MARKER_SHAPES) {
+      const poly = markerPolygon(shape, 5, 10, 20);
+      if (!poly) continue;
+      for (const p of poly) expect(Math.hypot(p.x - 10, p.y - 20)).toBeLessThanOrEqual(5 * 1.5);
+    }
+  });
+});
+
+test.describe("DrawableScatter", () => {
+  test("draws each point in its category color and marker", () => {
+    const { app, vp } = view(WORLD);
+    const s = new DrawableScatter([2, 8, 5], [2, 8, 50], { categories: ["a", "b", "a"], palette: ["red", "blue"], marker: ["square", "circle"], size: 3 });
+    app.clear();
+    s.draw(app, vp);
+    expect(pixel(app, vp, 2, 2)).toEqual([255, 0, 0, 255]);
+    expect(pixel(app, vp, 8, 8)).toEqual([0, 0, 255, 255]);
+    expect(pixel(app, vp, 5, 5)).toEqual([19, 19, 19, 255]);
+    expect(s.legendItems()).toEqual([{ label: "a", color: "red", symbol: "marker" }, { label: "b", color: "blue", symbol: "marker" }]);
+  });
+
+  test("per-point sizes and colormapped values", () => {
+    const { app, vp } = view(WORLD);
+    const s = new DrawableScatter([3, 7], [5, 5], { sizes: [1, 8], values: [0, 1], colormap: ["#000000", "#ffffff"] });
+    app.clear();
+    s.draw(app, vp);
+    // the big marker reaches 6px out, the small one does not
+    expect(pixel(app, vp, 7.6, 5)).toEqual([255, 255, 255, 255]);
+    expect(pixel(app, vp, 3.6, 5)).toEqual([19, 19, 19, 255]);
+    expect(s.domain).toEqual([0, 1]);
+  });
+
+  test("pointAt picks the nearest point, the topmost on ties", () => {
+    const { vp } = view(WORLD);
+    const s = new DrawableScatter([5, 5, 9], [5, 5, 9], { size: 4 });
+    expect(s.pointAt(new V2(5, 5), vp)).toBe(1);
+    expect(s.pointAt(new V2(9, 9.2), vp)).toBe(2);
+    expect(s.pointAt(new V2(1, 1), vp)).toBe(-1);
+    expect(s.bounds).toEqual({ xMin: 5, xMax: 9, yMin: 5, yMax: 9 });
+  });
+
+  test("SVG emits one shape per visible point", () => {
+    const { vp } = view(WORLD);
+    const s = new DrawableScatter([1, 2, 3, 50], [1, 2, 3, 50], { marker: ["circle", "square-open"], categories: [0, 1, 0, 1] });
+    const svg = s.toSVG(vp, new SVGWriter()).split("\n");
+    expect(svg.length).toBe(3);
+    expect(svg[0]).toMatch(/^<circle /);
+    expect(svg[1]).toMatch(/^<polygon .*fill="none"/);
+  });
+});
@@ -0,0 +1,130 @@
+import { test, expect } from "@playwright/test";
+import { runSceneWorker, WorkerSceneHost, type FromWorkerMessage, type ToWorkerMessage, type SceneWorkerContext } from "../../src/sceneWorker";
+import { Drawable } from "../../src/drawables";
+
+/** In-process stand-in for a worker's global scope. */
+function fakeScope() {
+  const sent: FromWorkerMessage[] = [];
+  let listener: ((e: MessageEvent) => void) | null = null;
+  return {
+    sent,
+    scope: {
+      postMessage: (msg: FromWorkerMessage) => { sent.push(msg); },
+      addEventListener: (_type: "message", l: (e: MessageEvent) => void) => { listener = l; },
+    },
+    send: (msg: ToWorkerMessage) => listener!({ data: msg } as MessageEvent),
+  };
+}
+
+/**
+ * Just enough window / document for a WorkerSceneHost in a 40×30 container.
+ * `changeDpr` fires the resolution media query the host watches.
+ */
+function fakeBrowser(dpr: number) {
+  const g = globalThis as any;
+  const saved = { window: g.window, document: g.document };
+  let onChange: (() => void) | null = null;
+  g.window = {
+    devicePixelRatio: dpr,
+    matchMedia: () => ({
+      addEventListener: (_type: string, l: () => void) => { onChange = l; },
+      removeEventListener: () => { onChange = null; },
+    }),
+  };
+  g.document = { createElement: () => ({ style: {}, getContext: () => null }) };
+  return {
+    container: { appendChild() {}, getBoundingClientRect: () => ({ width: 40, height: 30 }) } as any,
+    changeDpr(next: number) { g.window.devicePixelRatio = next; onChange?.(); },
+    restore() { g.window = saved.window; g.document = saved.document; },
+  };
+}
+
+/** OffscreenCanvas stand-in that records the size each frame is scaled to. */
+class FakeOffscreenCanvas {
+  static drawn: Array<[number, number]> = [];
+  constructor(public width: number, public height: number) {}
+  getContext() {
+    return {
+      imageSmoothingEnabled: true,
+      putImageData() {},
+      drawImage: (_src: unknown, _x: number, _y: number, w: number, h: number) => { FakeOffscreenCanvas.drawn.push([w, h]); },
+    };
+  }
+  transferToImageBitmap() { return { width: this.width, height: this.height }; }
+}
+
+class Exploding extends Drawable {
+  public armed = true;
+  draw(): void {
+    if (this.armed) throw new Error("boom");
+  }
+}
+
+test.describe("scene worker", () => {
+  test("renders pixel frames at the requested size", () => {
+    const w = fakeScope();
+    runSceneWorker(() => {}, {}, w.scope);
+    w.send({ type: "init", width: 40, height: 30, dpr: 1, format: "pixels" });
+    w.send({ type: "frame", time: 0 });
+    const frame = w.sent[0] as Extract<FromWorkerMessage, { type: "frame" }>;
+    expect([frame.type, frame.width, frame.height]).toEqual(["frame", 40, 30]);
+    expect(frame.pixels!.byteLength).toBe(40 * 30 * 4);
+
+    w.send({ type: "resize", width: 20, height: 10, dpr: 1 });
+    w.send({ type: "frame", time: 1 });
+    expect(w.sent[1]).toMatchObject({ type: "frame", width: 20, height: 10 });
+  });
+
+  test("a drawable that throws is reported and later frames still render", () => {
+    const w = fakeScope();
+    const bad = new Exploding();
+    runSceneWorker(({ scene }) => { scene.add(bad); }, {}, w.scope);
+    w.send({ type: "init", width: 10, height: 10, dpr: 1, format: "pixels" });
+    w.send({ type: "frame", time: 0 });
+    expect(w.sent[0]).toMatchObject({ type: "error", message: "boom" });
+
+    bad.armed = false;
+    w.send({ type: "frame", time: 1 });
+    expect(w.sent[1]).toMatchObject({ type: "frame", width: 10, height: 10 });
+  });
+
+  test("messages sent before init are handled after setup", () => {
+    const w = fakeScope();
+    const seen: any[] = [];
+    runSceneWorker(() => ({ onMessage: data => { seen.push(data); } }), {}, w.scope);
+    w.send({ type: "message", data: 1 });
+    w.send({ type: "init", width: 10, height: 10, dpr: 1, format: "pixels" });
+    w.send({ type: "message", data: 2 });
+    expect(seen).toEqual([1, 2]);
+  });
+
+  test("devicePixelRatio changes reach the worker and size the bitmap backing store", () => {
+    const browser = fakeBrowser(1);
+    const g = globalThis as any;
+    const savedOffscreen = g.OffscreenCanvas;
+    g.OffscreenCanvas = FakeOffscreenCanvas;
+    try {
+      const w = fakeScope();
+      let ctx: SceneWorkerContext | null = null;
+      const resized: number[] = [];
+      runSceneWorker(c => { ctx = c; return { onResize: c => { resized.push(c.dpr); } }; }, {}, w.scope);
+
+      const worker = { postMessage: (msg: ToWorkerMessage) => w.send(msg), addEventListener() {}, removeEventListener() {}, terminate() {} };
+      const host = new WorkerSceneHost(worker as any, browser.container, { format: "bitmap" });
+      expect(ctx!.dpr).toBe(1);
+
+      browser.changeDpr(2);
+      expect(host.dpr).toBe(2);
+      expect(resized).toEqual([2]);
+      expect(ctx!.app.size).toMatchObject({ x: 40, y: 30 });
+
+      host.requestFrame(0);
+      expect(w.sent[0]).toMatchObject({ type: "frame", width: 80, height: 60 });
+      expect(FakeOffscreenCanvas.drawn).toEqual([[80, 60]]);
+      host.terminate();
+    } finally {
+      g.OffscreenCanvas = savedOffscreen;
+      browser.restore();
+    }
+  });
+});
@@ -0,0 +1,59 @@
+import { test, expect } from "@playwright/test";
+import { DrawableStream } from "../../src/stream";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager } from "../../src/viewport";
+
+/** Window bounds by rescanning every held sample. */
+function scanned(s: DrawableStream) {
+  const x1 = s.lastX, x0 = s.window == null ? -Infinity : x1 - s.window;
+  let xMin = Infinity, yMin = Infinity, yMax = -Infinity;
+  for (let i = 0; i < s.length; i++) {
+    const x = s.xAt(i), y = s.yAt(i);
+    if (x < x0) continue;
+    xMin = Math.min(xMin, x);
+    if (y < yMin) yMin = y;
+    if (y > yMax) yMax = y;
+  }
+  return yMin <= yMax ? { xMin, xMax: x1, yMin, yMax } : null;
+}
+
+test.describe("DrawableStream", () => {
+  test("window bounds match a rescan as the ring wraps", () => {
+    const s = new DrawableStream(97, { window: 40 });
+    let seed = 7;
+    const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let i = 0; i < 1000; i++) {
+      s.push(i, rand() < 0.05 ? NaN : Math.round(rand() * 20) - 10);
+      expect(s.bounds).toEqual(scanned(s));
+      if (i === 500) s.window = 90;
+      if (i === 700) s.window = null;
+    }
+  });
+
+  test("pushMany and clear keep the bounds consistent", () => {
+    const s = new DrawableStream(50);
+    const xs = Array.from({ length: 120 }, (_, i) => i);
+    s.pushMany(xs, xs.map(x => Math.sin(x)));
+    expect(s.length).toBe(50);
+    expect(s.bounds).toEqual(scanned(s));
+
+    s.clear();
+    expect(s.bounds).toBeNull();
+    s.push(0, NaN);
+    expect(s.bounds).toBeNull();
+    s.push(1, 3).push(2, -1);
+    expect(s.bounds).toEqual({ xMin: 0, xMax: 2, yMin: -1, yMax: 3 });
+  });
+
+  test("follow keeps the viewport on the window with padded y", () => {
+    const app = new MemoryRenderer(100, 50);
+    const vp = new ViewportManager(app, null, null, "none");
+    const s = new DrawableStream(1000, { window: 10, autoscaleY: true, yPadding: 0.5 }).follow(vp);
+    for (let i = 0; i <= 100; i++) s.push(i, i % 7 === 0 ? 4 : 0);
+    expect(vp.worldBounds).toMatchObject({ xMin: 90, xMax: 100, yMin: -2, yMax: 6 });
+
+    s.following = false;
+    s.push(101, 100);
+    expect(vp.worldBounds.yMax).toBe(6);
+  });
+});
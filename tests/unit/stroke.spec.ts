@@ -0,0 +1,61 @@
+import { test, expect } from "@playwright/test";
+import { dashPolyline, strokeToPolygons } from "../../src/stroke";
+import { V2 } from "../../src/v2";
+
+const xs = (paths: V2[][]) => paths.map(path => path.map(p => +p.x.toFixed(6)));
+
+const line = (...xs: number[]) => xs.map(x => new V2(x, 0));
+
+test.describe("dashPolyline", () => {
+  test("cuts dashes along the line", () => {
+    expect(xs(dashPolyline(line(0, 10), [3, 2]))).toEqual([[0, 3], [5, 8]]);
+  });
+
+  test("the phase runs on across vertices and honours the offset", () => {
+    expect(xs(dashPolyline(line(0, 1.5, 3, 4.5, 6), [2, 2]))).toEqual([[0, 1.5, 2], [4, 4.5, 6]]);
+    expect(xs(dashPolyline(line(0, 10), [3, 2], 4))).toEqual([[1, 4], [6, 9]]);
+    expect(xs(dashPolyline(line(0, 10), [3, 2], 1))).toEqual([[0, 2], [4, 7], [9, 10]]);
+    expect(xs(dashPolyline(line(0, 10), [3, 2], -4))).toEqual([[0, 2], [4, 7], [9, 10]]);
+  });
+
+  test("odd-length patterns repeat twice", () => {
+    expect(xs(dashPolyline(line(0, 9), [2]))).toEqual([[0, 2], [4, 6], [8, 9]]);
+    expect(xs(dashPolyline(line(0, 12), [1, 2, 3]))).toEqual([[0, 1], [3, 6], [7, 9]]);
+  });
+
+  test("closed paths dash the closing edge too", () => {
+    const square = [new V2(0, 0), new V2(4, 0), new V2(4, 4), new V2(0, 4)];
+    const dashes = dashPolyline(square, [5, 1], 0, true);
+    expect(dashes.length).toBe(3);
+    expect(dashes[2][dashes[2].length - 1]).toEqual(new V2(0, 0));
+  });
+
+  test("a pattern with an invalid entry is ignored entirely", () => {
+    const pts = line(0, 10);
+    for (const dash of [[3, -1], [3, NaN], [Infinity, 2], [0, 0], []]) {
+      expect(dashPolyline(pts, dash)).toEqual([pts]);
+    }
+  });
+
+  test("segments at non-finite vertices are skipped without shifting the phase", () => {
+    const pts = [new V2(0, 0), new V2(2, 0), new V2(NaN, 0), new V2(4, 0), new V2(10, 0)];
+    const dashes = dashPolyline(pts, [3, 2]);
+    expect(dashes.flat().every(p => isFinite(p.x) && isFinite(p.y))).toBe(true);
+    expect(xs(dashes)).toEqual([[0, 2], [4, 5], [7, 10]]);
+  });
+});
+
+test.describe("strokeToPolygons", () => {
+  test("a butt-capped segment is one rectangle the width of the stroke", () => {
+    const [rect] = strokeToPolygons(line(0, 10), 4, { cap: "butt" });
+    const ys = rect.map(p => p.y), px = rect.map(p => p.x);
+    expect([Math.min(...px), Math.max(...px)]).toEqual([0, 10]);
+    expect([Math.min(...ys), Math.max(...ys)]).toEqual([-2, 2]);
+  });
+
+  test("square caps extend the ends by half the width", () => {
+    const px = strokeToPolygons(line(0, 10), 4, { cap: "square" }).flat().map(p => p.x);
+    expect(Math.min(...px)).toBeCloseTo(-2);
+    expect(Math.max(...px)).toBeCloseTo(12);
+  });
+});
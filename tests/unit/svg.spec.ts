@@ -0,0 +1,88 @@
+import { test, expect } from "@playwright/test";
+import { sceneToSVG, drawableToSVG, escapeXML, SVGWriter } from "../../src/svg";
+import { Scene } from "../../src/scene";
+import { ViewportManager } from "../../src/viewport";
+import { DrawableCircle, DrawableLine, DrawablePoint, DrawableText } from "../../src/drawables";
+import { DrawableLegend } from "../../src/legend";
+import { V2 } from "../../src/v2";
+
+/** A 200×100 canvas stretched over x 0..10, y 0..5; export only reads app.size. */
+function stubView() {
+  const vp = new ViewportManager({ size: new V2(200, 100) }, null, null, "none");
+  vp.updateWorld({ xMin: 0, xMax: 10, yMin: 0, yMax: 5 });
+  return vp;
+}
+
+/** Tag name and attributes of every element in an SVG fragment. */
+function elements(svg: string): Array<{ tag: string; attrs: Record<string, string> }> {
+  const out: Array<{ tag: string; attrs: Record<string, string> }> = [];
+  for (const m of svg.matchAll(/<([a-z]+)((?:\s+[\w:-]+="[^"]*")*)\s*\/?>/g)) {
+    const attrs: Record<string, string> = {};
+    for (const a of m[2].matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[a[1]] = a[2];
+    out.push({ tag: m[1], attrs });
+  }
+  return out;
+}
+
+test.describe("SVG export", () => {
+  test("escapeXML covers markup and both quote styles", () => {
+    expect(escapeXML(`a<b>&"c'`)).toBe("a&lt;b&gt;&amp;&quot;c&apos;");
+    const [text] = drawableToSVG(new DrawableText(`x < "y"`, new V2(1, 1)), stubView());
+    expect(text).toContain(">x &lt; &quot;y&quot;</text>");
+  });
+
+  test("coordinates are baked into canvas space", () => {
+    const vp = stubView();
+    const [line] = elements(drawableToSVG(new DrawableLine(new V2(1, 1), new V2(9, 4), { color: "#ff0000", width: 3 }), vp)[0]);
+    const a = vp.worldToCanvas(1, 1), b = vp.worldToCanvas(9, 4);
+    expect(line.tag).toBe("line");
+    expect(line.attrs).toMatchObject({ x1: `${a.x}`, y1: `${a.y}`, x2: `${b.x}`, y2: `${b.y}`, stroke: "rgb(255,0,0)", "stroke-width": "3" });
+
+    const [circle] = elements(drawableToSVG(new DrawableCircle(new V2(5, 2.5), 1), vp)[0]);
+    expect(circle.attrs).toMatchObject({ cx: "100", cy: "50", fill: "none" });
+
+    // precision rounds, never scientific notation
+    const w = new SVGWriter(1);
+    expect(w.num(1 / 3)).toBe("0.3");
+    expect(w.num(-0)).toBe("0");
+  });
+
+  test("documents take the canvas size and skip debug, invisible and overlay drawables", () => {
+    const vp = stubView();
+    const scene = new Scene();
+    const hidden = new DrawablePoint(new V2(2, 2));
+    hidden.visible = false;
+    const overlay = new DrawablePoint(new V2(3, 3));
+    overlay.ignoreViewport = true;
+    scene.add([new DrawablePoint(new V2(1, 1)), hidden, overlay]);
+    scene.add(new DrawableLine(new V2(0, 0), new V2(1, 1)), "debug");
+
+    const svg = sceneToSVG(scene, vp);
+    const els = elements(svg);
+    expect(els[0]).toMatchObject({ tag: "svg", attrs: { width: "200", height: "100", viewBox: "0 0 200 100" } });
+    expect(els[1]).toMatchObject({ tag: "rect", attrs: { width: "100%", fill: "rgb(19,19,19)" } });
+    expect(svg).toContain(`<g data-layer="default">`);
+    expect(svg).not.toContain(`data-layer="debug"`);
+    expect(els.filter(e => e.tag === "circle")).toHaveLength(1);
+    expect(els.some(e => e.tag === "line")).toBe(false);
+
+    const all = elements(sceneToSVG(scene, vp, { includeDebug: true, background: null }));
+    expect(all.filter(e => e.tag === "circle")).toHaveLength(2);
+    expect(all.filter(e => e.tag === "line")).toHaveLength(1);
+    expect(all.some(e => e.tag === "rect")).toBe(false);
+  });
+
+  test("legend rows export their symbol and an escaped label", () => {
+    const legend = new DrawableLegend([
+      { label: "a & b", color: "#ff0000" },
+      { label: "dots", color: "#00ff00", symbol: "marker" },
+      { label: "area", color: "#0000ff", symbol: "area" },
+    ], { background: null });
+    const parts = drawableToSVG(legend, stubView());
+    const tags = parts.flatMap(p => elements(p).map(e => e.tag));
+    expect(tags).toEqual(["line", "text", "circle", "text", "rect", "line", "text"]);
+    expect(elements(parts[0])[0].attrs["stroke-width"]).toBe("2");
+    expect(elements(parts[2])[0].attrs.fill).toBe("rgb(0,255,0)");
+    expect(parts[1]).toContain(">a &amp; b</text>");
+  });
+});
@@ -0,0 +1,48 @@
+import { test, expect } from "@playwright/test";
+import { DrawableErrorBars, DrawableBand } from "../../src/uncertainty";
+import { DrawableBoxPlot, boxStats } from "../../src/charts";
+import { MemoryRenderer } from "../../src/memoryRenderer";
+import { ViewportManager, autoScaleViewport, getDrawableBounds } from "../../src/viewport";
+
+const N = 200_000;
+const xs = Float64Array.from({ length: N }, (_, i) => i);
+const ys = Float64Array.from({ length: N }, (_, i) => ((i % 5) - 2) / 2);
+
+test.describe("uncertainty", () => {
+  test("boxStats uses Tukey whiskers and reports outliers", () => {
+    const s = boxStats([1, 2, 3, 4, 5, 6, 7, 8, 100])!;
+    expect([s.q1, s.median, s.q3]).toEqual([3, 5, 7]);
+    expect([s.lo, s.hi]).toEqual([1, 8]);
+    expect(s.outliers).toEqual([100]);
+    expect(boxStats([3, NaN, 1, 2], "range")).toMatchObject({ lo: 1, hi: 3, outliers: [], count: 3 });
+    expect(boxStats([NaN])).toBeNull();
+  });
+
+  test("error bar bounds include asymmetric whiskers", () => {
+    const eb = new DrawableErrorBars([0, 1, 2], [1, 2, 3], { xErr: 0.5, yErr: [[1, 1, 1], [0, 0, 2]] });
+    expect(getDrawableBounds(eb)).toEqual({ xMin: -0.5, xMax: 2.5, yMin: 0, yMax: 5 });
+  });
+
+  test("bounds of long series are found rather than overflowing the stack", () => {
+    const eb = new DrawableErrorBars(xs, ys, { yErr: 0.125 });
+    expect(getDrawableBounds(eb)).toEqual({ xMin: 0, xMax: N - 1, yMin: -1.125, yMax: 1.125 });
+
+    const band = new DrawableBand(xs, ys.map(y => y - 1), ys.map(y => y + 1));
+    expect(getDrawableBounds(band)).toEqual({ xMin: 0, xMax: N - 1, yMin: -2, yMax: 2 });
+
+    const outliers = Float64Array.from({ length: N }, (_, i) => (i % 2 ? 1e6 + i : 0));
+    const box = new DrawableBoxPlot([outliers], { whisker: 0 });
+    expect(getDrawableBounds(box)?.yMax).toBe(1e6 + N - 1);
+  });
+
+  test("autoScaleViewport fits a long band", () => {
+    const vp = new ViewportManager(new MemoryRenderer(100, 100), null, null, "none");
+    autoScaleViewport(vp, [new DrawableBand(xs, ys.map(y => y - 1), ys.map(y => y + 1))], 0);
+    expect(vp.worldBounds).toMatchObject({ xMin: 0, xMax: N - 1, yMin: -2, yMax: 2 });
+  });
+
+  test("band bounds skip samples where either edge is missing", () => {
+    const band = new DrawableBand([0, 1, 2, 3], [0, NaN, -5, 0], [1, 9, 1, 1]);
+    expect(getDrawableBounds(band)).toEqual({ xMin: 2, xMax: 3, yMin: -5, yMax: 1 });
+  });
+});
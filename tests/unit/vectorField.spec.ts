@@ -0,0 +1,112 @@
+import { test, expect } from "@playwright/test";
+import { DrawableVectorField, rk4Streamline } from "../../src/vectorField";
+import { V2 } from "../../src/v2";
+import { view } from "./helpers";
+
+const circular = (p: V2) => new V2(-p.y, p.x);
+
+/** u / v grids of a constant vector. */
+function uniform(cols: number, rows: number, u: number, v: number) {
+  return { u: new Array(cols * rows).fill(u), v: new Array(cols * rows).fill(v), cols };
+}
+
+test.describe("rk4Streamline", () => {
+  test("a circular field closes its orbit and keeps the radius", () => {
+    const steps = 200;
+    const pts = rk4Streamline(circular, new V2(1, 0), (2 * Math.PI) / steps, steps);
+    expect(pts.length).toBe(steps + 1);
+    for (const p of pts) expect(p.len()).toBeCloseTo(1, 6);
+    expect(pts[steps].x).toBeCloseTo(1, 6);
+    expect(pts[steps].y).toBeCloseTo(0, 6);
+    // a quarter turn in, counter-clockwise
+    expect(pts[steps / 4].x).toBeCloseTo(0, 6);
+    expect(pts[steps / 4].y).toBeCloseTo(1, 6);
+  });
+
+  test("a negative step runs upstream", () => {
+    const [, next] = rk4Streamline(circular, new V2(1, 0), -0.1, 1);
+    expect(next.y).toBeLessThan(0);
+  });
+
+  test("stops where the field is undefined or vanishes", () => {
+    const outward = (p: V2) => (p.len() > 2 ? null : p);
+    const pts = rk4Streamline(outward, new V2(1, 0), 0.1, 1000);
+    expect(pts.length).toBeLessThan(1000);
+    expect(pts[pts.length - 1].len()).toBeLessThanOrEqual(2.5);
+    expect(rk4Streamline(() => new V2(0, 0), new V2(3, 3), 0.1)).toEqual([new V2(3, 3)]);
+    expect(rk4Streamline(() => new V2(NaN, 1), new V2(3, 3), 0.1)).toEqual([new V2(3, 3)]);
+  });
+});
+
+test.describe("DrawableVectorField", () => {
+  test("grids interpolate bilinearly between cell centres", () => {
+    const f = new DrawableVectorField({ u: [[0, 1], [0, 1]], v: [[0, 0], [2, 2]], extent: { xMin: 0, xMax: 2, yMin: 0, yMax: 2 } });
+    expect(f.vectorAt(1, 1)).toEqual(new V2(0.5, 1));
+    expect(f.vectorAt(0.75, 0.5)).toEqual(new V2(0.25, 0));
+    // clamped to the outer half cells, null past the extent
+    expect(f.vectorAt(0.1, 1.9)).toEqual(new V2(0, 2));
+    expect(f.vectorAt(2.5, 1)).toBeNull();
+
+    f.setField({ u: [[0, NaN], [0, 0]], v: [[0, 0], [0, 0]] });
+    expect(f.vectorAt(1, 1)).toBeNull();
+    expect(() => f.setField({ u: [[0, 1]], v: [[0], [1]] })).toThrow(/differ in size/);
+  });
+
+  test("grid arrows skip cells to keep spacingPx apart", () => {
+    // 20×20 cells over 200×200 px: 10 px per cell
+    const { vp } = view({ xMin: 0, xMax: 20, yMin: 0, yMax: 20 }, 200, 200);
+    const f = new DrawableVectorField(uniform(20, 20, 1, 0), { spacingPx: 28, pivot: "tail", scaleMode: "normalized" });
+    const arrows = f.arrows(vp);
+    // every 3rd cell from the 2nd: 1, 4, …, 19
+    expect(arrows.length).toBe(7 * 7);
+    expect(arrows[1].tail.x - arrows[0].tail.x).toBeCloseTo(30, 6);
+    expect(arrows[0].tip.sub(arrows[0].tail).len()).toBeCloseTo(0.85 * 30, 6);
+
+    f.spacingPx = 5;
+    expect(f.arrows(vp).length).toBe(400);
+  });
+
+  test("function fields are sampled on a screen-space lattice", () => {
+    const { vp } = view({ xMin: -1, xMax: 1, yMin: -1, yMax: 1 }, 100, 60);
+    const f = new DrawableVectorField((x, y) => new V2(-y, x), { spacingPx: 20 });
+    // 5 × 3 samples 20 px apart; the centre one lands on the field's zero and gets no arrow
+    expect(f.arrows(vp).length).toBe(14);
+    // kept to the extent: the columns at x = 0.2, 0.6
+    f.extent = { xMin: 0.1, xMax: 1, yMin: -1, yMax: 1 };
+    expect(f.arrows(vp).length).toBe(6);
+  });
+
+  test("arrows point along the field when x and y scale differently", () => {
+    // 20 px per x unit, 200 px per y unit
+    const { vp } = view({ xMin: 0, xMax: 10, yMin: 0, yMax: 1 }, 200, 200);
+    const expected = new V2(20, -200).norm();
+    for (const field of [() => new V2(1, 1), uniform(10, 1, 1, 1)]) {
+      const f = new DrawableVectorField(field as any, { extent: { xMin: 0, xMax: 10, yMin: 0, yMax: 1 } });
+      for (const a of f.arrows(vp)) {
+        const dir = a.tip.sub(a.tail).norm();
+        expect(dir.x).toBeCloseTo(expected.x, 6);
+        expect(dir.y).toBeCloseTo(expected.y, 6);
+      }
+    }
+  });
+
+  test("magnitude scaling shortens weaker arrows and streamlines are cached for grids", () => {
+    const { vp } = view({ xMin: 0, xMax: 2, yMin: 0, yMax: 1 }, 200, 100);
+    const f = new DrawableVectorField({ u: [[1, 2]], v: [[0, 0]] }, { spacingPx: 10, pivot: "tail", seeds: [new V2(0.5, 0.5)] });
+    const [weak, strong] = f.arrows(vp);
+    expect(weak.tip.sub(weak.tail).len() * 2).toBeCloseTo(strong.tip.sub(strong.tail).len(), 6);
+
+    const lines = f.streamlines(vp);
+    expect(lines.length).toBe(1);
+    // traced both ways until the next RK4 stage would leave the grid
+    const xs = lines[0].map(p => p.x);
+    expect(Math.min(...xs)).toBeGreaterThanOrEqual(0);
+    expect(Math.min(...xs)).toBeLessThan(0.05);
+    expect(Math.max(...xs)).toBeLessThanOrEqual(2);
+    expect(Math.max(...xs)).toBeGreaterThan(1.9);
+    expect(lines[0].every(p => p.y === 0.5)).toBe(true);
+    expect(f.streamlines(vp)).toBe(lines);
+    f.setSeeds([new V2(1, 0.5)]);
+    expect(f.streamlines(vp)).not.toBe(lines);
+  });
+});